@@ -0,0 +1,4 @@
+// Jest runs the ES module sources through Babel; Forge bundles them itself
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
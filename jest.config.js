@@ -4,6 +4,7 @@ module.exports = {
     '**/__tests__/**/*.test.js',
     '**/?(*.)+(spec|test).js'
   ],
+  testPathIgnorePatterns: ['/node_modules/', '/static/'],
   collectCoverageFrom: [
     'src/**/*.js',
     'src/**/*.jsx',
@@ -20,8 +21,7 @@ module.exports = {
     }
   },
   coverageReporters: ['text', 'lcov', 'html'],
-  setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
-  moduleNameMapping: {
+  moduleNameMapper: {
     '^@/(.*)$': '<rootDir>/src/$1'
   },
   transform: {
@@ -124,8 +124,9 @@ const checks = [
           return false;
         }
         
-        if (!resolverContent.includes('meeting-context-func')) {
-          console.log('❌ Missing meeting-context-func resolver');
+        const resolversContent = fs.readFileSync('src/resolvers/index.js', 'utf8');
+        if (!resolversContent.includes('getMeetingContext')) {
+          console.log('❌ Missing getMeetingContext resolver');
           failedChecks.push('Backend missing core resolver');
           return false;
         }
@@ -10,7 +10,7 @@ const requiredFiles = [
   'manifest.yml',
   'package.json',
   'src/frontend/meeting-context.jsx',
-  'src/resolvers/meeting-context.js',
+  'src/resolvers/index.js',
   'src/services/MeetingService.js',
   'src/services/JiraService.js'
 ];
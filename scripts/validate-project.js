@@ -113,17 +113,17 @@ try {
 // Check backend resolver
 console.log('\n⚙️  Checking backend resolver...');
 try {
-  const resolverContent = fs.readFileSync('src/index.js', 'utf8');
+  const resolverContent = fs.readFileSync('src/resolvers/index.js', 'utf8');
   
-  if (resolverContent.includes('meeting-context-func')) {
+  if (resolverContent.includes('getMeetingContext')) {
     console.log('✅ Meeting context resolver defined');
   } else {
-    console.log('❌ Missing meeting-context-func resolver');
-    issues.push('Backend missing meeting-context-func resolver');
+    console.log('❌ Missing getMeetingContext resolver');
+    issues.push('Backend missing getMeetingContext resolver');
     validationPassed = false;
   }
   
-  if (resolverContent.includes('export const handler')) {
+  if (fs.readFileSync('src/index.js', 'utf8').includes('export const handler')) {
     console.log('✅ Handler export found');
   } else {
     console.log('❌ Missing handler export');
@@ -132,7 +132,7 @@ try {
   }
   
 } catch (error) {
-  console.log(`❌ Error reading src/index.js: ${error.message}`);
+  console.log(`❌ Error reading backend resolver: ${error.message}`);
   issues.push('Cannot read backend resolver');
   validationPassed = false;
 }
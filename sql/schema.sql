@@ -20,9 +20,11 @@ CREATE TABLE meetings (
     title VARCHAR(255) NOT NULL,
     start_time TIMESTAMP NOT NULL,
     transcript_text LONGTEXT,
+    utterances JSON,
     processed_data JSON,
     participants JSON,
     meeting_type VARCHAR(50) DEFAULT 'general',
+    platform VARCHAR(50),
     processing_status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
     audio_file_path VARCHAR(500),
     duration_minutes INT DEFAULT 0,
@@ -45,6 +47,7 @@ CREATE TABLE ticket_mentions (
     key_decisions JSON,
     sentiment_score DECIMAL(3,2) DEFAULT 0.0,
     confidence_score DECIMAL(3,2) DEFAULT 0.0,
+    mention_type ENUM('explicit', 'implied') DEFAULT 'explicit',
     mcp_update_status ENUM('pending', 'success', 'failed', 'skipped') DEFAULT 'pending',
     update_attempts INT DEFAULT 0,
     last_update_attempt TIMESTAMP NULL,
@@ -76,6 +79,81 @@ CREATE TABLE processing_queue (
     INDEX idx_queue_priority (priority)
 );
 
+-- Proposed Jira updates awaiting review (write-back staging)
+CREATE TABLE pending_changes (
+    id VARCHAR(36) PRIMARY KEY,
+    meeting_id VARCHAR(36) NOT NULL,
+    issue_key VARCHAR(50) NOT NULL,
+    change_type VARCHAR(50) NOT NULL,
+    payload JSON NOT NULL,
+    status ENUM('pending', 'approved', 'rejected', 'applying', 'applied', 'failed') DEFAULT 'pending',
+    decided_by VARCHAR(128),
+    decided_at TIMESTAMP NULL,
+    result JSON,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE,
+    INDEX idx_pending_changes_meeting (meeting_id),
+    INDEX idx_pending_changes_issue (issue_key),
+    INDEX idx_pending_changes_status (status)
+);
+
+-- Append-only record of every write-back proposal, decision and outcome
+CREATE TABLE write_back_audit (
+    id VARCHAR(36) PRIMARY KEY,
+    change_id VARCHAR(36) NOT NULL,
+    meeting_id VARCHAR(36) NOT NULL,
+    issue_key VARCHAR(50) NOT NULL,
+    change_type VARCHAR(50) NOT NULL,
+    action ENUM('proposed', 'edited', 'approved', 'rejected', 'applied', 'failed') NOT NULL,
+    actor VARCHAR(128),
+    details JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_write_back_audit_meeting (meeting_id),
+    INDEX idx_write_back_audit_change (change_id)
+);
+
+-- Jira issues created from action items, one per meeting and action item
+CREATE TABLE action_item_issues (
+    id VARCHAR(100) PRIMARY KEY,
+    meeting_id VARCHAR(36) NOT NULL,
+    parent_key VARCHAR(50) NOT NULL,
+    issue_key VARCHAR(50) NOT NULL,
+    issue_id VARCHAR(36),
+    action TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_action_item_issues_meeting (meeting_id)
+);
+
+-- Manual speaker -> Jira account overrides, per site
+CREATE TABLE identity_aliases (
+    id VARCHAR(100) PRIMARY KEY,
+    site_id VARCHAR(64) NOT NULL,
+    alias VARCHAR(255) NOT NULL,
+    account_id VARCHAR(128) NOT NULL,
+    display_name VARCHAR(255),
+    created_by VARCHAR(128),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_identity_aliases_site (site_id)
+);
+
+-- Cached Jira user search results (account_id NULL caches a miss)
+CREATE TABLE identity_cache (
+    id VARCHAR(100) PRIMARY KEY,
+    site_id VARCHAR(64) NOT NULL,
+    lookup_key VARCHAR(255) NOT NULL,
+    account_id VARCHAR(128),
+    display_name VARCHAR(255),
+    confidence DECIMAL(3,2),
+    resolved_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_identity_cache_site (site_id)
+);
+
 -- App configuration and settings
 CREATE TABLE app_config (
     id VARCHAR(36) PRIMARY KEY,
@@ -91,4 +169,7 @@ CREATE TABLE app_config (
 INSERT INTO app_config (id, config_key, config_value, description) VALUES
 (UUID(), 'processing_limits', '{"max_file_size_mb": 50, "max_duration_hours": 4}', 'File processing limits'),
 (UUID(), 'ai_settings', '{"enabled": true, "model_config": {"temperature": 0.3, "max_tokens": 2000}}', 'AI processing configuration'),
-(UUID(), 'jira_settings', '{"auto_update": true, "comment_prefix": "[MeetingSync]", "max_retries": 3}', 'Jira integration settings');
\ No newline at end of file
+(UUID(), 'jira_settings', '{"auto_update": true, "require_approval": true, "comment_prefix": "[MeetingSync]", "max_retries": 3}', 'Jira integration settings'),
+(UUID(), 'spoken_keys', '{"aliases": {}}', 'Spoken project names mapped to Jira project keys'),
+(UUID(), 'worklog_settings', '{"enabled": true, "split": "discussion", "attendees": "all", "include_unassigned_time": false, "round_to_minutes": 5, "min_minutes": 5}', 'How meeting time is split into worklog proposals'),
+(UUID(), 'field_mappings', '{"mappings": {}}', 'Meeting outputs written to Jira custom fields on write-back');
\ No newline at end of file
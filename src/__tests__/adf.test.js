@@ -0,0 +1,85 @@
+/**
+ * Unit tests for ADF node builders and the meeting context comment
+ */
+
+import { doc, paragraph, strong, date, status, textToDocument, documentToText } from '../utils/adf.js';
+import MeetingCommentBuilder from '../services/MeetingCommentBuilder.js';
+
+// Every node type the builder may emit must appear in its parent's allowed content
+const collectTypes = (node, types = new Set()) => {
+  types.add(node.type);
+  (node.content || []).forEach(child => collectTypes(child, types));
+  return types;
+};
+
+describe('ADF builders', () => {
+  test('should build inline content from strings and nodes, dropping empty text', () => {
+    expect(paragraph('Due ', strong('Friday'), '')).toEqual({
+      type: 'paragraph',
+      content: [
+        { type: 'text', text: 'Due ' },
+        { type: 'text', text: 'Friday', marks: [{ type: 'strong' }] }
+      ]
+    });
+  });
+
+  test('should store dates as UTC midnight timestamps and upper-case lozenges', () => {
+    expect(date('2024-03-08')).toEqual({ type: 'date', attrs: { timestamp: String(Date.UTC(2024, 2, 8)) } });
+    expect(date('not a date')).toBeNull();
+    expect(status('blocker', 'red').attrs).toMatchObject({ text: 'BLOCKER', color: 'red' });
+    expect(status('x', 'orange').attrs.color).toBe('neutral');
+  });
+
+  test('should turn mention tokens into mention nodes', () => {
+    expect(textToDocument('Fix it ([~accountid:acc-alex])').content[0].content).toEqual([
+      { type: 'text', text: 'Fix it (' },
+      { type: 'mention', attrs: { id: 'acc-alex' } },
+      { type: 'text', text: ')' }
+    ]);
+    expect(doc(paragraph('a'), null, false).content).toHaveLength(1);
+  });
+});
+
+describe('MeetingCommentBuilder', () => {
+  const builder = new MeetingCommentBuilder();
+  const record = {
+    id: 'meeting-1',
+    title: 'Sprint planning',
+    start_time: '2024-03-06T15:00:00Z',
+    duration_minutes: 45,
+    platform: 'Zoom',
+    participants: JSON.stringify(['Alex Chen', 'Sam Park']),
+    processed_data: JSON.stringify({
+      summary: 'Planned the release.',
+      actionItems: [
+        { action: 'Update the runbook', dueDate: '2024-03-08', assignee: { accountId: 'acc-alex', displayName: 'Alex Chen' } },
+        { action: 'Book the retro room', responsible: 'Sam' }
+      ],
+      keyDecisions: [{ decision: 'Ship on Friday' }]
+    })
+  };
+
+  test('should render sections as real ADF nodes instead of markdown text', () => {
+    const comment = builder.build({
+      ...builder.fromMeetingRecord(record),
+      mentions: [{ ticketId: 'PROJ-1', category: 'blocker', summary: 'Waiting on review', context: 'PROJ-1 is stuck', start: 62, speaker: 'Sam' }]
+    });
+    const types = collectTypes(comment);
+
+    ['panel', 'heading', 'bulletList', 'taskList', 'taskItem', 'mention', 'date', 'status', 'expand'].forEach(type => {
+      expect(types).toContain(type);
+    });
+    expect(JSON.stringify(comment)).not.toContain('**');
+
+    const plain = documentToText(comment);
+    expect(plain).toContain('Update the runbook — @Alex Chen · due 2024-03-08');
+    expect(plain).toContain('Book the retro room — Sam');
+    expect(plain).toContain('[BLOCKER] Waiting on review');
+    expect(plain).toContain('[1:02] Sam PROJ-1: PROJ-1 is stuck');
+  });
+
+  test('should omit empty sections', () => {
+    const comment = builder.build({ meeting: { title: 'Standup' } });
+    expect([...collectTypes(comment)]).toEqual(['doc', 'panel', 'heading', 'text', 'paragraph']);
+  });
+});
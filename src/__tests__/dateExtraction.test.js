@@ -0,0 +1,71 @@
+/**
+ * Unit tests for action item due-date extraction
+ */
+
+import { extractDueDate, formatDueDate } from '../utils/dateExtraction.js';
+import MeetingProcessor from '../services/meeting-processor.js';
+
+describe('extractDueDate', () => {
+  // Wednesday 2024-03-06, mid-afternoon
+  const meetingDate = '2024-03-06T15:30:00Z';
+  const due = (text, options) => {
+    const result = extractDueDate(text, meetingDate, options);
+    return result && result.dueDate;
+  };
+
+  test('should resolve weekday deadlines against the meeting day', () => {
+    expect(due('I will send the report by Friday')).toBe('2024-03-08');
+    expect(due('Let us review it next Friday')).toBe('2024-03-15');
+    expect(due('Deploy it by Wednesday')).toBe('2024-03-06');
+    expect(due('Get it done tomorrow')).toBe('2024-03-07');
+  });
+
+  test('should resolve week, month and relative spans', () => {
+    expect(due('Wrap this up by end of week')).toBe('2024-03-08');
+    expect(due('Ship it next week')).toBe('2024-03-15');
+    expect(due('Close it out by end of month')).toBe('2024-03-31');
+    expect(due('Have a draft in two weeks')).toBe('2024-03-20');
+    expect(due('Reply within 3 business days')).toBe('2024-03-11');
+  });
+
+  test('should resolve absolute dates, rolling past dates into the future', () => {
+    expect(due('Fix it before the 15th')).toBe('2024-03-15');
+    expect(due('Fix it before the 2nd')).toBe('2024-04-02');
+    expect(due('Due March 20th')).toBe('2024-03-20');
+    expect(due('Due the 3rd of January')).toBe('2025-01-03');
+    expect(due('Release on 2024-04-01')).toBe('2024-04-01');
+  });
+
+  test('should only resolve sprint deadlines when the sprint end is known', () => {
+    expect(due('Finish PROJ-12 by end of sprint')).toBeNull();
+    expect(due('Finish PROJ-12 by end of sprint', { sprintEndDate: '2024-03-12T00:00:00Z' })).toBe('2024-03-12');
+  });
+
+  test('should report the matched phrase and ignore text without deadlines', () => {
+    expect(extractDueDate('I will send the report by Friday', meetingDate)).toMatchObject({
+      phrase: 'by Friday',
+      confidence: expect.any(Number)
+    });
+    expect(extractDueDate('I will look into the login bug', meetingDate)).toBeNull();
+    expect(extractDueDate(null, meetingDate)).toBeNull();
+  });
+
+  test('should format dates as Jira duedate values', () => {
+    expect(formatDueDate(new Date(Date.UTC(2024, 0, 5)))).toBe('2024-01-05');
+  });
+});
+
+describe('MeetingProcessor.resolveDueDate', () => {
+  const processor = new MeetingProcessor();
+  const options = { meetingDate: '2024-03-06T15:30:00Z' };
+
+  test('should resolve spoken LLM deadlines and fall back to the item text', () => {
+    expect(processor.resolveDueDate({ action: 'Send notes', dueDate: 'Friday' }, options))
+      .toEqual({ dueDate: '2024-03-08', dueDatePhrase: 'by Friday' });
+    expect(processor.resolveDueDate({ action: 'Send notes tomorrow', dueDate: null }, options).dueDate)
+      .toBe('2024-03-07');
+    expect(processor.resolveDueDate({ action: 'Send notes', dueDate: '2024-05-01' }, options).dueDate)
+      .toBe('2024-05-01');
+    expect(processor.resolveDueDate({ action: 'Send notes' }, options).dueDate).toBeNull();
+  });
+});
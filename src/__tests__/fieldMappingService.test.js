@@ -0,0 +1,99 @@
+/**
+ * Unit tests for mapping meeting outputs onto Jira custom fields
+ */
+
+import FieldMappingService, { fieldKind } from '../services/FieldMappingService.js';
+import { documentToText } from '../utils/adf.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: {},
+  route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+  storage: {}
+}));
+
+const FIELDS = [
+  { id: 'summary', name: 'Summary', custom: false, schema: { type: 'string', system: 'summary' } },
+  { id: 'customfield_10050', name: 'Decision Log', custom: true, schema: { type: 'string', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:textarea' } },
+  { id: 'customfield_10051', name: 'Last Discussed', custom: true, schema: { type: 'date' } },
+  { id: 'customfield_10052', name: 'Meeting Mood', custom: true, schema: { type: 'option' } },
+  { id: 'customfield_10053', name: 'Open Actions', custom: true, schema: { type: 'number' } },
+  { id: 'customfield_10054', name: 'Reviewers', custom: true, schema: { type: 'array', items: 'user' } }
+];
+
+describe('FieldMappingService', () => {
+  let config;
+  let jira;
+  let service;
+
+  beforeEach(() => {
+    config = { mappings: {} };
+    jira = { getFields: jest.fn(async () => FIELDS) };
+    const db = {
+      getConfig: async () => JSON.parse(JSON.stringify(config)),
+      setConfig: async (key, value) => { config = value; return value; }
+    };
+    service = new FieldMappingService({ jira, db });
+  });
+
+  test('should classify field types and skip unsupported ones', () => {
+    expect(FIELDS.map(fieldKind)).toEqual(['text', 'rich_text', 'date', 'select', 'number', null]);
+  });
+
+  test('should only map known outputs to discovered fields', async () => {
+    await service.setMapping('latest_decision', 'customfield_10050');
+    await service.setMapping('meeting_date', 'customfield_10051');
+
+    expect(config.mappings).toEqual({ latest_decision: 'customfield_10050', meeting_date: 'customfield_10051' });
+    await expect(service.setMapping('mood', 'customfield_10052')).rejects.toThrow('Unknown meeting output');
+    await expect(service.setMapping('sentiment', 'customfield_10054')).rejects.toThrow('unsupported type');
+    await expect(service.setMapping('latest_decision', 'summary')).rejects.toThrow('unsupported type');
+    await expect(service.setMapping('action_item_count', 'customfield_10051')).rejects.toThrow('cannot be written to a date field');
+
+    await service.setMapping('meeting_date', null);
+    expect(config.mappings).toEqual({ latest_decision: 'customfield_10050' });
+    expect(jira.getFields).toHaveBeenCalledTimes(1);
+  });
+
+  test('should convert each output to the value shape of its field', async () => {
+    config.mappings = {
+      latest_decision: 'customfield_10050',
+      meeting_date: 'customfield_10051',
+      sentiment: 'customfield_10052',
+      action_item_count: 'customfield_10053'
+    };
+
+    const update = await service.buildUpdate({
+      start_time: '2024-03-06T15:00:00Z',
+      processed_data: JSON.stringify({
+        keyDecisions: [
+          { decision: 'We will ship on Friday', position: 120 },
+          { decision: 'We agreed to drop IE support', position: 40 }
+        ],
+        actionItems: [{ action: 'a' }, { action: 'b' }]
+      })
+    }, { ticket_id: 'PROJ-1', sentiment_score: -0.5 });
+
+    expect(documentToText(update.fields.customfield_10050)).toBe('We will ship on Friday');
+    expect(update.fields).toMatchObject({
+      customfield_10051: '2024-03-06',
+      customfield_10052: { value: 'Negative' },
+      customfield_10053: 2
+    });
+    expect(update.values.map(value => `${value.fieldName}: ${value.display}`)).toEqual([
+      'Decision Log: We will ship on Friday',
+      'Last Discussed: 2024-03-06',
+      'Meeting Mood: Negative',
+      'Open Actions: 2'
+    ]);
+  });
+
+  test('should propose nothing without mappings or values', async () => {
+    expect(await service.buildUpdate({ start_time: '2024-03-06T15:00:00Z' })).toBeNull();
+    expect(jira.getFields).not.toHaveBeenCalled();
+
+    config.mappings = { latest_decision: 'customfield_10050' };
+    expect(await service.buildUpdate({ processed_data: '{}' })).toBeNull();
+    expect(service.convert('not a date', 'date')).toBeNull();
+  });
+});
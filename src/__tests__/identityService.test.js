@@ -0,0 +1,104 @@
+/**
+ * Unit tests for resolving transcript speakers to Jira accounts
+ */
+
+import IdentityService, { parseIdentity, siteIdFromContext } from '../services/IdentityService.js';
+
+// In-memory stand-in for DatabaseService's table:id records
+const createDb = () => {
+  const tables = {};
+  const table = (name) => (tables[name] = tables[name] || new Map());
+
+  return {
+    tables,
+    findById: async (name, id) => table(name).get(id) || null,
+    insert: async (name, data) => table(name).set(data.id, { ...data }).get(data.id),
+    update: async (name, id, data) => table(name).set(id, { ...table(name).get(id), ...data }).get(id),
+    delete: async (name, id) => table(name).delete(id),
+    findAll: async (name, where) => [...table(name).values()]
+      .filter(record => Object.entries(where).every(([key, value]) => record[key] === value))
+  };
+};
+
+const USERS = [
+  { accountId: 'acc-alex', accountType: 'atlassian', displayName: 'Alex Chen', emailAddress: 'alex@example.com', active: true },
+  { accountId: 'acc-sam-1', accountType: 'atlassian', displayName: 'Sam Park', active: true },
+  { accountId: 'acc-sam-2', accountType: 'atlassian', displayName: 'Sam Jones', active: true },
+  { accountId: 'acc-bot', accountType: 'app', displayName: 'Alex Bot', active: true }
+];
+
+const createJira = () => ({
+  searchUsers: jest.fn(async (query) => {
+    const wanted = query.toLowerCase();
+    return USERS.filter(user => user.displayName.toLowerCase().includes(wanted.split(' ')[0]) ||
+      (user.emailAddress && user.emailAddress === wanted));
+  })
+});
+
+describe('IdentityService', () => {
+  let jira;
+  let db;
+  let identity;
+
+  beforeEach(() => {
+    jira = createJira();
+    db = createDb();
+    identity = new IdentityService({ jira, db, siteId: 'site-1', now: () => new Date('2024-03-06T10:00:00Z') });
+  });
+
+  test('should resolve a unique first name and cache the result per site', async () => {
+    expect(await identity.resolve('Alex')).toMatchObject({ accountId: 'acc-alex', source: 'search', confidence: 0.75 });
+    expect(await identity.resolve('alex')).toMatchObject({ accountId: 'acc-alex', source: 'cache' });
+    expect(jira.searchUsers).toHaveBeenCalledTimes(1);
+
+    const otherSite = new IdentityService({ jira, db, siteId: 'site-2' });
+    await otherSite.resolve('Alex');
+    expect(jira.searchUsers).toHaveBeenCalledTimes(2);
+  });
+
+  test('should refuse to guess between users sharing a first name', async () => {
+    expect(await identity.resolve('Sam')).toBeNull();
+    expect(await identity.resolve('Sam Park')).toMatchObject({ accountId: 'acc-sam-1', confidence: 0.95 });
+  });
+
+  test('should prefer email matches and use participant emails for bare names', async () => {
+    expect(await identity.resolve('Alex', ['Alex Chen <alex@example.com>'])).toMatchObject({
+      accountId: 'acc-alex',
+      confidence: 1
+    });
+    expect(jira.searchUsers).toHaveBeenCalledWith('alex@example.com');
+  });
+
+  test('should let manual aliases override search', async () => {
+    await identity.setAlias('Sam', { accountId: 'acc-sam-2', displayName: 'Sam Jones' });
+
+    expect(await identity.resolve('Sam')).toMatchObject({ accountId: 'acc-sam-2', source: 'alias' });
+    expect(await identity.listAliases()).toHaveLength(1);
+
+    await identity.removeAlias('sam');
+    expect(await identity.resolve('Sam')).toBeNull();
+  });
+
+  test('should attach assignees to action items', async () => {
+    const items = await identity.assignActionItems([
+      { action: 'Fix the login bug', responsible: 'Alex' },
+      { action: 'Write docs', responsible: null }
+    ], JSON.stringify(['Alex Chen']));
+
+    expect(items[0].assignee).toEqual({ accountId: 'acc-alex', displayName: 'Alex Chen' });
+    expect(items[1].assignee).toBeNull();
+  });
+});
+
+describe('identity helpers', () => {
+  test('should split names and emails', () => {
+    expect(parseIdentity('Alex Chen <Alex@Example.com>')).toEqual({ name: 'Alex Chen', email: 'alex@example.com' });
+    expect(parseIdentity('alex@example.com')).toEqual({ name: null, email: 'alex@example.com' });
+  });
+
+  test('should read the site from resolver and trigger contexts', () => {
+    expect(siteIdFromContext({ cloudId: 'abc' })).toBe('abc');
+    expect(siteIdFromContext({ installContext: 'ari:cloud:jira::site/xyz' })).toBe('xyz');
+    expect(siteIdFromContext(undefined)).toBe('default');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for resolving tickets mentioned by title instead of key
+ */
+
+import ImpliedMentionResolver, { extractPhrases, IMPLIED_CONFIDENCE_CAP } from '../services/ImpliedMentionResolver.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: {},
+  route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+  storage: {}
+}));
+
+const issues = [
+  { key: 'PROJ-482', fields: { summary: 'Login times out after 5 minutes idle' } },
+  { key: 'PROJ-490', fields: { summary: 'Redesign the login page' } },
+  { key: 'PROJ-501', fields: { summary: 'Checkout payment error on Safari' } },
+  { key: 'OPS-12', fields: { summary: 'Database migration to the new cluster' } }
+];
+
+const createJira = () => ({
+  searchIssues: jest.fn(async () => ({ issues, total: issues.length }))
+});
+
+describe('extractPhrases', () => {
+  test('should pull "the <words> <work noun>" phrases without filler words', () => {
+    expect(extractPhrases('I looked at the login timeout bug and that payment errors thing').map(phrase => phrase.tokens))
+      .toEqual([['login', 'timeout'], ['payment']]);
+    expect(extractPhrases('Talking about the thing with the database migration.').map(phrase => phrase.phrase))
+      .toEqual(['the database migration']);
+    expect(extractPhrases('The bug is back')).toEqual([]);
+  });
+});
+
+describe('ImpliedMentionResolver', () => {
+  const utterances = [
+    { speaker: 'Sam', start: 12, text: 'I looked at the login timeout bug again yesterday.' },
+    { speaker: 'Alex', start: 40, text: 'The checkout payment error is still open on Safari.' },
+    { speaker: 'Priya', start: 65, text: 'And the login timeout issue needs a config change.' },
+    { speaker: 'Sam', start: 90, text: 'Did anyone check the weekly report?' }
+  ];
+
+  test('should match phrases to open issues as lower-confidence implied mentions', async () => {
+    const jira = createJira();
+    const resolver = new ImpliedMentionResolver({ jira });
+
+    const mentions = await resolver.resolve(utterances, { projectKeys: ['PROJ', 'OPS'] });
+
+    expect(jira.searchIssues).toHaveBeenCalledWith(
+      'project in (PROJ, OPS) AND statusCategory != Done ORDER BY updated DESC',
+      ['summary', 'status'],
+      100
+    );
+    expect(mentions.map(mention => mention.ticketId)).toEqual(['PROJ-482', 'PROJ-501']);
+    expect(mentions[0]).toMatchObject({
+      implied: true,
+      phrase: 'the login timeout bug',
+      matchedSummary: 'Login times out after 5 minutes idle',
+      speakers: ['Sam', 'Priya'],
+      start: 12
+    });
+    mentions.forEach(mention => expect(mention.confidence).toBeLessThanOrEqual(IMPLIED_CONFIDENCE_CAP));
+  });
+
+  test('should skip tickets already mentioned by key and phrases that fit two issues', async () => {
+    const resolver = new ImpliedMentionResolver({ jira: createJira() });
+
+    const mentions = await resolver.resolve(
+      [...utterances, { speaker: 'Alex', text: 'Then the login work.' }],
+      { explicitMentions: [{ ticketId: 'PROJ-501' }] }
+    );
+
+    expect(mentions.map(mention => mention.ticketId)).toEqual(['PROJ-482']);
+  });
+
+  test('should not search Jira when nothing sounds like a ticket', async () => {
+    const jira = createJira();
+    expect(await new ImpliedMentionResolver({ jira }).resolve([{ text: 'Morning everyone.' }])).toEqual([]);
+    expect(jira.searchIssues).not.toHaveBeenCalled();
+  });
+});
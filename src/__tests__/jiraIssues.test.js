@@ -0,0 +1,134 @@
+/**
+ * Unit tests for creating Jira issues from action items
+ */
+
+import api from '@forge/api';
+import JiraService, { actionItemKey } from '../services/jira.js';
+
+jest.mock('@forge/api', () => {
+  const requestJira = jest.fn();
+  return {
+    __esModule: true,
+    default: { asUser: () => ({ requestJira }), asApp: () => ({ requestJira }) },
+    route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+    storage: {}
+  };
+});
+
+const reply = (status, body) => ({
+  ok: status < 300,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('JiraService.createIssuesFromActionItems', () => {
+  const requestJira = api.asUser().requestJira;
+  const meeting = { id: 'meeting-1', title: 'Sprint planning', start_time: '2024-03-06T15:00:00Z' };
+  let records;
+  let db;
+  let created;
+
+  beforeEach(() => {
+    records = new Map();
+    db = {
+      findById: async (table, id) => records.get(id) || null,
+      insert: async (table, data) => records.set(data.id, data).get(data.id),
+      update: async (table, id, data) => records.set(id, { ...records.get(id), ...data }).get(id)
+    };
+    created = [];
+
+    requestJira.mockReset();
+    requestJira.mockImplementation(async (path, options = {}) => {
+      if (path === '/rest/api/3/issue' && options.method === 'POST') {
+        const key = `PROJ-${100 + created.length}`;
+        created.push(JSON.parse(options.body).fields);
+        return reply(201, { id: String(1000 + created.length), key });
+      }
+      if (path.startsWith('/rest/api/3/issue/createmeta/')) {
+        return reply(200, { issueTypes: [{ id: '10001', name: 'Task' }, { id: '10003', name: 'Sub-task', subtask: true }] });
+      }
+      if (path.startsWith('/rest/api/3/issue/')) {
+        return reply(200, { key: path.split('/').pop(), id: '1', fields: { project: { key: 'PROJ' }, issuetype: { subtask: false } } });
+      }
+      return reply(201, {});
+    });
+  });
+
+  const items = [
+    { action: 'Update the deployment runbook.', dueDate: '2024-03-08', assignee: { accountId: 'acc-alex' }, quote: 'I will update the runbook' },
+    { action: 'Book the retro room', dueDate: null, assignee: null }
+  ];
+
+  test('should create sub-tasks carrying assignee, due date, labels and a meeting back-link', async () => {
+    const jira = new JiraService({ db });
+    const results = await jira.createIssuesFromActionItems('PROJ-1', items, { meeting, labels: ['sprint 12'] });
+
+    expect(results.map(result => [result.created, result.issueKey])).toEqual([[true, 'PROJ-100'], [true, 'PROJ-101']]);
+    expect(created[0]).toMatchObject({
+      project: { key: 'PROJ' },
+      summary: 'Update the deployment runbook',
+      issuetype: { id: '10003' },
+      parent: { key: 'PROJ-1' },
+      assignee: { accountId: 'acc-alex' },
+      duedate: '2024-03-08',
+      labels: ['meetingsync', 'sprint-12']
+    });
+    expect(JSON.stringify(created[0].description)).toContain('MeetingSync meeting ID: meeting-1');
+    expect(created[1].assignee).toBeUndefined();
+  });
+
+  test('should not create duplicates when the same meeting is processed again', async () => {
+    const jira = new JiraService({ db });
+    await jira.createIssuesFromActionItems('PROJ-1', items, { meeting });
+    const again = await jira.createIssuesFromActionItems('PROJ-1', items, { meeting });
+
+    expect(created).toHaveLength(2);
+    expect(again.map(result => [result.created, result.issueKey])).toEqual([[false, 'PROJ-100'], [false, 'PROJ-101']]);
+  });
+
+  test('should fall back to linked tasks when sub-tasks are not wanted', async () => {
+    const jira = new JiraService({ db });
+    await jira.createIssuesFromActionItems('PROJ-1', items.slice(0, 1), { meeting, issueType: 'task' });
+
+    expect(created[0]).toMatchObject({ issuetype: { name: 'Task' } });
+    expect(created[0].parent).toBeUndefined();
+    expect(requestJira).toHaveBeenCalledWith('/rest/api/3/issueLink', expect.objectContaining({ method: 'POST' }));
+  });
+
+  test('should key action items by meeting and normalised text', () => {
+    expect(actionItemKey('m1', 'Update the runbook.')).toBe(actionItemKey('m1', 'update the  runbook'));
+    expect(actionItemKey('m1', 'Update the runbook')).not.toBe(actionItemKey('m2', 'Update the runbook'));
+  });
+});
+
+describe('JiraService.getActiveSprint', () => {
+  const requestJira = api.asUser().requestJira;
+
+  beforeEach(() => {
+    requestJira.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return the active sprint and nothing for closed sprints or issues off a board', async () => {
+    const sprint = { id: 4, name: 'Sprint 4', state: 'active', startDate: '2024-03-04T09:00:00Z', endDate: '2024-03-15T17:00:00Z' };
+    requestJira
+      .mockResolvedValueOnce(reply(200, { key: 'PROJ-1', fields: { sprint } }))
+      .mockResolvedValueOnce(reply(200, { key: 'PROJ-2', fields: { sprint: { ...sprint, state: 'closed' } } }))
+      .mockResolvedValueOnce(reply(404, { errorMessages: ['Issue is not on a board'] }))
+      .mockResolvedValueOnce(reply(403, {}));
+    const jira = new JiraService({ db: {} });
+
+    expect(await jira.getActiveSprint('PROJ-1')).toEqual({
+      id: 4, name: 'Sprint 4', startDate: '2024-03-04T09:00:00Z', endDate: '2024-03-15T17:00:00Z'
+    });
+    expect(requestJira).toHaveBeenCalledWith('/rest/agile/1.0/issue/PROJ-1?fields=sprint', expect.anything());
+    expect(await jira.getActiveSprint('PROJ-2')).toBeNull();
+    expect(await jira.getActiveSprint('OPS-3')).toBeNull();
+    await expect(jira.getActiveSprint('PROJ-4')).rejects.toThrow('403');
+  });
+});
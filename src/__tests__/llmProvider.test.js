@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the LLM provider interface and AI processing tiers
+ */
+
+import { StubLLMProvider, HttpLLMProvider, createLLMProvider, validateSchema, SCHEMAS } from '../services/llm/index.js';
+import { extractJson } from '../services/llm/LLMProvider.js';
+import MeetingProcessor from '../services/meeting-processor.js';
+import MeetingService from '../services/MeetingService.js';
+import TranscriptParser from '../services/TranscriptParser.js';
+import { fetch } from '@forge/api';
+
+jest.mock('@forge/api', () => ({ fetch: jest.fn() }));
+
+describe('LLM providers', () => {
+  describe('validateSchema', () => {
+    test('should accept valid output and report schema violations', () => {
+      expect(validateSchema({ category: 'blocker', summary: 'Stuck on review' }, SCHEMAS.classifyMention)).toEqual([]);
+      expect(validateSchema({ category: 'gossip', summary: 1 }, SCHEMAS.classifyMention)).toEqual([
+        '$.category should be one of status_update, blocker, decision, action, question, reference',
+        '$.summary should be string'
+      ]);
+      expect(validateSchema({ actionItems: [{ responsible: null }] }, SCHEMAS.extractActions))
+        .toEqual(['$.actionItems[0].action is required']);
+    });
+  });
+
+  test('extractJson should unwrap fenced or chatty model output', () => {
+    expect(extractJson('Sure!\n```json\n{"summary": "ok"}\n```')).toBe('{"summary": "ok"}');
+    expect(extractJson('Here you go: {"a": {"b": 1}} hope that helps')).toBe('{"a": {"b": 1}}');
+  });
+
+  describe('StubLLMProvider', () => {
+    test('should return deterministic keyword-based results', async () => {
+      const llm = new StubLLMProvider();
+      const transcript = 'PROJ-1 is blocked on the API. We decided to ship on Friday. Bob will update the docs.';
+
+      expect((await llm.extractDecisions({ transcript })).decisions.map(d => d.decision))
+        .toEqual(['We decided to ship on Friday']);
+      expect((await llm.extractActions({ transcript })).actionItems[0].quote).toBe('Bob will update the docs.');
+      expect(await llm.classifyMention({ ticketId: 'PROJ-1', context: transcript }))
+        .toMatchObject({ category: 'blocker', summary: 'PROJ-1 is blocked on the API.' });
+    });
+
+    test('should reject fixed responses that do not match the schema', async () => {
+      const llm = new StubLLMProvider({ responses: { summarize: { topics: [] } } });
+      await expect(llm.summarize({ transcript: 'x' })).rejects.toThrow('failed schema validation for summarize');
+    });
+  });
+
+  describe('HttpLLMProvider', () => {
+    test('should call the Anthropic Messages API and validate the reply', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ content: [{ type: 'text', text: '{"summary": "Shipped."}' }] })
+      });
+
+      const llm = new HttpLLMProvider({ api: 'anthropic', apiKey: 'key', model: 'test-model' });
+      expect(await llm.summarize({ transcript: 'We shipped.' })).toEqual({ summary: 'Shipped.' });
+
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toBe('https://api.anthropic.com/v1/messages');
+      expect(request.headers['x-api-key']).toBe('key');
+      expect(JSON.parse(request.body)).toMatchObject({ model: 'test-model', messages: [{ role: 'user' }] });
+    });
+
+    test('should mark rate limits as retryable', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 429, text: async () => 'slow down' });
+
+      const llm = new HttpLLMProvider({ api: 'openai', apiKey: 'key' });
+      await expect(llm.summarize({ transcript: 'x' })).rejects.toMatchObject({ retryable: true });
+    });
+  });
+
+  test('createLLMProvider should read the LLM_* variables', () => {
+    expect(createLLMProvider({}, {})).toBeNull();
+    expect(createLLMProvider({}, { LLM_PROVIDER: 'stub' })).toBeInstanceOf(StubLLMProvider);
+    expect(() => createLLMProvider({}, { LLM_PROVIDER: 'openai' })).toThrow('An API key is required');
+  });
+});
+
+describe('MeetingProcessor tiers', () => {
+  const transcript = [
+    'Alice: Welcome everyone, this is the weekly planning meeting for the mobile team.',
+    'Bob: PROJ-42 is blocked on the payments API review.',
+    'Alice: We decided to ship the login flow on Friday.',
+    'Bob: I will chase the API review today.'
+  ].join('\n');
+
+  test('should use the provider for the ai tier and classify mentions for enterprise', async () => {
+    const llm = new StubLLMProvider({
+      responses: { summarize: { summary: 'Login ships Friday; PROJ-42 waits on API review.' } }
+    });
+    const processor = new MeetingProcessor({ llmProvider: llm });
+
+    const basic = await processor.processMeeting(transcript, 'basic');
+    const ai = await processor.processMeeting(transcript, 'ai');
+    const enterprise = await processor.processMeeting(transcript, 'enterprise');
+
+    expect(basic.aiProvider).toBeNull();
+    expect(ai.summary).toBe('Login ships Friday; PROJ-42 waits on API review.');
+    expect(ai.summary).not.toBe(basic.summary);
+    expect(ai.keyDecisions[0]).toMatchObject({ source: 'ai', speaker: 'Alice' });
+    expect(ai.actionItems.find(item => item.action.includes('chase'))).toMatchObject({ speaker: 'Bob' });
+    expect(ai.ticketMentions[0].classification).toBeUndefined();
+    expect(enterprise.ticketMentions[0].classification).toMatchObject({ category: 'blocker' });
+  });
+
+  test('should fall back to basic extraction when the provider fails', async () => {
+    const llm = new StubLLMProvider({ responses: { extractDecisions: 'not json' } });
+    const processor = new MeetingProcessor({ llmProvider: llm });
+
+    const result = await processor.processMeeting(transcript, 'ai');
+    expect(result.keyDecisions.length).toBeGreaterThan(0);
+    expect(result.keyDecisions[0].source).toBeUndefined();
+  });
+});
+
+describe('MeetingService tier selection', () => {
+  const { utterances } = new TranscriptParser().parse([
+    'Alice: PROJ-42 is blocked on the payments API review.',
+    'Alice: We decided to ship the login flow on Friday.'
+  ].join('\n'));
+
+  const createDb = (teams, aiSettings) => ({
+    getConfig: jest.fn(async (key) => (key === 'ai_settings' ? aiSettings : {})),
+    findById: async (table, id) => teams[id] || null
+  });
+
+  const modelConfig = { provider: 'stub', temperature: 0.1, max_tokens: 500 };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should create the provider from ai_settings.model_config', async () => {
+    const db = createDb({}, { enabled: true, model_config: modelConfig });
+    const llm = await new MeetingProcessor({ db }).getLLMProvider();
+
+    expect(llm).toBeInstanceOf(StubLLMProvider);
+    expect(llm).toMatchObject({ temperature: 0.1, maxTokens: 500 });
+    expect(db.getConfig).toHaveBeenCalledWith('ai_settings');
+  });
+
+  test('should analyze at the tier of the meeting team', async () => {
+    const db = createDb(
+      { 'team-ai': { id: 'team-ai', tier: 'ai' }, 'team-enterprise': { id: 'team-enterprise', tier: 'enterprise' } },
+      { enabled: true, model_config: modelConfig }
+    );
+    const service = new MeetingService({ db, jira: {} });
+    service.getSpokenKeyOptions = async () => undefined;
+
+    const basic = await service.analyzeTranscript(utterances, { teamId: 'team-basic' });
+    const ai = await service.analyzeTranscript(utterances, { teamId: 'team-ai' });
+    const enterprise = await service.analyzeTranscript(utterances, { teamId: 'team-enterprise' });
+
+    expect(basic).toMatchObject({ processingTier: 'basic', aiProvider: null });
+    expect(ai).toMatchObject({ processingTier: 'ai', aiProvider: 'stub' });
+    expect(ai.transcript).toBeUndefined();
+    expect(ai.keyDecisions[0]).toMatchObject({ source: 'ai', speaker: 'Alice' });
+    expect(enterprise.ticketMentions[0].classification).toMatchObject({ category: 'blocker' });
+  });
+
+  test('should use the basic tier when AI is disabled', async () => {
+    const db = createDb({ 'team-ai': { id: 'team-ai', tier: 'ai' } }, { enabled: false, model_config: modelConfig });
+    const service = new MeetingService({ db, jira: {} });
+    service.getSpokenKeyOptions = async () => undefined;
+
+    expect(await service.getProcessingTier('team-ai')).toBe('basic');
+    expect((await service.analyzeTranscript(utterances, { teamId: 'team-ai' })).aiProvider).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for keeping one MeetingSync comment per meeting per issue
+ */
+
+import MeetingCommentSync, { COMMENT_PROPERTY_KEY, hashDocument } from '../services/MeetingCommentSync.js';
+import { doc, paragraph, status } from '../utils/adf.js';
+
+jest.mock('@forge/api', () => ({
+  route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), '')
+}));
+
+const reply = (status, body = {}) => ({ ok: status < 300, status, json: async () => body });
+
+// Fake Jira comment endpoint holding comments with properties, served in pages of two
+const createClient = (comments = []) => {
+  let nextId = 100;
+  const requestJira = jest.fn(async (path, options = {}) => {
+    const method = options.method || 'GET';
+    const commentId = (path.match(/\/comment\/(\d+)/) || [])[1];
+
+    if (method === 'GET') {
+      const startAt = Number(new URLSearchParams(path.split('?')[1]).get('startAt'));
+      return reply(200, { comments: comments.slice(startAt, startAt + 2), total: comments.length });
+    }
+    if (method === 'POST') {
+      const comment = { id: String(nextId++), ...JSON.parse(options.body) };
+      comments.push(comment);
+      return reply(201, comment);
+    }
+    if (method === 'PUT') {
+      const index = comments.findIndex(comment => comment.id === commentId);
+      comments[index] = { id: commentId, ...JSON.parse(options.body) };
+      return reply(200, comments[index]);
+    }
+    comments.splice(comments.findIndex(comment => comment.id === commentId), 1);
+    return reply(204);
+  });
+
+  return { requestJira, comments };
+};
+
+describe('MeetingCommentSync', () => {
+  const body = doc(paragraph('Meeting context'), paragraph(status('blocker')));
+
+  test('should create a tagged comment, then leave it alone when nothing changed', async () => {
+    const client = createClient();
+    const sync = new MeetingCommentSync(client);
+
+    expect(await sync.upsert('PROJ-1', 'meeting-1', body)).toEqual({ id: '100', action: 'created' });
+    expect(client.comments[0].properties[0]).toMatchObject({
+      key: COMMENT_PROPERTY_KEY,
+      value: { meetingId: 'meeting-1', hash: hashDocument(body) }
+    });
+
+    // Rebuilt documents get fresh lozenge localIds but the same hash
+    const rebuilt = doc(paragraph('Meeting context'), paragraph(status('blocker')));
+    expect(await sync.upsert('PROJ-1', 'meeting-1', rebuilt)).toEqual({ id: '100', action: 'unchanged' });
+    expect(client.comments).toHaveLength(1);
+  });
+
+  test('should edit the existing comment when the content changes', async () => {
+    const client = createClient([
+      { id: '1', properties: [] },
+      { id: '2', properties: [{ key: COMMENT_PROPERTY_KEY, value: { meetingId: 'other', hash: 'x' } }] },
+      { id: '3', properties: [{ key: COMMENT_PROPERTY_KEY, value: { meetingId: 'meeting-1', hash: 'stale' } }] }
+    ]);
+    const sync = new MeetingCommentSync(client);
+
+    expect(await sync.upsert('PROJ-1', 'meeting-1', body)).toEqual({ id: '3', action: 'updated' });
+    expect(client.comments).toHaveLength(3);
+    expect(client.requestJira).toHaveBeenCalledWith('/rest/api/3/issue/PROJ-1/comment/3', expect.objectContaining({ method: 'PUT' }));
+  });
+
+  test('should delete only the comment belonging to the meeting', async () => {
+    const client = createClient([
+      { id: '1', properties: [{ key: COMMENT_PROPERTY_KEY, value: { meetingId: 'meeting-1' } }] },
+      { id: '2', properties: [{ key: COMMENT_PROPERTY_KEY, value: { meetingId: 'meeting-2' } }] }
+    ]);
+    const sync = new MeetingCommentSync(client);
+
+    expect(await sync.remove('PROJ-1', 'meeting-1')).toEqual({ removed: true, id: '1' });
+    expect(await sync.remove('PROJ-1', 'meeting-1')).toEqual({ removed: false, id: null });
+    expect(client.comments.map(comment => comment.id)).toEqual(['2']);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for editing stored meetings and re-staging the Jira updates that depend on them
+ */
+
+import MeetingEditService from '../services/MeetingEditService.js';
+import WriteBackService from '../services/WriteBackService.js';
+import { ValidationError } from '../utils/errorHandling.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: {},
+  route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+  storage: {}
+}));
+
+// In-memory stand-in for DatabaseService, keyed like storage as `${table}:${id}`
+const createDb = (mentions = []) => {
+  const records = new Map();
+  let clock = 0;
+
+  return {
+    records,
+    insert: async (table, data) => {
+      const record = { ...data, created_at: data.created_at || new Date(Date.UTC(2024, 0, 1, 0, 0, clock++)).toISOString() };
+      records.set(`${table}:${data.id}`, record);
+      return record;
+    },
+    update: async (table, id, data) => {
+      const record = { ...records.get(`${table}:${id}`), ...data };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    findById: async (table, id) => records.get(`${table}:${id}`) || null,
+    delete: async (table, id) => records.delete(`${table}:${id}`),
+    findAll: async (table, where = {}) => [...records.entries()]
+      .filter(([key]) => key.startsWith(`${table}:`))
+      .map(([, record]) => record)
+      .filter(record => Object.entries(where).every(([field, value]) => record[field] === value)),
+    getTicketMentions: async () => mentions,
+    getConfig: async () => ({})
+  };
+};
+
+describe('MeetingEditService', () => {
+  const placeholder = {
+    id: 'manual-1',
+    title: 'Manual Meeting Entry for PROJ-1',
+    platform: 'Manual',
+    date: '2024-03-06T15:00:00.000Z',
+    duration: 30,
+    summary: 'Please update with actual meeting details and outcomes.',
+    actionItems: [
+      { task: 'Add meeting details and agenda', assignee: 'Organizer', status: 'pending' },
+      { task: 'Update participants list', assignee: 'Organizer', status: 'pending' }
+    ],
+    keyDecisions: ['Meeting created manually - please add decisions']
+  };
+
+  let db;
+  let service;
+
+  beforeEach(() => {
+    db = createDb([{ ticket_id: 'PROJ-1', discussion_summary: 'PROJ-1 is nearly done' }]);
+    const writeBack = new WriteBackService({
+      db,
+      jira: {},
+      identity: { assignActionItems: async (items) => items.map(item => ({ ...item, assignee: null })) },
+      now: () => new Date('2024-03-07T10:00:00Z')
+    });
+    service = new MeetingEditService({ db, writeBack, now: () => new Date('2024-03-07T10:00:00Z') });
+  });
+
+  test('should edit meeting details and record what changed', () => {
+    const { meeting, entry } = service.updateMeeting(placeholder, {
+      title: 'Sprint planning',
+      duration: '45',
+      summary: placeholder.summary,
+      id: 'other'
+    }, 'acc-1');
+
+    expect(meeting).toMatchObject({ id: 'manual-1', title: 'Sprint planning', duration: 45 });
+    expect(entry).toEqual({
+      target: 'meeting',
+      index: null,
+      action: 'updated',
+      changes: {
+        title: { from: 'Manual Meeting Entry for PROJ-1', to: 'Sprint planning' },
+        duration: { from: 30, to: 45 }
+      },
+      editedBy: 'acc-1',
+      editedAt: '2024-03-07T10:00:00.000Z'
+    });
+    expect(meeting.editHistory).toEqual([entry]);
+    expect(placeholder.title).toBe('Manual Meeting Entry for PROJ-1');
+
+    expect(service.updateMeeting(placeholder, { title: placeholder.title })).toEqual({ meeting: placeholder, entry: null });
+  });
+
+  test('should validate edits through validateMeetingData', () => {
+    expect(() => service.updateMeeting(placeholder, { title: '' })).toThrow(new ValidationError('Missing required field: title'));
+    expect(() => service.updateMeeting(placeholder, { date: 'next week' })).toThrow('Invalid date format');
+    expect(() => service.updateMeeting(placeholder, { duration: -5 })).toThrow('Duration must be zero or more minutes');
+    for (const duration of ['', 'abc', null, Infinity]) {
+      expect(() => service.updateMeeting(placeholder, { duration })).toThrow(new ValidationError('Duration must be zero or more minutes'));
+    }
+    expect(service.updateMeeting(placeholder, { duration: 0 }).meeting.duration).toBe(0);
+    expect(() => service.updateActionItem({ ...placeholder, platform: '' }, 0, { task: 'Write the agenda' }))
+      .toThrow('Missing required field: platform');
+  });
+
+  test('should update, add and remove action items', () => {
+    const updated = service.updateActionItem(placeholder, 0, { task: ' Write the agenda ', status: 'completed', dueDate: '2024-03-08' });
+    expect(updated.meeting.actionItems[0]).toEqual({ task: 'Write the agenda', assignee: 'Organizer', status: 'completed', dueDate: '2024-03-08' });
+    expect(updated.entry).toMatchObject({ target: 'actionItem', index: 0, action: 'updated' });
+    expect(Object.keys(updated.entry.changes)).toEqual(['task', 'status', 'dueDate']);
+
+    const added = service.updateActionItem(updated.meeting, null, { task: 'Book the room', assignee: 'Sam' });
+    expect(added.meeting.actionItems[2]).toEqual({ task: 'Book the room', assignee: 'Sam', status: 'pending' });
+    expect(added.entry).toMatchObject({ index: 2, action: 'added' });
+
+    const removed = service.updateActionItem(added.meeting, 1, { remove: true });
+    expect(removed.meeting.actionItems.map(item => item.task)).toEqual(['Write the agenda', 'Book the room']);
+    expect(removed.entry.changes.task).toEqual({ from: 'Update participants list', to: null });
+    expect(removed.meeting.editHistory.map(edit => edit.action)).toEqual(['updated', 'added', 'removed']);
+
+    expect(() => service.updateActionItem(placeholder, 0, { task: ' ' })).toThrow('Action item text is required');
+    expect(() => service.updateActionItem(placeholder, 0, { status: 'blocked' })).toThrow('Status must be one of');
+    expect(() => service.updateActionItem(placeholder, 5, { task: 'Nope' })).toThrow('No action item at position 5');
+  });
+
+  test('should update, add and remove key decisions', () => {
+    const updated = service.updateDecision(placeholder, 0, { text: 'Ship on Friday' });
+    expect(updated.meeting.keyDecisions).toEqual(['Ship on Friday']);
+    expect(updated.entry.changes).toEqual({ text: { from: 'Meeting created manually - please add decisions', to: 'Ship on Friday' } });
+
+    const added = service.updateDecision(updated.meeting, undefined, { text: 'Drop the beta flag' });
+    expect(added.meeting.keyDecisions).toEqual(['Ship on Friday', 'Drop the beta flag']);
+
+    const removed = service.updateDecision(added.meeting, 0, { remove: true });
+    expect(removed.meeting.keyDecisions).toEqual(['Drop the beta flag']);
+
+    expect(() => service.updateDecision(placeholder, 0, { text: '' })).toThrow('Decision text is required');
+    expect(() => service.updateDecision(placeholder, null, { remove: true })).toThrow('Choose the decision to remove');
+  });
+
+  test('should re-run the proposals of a processed meeting with the edited content', async () => {
+    const record = await db.insert('meetings', {
+      id: 'meeting-1',
+      title: 'Uploaded call',
+      start_time: '2024-03-06T15:00:00Z',
+      participants: JSON.stringify(['Alex Chen']),
+      processed_data: JSON.stringify({
+        summary: 'Planned the release.',
+        actionItems: [{ action: 'Update the runbook', responsible: 'Alex', quote: 'Alex will update the runbook' }],
+        keyDecisions: [{ decision: 'Release on Friday', speaker: 'Sam' }]
+      }),
+      duration_minutes: 20
+    });
+    const panelMeeting = service.fromMeetingRecord(record);
+
+    expect(panelMeeting).toMatchObject({
+      id: 'meeting-1',
+      date: '2024-03-06T15:00:00Z',
+      participants: [{ name: 'Alex Chen', role: 'Participant' }],
+      actionItems: [{ task: 'Update the runbook', assignee: 'Alex', status: 'pending', quote: 'Alex will update the runbook' }],
+      keyDecisions: ['Release on Friday']
+    });
+
+    const { meeting, entry } = service.updateDecision(panelMeeting, 0, { text: 'Release on Monday' });
+    const proposals = await service.syncWriteBack(meeting, entry, { issueKey: 'PROJ-5', actor: 'acc-1' });
+
+    expect(proposals.map(change => [change.change_type, change.issue_key])).toEqual([
+      ['comment', 'PROJ-1'],
+      ['label', 'PROJ-1'],
+      ['create_issue', 'PROJ-5']
+    ]);
+    expect(proposals[0].preview).toContain('Release on Monday');
+    expect(proposals[2].payload).toMatchObject({ action: 'Update the runbook', quote: 'Alex will update the runbook' });
+
+    const stored = await db.findById('meetings', 'meeting-1');
+    expect(JSON.parse(stored.processed_data)).toMatchObject({
+      summary: 'Planned the release.',
+      actionItems: [{ action: 'Update the runbook', responsible: 'Alex' }],
+      keyDecisions: [{ decision: 'Release on Monday' }]
+    });
+  });
+
+  test('should propose an update for an action item that already became an issue', async () => {
+    const meeting = { ...placeholder, actionItems: [{ ...placeholder.actionItems[0], issueKey: 'PROJ-9' }] };
+
+    const first = service.updateActionItem(meeting, 0, { task: 'Write the agenda' });
+    const [proposal] = await service.syncWriteBack(first.meeting, first.entry, { issueKey: 'PROJ-1' });
+    expect(proposal).toMatchObject({
+      change_type: 'field_update',
+      issue_key: 'PROJ-9',
+      meeting_id: 'manual-1',
+      payload: { fields: { summary: 'Write the agenda', duedate: null } },
+      summary: 'Set Summary, Due date on PROJ-9'
+    });
+
+    // A second edit replaces the undecided proposal; a status change proposes nothing
+    const second = service.updateActionItem(first.meeting, 0, { dueDate: '2024-03-15' });
+    await service.syncWriteBack(second.meeting, second.entry, { issueKey: 'PROJ-1' });
+    const status = service.updateActionItem(second.meeting, 0, { status: 'completed' });
+    expect(await service.syncWriteBack(status.meeting, status.entry, { issueKey: 'PROJ-1' })).toEqual([]);
+
+    const pending = await service.writeBack.listChanges({ meetingId: 'manual-1', status: 'pending' });
+    expect(pending.map(change => change.payload.fields)).toEqual([{ summary: 'Write the agenda', duedate: '2024-03-15' }]);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Unit tests for MeetingService: saving uploads, listing them on issues, queueing analysis, finding stuck meetings and deletion
+ */
+
+import { storage } from '@forge/api';
+import MeetingService from '../services/MeetingService.js';
+
+jest.mock('@forge/api', () => {
+  const entries = new Map();
+  return {
+    __esModule: true,
+    default: {},
+    storage: {
+      entries,
+      get: async (key) => structuredClone(entries.get(key)),
+      set: async (key, value) => { entries.set(key, structuredClone(value)); },
+      delete: async (key) => { entries.delete(key); }
+    }
+  };
+});
+
+// In-memory stand-in for DatabaseService, keyed like storage as `${table}:${id}`
+const createDb = () => {
+  const records = new Map();
+  const rows = (table) => [...records.entries()]
+    .filter(([key]) => key.startsWith(`${table}:`))
+    .map(([, record]) => record);
+
+  return {
+    records,
+    rows,
+    getConfig: async () => ({}),
+    insert: async (table, data) => {
+      const now = new Date().toISOString();
+      const record = { created_at: now, updated_at: now, ...data };
+      records.set(`${table}:${data.id}`, record);
+      return record;
+    },
+    update: async (table, id, data) => {
+      const record = { ...records.get(`${table}:${id}`), ...data, updated_at: new Date().toISOString() };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    updateWhere: async (table, id, expected, data) => {
+      const existing = records.get(`${table}:${id}`);
+      if (!existing || Object.entries(expected).some(([field, value]) => existing[field] !== value)) {
+        return null;
+      }
+      const record = { ...existing, ...data };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    delete: async (table, id) => records.delete(`${table}:${id}`),
+    findById: async (table, id) => records.get(`${table}:${id}`) || null,
+    findAll: async (table, where = {}) => rows(table)
+      .filter(record => Object.entries(where).every(([field, value]) => record[field] === value)),
+    getTicketMentions: async (meetingId) => rows('ticket_mentions').filter(mention => mention.meeting_id === meetingId)
+  };
+};
+
+const transcript = [
+  'Alice: PROJ-7 is blocked on the payments review.',
+  'Bob: I will fix the deployment runbook by Friday.'
+].join('\n');
+
+describe('MeetingService', () => {
+  let db;
+  let service;
+
+  beforeEach(() => {
+    storage.entries.clear();
+    db = createDb();
+    service = new MeetingService({ db, jira: {} });
+    service.getSpokenKeyOptions = async () => undefined;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processTextTranscript', () => {
+    test('should save the meeting and analyze it', async () => {
+      const meeting = await service.processTextTranscript(transcript, { fileName: 'standup.txt', teamId: 'team-1' });
+
+      expect(meeting).toMatchObject({ processing_status: 'completed', team_id: 'team-1' });
+      expect(JSON.parse(meeting.participants)).toEqual(expect.arrayContaining(['Alice', 'Bob']));
+      expect(db.rows('ticket_mentions').map(mention => mention.ticket_id)).toEqual(['PROJ-7']);
+      expect(db.rows('processing_queue')).toEqual([]);
+    });
+
+    test('should keep the meeting pending and queue analysis when it fails', async () => {
+      jest.spyOn(service, 'analyzeTranscript').mockRejectedValue(new Error('LLM provider timed out'));
+
+      const meeting = await service.processTextTranscript(transcript, { fileName: 'standup.txt', issueKey: 'PROJ-7' });
+
+      expect(meeting).toMatchObject({ processing_status: 'pending' });
+      expect(await db.findById('meetings', meeting.id)).toMatchObject({ transcript_text: transcript, processing_status: 'pending' });
+
+      const [task] = db.rows('processing_queue');
+      expect(task).toMatchObject({ task_type: 'transcript_analysis', status: 'pending' });
+      expect(JSON.parse(task.payload)).toEqual({ meetingId: meeting.id, issueKey: 'PROJ-7' });
+    });
+
+    test('should queue analysis for teams on an LLM tier instead of running it in the request', async () => {
+      await db.insert('teams', { id: 'team-ai', tier: 'ai' });
+      const analyze = jest.spyOn(service, 'analyzeMeeting');
+
+      const meeting = await service.processTextTranscript(transcript, { fileName: 'standup.txt', teamId: 'team-ai', issueKey: 'PROJ-7' });
+
+      expect(meeting).toMatchObject({ processing_status: 'pending', team_id: 'team-ai' });
+      expect(analyze).not.toHaveBeenCalled();
+      const [task] = db.rows('processing_queue');
+      expect(task).toMatchObject({ task_type: 'transcript_analysis', status: 'pending' });
+      expect(JSON.parse(task.payload)).toEqual({ meetingId: meeting.id, issueKey: 'PROJ-7' });
+    });
+  });
+
+  describe('listOnIssue', () => {
+    test('should list a pending upload on the panel and fill it in once analyzed', async () => {
+      const pending = await service.processTextTranscript(transcript, { fileName: 'standup.txt' });
+      await service.listOnIssue({ ...pending, processing_status: 'pending', processed_data: null }, 'PROJ-7');
+
+      let [entry] = storage.entries.get('issue_meetings:PROJ-7').meetings;
+      expect(entry).toMatchObject({ id: pending.id, summary: '', actionItems: [] });
+
+      await service.listOnIssue(await service.analyzeMeeting(pending.id), 'PROJ-7');
+      const { meetings, totalMeetings } = storage.entries.get('issue_meetings:PROJ-7');
+      [entry] = meetings;
+      expect(totalMeetings).toBe(1);
+      expect(entry.actionItems.map(item => item.task)).toEqual(['I will fix the deployment runbook by Friday']);
+    });
+  });
+
+  describe('requeueStuckMeetings', () => {
+    const NOW = new Date('2024-03-04T10:00:00Z');
+
+    test('should queue analysis for meetings left unfinished without a task', async () => {
+      const hourAgo = '2024-03-04T09:00:00Z';
+      await db.insert('meetings', { id: 'stuck', processing_status: 'pending', updated_at: hourAgo });
+      await db.insert('meetings', { id: 'crashed', processing_status: 'processing', updated_at: hourAgo });
+      await db.insert('meetings', { id: 'queued', processing_status: 'pending', updated_at: hourAgo });
+      await db.insert('meetings', { id: 'fresh', processing_status: 'pending', updated_at: '2024-03-04T09:55:00Z' });
+      await db.insert('meetings', { id: 'done', processing_status: 'completed', updated_at: hourAgo });
+      await db.insert('processing_queue', {
+        id: 'task-1', task_type: 'transcript_analysis', status: 'pending', payload: JSON.stringify({ meetingId: 'queued' })
+      });
+
+      expect((await service.requeueStuckMeetings(NOW)).sort()).toEqual(['crashed', 'stuck']);
+
+      const queued = db.rows('processing_queue').map(task => JSON.parse(task.payload).meetingId);
+      expect(queued.sort()).toEqual(['crashed', 'queued', 'stuck']);
+      expect((await db.findById('meetings', 'crashed')).processing_status).toBe('pending');
+    });
+  });
+
+  describe('analyzeMeeting', () => {
+    test('should not retry meetings without a transcript', async () => {
+      await db.insert('meetings', { id: 'audio', processing_status: 'pending', transcript_text: null });
+
+      await expect(service.analyzeMeeting('audio')).rejects.toMatchObject({ retryable: false });
+      await expect(service.analyzeMeeting('gone')).rejects.toMatchObject({ retryable: false });
+    });
+  });
+
+  describe('sprint deadlines', () => {
+    const sprintTranscript = [
+      'Alice: PROJ-7 is blocked on the payments review.',
+      'Bob: I will fix the deployment runbook by end of sprint.',
+      'Carol: Action item for me, ship the billing export by next sprint.'
+    ].join('\n');
+
+    test('should resolve them against the active sprint of the meeting issue', async () => {
+      service.jira = {
+        getActiveSprint: jest.fn(async () => ({
+          id: 4, name: 'Sprint 4', startDate: '2024-03-08T09:00:00Z', endDate: '2024-03-15T17:00:00Z'
+        }))
+      };
+
+      const meeting = await service.processTextTranscript(sprintTranscript, { fileName: 'standup.txt', issueKey: 'PROJ-3' });
+
+      expect(service.jira.getActiveSprint).toHaveBeenCalledWith('PROJ-3');
+      const dueDates = JSON.parse(meeting.processed_data).actionItems.map(item => item.dueDate);
+      expect(dueDates).toEqual(['2024-03-15', '2024-03-22']);
+    });
+
+    test('should fall back to the first ticket said and leave them open without a sprint', async () => {
+      service.jira = { getActiveSprint: jest.fn(async () => null) };
+
+      const meeting = await service.processTextTranscript(sprintTranscript, { fileName: 'standup.txt' });
+
+      expect(service.jira.getActiveSprint).toHaveBeenCalledWith('PROJ-7');
+      const dueDates = JSON.parse(meeting.processed_data).actionItems.map(item => item.dueDate);
+      expect(dueDates).toEqual([null, null]);
+    });
+  });
+
+  describe('deleteMeeting', () => {
+    test('should reject the Jira updates it staged that were not applied yet', async () => {
+      service.jira = { removeMeetingContextComment: jest.fn(async () => ({ removed: true })) };
+      await db.insert('meetings', { id: 'm-1', processing_status: 'completed' });
+      for (const [id, status] of [['pending', 'pending'], ['approved', 'approved'], ['applied', 'applied'], ['rejected', 'rejected']]) {
+        await db.insert('pending_changes', {
+          id, meeting_id: 'm-1', issue_key: 'PROJ-1', change_type: 'label', payload: JSON.stringify({ labels: ['x'] }), status
+        });
+      }
+
+      expect(await service.deleteMeeting('m-1', { issueKeys: ['PROJ-1'], actor: 'acc-1' }))
+        .toEqual({ success: true, removedComments: ['PROJ-1'] });
+
+      const statuses = Object.fromEntries(db.rows('pending_changes').map(change => [change.id, change.status]));
+      expect(statuses).toEqual({ pending: 'rejected', approved: 'rejected', applied: 'applied', rejected: 'rejected' });
+      expect(await db.findById('pending_changes', 'approved')).toMatchObject({ decided_by: 'acc-1', error_message: 'Meeting deleted' });
+      expect(db.rows('write_back_audit').map(entry => [entry.change_id, entry.action])).toEqual([
+        ['pending', 'rejected'],
+        ['approved', 'rejected']
+      ]);
+      expect(await db.findById('meetings', 'm-1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for verifying detected ticket mentions against the Jira site
+ */
+
+import MentionVerifier from '../services/MentionVerifier.js';
+import JiraService from '../services/jira.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: {},
+  route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+  storage: {}
+}));
+
+// Fake Jira holding a few projects and issues; `key in (...)` searches return the ones that exist
+const createJira = (issues = ['PROJ-1', 'PROJ-2', 'OPS-7']) => ({
+  getProjectKeys: jest.fn(async () => ['PROJ', 'OPS']),
+  searchIssues: jest.fn(async (jql) => {
+    const keys = /key in \((.*)\)/.exec(jql)[1].split(', ');
+    return { issues: keys.filter(key => issues.includes(key)).map(key => ({ key })) };
+  })
+});
+
+describe('MentionVerifier', () => {
+  test('should keep real issues and give a reason for everything else', async () => {
+    const jira = createJira();
+    const verifier = new MentionVerifier({ jira });
+
+    const { verified, unverified } = await verifier.verify([
+      { ticketId: 'PROJ-1', context: 'PROJ-1 is done' },
+      { ticketId: 'ISO-9001' },
+      { ticketId: 'PROJ-404' },
+      { ticketId: 'ops-7' },
+      { ticketId: 'Q4' }
+    ]);
+
+    expect(verified.map(mention => mention.ticketId)).toEqual(['PROJ-1', 'OPS-7']);
+    expect(verified[0]).toMatchObject({ context: 'PROJ-1 is done', verified: true });
+    expect(unverified.map(mention => [mention.ticketId, mention.reason])).toEqual([
+      ['ISO-9001', 'unknown_project'],
+      ['Q4', 'invalid_key'],
+      ['PROJ-404', 'not_found']
+    ]);
+    expect(unverified[0].message).toBe('No project with this key on the site');
+  });
+
+  test('should load project keys once and batch existence checks', async () => {
+    const jira = createJira();
+    const verifier = new MentionVerifier({ jira, batchSize: 2 });
+
+    await verifier.verify([{ ticketId: 'PROJ-1' }, { ticketId: 'PROJ-2' }, { ticketId: 'OPS-7' }, { ticketId: 'PROJ-1' }]);
+    await verifier.verify([{ ticketId: 'PROJ-2' }]);
+
+    expect(jira.getProjectKeys).toHaveBeenCalledTimes(1);
+    expect(jira.searchIssues.mock.calls.map(call => call[0])).toEqual([
+      'key in (PROJ-1, PROJ-2)',
+      'key in (OPS-7)',
+      'key in (PROJ-2)'
+    ]);
+    expect(jira.searchIssues.mock.calls[0][3]).toEqual({ validateQuery: 'warn' });
+  });
+
+  test('should not call Jira for an empty mention list', async () => {
+    const jira = createJira();
+    expect(await new MentionVerifier({ jira }).verify([])).toEqual({ verified: [], unverified: [] });
+    expect(jira.getProjectKeys).not.toHaveBeenCalled();
+  });
+});
+
+describe('JiraService.bulkUpdateWithMeetingContext', () => {
+  test('should skip unverified mentions with their reason, in input order', async () => {
+    const jira = new JiraService({ db: {} });
+    Object.assign(jira, createJira());
+    jira.addMeetingContextComment = jest.fn(async () => ({ id: '10', action: 'created' }));
+    jira.addLabelsToIssue = jest.fn();
+
+    const results = await jira.bulkUpdateWithMeetingContext(
+      [{ ticketId: 'ISO-9001' }, { ticketId: 'PROJ-1' }],
+      { meeting: { id: 'meeting-1' }, actionItems: [], keyDecisions: [] }
+    );
+
+    expect(results).toEqual([
+      { ticketId: 'ISO-9001', success: false, verified: false, reason: 'unknown_project', error: 'No project with this key on the site' },
+      { ticketId: 'PROJ-1', success: true, commentId: '10', commentAction: 'created' }
+    ]);
+    expect(jira.addMeetingContextComment).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Unit tests for the migration runner, the SQL schema migrations and the legacy storage key migrator
+ */
+
+import { MIGRATIONS, LATEST_VERSION, MigrationRunner, LegacyKeyMigrator } from '../services/migrations/index.js';
+import { SqlAdapter } from '../services/sql/index.js';
+import SqliteSqlDriver from './support/SqliteSqlDriver.js';
+import { STORAGE_KEYS } from '../services/storageKeys.js';
+
+// Forge storage stand-in with startsWith queries
+const createStorage = (initial = {}) => {
+  const entries = new Map(Object.entries(initial));
+  const query = (prefix = '') => ({
+    where: (field, { condition, value }) => {
+      if (field !== 'key' || condition !== 'STARTS_WITH') throw new Error(`Unsupported storage query on ${field}`);
+      return query(value);
+    },
+    limit: () => query(prefix),
+    cursor: () => query(prefix),
+    getMany: async () => ({
+      results: [...entries.keys()].filter(key => key.startsWith(prefix)).sort()
+        .map(key => ({ key, value: structuredClone(entries.get(key)) }))
+    })
+  });
+
+  return {
+    entries,
+    get: async (key) => (entries.has(key) ? structuredClone(entries.get(key)) : undefined),
+    set: async (key, value) => { entries.set(key, structuredClone(value)); },
+    delete: async (key) => { entries.delete(key); },
+    query: () => query()
+  };
+};
+
+const createSql = () => {
+  const driver = new SqliteSqlDriver({ now: () => new Date('2024-03-04T10:00:00Z') });
+  return { driver, sql: new SqlAdapter({ driver }) };
+};
+
+const columnNames = (driver, table) => driver.describe(table).columns.map(column => column.name);
+
+describe('MigrationRunner', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('applies pending migrations in version order and records each', async () => {
+    const storage = createStorage();
+    const calls = [];
+    const migrations = [
+      { version: 2, name: 'second', storage: async () => { calls.push('second'); } },
+      { version: 1, name: 'first', storage: async () => { calls.push('first'); } },
+      { version: 3, name: 'sql_only', sql: async () => { calls.push('sql_only'); } }
+    ];
+    const runner = new MigrationRunner({ storage, migrations });
+
+    expect(await runner.migrate()).toEqual({ backend: 'storage', from: 0, to: 3, applied: ['first', 'second', 'sql_only'] });
+    expect(calls).toEqual(['first', 'second']);
+    expect(storage.entries.get(STORAGE_KEYS.schemaVersion)).toMatchObject({
+      version: 3,
+      applied: [{ version: 1, name: 'first' }, { version: 2, name: 'second' }, { version: 3, name: 'sql_only' }]
+    });
+
+    expect(await runner.migrate()).toEqual({ backend: 'storage', from: 3, to: 3, applied: [] });
+    expect(await runner.pending()).toEqual([]);
+    expect(calls).toHaveLength(2);
+  });
+
+  test('stops at a failing migration and retries it on the next run', async () => {
+    const storage = createStorage();
+    let fail = true;
+    const migrations = [
+      { version: 1, name: 'first', storage: async () => {} },
+      { version: 2, name: 'flaky', storage: async () => { if (fail) throw new Error('storage unavailable'); } }
+    ];
+    const runner = new MigrationRunner({ storage, migrations });
+
+    await expect(runner.migrate()).rejects.toThrow('storage unavailable');
+    expect(await runner.currentVersion()).toBe(1);
+
+    fail = false;
+    expect(await runner.migrate()).toMatchObject({ from: 1, to: 2, applied: ['flaky'] });
+  });
+
+  test('rejects duplicate versions and a missing backend', () => {
+    const storage = createStorage();
+
+    expect(() => new MigrationRunner({ storage, migrations: [{ version: 1, name: 'a' }, { version: 1, name: 'b' }] }))
+      .toThrow('share version 1');
+    expect(() => new MigrationRunner({ storage, migrations: [{ version: 0, name: 'zero' }] })).toThrow('positive integer');
+    expect(() => new MigrationRunner({ migrations: [] })).toThrow('either a SQL adapter or Forge storage');
+  });
+
+  test('numbers the shipped migrations consecutively', () => {
+    expect(MIGRATIONS.map(migration => migration.version)).toEqual([1, 2, 3, 4]);
+    expect(LATEST_VERSION).toBe(4);
+  });
+});
+
+describe('SQL schema migrations', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates the full schema and records the version in schema_migrations', async () => {
+    const { driver, sql } = createSql();
+    const runner = new MigrationRunner({ sql, migrations: MIGRATIONS });
+
+    expect(await runner.migrate()).toMatchObject({ backend: 'sql', from: 0, to: LATEST_VERSION });
+    expect(columnNames(driver, 'ticket_mentions')).toContain('confidence_score');
+    expect(driver.describe('processing_queue')).not.toBeNull();
+    expect((await sql.query('SELECT version, name FROM schema_migrations ORDER BY version')).map(row => row.name))
+      .toEqual(['create_tables', 'upgrade_legacy_tables', 'canonical_storage_keys', 'pending_change_applying']);
+
+    expect(await new MigrationRunner({ sql, migrations: MIGRATIONS }).migrate()).toMatchObject({ from: LATEST_VERSION, applied: [] });
+  });
+
+  test('upgrades tables created by the first initializeTables', async () => {
+    const { driver, sql } = createSql();
+    await sql.execute(`CREATE TABLE meetings (
+      id VARCHAR(36) PRIMARY KEY,
+      team_id VARCHAR(36),
+      title VARCHAR(255) NOT NULL,
+      start_time TIMESTAMP NOT NULL,
+      transcript_text TEXT,
+      processed_data JSON,
+      participants JSON,
+      meeting_type VARCHAR(50),
+      processing_status ENUM('pending', 'processing', 'completed', 'failed'),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+    await sql.execute(`CREATE TABLE ticket_mentions (
+      id VARCHAR(36) PRIMARY KEY,
+      meeting_id VARCHAR(36) NOT NULL,
+      ticket_id VARCHAR(50) NOT NULL,
+      discussion_summary TEXT,
+      action_items JSON,
+      key_decisions JSON,
+      sentiment_score DECIMAL(3,2),
+      mcp_update_status ENUM('pending', 'success', 'failed'),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+    await sql.execute(
+      'INSERT INTO ticket_mentions (id, meeting_id, ticket_id, mcp_update_status) VALUES (?, ?, ?, ?)',
+      ['t-1', 'm-1', 'PROJ-1', 'success']
+    );
+
+    await new MigrationRunner({ sql, migrations: MIGRATIONS }).migrate();
+
+    expect(columnNames(driver, 'meetings')).toEqual(expect.arrayContaining(['platform', 'utterances', 'duration_minutes']));
+    expect(driver.describe('meetings').indexes.map(index => index.name)).toContain('idx_meetings_start_time');
+
+    const [mention] = await sql.query('SELECT * FROM ticket_mentions WHERE id = ?', ['t-1']);
+    expect(mention).toMatchObject({ mcp_update_status: 'success', confidence_score: 0, update_attempts: 0 });
+
+    await sql.execute('UPDATE ticket_mentions SET mcp_update_status = ? WHERE id = ?', ['skipped', 't-1']);
+    await sql.execute('INSERT INTO ticket_mentions (id, meeting_id, ticket_id) VALUES (?, ?, ?)', ['t-2', 'm-1', 'PROJ-2']);
+    expect((await sql.query('SELECT mcp_update_status FROM ticket_mentions WHERE id = ?', ['t-2']))[0].mcp_update_status)
+      .toBe('pending');
+  });
+});
+
+describe('LegacyKeyMigrator', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const legacyStorage = () => createStorage({
+    'meetings:PROJ-1': {
+      issueKey: 'PROJ-1',
+      meetings: [{ id: 'manual-1', title: 'Planning', date: '2024-03-03T09:00:00Z', actionItems: [{ task: 'Draft spec', assignee: 'Sam', status: 'pending' }] }],
+      totalMeetings: 1,
+      lastSync: '2024-03-03T09:30:00Z',
+      syncHistory: [{ timestamp: '2024-03-03T09:30:00Z', type: 'manual-add', count: 1 }]
+    },
+    'meeting-PROJ-1': {
+      meetings: [
+        { id: '1709370000000', title: 'Manual meeting', date: '2024-03-02T09:00:00Z', participants: ['sam@example.com'], actionItems: ['Book room'] },
+        { id: 'manual-1', title: 'Stale copy', date: '2024-03-03T09:00:00Z' }
+      ],
+      lastSync: '2024-03-02T10:00:00Z'
+    },
+    'meetings_PROJ-1': ['meeting_1709200000000_abc'],
+    'meeting_PROJ-1_meeting_1709200000000_abc': {
+      id: 'meeting_1709200000000_abc',
+      issueKey: 'PROJ-1',
+      transcript: 'Alex: PROJ-1 is on track',
+      uploadedAt: '2024-02-29T09:00:00Z',
+      metadata: { platform: 'Zoom' },
+      summary: 'PROJ-1 is on track',
+      ticketMentions: ['PROJ-1']
+    },
+    'meetings_MOB-7': ['meeting_1709100000000_def'],
+    'meeting_MOB-7_meeting_1709100000000_def': {
+      id: 'meeting_1709100000000_def',
+      issueKey: 'MOB-7',
+      transcript: 'Kim: MOB-7 shipped',
+      processedAt: '2024-02-28T09:00:00Z',
+      metadata: {}
+    },
+    'meetings:PROJ-9': [{ id: 'm-9' }],
+    'meetings:m-1': { id: 'm-1', team_id: 'team-1', title: 'Table record' }
+  });
+
+  test('merges every legacy layout into one record per issue', async () => {
+    const storage = legacyStorage();
+
+    expect(await new LegacyKeyMigrator({ storage }).run()).toEqual({ issues: 2, meetings: 4, removedKeys: 7 });
+
+    const context = storage.entries.get(STORAGE_KEYS.issueMeetings('PROJ-1'));
+    expect(context.meetings.map(meeting => meeting.id))
+      .toEqual(['manual-1', '1709370000000', 'meeting_1709200000000_abc']);
+    expect(context).toMatchObject({ issueKey: 'PROJ-1', totalMeetings: 3, lastSync: '2024-03-03T09:30:00Z' });
+    expect(context.meetings[0].title).toBe('Planning');
+    expect(context.meetings[1]).toMatchObject({
+      participants: [{ name: 'sam@example.com', email: 'sam@example.com' }],
+      actionItems: [{ task: 'Book room', assignee: 'Unassigned', status: 'pending' }],
+      keyDecisions: []
+    });
+    expect(context.meetings[2]).toMatchObject({
+      title: 'Meeting for PROJ-1',
+      platform: 'Zoom',
+      date: '2024-02-29T09:00:00Z',
+      summary: 'PROJ-1 is on track',
+      transcript: 'Alex: PROJ-1 is on track',
+      source: 'upload'
+    });
+    expect(storage.entries.get(STORAGE_KEYS.issueMeetings('MOB-7')).meetings[0].date).toBe('2024-02-28T09:00:00Z');
+
+    expect([...storage.entries.keys()].sort()).toEqual([
+      'issue_meetings:MOB-7',
+      'issue_meetings:PROJ-1',
+      'meetings:m-1'
+    ]);
+  });
+
+  test('keeps meetings already under the canonical key and runs again without changes', async () => {
+    const storage = legacyStorage();
+    storage.entries.set(STORAGE_KEYS.issueMeetings('PROJ-1'), {
+      issueKey: 'PROJ-1',
+      meetings: [{ id: 'manual-1', title: 'Edited title', date: '2024-03-03T09:00:00Z' }],
+      lastSync: '2024-03-04T08:00:00Z'
+    });
+
+    await new LegacyKeyMigrator({ storage }).run();
+    const first = storage.entries.get(STORAGE_KEYS.issueMeetings('PROJ-1'));
+    expect(first.meetings[0].title).toBe('Edited title');
+    expect(first.lastSync).toBe('2024-03-04T08:00:00Z');
+
+    expect(await new LegacyKeyMigrator({ storage }).run()).toEqual({ issues: 0, meetings: 0, removedKeys: 0 });
+    expect(storage.entries.get(STORAGE_KEYS.issueMeetings('PROJ-1'))).toEqual(first);
+  });
+
+  test('runs as storage migration 3', async () => {
+    const storage = legacyStorage();
+
+    await new MigrationRunner({ storage, migrations: MIGRATIONS }).migrate();
+
+    expect(storage.entries.has('meeting-PROJ-1')).toBe(false);
+    expect(storage.entries.get(STORAGE_KEYS.schemaVersion).version).toBe(LATEST_VERSION);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for the incremental multipart/form-data parser
+ */
+
+import { MultipartParser, parseMultipart, getBoundary, parsePartHeaders } from '../utils/multipart.js';
+
+describe('Multipart parser', () => {
+  const boundary = '----FormBoundary7MA4YWxk';
+  const contentType = `multipart/form-data; boundary=${boundary}`;
+  const binary = Buffer.from([0x00, 0xff, 0x2d, 0x2d, 0x0d, 0x0a, 0x2d, 0x2d, 0x80, 0x7f]);
+
+  const buildBody = (file = binary) => Buffer.concat([
+    Buffer.from(`preamble\r\n--${boundary}\r\n`),
+    Buffer.from('Content-Disposition: form-data; name="issueKey"\r\n\r\nPROJ-123\r\n'),
+    Buffer.from(`--${boundary}\r\n`),
+    Buffer.from('Content-Disposition: form-data; name="file"; filename="standup.m4a"\r\n'),
+    Buffer.from('Content-Type: audio/mp4\r\n\r\n'),
+    file,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+
+  describe('getBoundary', () => {
+    test('should read plain and quoted boundaries', () => {
+      expect(getBoundary(contentType)).toBe(boundary);
+      expect(getBoundary('multipart/form-data; boundary="a b"; charset=utf-8')).toBe('a b');
+    });
+
+    test('should reject non-multipart requests', () => {
+      expect(() => getBoundary('application/json')).toThrow('Content-Type must be multipart/form-data');
+      expect(() => getBoundary('multipart/form-data')).toThrow('Boundary not found');
+    });
+  });
+
+  describe('parsePartHeaders', () => {
+    test('should prefer the RFC 5987 encoded file name', () => {
+      const headers = parsePartHeaders(
+        'Content-Disposition: form-data; name="file"; filename="x.txt"; filename*=UTF-8\'\'r%C3%A9union.vtt'
+      );
+      expect(headers).toMatchObject({ name: 'file', fileName: 'réunion.vtt', contentType: null });
+    });
+  });
+
+  describe('parseMultipart', () => {
+    test('should keep binary parts byte for byte, including "--" and CRLF sequences', () => {
+      const { fields, files } = parseMultipart(buildBody(), contentType);
+
+      expect(fields).toEqual({ issueKey: 'PROJ-123' });
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatchObject({ field: 'file', fileName: 'standup.m4a', contentType: 'audio/mp4', size: binary.length });
+      expect(files[0].content.equals(binary)).toBe(true);
+    });
+
+    test('should give the same result however the body is chunked', () => {
+      const body = buildBody();
+      for (const chunkSize of [1, 3, 7, 16]) {
+        const { files } = parseMultipart(body, contentType, { chunkSize });
+        expect(files[0].content.equals(binary)).toBe(true);
+      }
+    });
+
+    test('should enforce the file size limit chunk by chunk', () => {
+      expect(() => parseMultipart(buildBody(Buffer.alloc(2048, 1)), contentType, { maxFileSize: 1024, chunkSize: 256 }))
+        .toThrow(expect.objectContaining({ name: 'FileTooLargeError', limitBytes: 1024 }));
+    });
+
+    test('should reject truncated bodies', () => {
+      const parser = new MultipartParser(boundary);
+      parser.write(buildBody().subarray(0, 120));
+      expect(() => parser.end()).toThrow('Unexpected end of multipart body');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for processing queue ordering, claiming, retry backoff and dead-lettering
+ */
+
+import QueueService, { backoffDelay, compareTasks } from '../services/QueueService.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, default: {}, storage: {} }));
+
+// In-memory stand-in for DatabaseService, keyed like storage as `${table}:${id}`
+const createDb = () => {
+  const records = new Map();
+
+  return {
+    records,
+    insert: async (table, data) => {
+      records.set(`${table}:${data.id}`, { ...data });
+      return data;
+    },
+    update: async (table, id, data) => {
+      const record = { ...records.get(`${table}:${id}`), ...data };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    updateWhere: async (table, id, expected, data) => {
+      const existing = records.get(`${table}:${id}`);
+      if (!existing || Object.entries(expected).some(([field, value]) => existing[field] !== value)) {
+        return null;
+      }
+      const record = { ...existing, ...data };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    findById: async (table, id) => records.get(`${table}:${id}`) || null,
+    findAll: async (table, where = {}) => [...records.entries()]
+      .filter(([key]) => key.startsWith(`${table}:`))
+      .map(([, record]) => record)
+      .filter(record => Object.entries(where).every(([field, value]) => record[field] === value))
+  };
+};
+
+const NOW = new Date('2024-03-04T10:00:00Z');
+const minutesLater = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+describe('QueueService', () => {
+  describe('backoffDelay', () => {
+    test('should double the delay after each failed attempt', () => {
+      expect(backoffDelay(1)).toBe(60 * 1000);
+      expect(backoffDelay(2)).toBe(2 * 60 * 1000);
+      expect(backoffDelay(3)).toBe(4 * 60 * 1000);
+    });
+
+    test('should cap the delay at one hour', () => {
+      expect(backoffDelay(20)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('compareTasks', () => {
+    test('should order by priority, then by scheduled time', () => {
+      const tasks = [
+        { id: 'late-urgent', priority: 1, scheduled_at: '2024-01-01T10:05:00Z' },
+        { id: 'default', scheduled_at: '2024-01-01T09:00:00Z' },
+        { id: 'early-urgent', priority: 1, scheduled_at: '2024-01-01T10:00:00Z' },
+        { id: 'jira', priority: 7, scheduled_at: '2024-01-01T08:00:00Z' }
+      ];
+
+      expect(tasks.sort(compareTasks).map(task => task.id)).toEqual(['early-urgent', 'late-urgent', 'default', 'jira']);
+    });
+  });
+
+  describe('task lifecycle', () => {
+    let db;
+    let queue;
+
+    beforeEach(() => {
+      db = createDb();
+      queue = new QueueService({ db });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should claim the most urgent due task once', async () => {
+      await queue.enqueue('jira_update', { meetingId: 'm-1' }, { priority: 7, scheduledAt: NOW });
+      const urgent = await queue.enqueue('transcript_analysis', { meetingId: 'm-2' }, { priority: 1, scheduledAt: NOW });
+      await queue.enqueue('transcript_analysis', { meetingId: 'm-3' }, { priority: 1, scheduledAt: minutesLater(10) });
+
+      // Two overlapping runs see the same pending tasks; the one that loses the urgent task takes the next
+      const [first, second] = await Promise.all([
+        queue.claimNext(NOW),
+        new QueueService({ db }).claimNext(NOW)
+      ]);
+
+      expect(first).toMatchObject({ id: urgent.id, status: 'processing', attempts: 1, payload: { meetingId: 'm-2' } });
+      expect(second).toMatchObject({ status: 'processing', attempts: 1, payload: { meetingId: 'm-1' } });
+      expect(await queue.claimNext(NOW)).toBeNull();
+    });
+
+    test('should retry with backoff, then dead-letter the task', async () => {
+      const task = await queue.enqueue('transcript_analysis', { meetingId: 'm-1' }, { maxAttempts: 2, scheduledAt: NOW });
+
+      const attempt = await queue.claimNext(NOW);
+      const retried = await queue.fail(attempt, new Error('Jira timed out'), NOW);
+      expect(retried).toMatchObject({ status: 'pending', attempts: 1, error_message: 'Jira timed out', scheduled_at: minutesLater(1).toISOString() });
+      expect(await queue.claimNext(NOW)).toBeNull();
+
+      const retry = await queue.claimNext(minutesLater(1));
+      expect(retry).toMatchObject({ id: task.id, attempts: 2 });
+
+      const failed = await queue.fail(retry, new Error('Jira timed out again'), minutesLater(1));
+      expect(failed).toMatchObject({ status: 'failed', error_message: 'Jira timed out again', completed_at: minutesLater(1).toISOString() });
+      expect(await queue.claimNext(minutesLater(120))).toBeNull();
+    });
+
+    test('should dead-letter non-retryable errors on the first attempt', async () => {
+      await queue.enqueue('transcript_analysis', { meetingId: 'gone' }, { scheduledAt: NOW });
+      const error = Object.assign(new Error('Meeting not found: gone'), { retryable: false });
+
+      expect(await queue.fail(await queue.claimNext(NOW), error, NOW)).toMatchObject({ status: 'failed', attempts: 1 });
+    });
+
+    test('should recover tasks left processing by a worker that died', async () => {
+      await queue.enqueue('transcript_analysis', { meetingId: 'm-1' }, { scheduledAt: NOW });
+      await queue.enqueue('jira_update', { meetingId: 'm-2' }, { scheduledAt: NOW, maxAttempts: 1 });
+      await queue.claimNext(NOW);
+      await queue.claimNext(NOW);
+      await queue.enqueue('jira_update', { meetingId: 'm-3' }, { scheduledAt: minutesLater(10) });
+      const fresh = await queue.claimNext(minutesLater(10));
+
+      expect(await queue.recoverStale(minutesLater(14))).toEqual([]);
+
+      const recovered = await queue.recoverStale(minutesLater(16));
+      expect(recovered.map(task => [task.payload, task.status])).toEqual([
+        ['{"meetingId":"m-1"}', 'pending'],
+        ['{"meetingId":"m-2"}', 'failed']
+      ]);
+      expect(recovered[0].error_message).toBe('Worker timed out while processing task');
+      expect((await db.findById('processing_queue', fresh.id)).status).toBe('processing');
+
+      // The recovered task runs again once its backoff has passed
+      expect(await queue.claimNext(minutesLater(17))).toMatchObject({ payload: { meetingId: 'm-1' }, attempts: 2 });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for the processing queue worker: legacy tasks and meeting status
+ */
+
+import DatabaseService from '../services/DatabaseService.js';
+import { processQueue } from '../handlers/queue-worker.js';
+
+jest.mock('@forge/api', () => ({ __esModule: true, default: {}, storage: {} }));
+jest.mock('../services/DatabaseService.js', () => jest.fn());
+
+// In-memory stand-in for DatabaseService, keyed like storage as `${table}:${id}`
+const createDb = () => {
+  const records = new Map();
+
+  return {
+    records,
+    insert: async (table, data) => {
+      records.set(`${table}:${data.id}`, { ...data });
+      return data;
+    },
+    update: async (table, id, data) => {
+      const record = { ...records.get(`${table}:${id}`), ...data };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    updateWhere: async (table, id, expected, data) => {
+      const existing = records.get(`${table}:${id}`);
+      if (!existing || Object.entries(expected).some(([field, value]) => existing[field] !== value)) {
+        return null;
+      }
+      const record = { ...existing, ...data };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    findById: async (table, id) => records.get(`${table}:${id}`) || null,
+    findAll: async (table, where = {}) => [...records.entries()]
+      .filter(([key]) => key.startsWith(`${table}:`))
+      .map(([, record]) => record)
+      .filter(record => Object.entries(where).every(([field, value]) => record[field] === value))
+  };
+};
+
+const NOW = new Date('2024-03-04T10:00:00Z');
+
+describe('processQueue', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createDb();
+    DatabaseService.mockImplementation(() => db);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should fail legacy audio tasks with a clear reason and mark their meeting failed', async () => {
+    await db.insert('meetings', { id: 'm-1', processing_status: 'pending', updated_at: NOW.toISOString() });
+    await db.insert('processing_queue', {
+      id: 'task-1',
+      task_type: 'audio_processing',
+      payload: JSON.stringify({ meetingId: 'm-1' }),
+      status: 'pending',
+      attempts: 0,
+      max_attempts: 3,
+      scheduled_at: '2024-03-04T09:00:00Z'
+    });
+
+    const stats = await processQueue({ now: () => NOW });
+
+    expect(stats).toMatchObject({ processed: 1, failed: 1, requeued: 0 });
+    expect(await db.findById('processing_queue', 'task-1')).toMatchObject({
+      status: 'failed',
+      error_message: 'Audio transcription is no longer supported; upload the meeting transcript instead'
+    });
+    expect((await db.findById('meetings', 'm-1')).processing_status).toBe('failed');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit tests for extracting issue relations between tickets discussed together
+ */
+
+import RelationExtractor from '../services/RelationExtractor.js';
+import { toUtterances, indexUtterances } from '../models/Utterance.js';
+
+describe('RelationExtractor', () => {
+  const extractor = new RelationExtractor();
+
+  test('should find blocks, duplicates and relates-to phrasing with the right direction', () => {
+    const relations = extractor.detect([
+      { speaker: 'Sam', start: 5, text: 'PROJ-22 is blocked by PROJ-10, so nothing moves this week.' },
+      { speaker: 'Alex', start: 30, text: 'PROJ-3 is probably a duplicate of PROJ-7.' },
+      { speaker: 'Priya', start: 55, text: 'PROJ-40 and PROJ-41 look related. PROJ-50 blocks PROJ-51.' }
+    ]);
+
+    expect(relations.map(({ relation, from, to, linkType, speaker }) => [relation, from, to, linkType, speaker])).toEqual([
+      ['blocks', 'PROJ-10', 'PROJ-22', 'Blocks', 'Sam'],
+      ['duplicates', 'PROJ-3', 'PROJ-7', 'Duplicate', 'Alex'],
+      ['relates', 'PROJ-40', 'PROJ-41', 'Relates', 'Priya'],
+      ['blocks', 'PROJ-50', 'PROJ-51', 'Blocks', 'Priya']
+    ]);
+    expect(relations[0]).toMatchObject({ quote: 'PROJ-22 is blocked by PROJ-10, so nothing moves this week.', start: 5 });
+  });
+
+  test('should ignore negations, separate sentences and unrelated pairs', () => {
+    const relations = extractor.detect(
+      "PROJ-1 isn't blocked by PROJ-2. PROJ-3 is done. PROJ-4 is next. PROJ-5 and PROJ-6 are both in review."
+    );
+
+    expect(relations).toEqual([]);
+  });
+
+  test('should build on the mention positions from extractTicketMentions', () => {
+    const { text, index } = indexUtterances(toUtterances('Sam: PROJ-9 first. Then PROJ-2 depends on PROJ-9.'));
+    const relations = extractor.extract(text, [
+      { ticketId: 'PROJ-9', position: 0, positions: [0, 37] },
+      { ticketId: 'PROJ-2', position: 19, positions: [19] }
+    ], index);
+
+    expect(relations).toEqual([expect.objectContaining({ relation: 'blocks', from: 'PROJ-9', to: 'PROJ-2', speaker: 'Sam' })]);
+  });
+
+  test('should keep one relation per pair', () => {
+    const relations = extractor.detect('PROJ-3 duplicates PROJ-7. Yes, PROJ-7 is the same issue as PROJ-3.');
+
+    expect(relations).toHaveLength(1);
+    expect(relations[0]).toMatchObject({ from: 'PROJ-7', to: 'PROJ-3' });
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Unit tests for the versioned resolver API, its request/response schema and the compat shims
+ */
+
+import api, { storage } from '@forge/api';
+import { RESOLVERS, COMPAT_SHIMS, defineResolvers } from '../resolvers/index.js';
+import { parseRequest, failure } from '../resolvers/schema.js';
+import { ValidationError } from '../utils/errorHandling.js';
+
+jest.mock('@forge/api', () => {
+  const entries = new Map();
+  const query = (prefix = '') => ({
+    where: (field, { condition, value }) => {
+      if (field !== 'key' || condition !== 'STARTS_WITH') throw new Error(`Unsupported storage query on ${field}`);
+      return query(value);
+    },
+    limit: () => query(prefix),
+    cursor: () => query(prefix),
+    getMany: async () => ({
+      results: [...entries.keys()].filter(key => key.startsWith(prefix)).sort()
+        .map(key => ({ key, value: structuredClone(entries.get(key)) }))
+    })
+  });
+
+  // Jira calls fail unless a test answers them
+  const requestJira = jest.fn();
+  return {
+    __esModule: true,
+    default: { asUser: () => ({ requestJira }), asApp: () => ({ requestJira }) },
+    startsWith: (value) => ({ condition: 'STARTS_WITH', value }),
+    route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+    storage: {
+      entries,
+      get: async (key) => (entries.has(key) ? structuredClone(entries.get(key)) : undefined),
+      set: async (key, value) => { entries.set(key, structuredClone(value)); },
+      delete: async (key) => { entries.delete(key); },
+      query: () => query()
+    }
+  };
+});
+
+let account = 0;
+
+// A request as Forge sends it from the issue panel
+const panelRequest = (payload = {}, issueKey = 'PROJ-1') => ({
+  payload,
+  context: {
+    accountId: `account-${++account}`,
+    cloudId: 'cloud-1',
+    extension: { issue: { key: issueKey, id: '10001' } }
+  }
+});
+
+describe('Resolver API', () => {
+  beforeEach(() => {
+    storage.entries.clear();
+    api.asUser().requestJira.mockReset();
+    api.asUser().requestJira.mockRejectedValue(new Error('No Jira in tests'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('registers every resolver under its version and the old names as shims', () => {
+    const defined = {};
+    defineResolvers({ define: (name, fn) => { defined[name] = fn; } });
+
+    for (const name of Object.keys(RESOLVERS)) {
+      expect(defined[`v1/${name}`]).toBe(RESOLVERS[name]);
+      expect(defined[name]).toBeDefined();
+    }
+    expect(defined['meeting-context-func']).toBe(RESOLVERS.getMeetingContext);
+    expect(defined['sync-meetings-func']).toBe(RESOLVERS.syncMeetings);
+    expect(defined['add-meeting-func']).toBe(RESOLVERS.addMeeting);
+    expect(defined.refreshMeetingData).toBe(COMPAT_SHIMS.refreshMeetingData);
+  });
+
+  test('parses the issue and caller from the context', () => {
+    expect(parseRequest({ payload: { issueKey: 'OTHER-9' }, context: { accountId: 'a-1', extension: { issue: { key: 'PROJ-1', id: '10001' } } } }))
+      .toMatchObject({ issueKey: 'PROJ-1', issueId: '10001', accountId: 'a-1', payload: { issueKey: 'OTHER-9' } });
+    expect(parseRequest()).toMatchObject({ issueKey: null, accountId: null, payload: {} });
+    expect(failure(new ValidationError('Bad input'))).toEqual({ success: false, apiVersion: 'v1', message: 'Bad input', code: 'invalid_request' });
+    expect(failure(new Error(''), 'Fallback')).toMatchObject({ message: 'Fallback', code: 'internal' });
+  });
+
+  test('reads the issue from the context, ignoring payload.issueKey', async () => {
+    const response = await RESOLVERS.getMeetingContext(panelRequest({ issueKey: 'OTHER-9' }));
+
+    expect(response).toMatchObject({ success: true, apiVersion: 'v1', data: { issueKey: 'PROJ-1', totalMeetings: 3 } });
+    expect(storage.entries.has('issue_meetings:PROJ-1')).toBe(true);
+    expect(storage.entries.has('issue_meetings:OTHER-9')).toBe(false);
+  });
+
+  test('rejects issue resolvers called outside an issue', async () => {
+    const response = await RESOLVERS.addMeeting({ payload: { issueKey: 'PROJ-1' }, context: { accountId: 'a-2' } });
+
+    expect(response).toEqual({
+      success: false,
+      apiVersion: 'v1',
+      message: 'This action is only available from an issue',
+      code: 'invalid_request'
+    });
+  });
+
+  test('adds meetings and reports them in the analytics', async () => {
+    const added = await RESOLVERS.addMeeting(panelRequest({
+      meetingData: { title: 'Design <review>', duration: 45, actionItems: [{ task: 'Ship it', assignee: 'Sam', status: 'completed' }] }
+    }));
+
+    expect(added.message).toBe('Meeting added successfully! You can edit the details as needed.');
+    // Stored as typed; the panel renders it as text
+    expect(added.data.meetings[0]).toMatchObject({ title: 'Design <review>', duration: 45 });
+    expect(await RESOLVERS.addMeeting(panelRequest({ meetingData: { title: 'x'.repeat(256) } })))
+      .toMatchObject({ success: false, code: 'invalid_request', message: 'Title must be at most 255 characters' });
+    expect(await RESOLVERS.addMeeting(panelRequest({ meetingData: { summary: 42 } })))
+      .toMatchObject({ success: false, code: 'invalid_request', message: 'Summary must be text' });
+
+    const analytics = await RESOLVERS.getMeetingAnalytics(panelRequest({ timeframe: '7d' }));
+    expect(analytics.data).toMatchObject({
+      totalMeetings: 1,
+      totalDuration: 45,
+      actionItemsStats: { total: 1, completed: 1, pending: 0 },
+      timeframe: '7d'
+    });
+  });
+
+  test('answers rate limits and missing records with their codes', async () => {
+    const request = panelRequest();
+    const responses = [];
+    for (let i = 0; i < 6; i++) {
+      responses.push(await RESOLVERS.syncMeetings(request));
+    }
+    expect(responses.slice(0, 5).every(response => response.success)).toBe(true);
+    expect(responses[5]).toMatchObject({ success: false, code: 'rate_limited' });
+
+    expect(await RESOLVERS.getUploadStatus(panelRequest({ meetingId: 'missing' })))
+      .toMatchObject({ success: false, code: 'not_found', message: 'Meeting not found' });
+    expect(await RESOLVERS.getUploadStatus(panelRequest()))
+      .toMatchObject({ success: false, code: 'invalid_request', message: 'Valid meeting ID is required' });
+  });
+
+  test('edits a stored meeting on the context issue and keeps its history', async () => {
+    const added = await RESOLVERS.addMeeting(panelRequest());
+    const meetingId = added.data.meetings[0].id;
+
+    const updated = await RESOLVERS.updateMeeting(panelRequest({ meetingId, changes: { title: ' Sprint planning ', duration: 50 } }));
+    expect(updated).toMatchObject({ success: true, message: 'Meeting updated', data: { pendingChanges: [] } });
+    expect(updated.data.meeting).toMatchObject({ title: 'Sprint planning', duration: 50 });
+
+    await RESOLVERS.updateActionItem(panelRequest({ meetingId, index: 0, changes: { task: 'Write the agenda' } }));
+    await RESOLVERS.updateDecision(panelRequest({ meetingId, index: 0, changes: { remove: true } }));
+
+    const [stored] = storage.entries.get('issue_meetings:PROJ-1').meetings;
+    expect(stored.actionItems[0].task).toBe('Write the agenda');
+    expect(stored.keyDecisions).toEqual([]);
+    expect(stored.editHistory.map(edit => [edit.target, edit.action])).toEqual([
+      ['meeting', 'updated'],
+      ['actionItem', 'updated'],
+      ['decision', 'removed']
+    ]);
+
+    expect(await RESOLVERS.updateMeeting(panelRequest({ meetingId, changes: { date: 'soon' } })))
+      .toMatchObject({ success: false, code: 'invalid_request', message: 'Invalid date format' });
+    expect(await RESOLVERS.updateMeeting(panelRequest({ meetingId, changes: { title: 'Other' } }, 'PROJ-2')))
+      .toMatchObject({ success: false, code: 'not_found' });
+  });
+
+  test('stores edited text as typed and stages it for Jira unescaped', async () => {
+    await storage.set('meetings:m-2', {
+      id: 'm-2',
+      title: 'Uploaded call',
+      start_time: '2024-03-01T09:00:00Z',
+      processed_data: JSON.stringify({ summary: 'Release planning', actionItems: [{ action: 'Ship it', issueKey: 'PROJ-9' }] })
+    });
+    await storage.set('issue_meetings:PROJ-1', {
+      issueKey: 'PROJ-1',
+      meetings: [{
+        id: 'm-2',
+        title: 'Uploaded call',
+        platform: 'Upload',
+        date: '2024-03-01T09:00:00Z',
+        actionItems: [{ task: 'Ship it', assignee: 'Unassigned', status: 'pending', issueKey: 'PROJ-9' }],
+        keyDecisions: []
+      }]
+    });
+
+    const response = await RESOLVERS.updateActionItem(panelRequest({ meetingId: 'm-2', index: 0, changes: { task: " Don't ship <beta> " } }));
+    expect(response.success).toBe(true);
+
+    const [stored] = storage.entries.get('issue_meetings:PROJ-1').meetings;
+    expect(stored.actionItems[0].task).toBe("Don't ship <beta>");
+    expect(JSON.parse(storage.entries.get('meetings:m-2').processed_data).actionItems[0].action).toBe("Don't ship <beta>");
+
+    const update = response.data.pendingChanges.find(change => change.change_type === 'field_update');
+    expect(update).toMatchObject({ issue_key: 'PROJ-9', payload: { fields: { summary: "Don't ship <beta>" } } });
+
+    expect(await RESOLVERS.updateActionItem(panelRequest({ meetingId: 'm-2', index: 0, changes: { task: 'x'.repeat(501) } })))
+      .toMatchObject({ success: false, code: 'invalid_request', message: 'Action item text must be at most 500 characters' });
+  });
+
+  test('deletes only meetings of the context issue and drops them from its panel', async () => {
+    const added = await RESOLVERS.addMeeting(panelRequest());
+    const manualId = added.data.meetings[0].id;
+
+    await storage.set('meetings:m-3', { id: 'm-3', title: 'Uploaded call', start_time: '2024-03-01T09:00:00Z' });
+    const { meetings } = storage.entries.get('issue_meetings:PROJ-1');
+    await storage.set('issue_meetings:PROJ-1', {
+      ...storage.entries.get('issue_meetings:PROJ-1'),
+      meetings: [...meetings, { id: 'm-3', title: 'Uploaded call' }],
+      totalMeetings: 2
+    });
+
+    expect(await RESOLVERS.deleteMeeting(panelRequest({ meetingId: manualId }, 'PROJ-2')))
+      .toMatchObject({ success: false, code: 'not_found', message: 'Meeting not found' });
+    expect(await RESOLVERS.deleteMeeting(panelRequest({ meetingId: 'm-3' }, 'PROJ-2')))
+      .toMatchObject({ success: false, code: 'not_found' });
+    expect(storage.entries.has('meetings:m-3')).toBe(true);
+
+    expect(await RESOLVERS.deleteMeeting(panelRequest({ meetingId: manualId }))).toMatchObject({ success: true, message: 'Meeting deleted' });
+    expect(await RESOLVERS.deleteMeeting(panelRequest({ meetingId: 'm-3' }))).toMatchObject({ success: true });
+
+    expect(storage.entries.get('issue_meetings:PROJ-1')).toMatchObject({ meetings: [], totalMeetings: 0 });
+    expect(storage.entries.has('meetings:m-3')).toBe(false);
+  });
+
+  test('only reaches write-back changes from the issues they belong to', async () => {
+    await storage.set('pending_changes:c-1', {
+      id: 'c-1',
+      meeting_id: 'm-9',
+      issue_key: 'PROJ-1',
+      change_type: 'label',
+      payload: JSON.stringify({ labels: ['planning'] }),
+      status: 'pending',
+      created_at: '2024-03-01T09:00:00Z'
+    });
+
+    for (const response of [
+      await RESOLVERS.decideChange(panelRequest({ changeId: 'c-1', decision: 'reject' }, 'PROJ-2')),
+      await RESOLVERS.getPendingChanges(panelRequest({ meetingId: 'm-9' }, 'PROJ-2')),
+      await RESOLVERS.applyApprovedChanges(panelRequest({ meetingId: 'm-9' }, 'PROJ-2')),
+      await RESOLVERS.getWriteBackHistory(panelRequest({ changeId: 'c-1' }, 'PROJ-2'))
+    ]) {
+      expect(response).toMatchObject({ success: false, code: 'not_found' });
+    }
+    expect(storage.entries.get('pending_changes:c-1').status).toBe('pending');
+
+    expect(await RESOLVERS.getPendingChanges(panelRequest({ meetingId: 'm-9' })))
+      .toMatchObject({ success: true, data: [{ id: 'c-1', status: 'pending' }] });
+    expect(await RESOLVERS.decideChange(panelRequest({ changeId: 'c-1', decision: 'reject', reason: "Won't label <yet>" })))
+      .toMatchObject({ success: true, data: { id: 'c-1', status: 'rejected' } });
+    expect(storage.entries.get('pending_changes:c-1').error_message).toBe("Won't label <yet>");
+  });
+
+  test('lets only Jira administrators change site settings', async () => {
+    const requestJira = api.asUser().requestJira;
+    const answerPermission = (havePermission) => requestJira.mockImplementation(async (path) => ({
+      ok: true,
+      status: 200,
+      json: async () => (path === '/rest/api/3/mypermissions?permissions=ADMINISTER'
+        ? { permissions: { ADMINISTER: { havePermission } } }
+        : {})
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    answerPermission(false);
+    for (const response of [
+      await RESOLVERS.setIdentityAlias(panelRequest({ alias: 'Sam', accountId: 'acc-sam' })),
+      await RESOLVERS.removeIdentityAlias(panelRequest({ alias: 'Sam' })),
+      await RESOLVERS.setFieldMapping(panelRequest({ output: 'meeting_date', fieldId: null }))
+    ]) {
+      expect(response).toMatchObject({
+        success: false, code: 'forbidden', message: 'Only Jira administrators can change this setting'
+      });
+    }
+    expect((await RESOLVERS.getIdentityAliases(panelRequest())).data).toEqual([]);
+
+    answerPermission(true);
+    expect(await RESOLVERS.setIdentityAlias(panelRequest({ alias: 'Sam', accountId: 'acc-sam' })))
+      .toMatchObject({ success: true, data: { alias: 'Sam', accountId: 'acc-sam' } });
+    expect((await RESOLVERS.getIdentityAliases(panelRequest())).data).toEqual([
+      { alias: 'sam', accountId: 'acc-sam', displayName: null }
+    ]);
+  });
+
+  test('keeps the legacy response shapes in the shims', async () => {
+    await storage.set('meetings:m-1', { id: 'm-1', title: 'Planning', start_time: '2024-03-01T09:00:00Z', transcript_text: 'PROJ-1 is done' });
+
+    const refreshed = await COMPAT_SHIMS.refreshMeetingData(panelRequest());
+    expect(refreshed).toMatchObject({ success: true, apiVersion: 'v1' });
+    expect(refreshed.meetings.map(meeting => meeting.id)).toEqual(['m-1']);
+    expect(refreshed.meetings).toEqual(refreshed.data);
+
+    const upload = await COMPAT_SHIMS.uploadMeetingFile(panelRequest({ file: { name: 'call.mp3' } }));
+    expect(upload).toMatchObject({ success: false, code: 'invalid_request' });
+    expect(upload.error).toBe(upload.message);
+  });
+});
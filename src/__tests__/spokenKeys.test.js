@@ -0,0 +1,80 @@
+/**
+ * Unit tests for normalizing spoken ticket keys in ASR transcripts
+ */
+
+import { normalizeSpokenKeys, normalizeUtterances, readSpokenNumber, attachSurfaceForms } from '../utils/spokenKeys.js';
+import MeetingProcessor from '../services/meeting-processor.js';
+
+const options = { projectKeys: ['PROJ', 'OPS'], aliases: { project: 'PROJ', 'mobile app': 'MOB' } };
+
+const digitsOf = (words) => {
+  const tokens = words.split(' ').map(value => ({ value, lower: value }));
+  const number = readSpokenNumber(tokens, 0);
+  return number && number.digits;
+};
+
+describe('readSpokenNumber', () => {
+  test('should read digit groups and full numbers', () => {
+    expect(digitsOf('one twenty three')).toBe('123');
+    expect(digitsOf('four hundred eighty two')).toBe('482');
+    expect(digitsOf('four hundred and two')).toBe('402');
+    expect(digitsOf('twelve oh five')).toBe('1205');
+    expect(digitsOf('1 2 3')).toBe('123');
+    expect(digitsOf('forty two is done')).toBe('42');
+    expect(digitsOf('done')).toBeNull();
+  });
+});
+
+describe('normalizeSpokenKeys', () => {
+  test('should rewrite spoken keys and keep what was said', () => {
+    const result = normalizeSpokenKeys(
+      'So proj one twenty three is blocked by P R O J dash 9 and project 45.',
+      options
+    );
+
+    expect(result.text).toBe('So PROJ-123 is blocked by PROJ-9 and PROJ-45.');
+    expect(result.forms).toEqual([
+      { key: 'PROJ-123', original: 'proj one twenty three', position: 3 },
+      { key: 'PROJ-9', original: 'P R O J dash 9', position: 39 },
+      { key: 'PROJ-45', original: 'project 45', position: 58 }
+    ]);
+  });
+
+  test('should handle spelled keys with dots, hyphen words and multi-word aliases', () => {
+    expect(normalizeSpokenKeys('see O.P.S. hyphen twelve', options).text).toBe('see OPS-12');
+    expect(normalizeSpokenKeys('the mobile app 7 crash', options).text).toBe('the MOB-7 crash');
+    expect(normalizeSpokenKeys('ops-twenty-one', options).text).toBe('OPS-21');
+  });
+
+  test('should leave canonical keys and ordinary speech alone', () => {
+    const text = 'PROJ-12 is fine. ISO 9001 applies. Give me a b 2 minutes. Proj. One more thing.';
+    expect(normalizeSpokenKeys(text, options)).toEqual({ text, forms: [] });
+  });
+
+  test('should only accept spelled letters with an explicit dash when no project keys are known', () => {
+    expect(normalizeSpokenKeys('A B C dash 5', {}).text).toBe('ABC-5');
+    expect(normalizeSpokenKeys('A B C 5', {}).text).toBe('A B C 5');
+  });
+});
+
+describe('spoken keys in transcript analysis', () => {
+  test('should normalize before extraction and record the surface form on the mention', async () => {
+    const processor = new MeetingProcessor({ db: { getConfig: async () => ({}) } });
+    const utterances = [{ speaker: 'Sam', start: 30, text: 'Proj four hundred eighty two is ready for review.' }];
+
+    const analysis = await processor.processMeeting(utterances, 'basic', { spokenKeys: options });
+
+    expect(analysis.ticketMentions.map(mention => mention.ticketId)).toEqual(['PROJ-482']);
+    expect(analysis.ticketMentions[0].surfaceForms).toEqual(['Proj four hundred eighty two']);
+    expect(analysis.spokenKeyForms).toEqual([
+      { key: 'PROJ-482', original: 'Proj four hundred eighty two', speaker: 'Sam', start: 30 }
+    ]);
+  });
+
+  test('should pass utterances through untouched when nothing was normalized', () => {
+    const { utterances, forms } = normalizeUtterances([{ speaker: 'Sam', text: 'PROJ-1 is done' }], options);
+    expect(utterances[0].text).toBe('PROJ-1 is done');
+    expect(forms).toEqual([]);
+    expect(attachSurfaceForms([{ ticketId: 'PROJ-1' }], forms)).toEqual([{ ticketId: 'PROJ-1' }]);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit tests for the Forge SQL backend of DatabaseService, run against SQLite
+ */
+
+import DatabaseService from '../services/DatabaseService.js';
+import QueueService from '../services/QueueService.js';
+import { SqlAdapter, SCHEMA_STATEMENTS, mapSqlError, toSqlValue } from '../services/sql/index.js';
+import SqliteSqlDriver from './support/SqliteSqlDriver.js';
+import { DatabaseError } from '../utils/errorHandling.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: {},
+  startsWith: (value) => ({ condition: 'STARTS_WITH', value }),
+  route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+  // DatabaseService.migrate() runs the storage migrations too; an empty store has nothing to move
+  storage: {
+    get: async () => undefined,
+    set: async () => {},
+    delete: async () => {},
+    query: () => ({ where: () => ({ limit: () => ({ getMany: async () => ({ results: [] }) }) }) })
+  }
+}));
+
+const NOW = new Date('2024-03-04T10:00:00Z');
+
+const createDb = () => {
+  const driver = new SqliteSqlDriver({ now: () => NOW });
+  const sql = new SqlAdapter({ driver });
+  return { db: new DatabaseService({ sql }), sql, driver };
+};
+
+const meeting = (id, overrides = {}) => ({
+  id,
+  team_id: 'team-1',
+  title: `Meeting ${id}`,
+  start_time: '2024-03-01T09:00:00.000Z',
+  processed_data: JSON.stringify({ actionItems: [] }),
+  ...overrides
+});
+
+describe('DatabaseService with Forge SQL', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates the schema tables on first use', async () => {
+    const { db, driver } = createDb();
+
+    await db.findAll('meetings');
+
+    const tables = SCHEMA_STATEMENTS.map(statement => /CREATE TABLE IF NOT EXISTS (\w+)/.exec(statement)[1]);
+    expect(tables).toEqual(expect.arrayContaining(['meetings', 'ticket_mentions', 'processing_queue', 'pending_changes', 'app_config']));
+    for (const table of tables) {
+      expect(driver.describe(table)).not.toBeNull();
+    }
+    expect(driver.describe('ticket_mentions').indexes).toContainEqual(
+      { name: 'uk_meeting_ticket', columns: ['meeting_id', 'ticket_id'], unique: true }
+    );
+  });
+
+  test('inserts, reads, updates and deletes records with column defaults applied', async () => {
+    const { db } = createDb();
+
+    const inserted = await db.insert('meetings', meeting('m-1'));
+    expect(inserted).toMatchObject({
+      id: 'm-1',
+      title: 'Meeting m-1',
+      start_time: '2024-03-01T09:00:00.000Z',
+      processing_status: 'pending',
+      meeting_type: 'general',
+      duration_minutes: 0,
+      created_at: NOW.toISOString()
+    });
+
+    const updated = await db.update('meetings', 'm-1', { processing_status: 'completed', duration_minutes: 45 });
+    expect(updated).toMatchObject({ processing_status: 'completed', duration_minutes: 45, title: 'Meeting m-1' });
+    expect(await db.findById('meetings', 'm-1')).toEqual(updated);
+
+    await expect(db.update('meetings', 'missing', { title: 'x' })).rejects.toThrow('Record not found: meetings:missing');
+
+    expect(await db.delete('meetings', 'm-1')).toBe(true);
+    expect(await db.findById('meetings', 'm-1')).toBeNull();
+  });
+
+  test('claims a queued task with a conditional UPDATE', async () => {
+    const { db } = createDb();
+    const queue = new QueueService({ db });
+
+    const task = await queue.enqueue('transcript_analysis', { meetingId: 'm-1' }, { scheduledAt: NOW });
+    const claim = () => db.updateWhere('processing_queue', task.id, { status: 'pending', attempts: 0 }, { status: 'processing', attempts: 1 });
+
+    expect(await claim()).toMatchObject({ id: task.id, status: 'processing', attempts: 1 });
+    expect(await claim()).toBeNull();
+    expect(await queue.claimNext(NOW)).toBeNull();
+  });
+
+  test('filters with findAll and joins mentions in findMeetingsByTicket', async () => {
+    const { db } = createDb();
+
+    await db.insert('meetings', meeting('m-1', { start_time: '2024-03-01T09:00:00Z' }));
+    await db.insert('meetings', meeting('m-2', { start_time: '2024-03-02T09:00:00Z', processing_status: 'completed' }));
+    await db.insert('ticket_mentions', { id: 't-1', meeting_id: 'm-1', ticket_id: 'PROJ-1', sentiment_score: 0.5 });
+    await db.insert('ticket_mentions', { id: 't-2', meeting_id: 'm-2', ticket_id: 'PROJ-1' });
+    await db.insert('ticket_mentions', { id: 't-3', meeting_id: 'm-2', ticket_id: 'PROJ-2' });
+
+    expect((await db.findAll('meetings', { processing_status: 'completed' })).map(row => row.id)).toEqual(['m-2']);
+    expect((await db.findMeetingsByTicket('PROJ-1')).map(row => row.id)).toEqual(['m-2', 'm-1']);
+    expect((await db.getTicketMentions('m-2')).map(row => row.ticket_id)).toEqual(['PROJ-1', 'PROJ-2']);
+    expect((await db.getTicketMentions('m-1', 'PROJ-1'))[0]).toMatchObject({ sentiment_score: 0.5, mcp_update_status: 'pending' });
+  });
+
+  test('runs the LEFT JOIN search query MeetingService uses', async () => {
+    const { db } = createDb();
+
+    await db.insert('meetings', meeting('m-1', { title: 'Sprint planning', start_time: '2024-03-01T09:00:00Z' }));
+    await db.insert('meetings', meeting('m-2', { title: 'Retro', start_time: '2024-03-02T09:00:00Z' }));
+    await db.insert('meetings', meeting('m-3', { title: 'Standup', start_time: '2024-03-03T09:00:00Z' }));
+    await db.insert('ticket_mentions', { id: 't-1', meeting_id: 'm-2', ticket_id: 'PROJ-7' });
+
+    const rows = await db.query(`
+      SELECT DISTINCT m.*
+      FROM meetings m
+      LEFT JOIN ticket_mentions tm ON m.id = tm.meeting_id
+      WHERE (m.title LIKE ? OR tm.ticket_id LIKE ?)
+      ORDER BY m.start_time DESC
+      LIMIT 20
+    `, ['%Sprint%', '%PROJ-7%']);
+
+    expect(rows.map(row => row.id)).toEqual(['m-2', 'm-1']);
+  });
+
+  test('compiles typed select filters to SQL', async () => {
+    const { db } = createDb();
+
+    await db.insert('meetings', meeting('m-1', { start_time: '2024-01-05T09:00:00Z', platform: 'zoom' }));
+    await db.insert('meetings', meeting('m-2', { start_time: '2024-01-12T09:00:00Z', platform: 'teams', title: 'Sprint review' }));
+    await db.insert('meetings', meeting('m-3', { start_time: '2024-02-02T09:00:00Z', platform: 'meet' }));
+
+    const ids = async (query) => (await db.select('meetings', query)).map(row => row.id);
+
+    expect(await ids({ where: { platform: { in: ['zoom', 'meet'] } }, orderBy: 'start_time' })).toEqual(['m-1', 'm-3']);
+    expect(await ids({ where: { platform: { in: [] } } })).toEqual([]);
+    expect(await ids({ where: { title: { like: 'Sprint%' } } })).toEqual(['m-2']);
+    expect(await ids({ where: { start_time: { gte: '2024-01-10T00:00:00Z' } }, orderBy: { field: 'start_time', direction: 'desc' } }))
+      .toEqual(['m-3', 'm-2']);
+    expect(await ids({ where: { audio_file_path: null }, orderBy: 'start_time', limit: 1, offset: 1 })).toEqual(['m-2']);
+  });
+
+  test('searches meetings for a ticket with one row per meeting', async () => {
+    const { db } = createDb();
+
+    await db.insert('meetings', meeting('m-1', { start_time: '2024-01-05T09:00:00Z', transcript_text: 'PROJ-1 and PROJ-2' }));
+    await db.insert('meetings', meeting('m-2', { start_time: '2024-01-12T09:00:00Z', transcript_text: 'nothing relevant' }));
+    await db.insert('ticket_mentions', { id: 't-1', meeting_id: 'm-1', ticket_id: 'PROJ-1', discussion_summary: 'Scoped' });
+    await db.insert('ticket_mentions', { id: 't-2', meeting_id: 'm-1', ticket_id: 'PROJ-2' });
+
+    const meetings = await db.searchMeetingsForTicket('PROJ-1');
+    expect(meetings.map(row => row.id)).toEqual(['m-1']);
+    expect(meetings[0].discussion_summary).toBe('Scoped');
+  });
+
+  test('maps constraint violations to DatabaseError codes', async () => {
+    const { db } = createDb();
+
+    await db.insert('meetings', meeting('m-1'));
+    await db.insert('ticket_mentions', { id: 't-1', meeting_id: 'm-1', ticket_id: 'PROJ-1' });
+
+    const duplicate = await db.insert('ticket_mentions', { id: 't-2', meeting_id: 'm-1', ticket_id: 'PROJ-1' }).catch(error => error);
+    expect(duplicate).toBeInstanceOf(DatabaseError);
+    expect(duplicate).toMatchObject({ code: 'duplicate', retryable: false });
+    expect(duplicate.message).toContain("for key 'ticket_mentions.uk_meeting_ticket'");
+
+    await expect(db.insert('meetings', meeting('m-2', { processing_status: 'archived' })))
+      .rejects.toMatchObject({ name: 'DatabaseError', code: 'invalid_value' });
+    await expect(db.insert('meetings', meeting('m-3', { title: null })))
+      .rejects.toMatchObject({ code: 'invalid_value' });
+    await expect(db.insert('pending_changes', { meeting_id: 'm-1', issue_key: 'PROJ-1', change_type: 'comment', payload: '{broken' }))
+      .rejects.toMatchObject({ code: 'invalid_value' });
+    await expect(db.insert('meetings', meeting('m-4', { colour: 'red' })))
+      .rejects.toMatchObject({ code: 'unknown_column' });
+  });
+
+  test('rejects identifiers that would be interpolated unsafely', async () => {
+    const { db } = createDb();
+
+    await expect(db.findAll('meetings; DROP TABLE meetings')).rejects.toMatchObject({ code: 'syntax' });
+    await expect(db.update('meetings', 'm-1', { 'title = title, team_id': 'x' })).rejects.toThrow('Invalid SQL identifier');
+  });
+
+  test('stores config with ON DUPLICATE KEY UPDATE and merges defaults on read', async () => {
+    const { db } = createDb();
+
+    await db.setConfig('field_mappings', { mappings: { meeting_date: 'customfield_10051' } });
+    await db.setConfig('field_mappings', { mappings: { latest_decision: 'customfield_10050' } });
+
+    expect(await db.getConfig('field_mappings')).toEqual({ mappings: { latest_decision: 'customfield_10050' } });
+    expect(await db.findAll('app_config', { config_key: 'field_mappings' })).toHaveLength(1);
+    expect((await db.getConfig('processing_limits')).max_file_size_mb).toBe(50);
+  });
+});
+
+describe('SQL values and errors', () => {
+  test('converts JS values to bind parameters', () => {
+    expect(toSqlValue(new Date('2024-03-04T10:00:00.123Z'))).toBe('2024-03-04 10:00:00');
+    expect(toSqlValue('2024-03-04T12:00:00+02:00')).toBe('2024-03-04 10:00:00');
+    expect(toSqlValue('2024-03-04')).toBe('2024-03-04');
+    expect(toSqlValue(true)).toBe(1);
+    expect(toSqlValue({ a: [1] })).toBe('{"a":[1]}');
+    expect(toSqlValue(undefined)).toBeNull();
+  });
+
+  test('maps Forge SQL errors from their debug details', () => {
+    const forgeError = Object.assign(new Error('Query failed'), {
+      code: 'SQL_EXECUTION_ERROR',
+      debug: { code: 'ER_LOCK_DEADLOCK', errno: 1213, sqlMessage: 'Deadlock found when trying to get lock' }
+    });
+
+    const error = mapSqlError(forgeError, 'UPDATE processing_queue SET status = ?');
+    expect(error).toBeInstanceOf(DatabaseError);
+    expect(error).toMatchObject({
+      code: 'deadlock',
+      retryable: true,
+      cause: forgeError,
+      message: 'UPDATE failed: Deadlock found when trying to get lock'
+    });
+
+    expect(mapSqlError(Object.assign(new Error('connect ECONNRESET'), { code: 'ECONNRESET' }))).toMatchObject({ code: 'connection', retryable: true });
+    expect(mapSqlError(new Error('boom'))).toMatchObject({ code: 'unknown', retryable: false });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for detecting spoken status changes and mapping them to transitions
+ */
+
+import StatusIntentDetector, { classifyStatus, nameSimilarity } from '../services/StatusIntentDetector.js';
+
+describe('StatusIntentDetector.detect', () => {
+  const detector = new StatusIntentDetector();
+
+  test('should find status statements, explicit moves and verb-first phrasing', () => {
+    const intents = detector.detect([
+      { speaker: 'Sam', start: 10, text: 'Quick update. PROJ-12 is done, finally.' },
+      { speaker: 'Alex', start: 42, text: "Let's move PROJ-40 to review and ship it." },
+      { speaker: 'Priya', start: 70, text: 'I picked up PROJ-5 this morning.' },
+      { speaker: 'Sam', start: 90, text: 'Can we put PROJ-8 into the waiting for customer column?' }
+    ]);
+
+    expect(intents.map(({ ticketId, intent, status, speaker }) => [ticketId, intent, status, speaker])).toEqual([
+      ['PROJ-12', 'done', 'done', 'Sam'],
+      ['PROJ-40', 'review', 'review', 'Alex'],
+      ['PROJ-5', 'in_progress', 'picked up', 'Priya'],
+      ['PROJ-8', null, 'waiting for customer', 'Sam']
+    ]);
+    expect(intents[0]).toMatchObject({ quote: 'PROJ-12 is done, finally.', start: 10 });
+    expect(intents[3].confidence).toBeLessThan(intents[1].confidence);
+  });
+
+  test('should ignore negated statements and keep the last word on a ticket', () => {
+    const intents = detector.detect([
+      { speaker: 'Sam', text: "PROJ-1 is not done. We haven't finished PROJ-2 either." },
+      { speaker: 'Alex', text: 'PROJ-3 is in progress.' },
+      { speaker: 'Alex', text: 'Actually PROJ-3 is blocked.' }
+    ]);
+
+    expect(intents.map(({ ticketId, intent }) => [ticketId, intent])).toEqual([['PROJ-3', 'blocked']]);
+  });
+});
+
+describe('StatusIntentDetector.matchTransition', () => {
+  const detector = new StatusIntentDetector();
+  const transitions = [
+    { id: '11', name: 'Start Progress', to: { name: 'In Progress' } },
+    { id: '21', name: 'Ready for Review', to: { name: 'Code Review' } },
+    { id: '31', name: 'Resolve Issue', to: { name: 'Resolved' } }
+  ];
+
+  test('should map intents onto the workflow by name similarity', () => {
+    expect(detector.matchTransition({ intent: 'done', status: 'done' }, transitions).transition.id).toBe('31');
+    expect(detector.matchTransition({ intent: 'review', status: 'review' }, transitions).transition.id).toBe('21');
+    expect(detector.matchTransition({ intent: 'in_progress', status: 'picked up' }, transitions).transition.id).toBe('11');
+    expect(detector.matchTransition({ intent: 'blocked', status: 'blocked' }, transitions)).toBeNull();
+  });
+
+  test('should score names', () => {
+    expect(nameSimilarity('In Review', 'in review')).toBe(1);
+    expect(nameSimilarity('Review', 'Code Review')).toBe(0.8);
+    expect(nameSimilarity('Done', 'Start Progress')).toBeLessThan(0.3);
+    expect(classifyStatus('ready for qa')).toBe('review');
+    expect(classifyStatus('waiting for customer')).toBeNull();
+  });
+});
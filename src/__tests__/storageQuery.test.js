@@ -0,0 +1,212 @@
+/**
+ * Unit tests for the Forge storage query layer and DatabaseService's storage backend
+ */
+
+import { storage } from '@forge/api';
+import DatabaseService from '../services/DatabaseService.js';
+import { parseWhere, keyPart, likeToRegExp } from '../services/StorageQuery.js';
+
+// Forge storage stand-in: sorted keys, startsWith queries and cursor paging
+jest.mock('@forge/api', () => {
+  const entries = new Map();
+  const prefixes = [];
+
+  const query = (prefix = '', offset = 0, size = 100) => ({
+    where: (field, { condition, value }) => {
+      if (field !== 'key' || condition !== 'STARTS_WITH') throw new Error(`Unsupported storage query on ${field}`);
+      return query(value, offset, size);
+    },
+    limit: (count) => query(prefix, offset, count),
+    cursor: (next) => query(prefix, Number(next), size),
+    getMany: async () => {
+      prefixes.push(prefix);
+      const keys = [...entries.keys()].filter(key => key.startsWith(prefix)).sort();
+      return {
+        results: keys.slice(offset, offset + size).map(key => ({ key, value: structuredClone(entries.get(key)) })),
+        nextCursor: offset + size < keys.length ? String(offset + size) : undefined
+      };
+    }
+  });
+
+  return {
+    __esModule: true,
+    default: {},
+    startsWith: (value) => ({ condition: 'STARTS_WITH', value }),
+    route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+    storage: {
+      entries,
+      prefixes,
+      get: async (key) => (entries.has(key) ? structuredClone(entries.get(key)) : undefined),
+      set: async (key, value) => { entries.set(key, structuredClone(value)); },
+      delete: async (key) => { entries.delete(key); },
+      query: () => query()
+    }
+  };
+});
+
+const meeting = (id, startTime, overrides = {}) => ({
+  id,
+  team_id: 'team-1',
+  title: `Meeting ${id}`,
+  start_time: startTime,
+  transcript_text: '',
+  ...overrides
+});
+
+describe('StorageQuery helpers', () => {
+  test('parses typed filters', () => {
+    expect(parseWhere({
+      status: 'pending',
+      platform: null,
+      ticket_id: { in: ['PROJ-1', 'PROJ-2'] },
+      title: { like: '%sync%' },
+      start_time: { gte: '2024-01-01', lt: '2024-02-01' }
+    })).toEqual([
+      { field: 'status', op: 'eq', value: 'pending' },
+      { field: 'platform', op: 'eq', value: null },
+      { field: 'ticket_id', op: 'in', value: ['PROJ-1', 'PROJ-2'] },
+      { field: 'title', op: 'like', value: '%sync%' },
+      { field: 'start_time', op: 'range', value: { gte: '2024-01-01', lt: '2024-02-01' } }
+    ]);
+
+    expect(() => parseWhere({ status: { ne: 'pending' } })).toThrow('unsupported condition');
+    expect(() => parseWhere({ status: { in: 'pending' } })).toThrow('"in" takes an array');
+  });
+
+  test('matches LIKE patterns with wildcards and escapes', () => {
+    expect(likeToRegExp('%PROJ-1%').test('about PROJ-12 today')).toBe(true);
+    expect(likeToRegExp('Sprint _').test('Sprint 4')).toBe(true);
+    expect(likeToRegExp('Sprint _').test('sprint 4')).toBe(false);
+    expect(likeToRegExp('50\\%').test('50%')).toBe(true);
+    expect(likeToRegExp('50\\%').test('500')).toBe(false);
+    expect(likeToRegExp('a.b(c)').test('a.b(c)')).toBe(true);
+  });
+
+  test('escapes values for storage keys', () => {
+    expect(keyPart('PROJ-1')).toBe('PROJ-1');
+    expect(keyPart('a:b c')).toBe('a#3a#b#20#c');
+  });
+});
+
+describe('DatabaseService on Forge storage', () => {
+  let db;
+
+  beforeEach(() => {
+    storage.entries.clear();
+    storage.prefixes.length = 0;
+    db = new DatabaseService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('leaves storage migrations to migrate() instead of running them on a request', async () => {
+    await db.insert('meetings', { id: 'm-1', title: 'Planning' });
+    expect(await db.findById('meetings', 'm-1')).toMatchObject({ title: 'Planning' });
+    expect(storage.prefixes).toEqual([]);
+    expect(storage.entries.has('schema_version')).toBe(false);
+
+    await db.migrate();
+    expect(storage.prefixes).toContain('meetings:');
+    expect(storage.entries.get('schema_version').version).toBe(4);
+
+    storage.prefixes.length = 0;
+    await db.migrate();
+    expect(storage.prefixes).toEqual([]);
+  });
+
+  test('answers indexed equality filters without scanning the table', async () => {
+    await db.insert('ticket_mentions', { id: 't-1', meeting_id: 'm-1', ticket_id: 'PROJ-1' });
+    await db.insert('ticket_mentions', { id: 't-2', meeting_id: 'm-2', ticket_id: 'PROJ-1' });
+    await db.insert('ticket_mentions', { id: 't-3', meeting_id: 'm-2', ticket_id: 'PROJ-2' });
+
+    expect(storage.entries.has('ticket_mention:by_ticket:PROJ-1:t-2')).toBe(true);
+
+    // The first lookup backfills the table's indexes once
+    await db.findAll('ticket_mentions', { ticket_id: 'PROJ-1' });
+    storage.prefixes.length = 0;
+
+    const mentions = await db.findAll('ticket_mentions', { ticket_id: 'PROJ-1' });
+    expect(mentions.map(mention => mention.id).sort()).toEqual(['t-1', 't-2']);
+    expect((await db.getTicketMentions('m-2', 'PROJ-2')).map(mention => mention.id)).toEqual(['t-3']);
+    expect(storage.prefixes).not.toContain('ticket_mentions:');
+  });
+
+  test('moves index entries on update and removes them on delete', async () => {
+    await db.insert('processing_queue', { id: 'q-1', status: 'pending', priority: 5 });
+    await db.insert('processing_queue', { id: 'q-2', status: 'pending', priority: 1 });
+
+    await db.update('processing_queue', 'q-1', { status: 'processing' });
+    expect(storage.entries.has('queue_task:by_status:pending:q-1')).toBe(false);
+    expect((await db.findAll('processing_queue', { status: 'processing' })).map(task => task.id)).toEqual(['q-1']);
+    expect((await db.findAll('processing_queue', { status: 'pending' })).map(task => task.id)).toEqual(['q-2']);
+
+    await db.delete('processing_queue', 'q-2');
+    expect(storage.entries.has('queue_task:by_status:pending:q-2')).toBe(false);
+    expect(await db.findAll('processing_queue', { status: 'pending' })).toEqual([]);
+  });
+
+  test('lets only one of two concurrent conditional updates claim a record', async () => {
+    await db.insert('processing_queue', { id: 'q-1', status: 'pending', attempts: 0 });
+
+    const claim = () => db.updateWhere('processing_queue', 'q-1', { status: 'pending', attempts: 0 }, { status: 'processing', attempts: 1 });
+    const results = await Promise.all([claim(), claim()]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(results.find(Boolean)).toMatchObject({ status: 'processing', attempts: 1 });
+    expect(results.find(Boolean)).not.toHaveProperty('claim_token');
+    expect(await db.updateWhere('processing_queue', 'q-1', { status: 'pending' }, { status: 'processing' })).toBeNull();
+  });
+
+  test('backfills indexes for records stored before they existed', async () => {
+    await storage.set('ticket_mentions:old-1', { id: 'old-1', meeting_id: 'm-1', ticket_id: 'PROJ-9' });
+
+    expect((await db.findAll('ticket_mentions', { ticket_id: 'PROJ-9' })).map(mention => mention.id)).toEqual(['old-1']);
+    expect(storage.entries.has('ticket_mention:by_ticket:PROJ-9:old-1')).toBe(true);
+    expect(storage.entries.get('storage_indexes:ticket_mentions').indexes)
+      .toEqual(['ticket_mention:by_meeting', 'ticket_mention:by_ticket']);
+  });
+
+  test('filters, sorts and pages with in, like and range conditions', async () => {
+    await db.insert('meetings', meeting('m-1', '2024-01-05T09:00:00Z', { title: 'Sprint planning', platform: 'zoom' }));
+    await db.insert('meetings', meeting('m-2', '2024-01-12T09:00:00Z', { title: 'Sprint review', platform: 'teams' }));
+    await db.insert('meetings', meeting('m-3', '2024-02-02T09:00:00Z', { title: 'Sprint planning', platform: 'meet' }));
+    await db.insert('meetings', meeting('m-4', '2024-01-20T09:00:00Z', { title: 'Retro', platform: null }));
+
+    const ids = async (query) => (await db.select('meetings', query)).map(record => record.id);
+
+    expect(await ids({ where: { platform: { in: ['zoom', 'meet'] } }, orderBy: 'start_time' })).toEqual(['m-1', 'm-3']);
+    expect(await ids({ where: { title: { like: 'Sprint%' } }, orderBy: { field: 'start_time', direction: 'desc' } }))
+      .toEqual(['m-3', 'm-2', 'm-1']);
+    expect(await ids({ where: { start_time: { gte: '2024-01-10', lt: '2024-02-01' } }, orderBy: 'start_time' })).toEqual(['m-2', 'm-4']);
+    expect(await ids({ where: { platform: null } })).toEqual(['m-4']);
+    expect(await ids({ orderBy: [{ field: 'title' }, { field: 'start_time', direction: 'desc' }], limit: 2, offset: 1 }))
+      .toEqual(['m-3', 'm-1']);
+  });
+
+  test('finds only the meetings that mention a ticket or carry its key in the transcript', async () => {
+    await db.insert('meetings', meeting('m-1', '2024-01-05T09:00:00Z'));
+    await db.insert('meetings', meeting('m-2', '2024-01-12T09:00:00Z', { transcript_text: 'Alex: PROJ-1 is nearly done' }));
+    await db.insert('meetings', meeting('m-3', '2024-01-20T09:00:00Z', { transcript_text: 'Sam: PROJ-10 needs review' }));
+    await db.insert('meetings', meeting('m-4', '2024-01-25T09:00:00Z'));
+    await db.insert('ticket_mentions', { id: 't-1', meeting_id: 'm-1', ticket_id: 'PROJ-1', discussion_summary: 'Scoped the API' });
+    await db.insert('ticket_mentions', { id: 't-2', meeting_id: 'm-4', ticket_id: 'PROJ-2' });
+    // Cached search results share the meetings: prefix and are not records
+    await storage.set('meetings:PROJ-2', [{ id: 'm-4' }]);
+
+    const meetings = await db.searchMeetingsForTicket('PROJ-1');
+
+    // PROJ-10 contains PROJ-1 as text, as LIKE does in SQL
+    expect(meetings.map(record => record.id)).toEqual(['m-3', 'm-2', 'm-1']);
+    expect(meetings[2].discussion_summary).toBe('Scoped the API');
+    expect(meetings[0].discussion_summary).toBeNull();
+    expect(await db.searchMeetingsForTicket('PROJ-1', { limit: 1 })).toHaveLength(1);
+    expect((await db.findMeetingsByTicket('PROJ-2')).map(record => record.id)).toEqual(['m-4']);
+  });
+
+  test('refuses raw SQL without Forge SQL', async () => {
+    await expect(db.query('SELECT * FROM meetings')).rejects.toThrow('Raw SQL queries need Forge SQL');
+  });
+});
@@ -0,0 +1,430 @@
+import initSqlJs from 'sql.js';
+
+/**
+ * SQLite (sql.js) stand-in for Forge SQL in tests
+ *
+ * A thin dialect shim rewrites the MySQL this app sends into SQLite:
+ * column types become affinities plus CHECK constraints (ENUM values, JSON,
+ * VARCHAR length), CURRENT_TIMESTAMP defaults and ON UPDATE use the injected
+ * clock, inline and ALTER TABLE indexes become CREATE INDEX, ALTER TABLE
+ * ADD / MODIFY COLUMN rebuild the table, and ON DUPLICATE KEY UPDATE becomes
+ * an upsert. SQLite errors are reported with the MySQL codes mapSqlError knows.
+ * LIKE is case-sensitive with '\' as escape, matching the TiDB defaults behind Forge SQL.
+ */
+
+// One sql.js module per test process; each driver opens its own database
+let engine = null;
+
+const sqlError = (code, errno, message) => Object.assign(new Error(message), { code, errno, sqlMessage: message });
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatTimestamp = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+const quote = (name) => `"${name.replace(/[`"]/g, '')}"`;
+
+const unquote = (name) => name.replace(/[`"]/g, '');
+
+const columnList = (list) => list.split(',').map(column => unquote(column.trim().replace(/\(\d+\)$/, '')));
+
+/**
+ * Split a definition list on the commas outside parentheses and quotes
+ */
+const splitTopLevel = (body) => {
+  const parts = [];
+  let depth = 0;
+  let quoteChar = null;
+  let current = '';
+
+  for (const char of body) {
+    if (quoteChar) {
+      if (char === quoteChar) quoteChar = null;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quoteChar = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+const INDEX_DEFINITION = /^(UNIQUE\s+)?(?:FULLTEXT\s+)?(?:INDEX|KEY)\s+[`"]?(\w+)[`"]?\s*\(([^)]*)\)$/i;
+const UNIQUE_DEFINITION = /^UNIQUE\s+[`"]?(\w+)[`"]?\s*\(([^)]*)\)$/i;
+const TABLE_CONSTRAINT = /^(PRIMARY\s+KEY|UNIQUE|CHECK|FOREIGN\s+KEY|CONSTRAINT)\b/i;
+
+/**
+ * Translate one MySQL column definition
+ * @returns {Object} - { name, sql, onUpdate }
+ */
+const translateColumn = (definition) => {
+  const match = /^[`"]?(\w+)[`"]?\s+(\w+)\s*(\([^)]*\))?([\s\S]*)$/.exec(definition.trim());
+  if (!match) {
+    throw sqlError('ER_PARSE_ERROR', 1064, `You have an error in your SQL syntax near '${definition.slice(0, 40)}'`);
+  }
+
+  const [, name, rawType, args = '', rawRest] = match;
+  const column = quote(name);
+  const checks = [];
+  let type;
+
+  switch (rawType.toUpperCase()) {
+    case 'ENUM':
+      type = 'TEXT';
+      checks.push(`${column} IN ${args}`);
+      break;
+    case 'JSON':
+      type = 'TEXT';
+      checks.push(`json_valid(${column})`);
+      break;
+    case 'VARCHAR':
+    case 'CHAR':
+      type = 'TEXT';
+      checks.push(`length(${column}) <= ${args.replace(/[()\s]/g, '')}`);
+      break;
+    case 'TINYINT':
+    case 'SMALLINT':
+    case 'INT':
+    case 'INTEGER':
+    case 'BIGINT':
+    case 'BOOLEAN':
+      type = 'INTEGER';
+      break;
+    case 'DECIMAL':
+    case 'FLOAT':
+    case 'DOUBLE':
+      type = 'REAL';
+      break;
+    default:
+      // TEXT, LONGTEXT, TIMESTAMP, DATETIME, DATE: timestamps are stored as 'YYYY-MM-DD HH:MM:SS'
+      type = 'TEXT';
+  }
+
+  const onUpdate = /\bON\s+UPDATE\s+CURRENT_TIMESTAMP(?:\(\))?/i.test(rawRest);
+  let rest = rawRest
+    .replace(/\bON\s+UPDATE\s+CURRENT_TIMESTAMP(?:\(\))?/i, '')
+    .replace(/\bDEFAULT\s+CURRENT_TIMESTAMP(?:\(\))?/i, 'DEFAULT (mysql_now())')
+    .replace(/\bAUTO_INCREMENT\b/i, '')
+    .trim();
+
+  // MySQL primary keys are implicitly NOT NULL; SQLite allows NULL in non-integer ones
+  if (/\bPRIMARY\s+KEY\b/i.test(rest) && !/\bNOT\s+NULL\b/i.test(rest)) {
+    rest = `NOT NULL ${rest}`;
+  }
+
+  const sql = [column, type, rest, ...checks.map(check => `CHECK (${check})`)].filter(Boolean).join(' ');
+  return { name, sql, onUpdate };
+};
+
+class SqliteSqlDriver {
+  /**
+   * @param {Object} options - { now } clock for CURRENT_TIMESTAMP
+   */
+  constructor({ now = () => new Date() } = {}) {
+    this.now = now;
+    this.db = null;
+  }
+
+  async open() {
+    if (!this.db) {
+      engine = engine || initSqlJs();
+      const SQL = await engine;
+      if (!this.db) {
+        this.db = new SQL.Database();
+        this.db.create_function('mysql_now', () => formatTimestamp(this.now()));
+        this.db.run('PRAGMA case_sensitive_like = ON');
+      }
+    }
+    return this.db;
+  }
+
+  /**
+   * @returns {Object} - { rows, affectedRows }
+   */
+  async execute(sql, params = []) {
+    await this.open();
+
+    try {
+      const statement = sql.trim();
+
+      if (/^CREATE\s+TABLE\b/i.test(statement)) return this.createTable(statement);
+      if (/^CREATE\s+(UNIQUE\s+)?(FULLTEXT\s+)?INDEX\b/i.test(statement)) return this.createIndex(statement);
+      if (/^ALTER\s+TABLE\b/i.test(statement)) return this.alterTable(statement);
+      if (/^DROP\s+INDEX\b/i.test(statement)) {
+        const [, name, table] = /^DROP\s+INDEX\s+[`"]?(\w+)[`"]?\s+ON\s+[`"]?(\w+)[`"]?$/i.exec(statement) || [];
+        return this.run(`DROP INDEX ${quote(`${table}.${name}`)}`);
+      }
+
+      return this.run(this.translate(statement), params);
+    } catch (error) {
+      throw error.errno ? error : this.mapError(error, sql);
+    }
+  }
+
+  /**
+   * Table definition, for inspecting the schema in tests
+   * @returns {Object|null} - { name, columns: [{ name, type, nullable }], indexes: [{ name, columns, unique }] }
+   */
+  describe(name) {
+    if (!this.db || !this.tableSql(name)) return null;
+
+    const columns = this.pragma(`table_info(${quote(name)})`)
+      .map(column => ({ name: column.name, type: column.type, nullable: !column.notnull }));
+    const indexes = this.pragma(`index_list(${quote(name)})`).map(index => {
+      const indexColumns = this.pragma(`index_info(${quote(index.name)})`).map(column => column.name);
+      const indexName = index.origin === 'pk'
+        ? 'PRIMARY'
+        : index.origin === 'u' ? indexColumns[0] : index.name.replace(`${name}.`, '');
+      return { name: indexName, columns: indexColumns, unique: Boolean(index.unique) };
+    });
+
+    return { name, columns, indexes };
+  }
+
+  // Statements
+
+  run(sql, params = []) {
+    const statement = this.db.prepare(sql);
+
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+
+      return statement.getColumnNames().length > 0
+        ? { rows, affectedRows: rows.length }
+        : { rows: [], affectedRows: this.db.getRowsModified() };
+    } finally {
+      statement.free();
+    }
+  }
+
+  pragma(command) {
+    return this.run(`PRAGMA ${command}`).rows;
+  }
+
+  tableSql(table) {
+    const [row] = this.run("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]).rows;
+    return row ? row.sql : null;
+  }
+
+  /**
+   * MySQL-only syntax in data statements: upserts and LIKE escapes
+   */
+  translate(sql) {
+    const upsert = /\bON\s+DUPLICATE\s+KEY\s+UPDATE\b/i.exec(sql);
+    const translated = upsert
+      ? sql.slice(0, upsert.index) + 'ON CONFLICT DO UPDATE SET' +
+        sql.slice(upsert.index + upsert[0].length).replace(/\bVALUES\s*\(\s*[`"]?(\w+)[`"]?\s*\)/gi, 'excluded.$1')
+      : sql;
+
+    return translated.replace(/\bLIKE\s+\?/gi, "LIKE ? ESCAPE '\\'");
+  }
+
+  // DDL
+
+  createTable(sql) {
+    const match = /^CREATE\s+TABLE\s+(IF\s+NOT\s+EXISTS\s+)?[`"]?(\w+)[`"]?\s*\(([\s\S]*)\)[^)]*$/i.exec(sql);
+    if (!match) {
+      throw sqlError('ER_PARSE_ERROR', 1064, `You have an error in your SQL syntax near '${sql.slice(0, 40)}'`);
+    }
+
+    const [, ifNotExists, table, body] = match;
+    if (this.tableSql(table)) {
+      if (ifNotExists) return { rows: [], affectedRows: 0 };
+      throw sqlError('ER_TABLE_EXISTS_ERROR', 1050, `Table '${table}' already exists`);
+    }
+
+    const parts = [];
+    const indexes = [];
+    const onUpdate = [];
+
+    for (const definition of splitTopLevel(body)) {
+      const index = INDEX_DEFINITION.exec(definition);
+      if (index) {
+        if (!/^FULLTEXT/i.test(definition)) {
+          indexes.push({ unique: Boolean(index[1]), name: index[2], columns: columnList(index[3]) });
+        }
+      } else if (TABLE_CONSTRAINT.test(definition)) {
+        parts.push(definition.replace(/`/g, '"'));
+      } else {
+        const column = translateColumn(definition);
+        parts.push(column.sql);
+        if (column.onUpdate) onUpdate.push(column.name);
+      }
+    }
+
+    this.run(`CREATE TABLE ${quote(table)} (\n  ${parts.join(',\n  ')}\n)`);
+    for (const index of indexes) {
+      this.addIndex(table, index);
+    }
+    for (const column of onUpdate) {
+      this.addOnUpdate(table, column);
+    }
+
+    return { rows: [], affectedRows: 0 };
+  }
+
+  createIndex(sql) {
+    const match = /^CREATE\s+(UNIQUE\s+)?(?:FULLTEXT\s+)?INDEX\s+[`"]?(\w+)[`"]?\s+ON\s+[`"]?(\w+)[`"]?\s*\(([^)]*)\)$/i.exec(sql);
+    if (!match) {
+      throw sqlError('ER_PARSE_ERROR', 1064, `You have an error in your SQL syntax near '${sql.slice(0, 40)}'`);
+    }
+
+    const [, unique, name, table, columns] = match;
+    this.requireTable(table);
+    return this.addIndex(table, { unique: Boolean(unique), name, columns: columnList(columns) });
+  }
+
+  addIndex(table, { unique, name, columns }) {
+    const exists = this.run("SELECT name FROM sqlite_master WHERE type = 'index' AND name = ?", [`${table}.${name}`]).rows.length > 0;
+    if (exists) {
+      throw sqlError('ER_DUP_KEYNAME', 1061, `Duplicate key name '${name}'`);
+    }
+
+    return this.run(`CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${quote(`${table}.${name}`)} ON ${quote(table)} (${columns.map(quote).join(', ')})`);
+  }
+
+  /**
+   * ON UPDATE CURRENT_TIMESTAMP: set the column when an update leaves it unchanged
+   */
+  addOnUpdate(table, column) {
+    this.run(`CREATE TRIGGER IF NOT EXISTS ${quote(`${table}.${column}_on_update`)} AFTER UPDATE ON ${quote(table)} ` +
+      `FOR EACH ROW WHEN NEW.${quote(column)} IS OLD.${quote(column)} ` +
+      `BEGIN UPDATE ${quote(table)} SET ${quote(column)} = mysql_now() WHERE rowid = NEW.rowid; END`);
+  }
+
+  alterTable(sql) {
+    const match = /^ALTER\s+TABLE\s+[`"]?(\w+)[`"]?\s+([\s\S]+)$/i.exec(sql);
+    const table = match[1];
+    const action = match[2].trim();
+    this.requireTable(table);
+
+    const index = /^ADD\s+(.*)$/i.exec(action);
+    const indexDefinition = index && (INDEX_DEFINITION.exec(index[1]) || UNIQUE_DEFINITION.exec(index[1]));
+    if (indexDefinition) {
+      const unique = /^UNIQUE/i.test(index[1]);
+      const [name, columns] = indexDefinition.length === 4 ? indexDefinition.slice(2) : indexDefinition.slice(1);
+      return this.addIndex(table, { unique, name, columns: columnList(columns) });
+    }
+
+    const dropIndex = /^DROP\s+(?:INDEX|KEY)\s+[`"]?(\w+)[`"]?$/i.exec(action);
+    if (dropIndex) {
+      return this.run(`DROP INDEX ${quote(`${table}.${dropIndex[1]}`)}`);
+    }
+
+    const column = /^(ADD|MODIFY)(?:\s+COLUMN)?\s+([\s\S]+)$/i.exec(action);
+    if (column) {
+      return this.rebuild(table, column[1].toUpperCase(), translateColumn(column[2]));
+    }
+
+    throw sqlError('ER_PARSE_ERROR', 1064, `ALTER TABLE ${action.split(/\s+/).slice(0, 2).join(' ')} is not supported by the SQLite test driver`);
+  }
+
+  /**
+   * SQLite cannot change a column's type, default or constraints in place, nor add one with
+   * a CURRENT_TIMESTAMP default, so the table is copied into a new definition
+   */
+  rebuild(table, operation, column) {
+    const body = /\(([\s\S]*)\)$/.exec(this.tableSql(table))[1];
+    const parts = splitTopLevel(body);
+    const position = parts.findIndex(part => part.startsWith(quote(column.name)));
+
+    if (operation === 'ADD' && position !== -1) {
+      throw sqlError('ER_DUP_FIELDNAME', 1060, `Duplicate column name '${column.name}'`);
+    }
+    if (operation === 'MODIFY' && position === -1) {
+      throw sqlError('ER_BAD_FIELD_ERROR', 1054, `Unknown column '${column.name}' in '${table}'`);
+    }
+
+    const copied = this.pragma(`table_info(${quote(table)})`).map(info => quote(info.name));
+    const dependents = this.run("SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL", [table]).rows
+      .map(row => row.sql)
+      .filter(statement => !statement.includes(quote(`${table}.${column.name}_on_update`)));
+
+    if (operation === 'ADD') {
+      parts.push(column.sql);
+    } else {
+      parts[position] = column.sql;
+    }
+
+    const rebuilt = `${table}__rebuild`;
+    this.run(`CREATE TABLE ${quote(rebuilt)} (\n  ${parts.join(',\n  ')}\n)`);
+    this.run(`INSERT INTO ${quote(rebuilt)} (${copied.join(', ')}) SELECT ${copied.join(', ')} FROM ${quote(table)}`);
+    this.run(`DROP TABLE ${quote(table)}`);
+    this.run(`ALTER TABLE ${quote(rebuilt)} RENAME TO ${quote(table)}`);
+
+    for (const statement of dependents) {
+      this.run(statement);
+    }
+    if (column.onUpdate) {
+      this.addOnUpdate(table, column.name);
+    }
+
+    return { rows: [], affectedRows: 0 };
+  }
+
+  requireTable(table) {
+    if (!this.tableSql(table)) {
+      throw sqlError('ER_NO_SUCH_TABLE', 1146, `Table '${table}' doesn't exist`);
+    }
+  }
+
+  // Errors
+
+  /**
+   * SQLite error -> the MySQL error Forge SQL would report
+   */
+  mapError(error, sql) {
+    const message = error.message || '';
+    let match;
+
+    if ((match = /UNIQUE constraint failed: (\w+)\.(\w+)/.exec(message))) {
+      const [, table, firstColumn] = match;
+      const columns = [...message.matchAll(/\w+\.(\w+)/g)].map(column => column[1]);
+      const index = (this.describe(table)?.indexes || [])
+        .find(candidate => candidate.unique && candidate.columns.join() === columns.join());
+      return sqlError('ER_DUP_ENTRY', 1062, `Duplicate entry for key '${table}.${index ? index.name : firstColumn}'`);
+    }
+    if ((match = /NOT NULL constraint failed: \w+\.(\w+)/.exec(message))) {
+      return sqlError('ER_BAD_NULL_ERROR', 1048, `Column '${match[1]}' cannot be null`);
+    }
+    if ((match = /CHECK constraint failed: (.*)/.exec(message))) {
+      const column = (/"(\w+)"/.exec(match[1]) || [])[1];
+      if (match[1].includes('json_valid')) {
+        return sqlError('ER_INVALID_JSON_TEXT', 3140, `Invalid JSON text in column '${column}'`);
+      }
+      if (match[1].includes('length(')) {
+        return sqlError('ER_DATA_TOO_LONG', 1406, `Data too long for column '${column}'`);
+      }
+      return sqlError('WARN_DATA_TRUNCATED', 1265, `Data truncated for column '${column}'`);
+    }
+    if ((match = /(?:has no column named|no such column:) (\S+)/.exec(message))) {
+      return sqlError('ER_BAD_FIELD_ERROR', 1054, `Unknown column '${match[1]}' in 'field list'`);
+    }
+    if ((match = /no such table: (\w+)/.exec(message))) {
+      return sqlError('ER_NO_SUCH_TABLE', 1146, `Table '${match[1]}' doesn't exist`);
+    }
+    if ((match = /no such index: (\S+)/.exec(message))) {
+      return sqlError('ER_CANT_DROP_FIELD_OR_KEY', 1091, `Can't DROP '${match[1]}'; check that column/key exists`);
+    }
+    if (/syntax error|incomplete input/.test(message)) {
+      return sqlError('ER_PARSE_ERROR', 1064, `You have an error in your SQL syntax (${message}) in: ${sql.trim().slice(0, 80)}`);
+    }
+
+    return error;
+  }
+}
+
+export default SqliteSqlDriver;
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for long-transcript chunking and map-reduce processing
+ */
+
+import TranscriptChunker from '../services/TranscriptChunker.js';
+import MeetingProcessor from '../services/meeting-processor.js';
+import MeetingService from '../services/MeetingService.js';
+import TranscriptParser from '../services/TranscriptParser.js';
+import { toUtterances, indexUtterances } from '../models/Utterance.js';
+
+jest.mock('@forge/api', () => ({ fetch: jest.fn(), storage: {} }));
+
+describe('TranscriptChunker', () => {
+  const turns = (count, seconds = 60) => toUtterances(Array.from({ length: count }, (_, i) => ({
+    speaker: i % 2 === 0 ? 'Alice' : 'Bob',
+    start: i * seconds,
+    end: (i + 1) * seconds,
+    text: `Turn number ${i} covers an item on the agenda.`
+  })));
+
+  test('should keep short transcripts in a single chunk', () => {
+    const { text, index } = indexUtterances(turns(3));
+    const chunks = new TranscriptChunker({ maxChunkLength: 1000 }).chunk(text, index);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ id: 0, offset: 0, text, start: 0, end: 180 });
+  });
+
+  test('should cut on turn boundaries with one turn of overlap', () => {
+    const { text, index } = indexUtterances(turns(10));
+    const chunks = new TranscriptChunker({ maxChunkLength: 200 }).chunk(text, index);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.text.length).toBeLessThanOrEqual(200);
+      expect(text.slice(chunk.offset, chunk.offset + chunk.text.length)).toBe(chunk.text);
+      expect(chunk.text).toMatch(/^Turn number \d+/);
+    }
+    // Consecutive chunks share a turn and together cover the whole transcript
+    expect(chunks[1].offset).toBeLessThan(chunks[0].offset + chunks[0].text.length);
+    expect(chunks[chunks.length - 1].text).toContain('Turn number 9');
+  });
+
+  test('should start a new chunk when a time window is exceeded', () => {
+    const { text, index } = indexUtterances(turns(6, 600));
+    const chunks = new TranscriptChunker({ maxChunkLength: 100000, windowSeconds: 1800, overlapTurns: 0 }).chunk(text, index);
+
+    expect(chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 1800], [1800, 3600]]);
+  });
+
+  test('should split a single over-long turn at sentence ends', () => {
+    const { text, index } = indexUtterances(toUtterances('Alice: ' + 'This sentence is forty characters long. '.repeat(10)));
+    const chunks = new TranscriptChunker({ maxChunkLength: 100 }).chunk(text, index);
+
+    expect(chunks.length).toBeGreaterThan(3);
+    expect(chunks.every(chunk => chunk.text.length <= 100 && /\.$/.test(chunk.text))).toBe(true);
+  });
+});
+
+describe('MeetingProcessor chunked processing', () => {
+  test('should process the whole of a long transcript instead of truncating it', async () => {
+    const filler = 'We reviewed the architecture diagrams in detail';
+    const lines = [];
+    for (let i = 0; i < 400; i++) {
+      lines.push(`Alice: ${filler} part ${i}.`);
+    }
+    lines.splice(10, 0, 'Bob: I will update the deployment runbook for PROJ-7 by Friday.');
+    lines.push('Carol: We decided to move the database migration to the next release.');
+    lines.push('Bob: I will update the deployment runbook for PROJ-7 by Friday.');
+
+    const processor = new MeetingProcessor();
+    processor.config.basic.maxChunkLength = 5000;
+    const result = await processor.processMeeting(lines.join('\n'), 'basic');
+
+    expect(result.chunkCount).toBeGreaterThan(1);
+    expect(result.transcript).not.toMatch(/\.\.\.$/);
+
+    const decision = result.keyDecisions.find(item => item.decision.includes('database migration'));
+    expect(decision).toMatchObject({ speaker: 'Carol' });
+    expect(result.transcript.substr(decision.position, decision.decision.length)).toBe(decision.decision);
+
+    // The runbook action is said twice, in different chunks, and kept once at its first offset
+    const runbook = result.actionItems.filter(item => item.action.includes('deployment runbook'));
+    expect(runbook).toHaveLength(1);
+    expect(runbook[0].position).toBe(result.transcript.indexOf('I will update the deployment runbook'));
+  });
+});
+
+describe('MeetingService transcript analysis', () => {
+  test('should chunk long meetings at the basic tier', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const lines = [];
+    for (let i = 0; i < 400; i++) {
+      lines.push(`Alice: We reviewed the architecture diagrams in detail part ${i}.`);
+    }
+    lines.push('Carol: We decided to move the database migration to the next release.');
+    lines.push('Bob: PROJ-7 is blocked and I will fix the deployment runbook by Friday.');
+
+    const db = { getConfig: async () => ({}), findById: async () => null };
+    const service = new MeetingService({ db, jira: {} });
+    service.getSpokenKeyOptions = async () => undefined;
+    service.meetingProcessor.config.basic.maxChunkLength = 5000;
+
+    const { utterances } = new TranscriptParser().parse(lines.join('\n'));
+    const analysis = await service.analyzeTranscript(utterances, { meetingDate: '2024-03-04T10:00:00Z', teamId: 'team-1' });
+
+    expect(analysis).toMatchObject({ processingTier: 'basic', aiProvider: null });
+    expect(analysis.chunkCount).toBeGreaterThan(1);
+    expect(analysis.keyDecisions.find(item => item.decision.includes('database migration'))).toMatchObject({ speaker: 'Carol' });
+    expect(analysis.actionItems.find(item => item.action.includes('deployment runbook'))).toMatchObject({ speaker: 'Bob', dueDate: '2024-03-08' });
+    expect(analysis.ticketMentions[0]).toMatchObject({ ticketId: 'PROJ-7', speaker: 'Bob' });
+    expect(analysis.ticketMentions[0].sentiment).toBeLessThan(0);
+    expect(analysis.topics.length).toBeGreaterThan(0);
+    jest.restoreAllMocks();
+  });
+});
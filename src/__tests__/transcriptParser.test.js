@@ -0,0 +1,255 @@
+/**
+ * Unit tests for transcript ingestion (platform exports / WebVTT / SRT / plain text) and the Utterance model
+ */
+
+import zlib from 'zlib';
+import TranscriptParser from '../services/TranscriptParser.js';
+import Utterance, { toUtterances, indexUtterances, utteranceAt } from '../models/Utterance.js';
+
+describe('TranscriptParser', () => {
+  const parser = new TranscriptParser();
+
+  const vtt = [
+    'WEBVTT',
+    '',
+    'NOTE exported from Teams',
+    '',
+    '1',
+    '00:00:01.000 --> 00:00:04.500',
+    '<v Alice Smith>We need to fix PROJ-123 before release.</v>',
+    '',
+    '00:01:02.250 --> 00:01:05.000 align:start',
+    '<v.loud Bob>Agreed, I will take it.</v>'
+  ].join('\n');
+
+  const srt = [
+    '1',
+    '00:00:01,000 --> 00:00:03,000',
+    'Carol: Decided to ship on Friday.',
+    '',
+    '2',
+    '01:00:00,500 --> 01:00:02,000',
+    'Thanks everyone.'
+  ].join('\r\n');
+
+  describe('detectFormat', () => {
+    test('should detect formats from content and file name', () => {
+      expect(parser.detectFormat(vtt)).toBe('vtt');
+      expect(parser.detectFormat(srt)).toBe('srt');
+      expect(parser.detectFormat('Just some notes')).toBe('text');
+      expect(parser.detectFormat('anything', 'meeting.SRT')).toBe('srt');
+    });
+  });
+
+  describe('parseTimestamp', () => {
+    test('should convert cue timestamps to seconds', () => {
+      expect(parser.parseTimestamp('00:01:02.250')).toBe(62.25);
+      expect(parser.parseTimestamp('01:02.5')).toBe(62.5);
+      expect(parser.parseTimestamp('01:00:00,500')).toBe(3600.5);
+      expect(parser.parseTimestamp('nonsense')).toBeNull();
+    });
+  });
+
+  describe('parseWebVTT', () => {
+    test('should keep cue timing and voice tag speakers', () => {
+      const { format, utterances } = parser.parse(vtt, { format: 'vtt' });
+
+      expect(format).toBe('vtt');
+      expect(utterances.map(u => u.toJSON())).toEqual([
+        { start: 1, end: 4.5, speaker: 'Alice Smith', text: 'We need to fix PROJ-123 before release.' },
+        { start: 62.25, end: 65, speaker: 'Bob', text: 'Agreed, I will take it.' }
+      ]);
+      expect(utterances[1]).toBeInstanceOf(Utterance);
+      expect(utterances[1].duration).toBe(2.75);
+    });
+
+    test('should split cues containing several voices', () => {
+      const utterances = parser.parseWebVTT('WEBVTT\n\n00:00.000 --> 00:02.000\n<v A>Hi</v> <v B>Hello &amp; welcome</v>');
+      expect(utterances.map(u => [u.speaker, u.text])).toEqual([['A', 'Hi'], ['B', 'Hello & welcome']]);
+    });
+  });
+
+  describe('parseSRT', () => {
+    test('should parse SRT blocks and inline speaker prefixes', () => {
+      const { format, utterances, text } = parser.parse(srt);
+
+      expect(format).toBe('srt');
+      expect(utterances[0]).toMatchObject({ start: 1, end: 3, speaker: 'Carol', text: 'Decided to ship on Friday.' });
+      expect(utterances[1]).toMatchObject({ start: 3600.5, end: 3602, speaker: null });
+      expect(text).toBe('Carol: Decided to ship on Friday.\nThanks everyone.');
+    });
+  });
+
+  test('should reject empty content', () => {
+    expect(() => parser.parse('')).toThrow('Invalid transcript provided');
+  });
+});
+
+describe('Platform exports', () => {
+  const parser = new TranscriptParser();
+  const vttWithoutSpeakers = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nCaption text';
+
+  // Single-entry deflated zip, enough for a word/document.xml
+  const buildDocx = (paragraphs) => {
+    const xml = `<w:document><w:body>${paragraphs.map(p => `<w:p><w:r><w:t>${p}</w:t></w:r></w:p>`).join('')}</w:body></w:document>`;
+    const name = Buffer.from('word/document.xml');
+    const data = zlib.deflateRawSync(Buffer.from(xml));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(name.length, 28);
+
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(1, 10);
+    eocd.writeUInt32LE(local.length + name.length + data.length, 16);
+
+    return Buffer.concat([local, name, data, central, name, eocd]);
+  };
+
+  test('should parse Zoom cloud recording VTT with inline speakers', () => {
+    const zoom = 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nAlice Smith: Look at PROJ-1.\n\n2\n00:00:05.000 --> 00:00:07.000\nBob: Sure.';
+    const result = parser.parse(zoom, { fileName: 'GMT20240115-150000_Recording.transcript.vtt' });
+
+    expect(result).toMatchObject({
+      format: 'zoom-vtt',
+      platform: 'Zoom',
+      date: '2024-01-15T15:00:00.000Z',
+      participants: ['Alice Smith', 'Bob']
+    });
+    expect(result.utterances[0]).toMatchObject({ speaker: 'Alice Smith', start: 1, end: 4 });
+  });
+
+  test('should parse Teams VTT exports by their cue ids or NOTE header', () => {
+    const teams = [
+      'WEBVTT',
+      '',
+      '0b7e9a3c-5d2f-4c1e-9f8a-2b6d4e1c7a90/12-0',
+      '00:00:01.000 --> 00:00:04.000',
+      '<v Alice Smith>PROJ-4 is blocked.</v>'
+    ].join('\n');
+
+    expect(parser.parse(teams, { fileName: 'Standup.vtt' })).toMatchObject({ format: 'teams-vtt', platform: 'Teams', title: 'Standup' });
+    expect(parser.parse(teams.replace(/^0b7e.*$/m, 'NOTE Microsoft Teams transcript')).platform).toBe('Teams');
+  });
+
+  test('should not take generic VTT with voice tags for Teams', () => {
+    const generic = [
+      'WEBVTT',
+      '',
+      'NOTE captions for the all-hands recording',
+      '',
+      '1',
+      '00:00:01.000 --> 00:00:04.000',
+      '<v Alice Smith>Welcome everyone.</v>'
+    ].join('\n');
+    const result = parser.parse(generic);
+
+    expect(result.platform).toBeNull();
+    expect(result.format).toBe('vtt');
+    expect(result.utterances[0]).toMatchObject({ speaker: 'Alice Smith', text: 'Welcome everyone.' });
+  });
+
+  test('should parse Teams .docx exports, current and legacy layouts', () => {
+    const current = parser.parse(buildDocx([
+      'Sprint Review', 'January 15, 2024, 3:00PM', '45m 12s',
+      'Alice Smith   0:03', 'We need PROJ-2.',
+      'Bob Jones   1:02', 'Agreed.'
+    ]));
+
+    expect(current).toMatchObject({ format: 'teams-docx', platform: 'Teams', title: 'Sprint Review' });
+    expect(current.date).toMatch(/^2024-01-15T/);
+    expect(current.utterances.map(u => [u.speaker, u.start, u.end])).toEqual([
+      ['Alice Smith', 3, 62],
+      ['Bob Jones', 62, null]
+    ]);
+
+    const legacy = parser.parse(buildDocx(['Standup', '0:0:0.0 --> 0:0:5.0', 'Alice', 'Hello all']));
+    expect(legacy.utterances[0].toJSON()).toEqual({ speaker: 'Alice', start: 0, end: 5, text: 'Hello all' });
+  });
+
+  test('should parse Google Meet transcripts with timestamp markers', () => {
+    const meet = [
+      'Weekly sync (2024-01-15 at 10:00 GMT-8) - Transcript',
+      'Attendees',
+      'Alice Smith, Bob Jones, Carol',
+      'Transcript',
+      '00:00:00',
+      'Alice Smith: Morning all.',
+      '00:01:10',
+      'Bob Jones: PROJ-3 is done.',
+      'Transcript ended after 00:45:12',
+      'This editable transcript was computer generated and might contain errors.'
+    ].join('\n');
+    const result = parser.parse(meet);
+
+    expect(result).toMatchObject({
+      format: 'google-meet',
+      platform: 'Google Meet',
+      title: 'Weekly sync',
+      date: '2024-01-15T18:00:00.000Z',
+      participants: ['Alice Smith', 'Bob Jones', 'Carol']
+    });
+    expect(result.utterances.map(u => [u.speaker, u.start, u.end])).toEqual([
+      ['Alice Smith', 0, 70],
+      ['Bob Jones', 70, 2712]
+    ]);
+  });
+
+  test('should parse Otter TXT and JSON exports', () => {
+    const txt = parser.parse('Alice Smith  0:03\nWe should ship.\n\nBob  1:02\nOK.\n\nTranscribed by https://otter.ai', {
+      fileName: 'Planning.txt'
+    });
+    expect(txt).toMatchObject({ format: 'otter-txt', platform: 'Otter', title: 'Planning' });
+    expect(txt.text).toBe('Alice Smith: We should ship.\nBob: OK.');
+
+    const json = parser.parse(JSON.stringify({
+      title: 'Planning',
+      start_time: 1705330800,
+      speakers: [{ id: 1, name: 'Alice' }],
+      transcripts: [
+        { speaker: 1, start_offset: 1000, end_offset: 4000, transcript: 'Hi' },
+        { speaker_name: 'Bob', start_offset: 5000, transcript: 'Hello' }
+      ]
+    }));
+    expect(json).toMatchObject({ format: 'otter-json', title: 'Planning', date: '2024-01-15T15:00:00.000Z' });
+    expect(json.utterances.map(u => [u.speaker, u.start, u.end])).toEqual([['Alice', 1, 4], ['Bob', 5, null]]);
+  });
+
+  test('should leave plain caption files to the generic parsers', () => {
+    expect(parser.parse(vttWithoutSpeakers).platform).toBeNull();
+    expect(parser.parse('Alice: plain notes').format).toBe('text');
+  });
+});
+
+describe('Utterance', () => {
+  test('should split plain text lines into speaker turns', () => {
+    const utterances = toUtterances('Alice: We should ship.\n\nsome untagged note\n[Bob Lee]: Agreed');
+
+    expect(utterances.map(u => [u.speaker, u.text, u.isTimed])).toEqual([
+      ['Alice', 'We should ship.', false],
+      [null, 'some untagged note', false],
+      ['Bob Lee', 'Agreed', false]
+    ]);
+  });
+
+  test('should index flattened text back to the utterance at an offset', () => {
+    const utterances = toUtterances([
+      { speaker: 'Alice', start: 0, end: 5, text: 'Fix PROJ-1' },
+      { speaker: 'Bob', start: 5, end: 9, text: 'On it' }
+    ]);
+    const { text, index } = indexUtterances(utterances);
+
+    expect(text).toBe('Fix PROJ-1. On it');
+    expect(utteranceAt(index, text.indexOf('PROJ-1')).speaker).toBe('Alice');
+    expect(utteranceAt(index, text.indexOf('On it')).speaker).toBe('Bob');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the meeting upload web trigger: authentication, headers, file type checks and issue linking
+ */
+
+import { handler } from '../handlers/upload-webtrigger.js';
+import MeetingService from '../services/MeetingService.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: {},
+  route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+  storage: {}
+}));
+
+jest.mock('../services/DatabaseService.js', () => jest.fn().mockImplementation(() => ({
+  getConfig: async () => ({ max_file_size_mb: 1 })
+})));
+
+jest.mock('../services/MeetingService.js', () => jest.fn());
+
+const boundary = '----UploadBoundary';
+
+const upload = (headers = {}, fileName = 'standup.mp3', content = 'ID3 audio bytes', fields = {}) => ({
+  method: 'POST',
+  headers: {
+    'content-type': [`multipart/form-data; boundary=${boundary}`],
+    ...headers
+  },
+  body: Buffer.concat([
+    ...Object.entries(fields).map(([name, value]) =>
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)),
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\n\r\n`),
+    Buffer.from(content),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ])
+});
+
+describe('Upload web trigger', () => {
+  const originalSecret = process.env.UPLOAD_SECRET;
+
+  beforeEach(() => {
+    process.env.UPLOAD_SECRET = 'upload-secret';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.UPLOAD_SECRET;
+    } else {
+      process.env.UPLOAD_SECRET = originalSecret;
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('rejects uploads without the shared secret', async () => {
+    for (const authorization of [undefined, ['Bearer wrong'], ['upload-secret'], ['Bearer ']]) {
+      const response = await handler(upload(authorization ? { authorization } : {}));
+      expect(response.statusCode).toBe(401);
+      expect(JSON.parse(response.body)).toEqual({ success: false, error: 'Unauthorized' });
+    }
+  });
+
+  test('refuses every upload while no secret is configured', async () => {
+    delete process.env.UPLOAD_SECRET;
+
+    const response = await handler(upload({ Authorization: ['Bearer '] }));
+    expect(response.statusCode).toBe(503);
+  });
+
+  test('checks the file once authenticated and sends no CORS headers', async () => {
+    const response = await handler(upload({ Authorization: ['Bearer upload-secret'] }));
+
+    expect(response.statusCode).toBe(415);
+    expect(JSON.parse(response.body).error).toMatch(/^Audio files cannot be transcribed/);
+    expect(response.headers).toEqual({ 'Content-Type': ['application/json'] });
+
+    expect((await handler({ method: 'OPTIONS', headers: {} })).statusCode).toBe(405);
+  });
+
+  test('lists a transcript upload on its issue and answers 201 once analyzed, 202 once queued', async () => {
+    const attachToIssue = jest.fn(async () => [{ id: 'change-1' }]);
+    let status = 'completed';
+    MeetingService.mockImplementation(() => ({
+      processTextTranscript: async () => ({ id: 'm-1', processing_status: status, platform: null }),
+      attachToIssue
+    }));
+    const authorization = { Authorization: ['Bearer upload-secret'] };
+    const transcript = 'Alice: PROJ-7 is done.';
+
+    const created = await handler(upload(authorization, 'standup.txt', transcript, { issueKey: 'proj-7' }), { cloudId: 'cloud-1' });
+    expect(created.statusCode).toBe(201);
+    expect(JSON.parse(created.body)).toMatchObject({ meetingId: 'm-1', status: 'completed', issueKey: 'PROJ-7', pendingChanges: 1 });
+    expect(attachToIssue).toHaveBeenCalledWith(expect.objectContaining({ id: 'm-1' }), 'PROJ-7', { siteId: 'cloud-1' });
+
+    status = 'pending';
+    const queued = await handler(upload(authorization, 'standup.txt', transcript));
+    expect(queued.statusCode).toBe(202);
+    expect(attachToIssue).toHaveBeenCalledTimes(1);
+
+    const invalid = await handler(upload(authorization, 'standup.txt', transcript, { issueKey: 'not a key' }));
+    expect(invalid.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for splitting meeting time into worklog entries
+ */
+
+import WorklogPlanner from '../services/WorklogPlanner.js';
+
+describe('WorklogPlanner', () => {
+  // 30 minute meeting: 1 minute of small talk, 14 minutes on PROJ-1, 15 on PROJ-2
+  const utterances = [
+    { speaker: 'Alex', start: 0, end: 60, text: 'Morning all.' },
+    { speaker: 'Sam', start: 60, end: 600, text: 'PROJ-1 first, the login timeout.' },
+    { speaker: 'Alex', start: 600, end: 900, text: 'Agreed, it needs a config change.' },
+    { speaker: 'Priya', start: 900, end: 1500, text: 'Moving on to PROJ-2.' },
+    { speaker: 'Priya', start: 1500, end: 1800, text: "That's all." }
+  ];
+  const mentions = [{ ticketId: 'PROJ-1' }, { ticketId: 'PROJ-2' }];
+  const participants = ['Alex', 'Sam', 'Priya'];
+
+  test('should carry a ticket as the topic until the next one and scale to the meeting length', () => {
+    const { tickets, unassigned } = new WorklogPlanner().shareDiscussion(utterances, mentions, 1800);
+
+    expect(tickets.get('PROJ-1').seconds).toBe(840);
+    expect([...tickets.get('PROJ-1').speakers]).toEqual(['Sam', 'Alex']);
+    expect(tickets.get('PROJ-2').seconds).toBe(900);
+    expect(unassigned).toBe(60);
+  });
+
+  test('should plan one rounded entry per participant per ticket', () => {
+    const entries = new WorklogPlanner().plan({ durationMinutes: 30, utterances, mentions, participants });
+
+    expect(entries).toHaveLength(6);
+    expect(entries.filter(entry => entry.ticketId === 'PROJ-1').map(entry => [entry.participant, entry.timeSpentSeconds]))
+      .toEqual([['Alex', 900], ['Sam', 900], ['Priya', 900]]);
+    expect(entries[0].share).toBe(0.48);
+  });
+
+  test('should apply the configured split rules', () => {
+    const speakersOnly = new WorklogPlanner({ attendees: 'speakers', round_to_minutes: 1 })
+      .plan({ durationMinutes: 30, utterances, mentions, participants });
+    expect(speakersOnly.map(entry => [entry.ticketId, entry.participant, entry.timeSpentSeconds])).toEqual([
+      ['PROJ-1', 'Alex', 840],
+      ['PROJ-1', 'Sam', 840],
+      ['PROJ-2', 'Priya', 900]
+    ]);
+
+    const even = new WorklogPlanner({ split: 'even', include_unassigned_time: true, round_to_minutes: 1 })
+      .plan({ durationMinutes: 30, utterances, mentions, participants: ['Sam'] });
+    expect(even.map(entry => entry.timeSpentSeconds)).toEqual([900, 900]);
+
+    expect(new WorklogPlanner({ min_minutes: 20 }).plan({ durationMinutes: 30, utterances, mentions, participants })).toEqual([]);
+    expect(new WorklogPlanner({ enabled: false }).plan({ durationMinutes: 30, utterances, mentions, participants })).toEqual([]);
+  });
+
+  test('should weigh untimed turns by length and find implied mentions by their utterance', () => {
+    const entries = new WorklogPlanner({ round_to_minutes: 1, min_minutes: 1 }).plan({
+      durationMinutes: 10,
+      utterances: [
+        { speaker: 'Sam', text: 'The login timeout bug is back again.' },
+        { speaker: 'Alex', text: 'PROJ-2 is fine.' }
+      ],
+      mentions: [
+        { ticketId: 'PROJ-1', implied: true, context: 'The login timeout bug is back again.' },
+        { ticketId: 'PROJ-2' }
+      ]
+    });
+
+    // 36 and 15 characters of 51
+    expect(entries.map(entry => [entry.ticketId, entry.participant, entry.timeSpentSeconds])).toEqual([
+      ['PROJ-1', 'Sam', 420],
+      ['PROJ-1', 'Alex', 420],
+      ['PROJ-2', 'Sam', 180],
+      ['PROJ-2', 'Alex', 180]
+    ]);
+  });
+});
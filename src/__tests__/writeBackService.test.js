@@ -0,0 +1,372 @@
+/**
+ * Unit tests for staging Jira write-back as reviewable pending changes
+ */
+
+import WriteBackService from '../services/WriteBackService.js';
+import { documentToText } from '../utils/adf.js';
+
+jest.mock('@forge/api', () => ({
+  __esModule: true,
+  default: {},
+  route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+  storage: {}
+}));
+
+// In-memory stand-in for DatabaseService, keyed like storage as `${table}:${id}`
+const createDb = (mentions = []) => {
+  const records = new Map();
+  let clock = 0;
+
+  return {
+    records,
+    insert: async (table, data) => {
+      const record = { ...data, created_at: data.created_at || new Date(Date.UTC(2024, 0, 1, 0, 0, clock++)).toISOString() };
+      records.set(`${table}:${data.id}`, record);
+      return record;
+    },
+    update: async (table, id, data) => {
+      const record = { ...records.get(`${table}:${id}`), ...data };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    updateWhere: async (table, id, expected, data) => {
+      const existing = records.get(`${table}:${id}`);
+      if (!existing || Object.entries(expected).some(([field, value]) => existing[field] !== value)) {
+        return null;
+      }
+      const record = { ...existing, ...data };
+      records.set(`${table}:${id}`, record);
+      return record;
+    },
+    findById: async (table, id) => records.get(`${table}:${id}`) || null,
+    delete: async (table, id) => records.delete(`${table}:${id}`),
+    findAll: async (table, where = {}) => [...records.entries()]
+      .filter(([key]) => key.startsWith(`${table}:`))
+      .map(([, record]) => record)
+      .filter(record => Object.entries(where).every(([field, value]) => record[field] === value)),
+    getTicketMentions: async () => mentions,
+    getConfig: async () => ({})
+  };
+};
+
+describe('WriteBackService', () => {
+  const meeting = {
+    id: 'meeting-1',
+    title: 'Sprint planning',
+    start_time: '2024-03-06T15:00:00Z',
+    participants: JSON.stringify(['Alex Chen']),
+    processed_data: JSON.stringify({
+      summary: 'Planned the release.',
+      actionItems: [{ action: 'Update the runbook', responsible: 'Alex', dueDate: '2024-03-08' }]
+    })
+  };
+  const mentions = [{ ticket_id: 'PROJ-1', discussion_summary: 'PROJ-1 is nearly done' }];
+
+  let db;
+  let jira;
+  let service;
+
+  beforeEach(() => {
+    db = createDb(mentions);
+    jira = {
+      upsertMeetingComment: jest.fn(async () => ({ id: '10', action: 'created' })),
+      addLabelsToIssue: jest.fn(async (issueKey, labels) => labels),
+      transitionIssue: jest.fn(),
+      createIssuesFromActionItems: jest.fn(async () => [{ success: true, created: true, issueKey: 'PROJ-9' }])
+    };
+    const identity = {
+      assignActionItems: async (items) => items.map(item => ({ ...item, assignee: { accountId: 'acc-alex', displayName: 'Alex Chen' } }))
+    };
+    service = new WriteBackService({ db, jira, identity, now: () => new Date('2024-03-07T10:00:00Z') });
+  });
+
+  test('should only propose changes, never write to Jira on its own', async () => {
+    const changes = await service.proposeForMeeting(meeting, { issueKey: 'PROJ-5', actor: 'acc-1' });
+
+    expect(changes.map(change => [change.change_type, change.issue_key, change.status])).toEqual([
+      ['comment', 'PROJ-1', 'pending'],
+      ['label', 'PROJ-1', 'pending'],
+      ['create_issue', 'PROJ-5', 'pending']
+    ]);
+    expect(changes[0].preview).toContain('PROJ-1 is nearly done');
+    expect(changes[2].payload).toMatchObject({ action: 'Update the runbook', dueDate: '2024-03-08', assignee: { accountId: 'acc-alex' } });
+    Object.values(jira).forEach(method => expect(method).not.toHaveBeenCalled());
+
+    // Re-processing replaces undecided proposals instead of piling them up
+    await service.proposeForMeeting(meeting, { issueKey: 'PROJ-5' });
+    expect(await service.listChanges({ meetingId: 'meeting-1' })).toHaveLength(3);
+  });
+
+  test('should apply only approved changes, with the reviewer edits', async () => {
+    const [comment, label, createIssue] = await service.proposeForMeeting(meeting, { issueKey: 'PROJ-5' });
+
+    await service.approve(comment.id, 'acc-1', { text: 'Discussed in planning, ship Friday' });
+    await service.approve(createIssue.id, 'acc-1', { dueDate: '2024-03-11', issueKey: 'proj-6' });
+    await service.reject(label.id, 'acc-1', 'Not needed');
+
+    const result = await service.applyApproved({ meetingId: 'meeting-1' }, 'acc-1');
+
+    expect(result).toMatchObject({ applied: 2, failed: 0 });
+    expect(jira.addLabelsToIssue).not.toHaveBeenCalled();
+    expect(documentToText(jira.upsertMeetingComment.mock.calls[0][2])).toBe('Discussed in planning, ship Friday');
+    expect(jira.createIssuesFromActionItems).toHaveBeenCalledWith(
+      'PROJ-6',
+      [expect.objectContaining({ action: 'Update the runbook', dueDate: '2024-03-11' })],
+      expect.objectContaining({ issueType: 'subtask' })
+    );
+
+    const statuses = (await service.listChanges({ meetingId: 'meeting-1' })).map(change => change.status);
+    expect(statuses).toEqual(['applied', 'rejected', 'applied']);
+  });
+
+  test('should propose a transition for a spoken status change with the quote as comment', async () => {
+    jira.getAvailableTransitions = jest.fn(async () => [
+      { id: '11', name: 'Start Progress', to: { name: 'In Progress' } },
+      { id: '31', name: 'Done', to: { name: 'Done' } }
+    ]);
+    jira.getIssue = jest.fn(async () => ({ key: 'PROJ-1', status: { name: 'In Progress' } }));
+
+    const changes = await service.proposeForMeeting({
+      ...meeting,
+      utterances: JSON.stringify([
+        { speaker: 'Sam', text: 'PROJ-1 is done.' },
+        { speaker: 'Alex', text: 'And PROJ-77 is done too.' }
+      ])
+    });
+    const transition = changes.find(change => change.change_type === 'transition');
+
+    expect(changes.filter(change => change.change_type === 'transition')).toHaveLength(1);
+    expect(transition).toMatchObject({
+      issue_key: 'PROJ-1',
+      summary: 'Move PROJ-1 to Done',
+      payload: { transitionId: '31', comment: '"PROJ-1 is done." - Sam', intent: 'done' }
+    });
+
+    await service.approve(transition.id, 'acc-1');
+    await service.applyApproved({ meetingId: 'meeting-1' });
+    expect(jira.transitionIssue).toHaveBeenCalledWith('PROJ-1', '31', '"PROJ-1 is done." - Sam');
+  });
+
+  test('should propose issue links for relations between mentioned tickets', async () => {
+    db = createDb([...mentions, { ticket_id: 'PROJ-2', discussion_summary: 'PROJ-2 waits on PROJ-1' }]);
+    service.db = db;
+    jira.linkIssues = jest.fn();
+    jira.getIssue = jest.fn(async (key) => ({ key, issueLinks: [] }));
+
+    const changes = await service.proposeForMeeting({
+      ...meeting,
+      utterances: JSON.stringify([
+        { speaker: 'Sam', text: 'PROJ-2 is blocked by PROJ-1 until the schema lands.' },
+        { speaker: 'Alex', text: 'PROJ-1 blocks PROJ-99 too.' }
+      ])
+    });
+    const links = changes.filter(change => change.change_type === 'issue_link');
+
+    expect(links).toHaveLength(1);
+    expect(links[0]).toMatchObject({
+      issue_key: 'PROJ-1',
+      summary: 'Link PROJ-1 blocks PROJ-2',
+      payload: { linkType: 'Blocks', to: 'PROJ-2', relation: 'blocks', speaker: 'Sam' }
+    });
+    expect(jira.linkIssues).not.toHaveBeenCalled();
+
+    await expect(service.approve(links[0].id, 'acc-1', { to: 'nope' })).rejects.toThrow('Invalid issue key');
+    await service.approve(links[0].id, 'acc-1', { linkType: 'Relates' });
+    await service.applyApproved({ meetingId: 'meeting-1' });
+    expect(jira.linkIssues).toHaveBeenCalledWith('Relates', 'PROJ-1', 'PROJ-2');
+  });
+
+  test('should propose the mapped custom field values per mentioned ticket', async () => {
+    db.getConfig = async (key) => (key === 'field_mappings' ? { mappings: { meeting_date: 'customfield_10051' } } : {});
+    jira.getFields = jest.fn(async () => [{ id: 'customfield_10051', name: 'Last Discussed', custom: true, schema: { type: 'date' } }]);
+    jira.updateIssueField = jest.fn(async () => true);
+
+    const changes = await service.proposeForMeeting(meeting);
+    const fieldUpdate = changes.find(change => change.change_type === 'field_update');
+
+    expect(fieldUpdate).toMatchObject({
+      issue_key: 'PROJ-1',
+      summary: 'Set Last Discussed on PROJ-1',
+      preview: 'Last Discussed: 2024-03-06'
+    });
+
+    await service.approve(fieldUpdate.id, 'acc-1');
+    await service.applyApproved({ meetingId: 'meeting-1' });
+    expect(jira.updateIssueField).toHaveBeenCalledWith('PROJ-1', { customfield_10051: '2024-03-06' });
+  });
+
+  test('should propose a worklog per participant and post it only once approved', async () => {
+    jira.addWorklog = jest.fn(async () => ({ id: '100' }));
+    service.identity.resolveMany = async () => new Map([['Alex Chen', { accountId: 'acc-alex', displayName: 'Alex Chen' }]]);
+
+    const changes = await service.proposeForMeeting({
+      ...meeting,
+      duration_minutes: 30,
+      utterances: JSON.stringify([
+        { speaker: 'Alex Chen', start: 0, end: 1800, text: 'PROJ-1 needs another pass on the retry logic.' }
+      ])
+    });
+    const worklog = changes.find(change => change.change_type === 'worklog');
+
+    expect(worklog).toMatchObject({
+      issue_key: 'PROJ-1',
+      summary: 'Log 30m on PROJ-1 for Alex Chen (from their own account)',
+      payload: {
+        timeSpentSeconds: 1800,
+        started: '2024-03-06T15:00:00Z',
+        comment: '"Sprint planning" - 100% of the discussion',
+        participant: { accountId: 'acc-alex' }
+      }
+    });
+    expect(jira.addWorklog).not.toHaveBeenCalled();
+
+    // Jira books the worklog to whoever posts it, so only Alex can approve and apply it
+    await expect(service.approve(worklog.id, 'acc-1')).rejects.toThrow('Only Alex Chen can approve this worklog');
+    await service.approve(worklog.id, 'acc-alex', { timeSpentSeconds: 1200 });
+    expect(await service.applyApproved({ meetingId: 'meeting-1' }, 'acc-1')).toMatchObject({ applied: 0, failed: 0 });
+    expect(jira.addWorklog).not.toHaveBeenCalled();
+
+    await service.applyApproved({ meetingId: 'meeting-1' }, 'acc-alex');
+    expect(jira.addWorklog).toHaveBeenCalledWith('PROJ-1', expect.objectContaining({
+      timeSpentSeconds: 1200,
+      started: '2024-03-06T15:00:00Z'
+    }));
+  });
+
+  test('should not propose worklogs again once they are approved or applied', async () => {
+    jira.addWorklog = jest.fn(async () => ({ id: '100' }));
+    service.identity.resolveMany = async () => new Map([
+      ['Alex Chen', { accountId: 'acc-alex', displayName: 'Alex Chen' }],
+      ['Sam Lee', { accountId: 'acc-sam', displayName: 'Sam Lee' }]
+    ]);
+    const recorded = {
+      ...meeting,
+      participants: JSON.stringify(['Alex Chen', 'Sam Lee']),
+      duration_minutes: 30,
+      utterances: JSON.stringify([
+        { speaker: 'Alex Chen', start: 0, end: 900, text: 'PROJ-1 needs another pass on the retry logic.' },
+        { speaker: 'Sam Lee', start: 900, end: 1800, text: 'Agreed, I can pair on it.' }
+      ])
+    };
+
+    const worklogs = (await service.proposeForMeeting(recorded)).filter(change => change.change_type === 'worklog');
+    const alex = worklogs.find(change => change.payload.participant.name === 'Alex Chen');
+    const sam = worklogs.find(change => change.payload.participant.name === 'Sam Lee');
+    await service.approve(alex.id, 'acc-alex');
+    await service.applyApproved({ meetingId: 'meeting-1' }, 'acc-alex');
+    await service.approve(sam.id, 'acc-sam');
+
+    // Re-running (an edit in the panel) proposes neither the booked nor the approved time again
+    const rerun = await service.proposeForMeeting(recorded);
+    expect(rerun.filter(change => change.change_type === 'worklog')).toEqual([]);
+    expect(jira.addWorklog).toHaveBeenCalledTimes(1);
+  });
+
+  test('should refuse edits outside the change type and decisions on decided changes', async () => {
+    const [comment, label] = await service.proposeForMeeting(meeting);
+
+    await expect(service.approve(label.id, 'acc-1', { document: {} })).rejects.toThrow('cannot be edited');
+    await expect(service.approve(comment.id, 'acc-1', { issueKey: 'not a key' })).rejects.toThrow('Invalid issue key');
+
+    await service.reject(comment.id, 'acc-1');
+    await expect(service.approve(comment.id, 'acc-1')).rejects.toThrow('already rejected');
+  });
+
+  test('should refuse edits of the wrong type before they reach describe or Jira', async () => {
+    const [, label, createIssue] = await service.proposeForMeeting(meeting, { issueKey: 'PROJ-5' });
+
+    await expect(service.approve(label.id, 'acc-1', { labels: 'planning' })).rejects.toThrow('Labels must be a non-empty list');
+    await expect(service.approve(label.id, 'acc-1', { labels: ['ok', 7] })).rejects.toThrow('Label must be text');
+    await expect(service.approve(createIssue.id, 'acc-1', { dueDate: 'next week' })).rejects.toThrow('YYYY-MM-DD');
+    await expect(service.approve(createIssue.id, 'acc-1', { issueType: 'epic' })).rejects.toThrow('Issue type');
+    expect((await db.findById('pending_changes', label.id)).status).toBe('pending');
+
+    const approved = await service.approve(createIssue.id, 'acc-1', { assignee: 'acc-sam', action: ' Book the venue ' });
+    expect(approved.payload).toMatchObject({ assignee: { accountId: 'acc-sam' }, action: 'Book the venue' });
+  });
+
+  test('should only accept whole minutes of time on a worklog edit', async () => {
+    const worklog = (await service.saveProposals([service.proposal(meeting, 'PROJ-1', 'worklog', {
+      participant: { accountId: 'acc-1', displayName: 'Alex Chen' },
+      timeSpentSeconds: 1800,
+      started: '2024-03-06T15:00:00.000+0000'
+    })]))[0];
+
+    for (const timeSpentSeconds of ['half an hour', -60, 30, 90.5, null]) {
+      await expect(service.approve(worklog.id, 'acc-1', { timeSpentSeconds })).rejects.toThrow('Time spent must be a whole number of seconds');
+    }
+    await expect(service.approve(worklog.id, 'acc-1', { started: 'yesterday' })).rejects.toThrow('Start time');
+
+    const approved = await service.approve(worklog.id, 'acc-1', { timeSpentSeconds: '2700' });
+    expect(approved.payload.timeSpentSeconds).toBe(2700);
+    expect(approved.summary).toContain('Log 45m on PROJ-1');
+  });
+
+  test('should claim each approved change before posting it, so overlapping runs post it once', async () => {
+    const [comment, label] = await service.proposeForMeeting(meeting);
+    await service.approve(comment.id, 'acc-1');
+    await service.approve(label.id, 'acc-1');
+
+    const [first, second] = await Promise.all([
+      service.applyApproved({ meetingId: 'meeting-1' }, 'acc-1'),
+      service.applyApproved({ meetingId: 'meeting-1' }, 'acc-2')
+    ]);
+
+    expect(first.applied + second.applied).toBe(2);
+    expect(jira.upsertMeetingComment).toHaveBeenCalledTimes(1);
+    expect(jira.addLabelsToIssue).toHaveBeenCalledTimes(1);
+    expect((await service.listChanges({ meetingId: 'meeting-1' })).map(change => change.status)).toEqual(['applied', 'applied']);
+  });
+
+  test('should keep action item edit proposals when a meeting is proposed again', async () => {
+    const created = {
+      ...meeting,
+      processed_data: JSON.stringify({ actionItems: [{ action: 'Update the runbook', responsible: 'Alex', issueKey: 'PROJ-9' }] })
+    };
+
+    await service.proposeActionItemUpdate(meeting, { task: 'Update the runbook', dueDate: '2024-03-11', issueKey: 'PROJ-9' }, 'acc-1');
+    const changes = await service.proposeForMeeting(created, { issueKey: 'PROJ-5' });
+
+    expect(changes.map(change => change.change_type)).toEqual(['comment', 'label']);
+    expect((await service.listChanges({ meetingId: 'meeting-1', status: 'pending' })).map(change => change.change_type))
+      .toEqual(['field_update', 'comment', 'label']);
+  });
+
+  test('should leave the earlier proposals in place when saving new ones fails part-way', async () => {
+    const first = await service.proposeForMeeting(meeting);
+    const insert = db.insert;
+    let saved = 0;
+    db.insert = async (table, data) => {
+      if (table === 'pending_changes' && ++saved === 2) throw new Error('Forge SQL unavailable');
+      return await insert(table, data);
+    };
+
+    await expect(service.proposeForMeeting(meeting)).rejects.toThrow('Forge SQL unavailable');
+    expect((await service.listChanges({ meetingId: 'meeting-1' })).map(change => change.id)).toEqual(first.map(change => change.id));
+
+    db.insert = insert;
+    const second = await service.proposeForMeeting(meeting);
+    expect((await service.listChanges({ meetingId: 'meeting-1' })).map(change => change.id)).toEqual(second.map(change => change.id));
+  });
+
+  test('should record failures per change and keep an audit trail', async () => {
+    const [comment, label] = await service.proposeForMeeting(meeting);
+    jira.addLabelsToIssue.mockRejectedValueOnce(new Error('Forbidden'));
+
+    await service.approve(comment.id, 'acc-1');
+    await service.approve(label.id, 'acc-2', { labels: ['planning'] });
+    const result = await service.applyApproved({ meetingId: 'meeting-1' }, 'acc-1');
+
+    expect(result).toMatchObject({ applied: 1, failed: 1 });
+    expect((await db.findById('pending_changes', label.id)).error_message).toBe('Forbidden');
+
+    const history = await service.getHistory({ changeId: label.id });
+    expect(history.map(entry => [entry.action, entry.actor])).toEqual([
+      ['proposed', null],
+      ['edited', 'acc-2'],
+      ['approved', 'acc-2'],
+      ['failed', 'acc-1']
+    ]);
+    expect(history[1].details).toEqual({ edits: { labels: ['planning'] } });
+  });
+});
@@ -0,0 +1,20 @@
+import DatabaseService from '../services/DatabaseService';
+import { logger } from '../utils/errorHandling';
+
+/**
+ * App lifecycle trigger entry point (manifest key: schema-migrations)
+ *
+ * Runs pending migrations on install and upgrade, so slow ones such as the
+ * legacy storage key scan stay off the request path. The queue worker calls
+ * migrate() too, which retries a run that failed here.
+ */
+export async function handler(event) {
+  try {
+    const results = await new DatabaseService().migrate();
+    logger.info('Migrations finished', { event: event?.eventType, results });
+    return results;
+  } catch (error) {
+    logger.error('Migrations failed', error);
+    throw error;
+  }
+}
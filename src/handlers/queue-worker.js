@@ -0,0 +1,189 @@
+import QueueService from '../services/QueueService';
+import MeetingService from '../services/MeetingService';
+import DatabaseService from '../services/DatabaseService';
+import JiraService from '../services/jira';
+import IdentityService, { siteIdFromContext } from '../services/IdentityService';
+import WriteBackService from '../services/WriteBackService';
+import { logger } from '../utils/errorHandling';
+
+// Stay well inside the scheduled trigger's invocation timeout
+const TIME_BUDGET_MS = 20 * 1000;
+const MAX_TASKS_PER_RUN = 10;
+
+/**
+ * Write meeting context to every mentioned issue that has not been updated yet.
+ * Mentions that already succeeded are skipped, so a retried task only redoes failures.
+ */
+async function runJiraUpdate({ meetingId }, { siteId } = {}) {
+  const db = new DatabaseService();
+  const meeting = await db.findById('meetings', meetingId);
+  if (!meeting) {
+    const error = new Error(`Meeting not found: ${meetingId}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const insights = typeof meeting.processed_data === 'string'
+    ? JSON.parse(meeting.processed_data)
+    : (meeting.processed_data || {});
+  const mentions = (await db.getTicketMentions(meetingId))
+    .filter(mention => ['pending', 'failed'].includes(mention.mcp_update_status));
+
+  const jira = new JiraService({ asApp: true });
+  const identity = new IdentityService({ jira, db, siteId });
+  const actionItems = await identity.assignActionItems(insights.actionItems || [], meeting.participants);
+
+  const results = await jira.bulkUpdateWithMeetingContext(
+    mentions.map(mention => ({ ticketId: mention.ticket_id, context: mention.discussion_summary })),
+    { meeting, actionItems, keyDecisions: insights.keyDecisions }
+  );
+
+  const failures = [];
+  for (const [index, result] of results.entries()) {
+    const mention = mentions[index];
+    const status = result.success ? 'success' : (result.verified === false ? 'skipped' : 'failed');
+
+    await db.update('ticket_mentions', mention.id, {
+      mcp_update_status: status,
+      update_attempts: (mention.update_attempts || 0) + 1,
+      last_update_attempt: new Date().toISOString()
+    });
+
+    if (status === 'failed') {
+      failures.push(`${result.ticketId}: ${result.error}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Jira update failed for ${failures.join('; ')}`);
+  }
+}
+
+export const TASK_HANDLERS = {
+  transcript_analysis: async ({ meetingId, issueKey }, { siteId } = {}) => {
+    // No user in a scheduled trigger, so Jira is called as the app
+    const jira = new JiraService({ asApp: true });
+    const meetingService = new MeetingService({ jira });
+    const meeting = await meetingService.analyzeMeeting(meetingId, { issueKey });
+    if (issueKey) {
+      // Fill in the panel entry listed while the meeting was still pending
+      await meetingService.listOnIssue(meeting, issueKey);
+    }
+
+    const jiraSettings = await new DatabaseService().getConfig('jira_settings');
+    if (jiraSettings.auto_update && jiraSettings.require_approval) {
+      // Stage the updates for review in the issue panel instead of writing them
+      await new WriteBackService({ jira, siteId }).proposeForMeeting(meeting, { issueKey: issueKey || null });
+    } else if (jiraSettings.auto_update) {
+      await meetingService.queue.enqueue('jira_update', { meetingId }, { priority: 7 });
+    }
+  },
+
+  jira_update: runJiraUpdate,
+
+  // Queued before audio upload was removed; there is no transcript to analyze, so fail the meeting
+  audio_processing: async () => {
+    const error = new Error('Audio transcription is no longer supported; upload the meeting transcript instead');
+    error.retryable = false;
+    throw error;
+  }
+};
+
+// Tasks whose outcome is the meeting's processing_status
+const MEETING_TASKS = ['transcript_analysis', 'audio_processing'];
+
+/**
+ * Claim and run due tasks until the queue is empty or the time budget is spent
+ * @param {Object} options - { now, maxTasks, timeBudgetMs, siteId }
+ * @returns {Object} - { processed, completed, retried, failed, recovered, requeued }
+ */
+export async function processQueue({ now = () => new Date(), maxTasks = MAX_TASKS_PER_RUN, timeBudgetMs = TIME_BUDGET_MS, siteId = 'default' } = {}) {
+  const queue = new QueueService();
+  const meetingService = new MeetingService();
+  const startedAt = Date.now();
+  const stats = { processed: 0, completed: 0, retried: 0, failed: 0, recovered: 0, requeued: 0 };
+
+  const recovered = await queue.recoverStale(now());
+  stats.recovered = recovered.length;
+  for (const task of recovered.filter(item => item.status === 'failed')) {
+    await markMeetingFailed(meetingService, queue, task);
+  }
+  stats.requeued = (await meetingService.requeueStuckMeetings(now())).length;
+
+  while (stats.processed < maxTasks && Date.now() - startedAt < timeBudgetMs) {
+    const task = await queue.claimNext(now());
+    if (!task) break;
+
+    stats.processed++;
+    const handler = TASK_HANDLERS[task.task_type];
+    const meetingId = task.payload.meetingId;
+
+    try {
+      if (!handler) {
+        const error = new Error(`Unknown task type: ${task.task_type}`);
+        error.retryable = false;
+        throw error;
+      }
+
+      if (MEETING_TASKS.includes(task.task_type) && meetingId) {
+        await meetingService.setProcessingStatus(meetingId, 'processing');
+      }
+
+      await handler(task.payload, { siteId });
+      await queue.complete(task, now());
+      stats.completed++;
+
+    } catch (error) {
+      logger.error(`Queue task ${task.id} (${task.task_type}) failed`, error, { attempts: task.attempts });
+
+      const updated = await queue.fail(task, error, now());
+      if (updated.status === 'failed') {
+        stats.failed++;
+        await markMeetingFailed(meetingService, queue, updated);
+      } else {
+        stats.retried++;
+        if (MEETING_TASKS.includes(task.task_type) && meetingId) {
+          await meetingService.setProcessingStatus(meetingId, 'pending');
+        }
+      }
+    }
+  }
+
+  logger.info('Processing queue run finished', stats);
+  return stats;
+}
+
+/**
+ * A dead-lettered meeting task leaves the meeting failed instead of pending forever
+ */
+async function markMeetingFailed(meetingService, queue, task) {
+  const { meetingId } = queue.parsePayload(task.payload);
+  if (MEETING_TASKS.includes(task.task_type) && meetingId) {
+    await meetingService.setProcessingStatus(meetingId, 'failed');
+  }
+}
+
+/**
+ * Apply migrations the lifecycle trigger missed or failed; only the version check when none are pending.
+ * A failure is logged and retried next run rather than holding up the queue.
+ */
+async function migrateIfPending() {
+  try {
+    await new DatabaseService().migrate();
+  } catch (error) {
+    logger.error('Pending migrations failed, retrying next run', error);
+  }
+}
+
+/**
+ * Scheduled trigger entry point (manifest key: processing-queue-worker)
+ */
+export async function handler(event, context) {
+  try {
+    await migrateIfPending();
+    return await processQueue({ siteId: siteIdFromContext(context) });
+  } catch (error) {
+    logger.error('Processing queue run failed', error);
+    throw error;
+  }
+}
@@ -0,0 +1,195 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import MeetingService from '../services/MeetingService';
+import DatabaseService from '../services/DatabaseService';
+import JiraService from '../services/jira';
+import { siteIdFromContext } from '../services/IdentityService';
+import { parseMultipart } from '../utils/multipart';
+import { isDocx } from '../utils/docx';
+import { logger, ValidationError, FileTooLargeError } from '../utils/errorHandling';
+
+const AUDIO_EXTENSIONS = /\.(mp3|wav|m4a|mp4|ogg|oga|webm|flac|aac)$/i;
+const TRANSCRIPT_EXTENSIONS = /\.(txt|vtt|srt|json)$/i;
+const TRANSCRIPT_TYPES = /^(text\/|application\/json)/i;
+const ISSUE_KEY = /^[A-Z][A-Z0-9]*-\d+$/;
+
+/**
+ * Web trigger responses need array-valued headers. No CORS headers: uploads
+ * come from scripts and integrations holding the upload secret, not browsers.
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': ['application/json']
+    },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Read a header from a web trigger request (values arrive as arrays)
+ */
+function getHeader(request, name) {
+  const headers = request.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Check "Authorization: Bearer <secret>" against the UPLOAD_SECRET variable
+ * (forge variables set --encrypt UPLOAD_SECRET ...). Both sides are hashed so
+ * the comparison takes the same time whatever the token length.
+ */
+function isAuthorized(request, secret) {
+  const [, token = ''] = /^Bearer\s+(\S+)\s*$/i.exec(getHeader(request, 'authorization') || '') || [];
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return token !== '' && timingSafeEqual(digest(token), digest(secret));
+}
+
+/**
+ * Raw request body as a Buffer (web triggers deliver the whole body at once)
+ */
+function readBody(request) {
+  if (Buffer.isBuffer(request.body)) {
+    return request.body;
+  }
+  return Buffer.from(request.body || '', request.isBase64Encoded ? 'base64' : 'utf8');
+}
+
+/**
+ * Decide how an uploaded file should be processed, from its leading bytes first
+ * and its declared type and extension second
+ * @param {Object} file - { fileName, contentType, content }
+ * @returns {string|null} - 'audio', 'docx', 'transcript', or null if unsupported
+ */
+export function detectUploadType({ fileName = '', contentType = '', content }) {
+  if (isDocx(content)) {
+    return 'docx';
+  }
+
+  const head = content.subarray(0, 12);
+  const magic = head.subarray(0, 4).toString('latin1');
+  const isAudio =
+    magic.startsWith('ID3') ||
+    (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) ||
+    (magic === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WAVE') ||
+    head.subarray(4, 8).toString('latin1') === 'ftyp' ||
+    ['OggS', 'fLaC', '\x1a\x45\xdf\xa3'].includes(magic);
+
+  if (isAudio || /^(audio|video)\//i.test(contentType) || AUDIO_EXTENSIONS.test(fileName)) {
+    return 'audio';
+  }
+
+  if (TRANSCRIPT_TYPES.test(contentType) || TRANSCRIPT_EXTENSIONS.test(fileName)) {
+    return 'transcript';
+  }
+
+  // Unlabelled uploads are accepted as transcripts if they decode as text
+  return content.includes(0) ? null : 'transcript';
+}
+
+/**
+ * Accept a multipart upload and process it like a panel upload: with an `issueKey` field the
+ * meeting is listed on that issue's panel and its Jira updates are staged for review there.
+ * Answers 201 when analysis finished, 202 when it was queued.
+ */
+async function uploadMeeting(request, context) {
+  const contentType = getHeader(request, 'content-type');
+  const db = new DatabaseService();
+  const limits = await db.getConfig('processing_limits');
+  const maxFileSize = limits.max_file_size_mb * 1024 * 1024;
+
+  // Reject oversized bodies before parsing them
+  const contentLength = parseInt(getHeader(request, 'content-length'), 10);
+  if (contentLength > maxFileSize + 64 * 1024) {
+    throw new FileTooLargeError(`Upload exceeds the ${limits.max_file_size_mb}MB limit`, maxFileSize);
+  }
+
+  const { fields, files } = parseMultipart(readBody(request), contentType, { maxFileSize });
+  const file = files.find(part => part.field === 'file') || files[0];
+
+  if (!file || file.size === 0) {
+    throw new ValidationError('No file provided');
+  }
+
+  const uploadType = detectUploadType(file);
+  if (!uploadType || uploadType === 'audio') {
+    // There is no speech-to-text backend, so audio is refused rather than queued
+    const error = new ValidationError(uploadType === 'audio'
+      ? 'Audio files cannot be transcribed. Upload the meeting transcript (.txt, .vtt, .srt, .json or .docx) instead.'
+      : `Unsupported file type: ${file.contentType || file.fileName}`);
+    error.statusCode = 415;
+    throw error;
+  }
+
+  const issueKey = fields.issueKey ? fields.issueKey.trim().toUpperCase() : null;
+  if (issueKey && !ISSUE_KEY.test(issueKey)) {
+    throw new ValidationError('Invalid issue key format. Expected format: PROJECT-123');
+  }
+
+  const meetingData = {
+    fileName: file.fileName,
+    title: fields.title,
+    teamId: fields.teamId,
+    platform: fields.platform,
+    issueKey
+  };
+
+  logger.info('Meeting upload received', { fileName: file.fileName, size: file.size, uploadType });
+
+  const meetingService = new MeetingService({ jira: new JiraService({ asApp: true }) });
+  const meeting = await meetingService.processTextTranscript(
+    uploadType === 'docx' ? file.content : file.content.toString('utf8'),
+    meetingData
+  );
+
+  const pendingChanges = issueKey
+    ? await meetingService.attachToIssue(meeting, issueKey, { siteId: siteIdFromContext(context) })
+    : [];
+
+  return jsonResponse(meeting.processing_status === 'completed' ? 201 : 202, {
+    success: true,
+    meetingId: meeting.id,
+    status: meeting.processing_status,
+    uploadType,
+    platform: meeting.platform || null,
+    issueKey,
+    pendingChanges: pendingChanges.length
+  });
+}
+
+/**
+ * Web trigger entry point (manifest key: meeting-upload)
+ */
+export async function handler(request, context) {
+  try {
+    if (request.method !== 'POST') {
+      return jsonResponse(405, { success: false, error: 'Method not allowed. Use POST.' });
+    }
+
+    // Without a configured secret the trigger URL alone would grant access, so uploads stay closed
+    const secret = process.env.UPLOAD_SECRET;
+    if (!secret) {
+      logger.error('Meeting upload refused: UPLOAD_SECRET is not set');
+      return jsonResponse(503, { success: false, error: 'Uploads are not configured' });
+    }
+
+    if (!isAuthorized(request, secret)) {
+      return jsonResponse(401, { success: false, error: 'Unauthorized' });
+    }
+
+    return await uploadMeeting(request, context);
+
+  } catch (error) {
+    logger.error('Meeting upload failed', error);
+
+    const statusCode = error.statusCode ||
+      (error instanceof FileTooLargeError ? 413 : error instanceof ValidationError ? 400 : 500);
+
+    return jsonResponse(statusCode, {
+      success: false,
+      error: statusCode === 500 ? 'Internal server error' : error.message
+    });
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Utterance - one speaker turn in a meeting transcript
+ *
+ * Parsers produce utterances, the processors consume them and MeetingService
+ * persists them, so speaker and timing survive the whole pipeline instead of
+ * being re-guessed from a flattened string.
+ */
+
+const SPEAKER_LINE_PATTERN = /^(?:\[([^\]]{1,60})\]|([A-Z][\w.'-]*(?:\s+[A-Z][\w.'-]*){0,3})):\s+(.+)$/s;
+
+class Utterance {
+  /**
+   * @param {Object} data - { speaker, start, end, text }
+   * `start` and `end` are seconds from the start of the meeting, or null when unknown
+   */
+  constructor({ speaker = null, start = null, end = null, text = '' } = {}) {
+    this.speaker = speaker ? String(speaker).trim() : null;
+    this.start = typeof start === 'number' && !isNaN(start) ? start : null;
+    this.end = typeof end === 'number' && !isNaN(end) ? end : null;
+    this.text = String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Length of the turn in seconds, or null for untimed transcripts
+   */
+  get duration() {
+    if (this.start === null || this.end === null) return null;
+    return Math.max(0, this.end - this.start);
+  }
+
+  get isTimed() {
+    return this.start !== null;
+  }
+
+  toJSON() {
+    return {
+      speaker: this.speaker,
+      start: this.start,
+      end: this.end,
+      text: this.text
+    };
+  }
+
+  /**
+   * Coerce a stored record or parser output into an Utterance
+   */
+  static from(value) {
+    return value instanceof Utterance ? value : new Utterance(value || {});
+  }
+
+  /**
+   * Split a plain text transcript into untimed utterances, one per line,
+   * picking up "Name: text" and "[Name] : text" speaker prefixes
+   */
+  static fromText(transcript) {
+    if (!transcript || typeof transcript !== 'string') {
+      return [];
+    }
+
+    return transcript
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const { speaker, text } = Utterance.splitSpeaker(line);
+        return new Utterance({ speaker, text });
+      });
+  }
+
+  /**
+   * Pull a "Name: text" style speaker prefix off a line
+   */
+  static splitSpeaker(line) {
+    const match = SPEAKER_LINE_PATTERN.exec(line);
+    if (!match) {
+      return { speaker: null, text: line };
+    }
+
+    return {
+      speaker: (match[1] || match[2]).trim(),
+      text: match[3].trim()
+    };
+  }
+}
+
+/**
+ * Normalise any accepted transcript input into a list of utterances
+ * @param {string|Array|Object} input - Transcript text, utterance list, or { utterances }
+ * @returns {Utterance[]}
+ */
+export const toUtterances = (input) => {
+  if (typeof input === 'string') {
+    return Utterance.fromText(input);
+  }
+
+  const list = Array.isArray(input) ? input : input?.utterances;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list.map(item => Utterance.from(item)).filter(utterance => utterance.text);
+};
+
+/**
+ * Flatten utterances into one string for the regex extractors, recording the
+ * character offset of each utterance so matches can be attributed back to it.
+ * A sentence break is inserted at speaker changes so one person's unfinished
+ * sentence does not run into the next speaker's.
+ * @returns {Object} { text, index: [{ offset, length, utterance }] }
+ */
+export const indexUtterances = (utterances) => {
+  const index = [];
+  let text = '';
+  let previous = null;
+
+  for (const utterance of utterances) {
+    if (!utterance.text) continue;
+
+    if (text) {
+      const speakerChanged = previous && previous.speaker !== utterance.speaker;
+      if (speakerChanged && !/[.!?;]$/.test(text)) {
+        text += '.';
+      }
+      text += ' ';
+    }
+
+    index.push({ offset: text.length, length: utterance.text.length, utterance });
+    text += utterance.text;
+    previous = utterance;
+  }
+
+  return { text, index };
+};
+
+/**
+ * Find the utterance containing a character offset of the flattened text
+ */
+export const utteranceAt = (index, position) => {
+  let low = 0;
+  let high = index.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (index[mid].offset <= position) {
+      found = index[mid].utterance;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Distinct speakers in order of first appearance
+ */
+export const listSpeakers = (utterances) => {
+  const speakers = [];
+  for (const utterance of utterances) {
+    if (utterance.speaker && !speakers.includes(utterance.speaker)) {
+      speakers.push(utterance.speaker);
+    }
+  }
+  return speakers;
+};
+
+export default Utterance;
@@ -1,167 +1,87 @@
-// src/resolvers/index.js - Fixed backend handlers
-import Resolver from '@forge/resolver';
-import { storage } from '@forge/api';
-
-const resolver = new Resolver();
-
-// Main meeting context handler
-resolver.define('meeting-context-func', async (req) => {
-  console.log('Meeting context function called:', req.payload);
-  
-  try {
-    const { action, issueKey } = req.payload;
-    
-    if (action === 'load') {
-      return await loadMeetingData(issueKey);
-    }
-    
-    return {
-      success: false,
-      message: 'Unknown action'
-    };
-    
-  } catch (error) {
-    console.error('Error in meeting-context-func:', error);
-    return {
-      success: false,
-      message: `Handler error: ${error.message}`,
-      data: {
-        meetings: [],
-        lastSync: null,
-        totalMeetings: 0
-      }
-    };
-  }
-});
-
-// Sync meetings handler
-resolver.define('sync-meetings-func', async (req) => {
-  console.log('Sync meetings action triggered');
-
-  try {
-    const { issueKey } = req.payload;
-    const syncTime = new Date().toISOString();
-
-    // Update storage with sync time
-    const existingData = await storage.get(`meeting-${issueKey}`) || {};
-    const updatedData = {
-      ...existingData,
-      lastSync: syncTime
-    };
-
-    await storage.set(`meeting-${issueKey}`, updatedData);
-
-    return {
-      success: true,
-      message: `Meetings synced at ${new Date(syncTime).toLocaleString()}`
-    };
-    
-  } catch (error) {
-    console.error('Error syncing meetings:', error);
-    return {
-      success: false,
-      message: `Sync failed: ${error.message}`
-    };
-  }
-});
-
-// Add meeting handler
-resolver.define('add-meeting-func', async (req) => {
-  console.log('Add meeting action triggered');
-
-  try {
-    const { issueKey } = req.payload;
-    
-    const newMeeting = {
-      id: Date.now().toString(),
-      title: `Manual meeting for ${issueKey}`,
-      date: new Date().toISOString(),
-      platform: 'Manual Entry',
-      participants: ['current.user@company.com'],
-      duration: 0,
-      summary: 'Meeting added manually',
-      actionItems: []
-    };
-
-    const existingData = await storage.get(`meeting-${issueKey}`) || { meetings: [] };
-    existingData.meetings = existingData.meetings || [];
-    existingData.meetings.push(newMeeting);
-    existingData.totalMeetings = existingData.meetings.length;
-
-    await storage.set(`meeting-${issueKey}`, existingData);
-
-    return {
-      success: true,
-      message: 'Meeting note added successfully'
-    };
-
-  } catch (error) {
-    console.error('Error adding meeting:', error);
-    return {
-      success: false,
-      message: `Failed to add meeting: ${error.message}`
-    };
+import * as panel from './panel';
+import * as writeBack from './writeBack';
+import * as settings from './settings';
+import { API_VERSION } from './schema';
+
+/**
+ * The resolver API, registered by src/index.js (manifest function main-handler)
+ *
+ * Each resolver is defined as `${API_VERSION}/${name}`, e.g. invoke('v1/getMeetingContext'),
+ * with the request and response shapes in ./schema. COMPAT_SHIMS keeps the
+ * unversioned names earlier panels and resolver modules used working.
+ */
+
+export { API_VERSION };
+
+export const RESOLVERS = {
+  getMeetingContext: panel.getMeetingContext,
+  syncMeetings: panel.syncMeetings,
+  addMeeting: panel.addMeeting,
+  getMeetingAnalytics: panel.getMeetingAnalytics,
+  uploadMeetingFile: panel.uploadMeetingFile,
+  searchMeetings: panel.searchMeetings,
+  deleteMeeting: panel.deleteMeeting,
+  getUploadStatus: panel.getUploadStatus,
+  createIssuesFromActionItems: panel.createIssuesFromActionItems,
+  updateMeeting: panel.updateMeeting,
+  updateActionItem: panel.updateActionItem,
+  updateDecision: panel.updateDecision,
+  getPendingChanges: writeBack.getPendingChanges,
+  decideChange: writeBack.decideChange,
+  applyApprovedChanges: writeBack.applyApprovedChanges,
+  getWriteBackHistory: writeBack.getWriteBackHistory,
+  getIdentityAliases: settings.getIdentityAliases,
+  setIdentityAlias: settings.setIdentityAlias,
+  removeIdentityAlias: settings.removeIdentityAlias,
+  getFieldMappings: settings.getFieldMappings,
+  setFieldMapping: settings.setFieldMapping
+};
+
+/**
+ * Call a v1 resolver with a rewritten payload and reshape its answer for an older caller
+ */
+const shim = (handler, { payload = request => request, response = () => ({}) } = {}) => async (req) => {
+  const result = await handler({ ...req, payload: payload(req.payload || {}) });
+  return result.success ? { ...result, ...response(result.data) } : { ...result, error: result.message };
+};
+
+export const COMPAT_SHIMS = {
+  // Same contract as v1; the issue now always comes from the context, not payload.issueKey
+  ...RESOLVERS,
+
+  // Legacy resolvers/index.js
+  'meeting-context-func': RESOLVERS.getMeetingContext,
+  'sync-meetings-func': RESOLVERS.syncMeetings,
+  'add-meeting-func': RESOLVERS.addMeeting,
+
+  // Legacy resolver-backend.js and meeting-context.js
+  uploadMeetingFile: shim(RESOLVERS.uploadMeetingFile, {
+    payload: ({ file = {}, metadata, ...rest }) => ({
+      ...rest,
+      fileName: rest.fileName || file.name,
+      content: rest.content || file.content,
+      metadata
+    }),
+    response: data => ({ meeting: data.meeting, pendingChanges: data.pendingChanges })
+  }),
+  refreshMeetingData: shim(RESOLVERS.searchMeetings, {
+    payload: request => ({ ...request, refresh: true }),
+    response: data => ({ meetings: data })
+  }),
+  deleteMeeting: shim(RESOLVERS.deleteMeeting, {
+    response: data => ({ result: data })
+  })
+};
+
+/**
+ * Register every versioned resolver and compat shim on a Forge Resolver
+ */
+export const defineResolvers = (resolver) => {
+  for (const [name, handler] of Object.entries(RESOLVERS)) {
+    resolver.define(`${API_VERSION}/${name}`, handler);
   }
-});
-
-// Helper function to load meeting data
-async function loadMeetingData(issueKey) {
-  try {
-    const meetingData = await storage.get(`meeting-${issueKey}`) || {};
-    
-    // Default meeting context structure
-    const defaultContext = {
-      meetings: [],
-      lastSync: null,
-      totalMeetings: 0
-    };
-
-    const contextData = { ...defaultContext, ...meetingData };
-
-    // If no meetings exist, use sample data
-    if (contextData.meetings.length === 0) {
-      const sampleMeetings = [
-        {
-          id: '1',
-          title: `Discussion for ${issueKey}`,
-          date: new Date().toISOString(),
-          platform: 'Teams',
-          participants: ['john.doe@company.com', 'jane.smith@company.com'],
-          duration: 30,
-          summary: 'Discussed implementation approach and timeline',
-          actionItems: [
-            'Review technical specifications',
-            'Schedule follow-up meeting',
-            'Update issue status'
-          ]
-        }
-      ];
-      
-      contextData.meetings = sampleMeetings;
-      contextData.totalMeetings = sampleMeetings.length;
-      contextData.lastSync = new Date().toISOString();
-      
-      // Save sample data
-      await storage.set(`meeting-${issueKey}`, contextData);
-    }
-
-    return {
-      success: true,
-      data: contextData
-    };
-    
-  } catch (error) {
-    console.error('Error loading meeting data:', error);
-    return {
-      success: false,
-      message: `Load failed: ${error.message}`,
-      data: {
-        meetings: [],
-        lastSync: null,
-        totalMeetings: 0
-      }
-    };
+  for (const [name, handler] of Object.entries(COMPAT_SHIMS)) {
+    resolver.define(name, handler);
   }
-}
-
-export const handler = resolver.getDefinitions();
+  return resolver;
+};
@@ -0,0 +1,508 @@
+import { storage } from '@forge/api';
+import TranscriptParser from '../services/TranscriptParser';
+import DatabaseService from '../services/DatabaseService';
+import MeetingService from '../services/MeetingService';
+import IdentityService from '../services/IdentityService';
+import JiraService from '../services/jira';
+import WriteBackService from '../services/WriteBackService';
+import MeetingEditService from '../services/MeetingEditService';
+import { STORAGE_KEYS, emptyIssueMeetings } from '../services/storageKeys';
+import { NotFoundError, ValidationError } from '../utils/errorHandling';
+import { defineHandler, requireIssueKey, requireString, limitRate, success, partialFailure } from './schema';
+
+/**
+ * Issue panel resolvers: the meetings kept for an issue and edits to them,
+ * uploads, analytics and action items turned into Jira issues
+ */
+
+// Sample meetings shown until the issue has real ones
+const demoContext = (issueKey) => ({
+  issueKey: issueKey,
+  totalMeetings: 3,
+  lastSync: new Date().toISOString(),
+  syncHistory: [
+    { timestamp: new Date().toISOString(), type: 'initial', count: 3 }
+  ],
+  meetings: [
+    {
+      id: `meeting-${Date.now()}-1`,
+      title: `Sprint Planning for ${issueKey}`,
+      platform: 'Zoom',
+      date: new Date().toISOString(),
+      duration: 60,
+      participants: [
+        { name: 'John Doe', email: 'john.doe@company.com', role: 'Product Owner' },
+        { name: 'Jane Smith', email: 'jane.smith@company.com', role: 'Scrum Master' },
+        { name: 'Alex Chen', email: 'alex.chen@company.com', role: 'Developer' }
+      ],
+      summary: 'Comprehensive sprint planning session covering user stories, acceptance criteria, and sprint goals. Discussed technical implementation approach and identified potential blockers.',
+      actionItems: [
+        { task: 'Review user story acceptance criteria', assignee: 'John Doe', status: 'pending' },
+        { task: 'Prepare development environment setup', assignee: 'Alex Chen', status: 'pending' },
+        { task: 'Schedule design review meeting', assignee: 'Jane Smith', status: 'pending' }
+      ],
+      keyDecisions: [
+        'Agreed to use microservices architecture',
+        'Sprint duration set to 2 weeks',
+        'Daily standups at 9:00 AM'
+      ],
+      attachments: ['sprint-backlog.pdf', 'user-stories.xlsx'],
+      sentiment: 'positive',
+      tags: ['planning', 'sprint', 'backlog']
+    },
+    {
+      id: `meeting-${Date.now()}-2`,
+      title: 'Technical Architecture Review',
+      platform: 'Teams',
+      date: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+      duration: 45,
+      participants: [
+        { name: 'Tech Lead', email: 'tech.lead@company.com', role: 'Technical Lead' },
+        { name: 'System Architect', email: 'architect@company.com', role: 'Architect' },
+        { name: 'Senior Developer', email: 'senior.dev@company.com', role: 'Developer' }
+      ],
+      summary: 'Deep dive into technical implementation details. Reviewed proposed architecture, identified potential risks, and established coding standards.',
+      actionItems: [
+        { task: 'Create technical documentation', assignee: 'Tech Lead', status: 'in-progress' },
+        { task: 'Set up CI/CD pipeline', assignee: 'Senior Developer', status: 'pending' },
+        { task: 'Review security requirements', assignee: 'System Architect', status: 'completed' }
+      ],
+      keyDecisions: [
+        'Use Docker for containerization',
+        'Implement automated testing',
+        'Weekly code reviews mandatory'
+      ],
+      attachments: ['architecture-diagram.png', 'tech-stack.md'],
+      sentiment: 'neutral',
+      tags: ['technical', 'architecture', 'review']
+    },
+    {
+      id: `meeting-${Date.now()}-3`,
+      title: 'Stakeholder Feedback Session',
+      platform: 'Google Meet',
+      date: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString(),
+      duration: 30,
+      participants: [
+        { name: 'Product Manager', email: 'pm@company.com', role: 'Product Manager' },
+        { name: 'UX Designer', email: 'ux@company.com', role: 'Designer' },
+        { name: 'Customer Success', email: 'cs@company.com', role: 'Customer Success' }
+      ],
+      summary: 'Gathered feedback from key stakeholders on proposed features. Discussed user experience concerns and prioritized feature requests.',
+      actionItems: [
+        { task: 'Update user interface mockups', assignee: 'UX Designer', status: 'completed' },
+        { task: 'Revise feature priority matrix', assignee: 'Product Manager', status: 'pending' }
+      ],
+      keyDecisions: [
+        'Prioritize mobile responsiveness',
+        'Include accessibility features',
+        'Launch with MVP feature set'
+      ],
+      attachments: ['feedback-summary.docx'],
+      sentiment: 'positive',
+      tags: ['stakeholder', 'feedback', 'ux']
+    }
+  ]
+});
+
+export const getMeetingContext = defineHandler('getMeetingContext', async (request) => {
+  limitRate(request, 'getMeetingContext', 30, 'Rate limit exceeded. Please try again later.');
+  const issueKey = requireIssueKey(request);
+
+  const storageKey = STORAGE_KEYS.issueMeetings(issueKey);
+  let meetingData = await storage.get(storageKey);
+
+  if (!meetingData) {
+    meetingData = demoContext(issueKey);
+    await storage.set(storageKey, meetingData);
+    console.log(`Initialized meeting data for ${issueKey}`);
+  }
+
+  return success(meetingData);
+}, 'Failed to load meeting context');
+
+/**
+ * Simulated sync: adds one meeting from the chosen platform and records it in the sync history
+ */
+export const syncMeetings = defineHandler('syncMeetings', async (request) => {
+  limitRate(request, 'syncMeetings', 5, 'Sync rate limit exceeded. Please wait before syncing again.');
+  const issueKey = requireIssueKey(request);
+  // Stored as typed; the panel renders it as text
+  const platform = new MeetingEditService({ siteId: request.siteId }).text(request.payload.platform, 'platform') || 'Teams';
+
+  const storageKey = STORAGE_KEYS.issueMeetings(issueKey);
+  const meetingData = await storage.get(storageKey) || emptyIssueMeetings(issueKey);
+
+  const syncedMeeting = {
+    id: `sync-${platform.toLowerCase()}-${Date.now()}`,
+    title: `${platform} Sync: Discussion for ${issueKey}`,
+    platform: platform,
+    date: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString(), // Random within last week
+    duration: Math.floor(Math.random() * 60) + 15, // 15-75 minutes
+    participants: [
+      { name: 'Synced User', email: 'synced.user@company.com', role: 'Participant' },
+      { name: 'Remote Attendee', email: 'remote@company.com', role: 'Attendee' }
+    ],
+    summary: `Automatically synced meeting from ${platform}. Discussion covered progress updates, blockers, and next steps for ${issueKey}.`,
+    actionItems: [
+      { task: 'Follow up on synced action items', assignee: 'Team Lead', status: 'pending' },
+      { task: 'Review automated meeting notes', assignee: 'Attendees', status: 'pending' }
+    ],
+    keyDecisions: [
+      'Agreed to continue current approach',
+      'Next sync scheduled for next week'
+    ],
+    sentiment: 'neutral',
+    tags: ['synced', platform.toLowerCase(), 'auto-generated'],
+    source: 'external-sync'
+  };
+
+  meetingData.meetings.unshift(syncedMeeting);
+  meetingData.totalMeetings = meetingData.meetings.length;
+  meetingData.lastSync = new Date().toISOString();
+
+  // Keep the last 10 sync history entries
+  meetingData.syncHistory = [{
+    timestamp: new Date().toISOString(),
+    type: 'manual-sync',
+    platform: platform,
+    count: 1,
+    meetingId: syncedMeeting.id
+  }, ...(meetingData.syncHistory || [])].slice(0, 10);
+
+  await storage.set(storageKey, meetingData);
+
+  return success(meetingData, { message: `Successfully synced! Added 1 new meeting from ${platform}.` });
+}, 'Failed to sync meetings');
+
+/**
+ * Add a meeting by hand; a pasted platform export fills in platform, title, date and participants
+ */
+export const addMeeting = defineHandler('addMeeting', async (request) => {
+  limitRate(request, 'addMeeting', 10, 'Add meeting rate limit exceeded. Please try again later.');
+  const issueKey = requireIssueKey(request);
+  const { meetingData: inputData = {} } = request.payload;
+  // Stored as typed and rendered as text by the panel, so only type and length are checked
+  const editor = new MeetingEditService({ siteId: request.siteId });
+  const title = editor.text(inputData.title, 'title');
+  const platform = editor.text(inputData.platform, 'platform');
+  const summary = editor.text(inputData.summary, 'summary');
+
+  const transcript = inputData.transcript
+    ? new TranscriptParser().parse(inputData.transcript, { fileName: inputData.fileName })
+    : null;
+  const lastUtterance = transcript?.utterances[transcript.utterances.length - 1];
+  const transcriptParticipants = (transcript?.participants || [])
+    .map(name => ({ name, role: 'Participant' }));
+
+  const storageKey = STORAGE_KEYS.issueMeetings(issueKey);
+  const meetingData = await storage.get(storageKey) || emptyIssueMeetings(issueKey);
+
+  const newMeeting = {
+    id: `manual-${Date.now()}`,
+    title: title || transcript?.title || `Manual Meeting Entry for ${issueKey}`,
+    platform: platform || transcript?.platform || 'Manual',
+    date: inputData.date || transcript?.date || new Date().toISOString(),
+    duration: inputData.duration || (lastUtterance?.end ? Math.ceil(lastUtterance.end / 60) : 30),
+    participants: inputData.participants || (transcriptParticipants.length > 0 ? transcriptParticipants : [
+      { name: 'Current User', email: 'current.user@company.com', role: 'Organizer' }
+    ]),
+    summary: summary ||
+      `Meeting manually added through Jira panel for ${issueKey}. Please update with actual meeting details and outcomes.`,
+    actionItems: inputData.actionItems || [
+      { task: 'Add meeting details and agenda', assignee: 'Organizer', status: 'pending' },
+      { task: 'Update participants list', assignee: 'Organizer', status: 'pending' },
+      { task: 'Record key decisions and outcomes', assignee: 'Team', status: 'pending' }
+    ],
+    keyDecisions: inputData.keyDecisions || [
+      'Meeting created manually - please add decisions'
+    ],
+    sentiment: 'neutral',
+    tags: inputData.tags || ['manual', 'user-created'],
+    source: transcript ? `transcript:${transcript.format}` : 'manual-entry',
+    createdBy: request.accountId,
+    createdAt: new Date().toISOString()
+  };
+
+  meetingData.meetings.unshift(newMeeting);
+  meetingData.totalMeetings = meetingData.meetings.length;
+  meetingData.lastSync = new Date().toISOString();
+  meetingData.syncHistory = [{
+    timestamp: new Date().toISOString(),
+    type: 'manual-add',
+    count: 1,
+    meetingId: newMeeting.id,
+    addedBy: request.accountId
+  }, ...(meetingData.syncHistory || [])];
+
+  await storage.set(storageKey, meetingData);
+
+  return success(meetingData, { message: 'Meeting added successfully! You can edit the details as needed.' });
+}, 'Failed to add meeting');
+
+export const getMeetingAnalytics = defineHandler('getMeetingAnalytics', async (request) => {
+  const issueKey = requireIssueKey(request);
+  const { timeframe = '30d' } = request.payload;
+
+  const meetingData = await storage.get(STORAGE_KEYS.issueMeetings(issueKey));
+  const meetings = meetingData?.meetings || [];
+
+  const totalDuration = meetings.reduce((sum, m) => sum + (m.duration || 0), 0);
+  const platformBreakdown = {};
+  const sentimentAnalysis = {};
+  let totalActionItems = 0;
+  let completedActionItems = 0;
+
+  meetings.forEach(m => {
+    platformBreakdown[m.platform] = (platformBreakdown[m.platform] || 0) + 1;
+    const sentiment = m.sentiment || 'neutral';
+    sentimentAnalysis[sentiment] = (sentimentAnalysis[sentiment] || 0) + 1;
+    if (Array.isArray(m.actionItems)) {
+      totalActionItems += m.actionItems.length;
+      completedActionItems += m.actionItems.filter(item => item.status === 'completed').length;
+    }
+  });
+
+  return success({
+    totalMeetings: meetings.length,
+    totalDuration,
+    averageDuration: meetings.length > 0 ? Math.round(totalDuration / meetings.length) : 0,
+    platformBreakdown,
+    sentimentAnalysis,
+    actionItemsStats: {
+      total: totalActionItems,
+      completed: completedActionItems,
+      pending: totalActionItems - completedActionItems
+    },
+    timeframe,
+    generatedAt: new Date().toISOString()
+  });
+}, 'Failed to generate analytics');
+
+/**
+ * Process a transcript file read by the panel: { fileName, content, metadata }.
+ * .docx exports go through the meeting-upload web trigger instead, since resolver payloads are JSON.
+ * Jira updates are staged for review, nothing is written until approved.
+ */
+export const uploadMeetingFile = defineHandler('uploadMeetingFile', async (request) => {
+  const issueKey = requireIssueKey(request);
+  const fileName = requireString(request.payload, 'fileName', 'file name');
+  const { content, metadata = {} } = request.payload;
+
+  if (!/\.(txt|vtt|srt|json)$/i.test(fileName)) {
+    throw new ValidationError('Unsupported file type. Upload .txt, .vtt, .srt or .json transcripts here; .docx goes through the upload link.');
+  }
+  if (!content || typeof content !== 'string') {
+    throw new ValidationError('The transcript file is empty');
+  }
+
+  const meetingService = new MeetingService();
+  const processedMeeting = await meetingService.processTextTranscript(content, {
+    title: `Meeting for ${issueKey}`,
+    issueKey,
+    fileName,
+    uploadedAt: new Date().toISOString(),
+    metadata
+  });
+
+  // Listed on the issue's panel, where it can be edited, with its Jira updates staged for review
+  const pendingChanges = await meetingService.attachToIssue(processedMeeting, issueKey, {
+    actor: request.accountId,
+    siteId: request.siteId
+  });
+
+  if (processedMeeting.processing_status !== 'completed') {
+    return success({ meeting: processedMeeting, pendingChanges }, {
+      message: 'Meeting saved. Analysis is queued and will finish shortly.'
+    });
+  }
+
+  return success({ meeting: processedMeeting, pendingChanges }, {
+    message: pendingChanges.length > 0
+      ? `Meeting processed. ${pendingChanges.length} Jira update(s) are waiting for review.`
+      : 'Meeting processed successfully'
+  });
+}, 'Failed to process the meeting file');
+
+/**
+ * Processed meetings that mention the issue or carry its key in the transcript
+ */
+export const searchMeetings = defineHandler('searchMeetings', async (request) => {
+  const issueKey = requireIssueKey(request);
+  return success(await new MeetingService().getMeetingsForTicket(issueKey, Boolean(request.payload.refresh)));
+}, 'Failed to load meetings');
+
+/**
+ * Delete a meeting of the context issue: one listed in its panel or mentioning it. The panel
+ * entry goes, its unapplied Jira updates are rejected, and for uploaded meetings also the
+ * record, mentions, files and posted comments go.
+ */
+export const deleteMeeting = defineHandler('deleteMeeting', async (request) => {
+  const issueKey = requireIssueKey(request);
+  const meetingId = requireString(request.payload, 'meetingId', 'meeting ID');
+
+  const storageKey = STORAGE_KEYS.issueMeetings(issueKey);
+  const meetingData = await storage.get(storageKey);
+  const listed = (meetingData?.meetings || []).some(meeting => meeting.id === meetingId);
+
+  const db = new DatabaseService();
+  const stored = await db.findById('meetings', meetingId);
+  const mentioned = stored ? (await db.getTicketMentions(meetingId, issueKey)).length > 0 : false;
+  if (!listed && !mentioned) {
+    throw new NotFoundError('Meeting not found');
+  }
+
+  let result = { success: true, removedComments: [] };
+  if (stored) {
+    result = await new MeetingService({ db }).deleteMeeting(meetingId, { issueKeys: [issueKey], actor: request.accountId });
+  } else {
+    // Panel-only meetings have no record, but edits to them may have staged Jira updates
+    await new WriteBackService({ db, siteId: request.siteId }).withdrawForMeeting(meetingId, 'Meeting deleted', request.accountId);
+  }
+
+  if (listed) {
+    meetingData.meetings = meetingData.meetings.filter(meeting => meeting.id !== meetingId);
+    meetingData.totalMeetings = meetingData.meetings.length;
+    await storage.set(storageKey, meetingData);
+  }
+
+  return success(result, { message: 'Meeting deleted' });
+}, 'Failed to delete meeting');
+
+/**
+ * Poll the processing status of a meeting uploaded through the meeting-upload web trigger
+ */
+export const getUploadStatus = defineHandler('getUploadStatus', async (request) => {
+  const meetingId = requireString(request.payload, 'meetingId', 'meeting ID');
+
+  const meeting = await new DatabaseService().findById('meetings', meetingId);
+  if (!meeting) {
+    throw new NotFoundError('Meeting not found');
+  }
+
+  return success({
+    meetingId: meeting.id,
+    status: meeting.processing_status,
+    title: meeting.title,
+    platform: meeting.platform || null,
+    startTime: meeting.start_time,
+    updatedAt: meeting.updated_at
+  });
+}, 'Failed to get upload status');
+
+/**
+ * Create Jira sub-tasks (or linked tasks) for selected action items of a stored meeting.
+ * Safe to call again: items that already have an issue are returned, not recreated.
+ */
+export const createIssuesFromActionItems = defineHandler('createIssuesFromActionItems', async (request) => {
+  const issueKey = requireIssueKey(request);
+  const meetingId = requireString(request.payload, 'meetingId', 'meeting ID');
+  const { actionItemIndexes, issueType = 'subtask', labels = [] } = request.payload;
+
+  const storageKey = STORAGE_KEYS.issueMeetings(issueKey);
+  const meetingData = await storage.get(storageKey);
+  const meeting = meetingData?.meetings?.find(item => item.id === meetingId);
+  if (!meeting) {
+    throw new NotFoundError('Meeting not found');
+  }
+
+  const indexes = (Array.isArray(actionItemIndexes) ? actionItemIndexes : meeting.actionItems.map((item, index) => index))
+    .filter(index => meeting.actionItems[index]);
+  const selected = indexes.map(index => {
+    const item = meeting.actionItems[index];
+    return {
+      action: item.task || item.action,
+      responsible: item.responsible || item.assignee || null,
+      dueDate: item.dueDate || null,
+      quote: item.quote || null
+    };
+  });
+
+  const jira = new JiraService();
+  const identity = new IdentityService({ jira, siteId: request.siteId });
+  const assigned = await identity.assignActionItems(selected, meeting.participants || []);
+
+  const results = await jira.createIssuesFromActionItems(issueKey, assigned, {
+    meeting: { id: meeting.id, title: meeting.title, start_time: meeting.date },
+    issueType,
+    labels
+  });
+
+  // Remember the created issue on each action item so the panel can link to it
+  indexes.forEach((index, position) => {
+    if (results[position]?.issueKey) {
+      meeting.actionItems[index].issueKey = results[position].issueKey;
+    }
+  });
+  await storage.set(storageKey, meetingData);
+
+  const created = results.filter(result => result.created).length;
+  const message = `Created ${created} issue(s), ${results.length - created} already existed or failed`;
+  return results.every(result => result.success) ? success(results, { message }) : partialFailure(results, message);
+}, 'Failed to create issues from action items');
+
+/**
+ * Apply one edit to a meeting on the issue's panel record, store it and re-stage
+ * the Jira updates that depend on it. Text is stored as typed: the panel (React)
+ * and Jira (ADF) escape it where it is shown.
+ * @param {Function} edit - (editor, meeting, changes) => { meeting, entry } from MeetingEditService
+ */
+const editStoredMeeting = async (request, edit) => {
+  limitRate(request, 'editMeeting', 30, 'Edit rate limit exceeded. Please try again later.');
+  const issueKey = requireIssueKey(request);
+  const meetingId = requireString(request.payload, 'meetingId', 'meeting ID');
+
+  const storageKey = STORAGE_KEYS.issueMeetings(issueKey);
+  const meetingData = await storage.get(storageKey);
+  const position = (meetingData?.meetings || []).findIndex(meeting => meeting.id === meetingId);
+  if (position === -1) {
+    throw new NotFoundError('Meeting not found');
+  }
+
+  const editor = new MeetingEditService({ siteId: request.siteId });
+  const { meeting, entry } = edit(editor, meetingData.meetings[position], request.payload.changes || {});
+  if (!entry) {
+    return success({ meeting, pendingChanges: [] }, { message: 'Nothing to update' });
+  }
+
+  meetingData.meetings[position] = meeting;
+  await storage.set(storageKey, meetingData);
+
+  let pendingChanges = [];
+  try {
+    pendingChanges = await editor.syncWriteBack(meeting, entry, { issueKey, actor: request.accountId });
+  } catch (proposalError) {
+    // The edit is saved either way; the next edit or upload proposes again
+    console.warn('Failed to re-stage Jira updates:', proposalError);
+  }
+
+  return success({ meeting, pendingChanges }, {
+    message: pendingChanges.length > 0
+      ? `Meeting updated. ${pendingChanges.length} Jira update(s) are waiting for review.`
+      : 'Meeting updated'
+  });
+};
+
+/**
+ * Edit a stored meeting's details: { meetingId, changes: { title, platform, date, duration, summary, tags } }
+ */
+export const updateMeeting = defineHandler('updateMeeting', async (request) => {
+  return await editStoredMeeting(request, (editor, meeting, changes) =>
+    editor.updateMeeting(meeting, changes, request.accountId));
+}, 'Failed to update meeting');
+
+/**
+ * Edit, add (no index) or remove an action item:
+ * { meetingId, index, changes: { task, assignee, status, dueDate, remove } }
+ */
+export const updateActionItem = defineHandler('updateActionItem', async (request) => {
+  return await editStoredMeeting(request, (editor, meeting, changes) =>
+    editor.updateActionItem(meeting, request.payload.index, changes, request.accountId));
+}, 'Failed to update action item');
+
+/**
+ * Edit, add (no index) or remove a key decision: { meetingId, index, changes: { text, remove } }
+ */
+export const updateDecision = defineHandler('updateDecision', async (request) => {
+  return await editStoredMeeting(request, (editor, meeting, changes) =>
+    editor.updateDecision(meeting, request.payload.index, changes, request.accountId));
+}, 'Failed to update decision');
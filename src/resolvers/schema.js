@@ -0,0 +1,125 @@
+import { ValidationError, NotFoundError, ForbiddenError, RateLimitError, rateLimiter } from '../utils/errorHandling';
+import { validateIssueKey } from '../utils/validation';
+import { siteIdFromContext } from '../services/IdentityService';
+
+/**
+ * Request and response shapes shared by every resolver
+ *
+ * Resolvers are registered as `${API_VERSION}/${name}` and receive a parsed
+ * request: the issue always comes from the Forge context the panel was opened
+ * in (req.context.extension.issue), never from the payload, and the caller
+ * from req.context.accountId. Everything else is read from `payload`.
+ *
+ * Every resolver answers with one envelope:
+ *   { success: true, apiVersion, data, message? }
+ *   { success: false, apiVersion, message, code }
+ * where `code` is one of RESPONSE_CODES, 'partial_failure' (with `data`) or 'internal'.
+ */
+
+export const API_VERSION = 'v1';
+
+export const RESPONSE_CODES = {
+  ValidationError: 'invalid_request',
+  FileTooLargeError: 'invalid_request',
+  NotFoundError: 'not_found',
+  ForbiddenError: 'forbidden',
+  RateLimitError: 'rate_limited',
+  StorageError: 'storage',
+  DatabaseError: 'storage',
+  IntegrationError: 'integration'
+};
+
+/**
+ * @param {Object} req - Forge resolver request { payload, context }
+ * @returns {Object} - { payload, context, issueKey, issueId, accountId, siteId }
+ */
+export const parseRequest = (req = {}) => {
+  const context = req.context || {};
+  const issue = context.extension?.issue || {};
+
+  return {
+    payload: req.payload || {},
+    context,
+    issueKey: issue.key || null,
+    issueId: issue.id || null,
+    accountId: context.accountId || null,
+    siteId: siteIdFromContext(context)
+  };
+};
+
+/**
+ * The context issue key, for resolvers that only make sense inside an issue
+ */
+export const requireIssueKey = (request) => {
+  if (!request.issueKey) {
+    throw new ValidationError('This action is only available from an issue');
+  }
+  validateIssueKey(request.issueKey);
+  return request.issueKey;
+};
+
+/**
+ * A required non-empty string from the payload
+ */
+export const requireString = (payload, field, label = field) => {
+  const value = payload[field];
+  if (!value || typeof value !== 'string') {
+    throw new ValidationError(`Valid ${label} is required`);
+  }
+  return value;
+};
+
+/**
+ * Throw a RateLimitError once the caller exceeds `limit` calls of `name` per window
+ */
+export const limitRate = (request, name, limit, message, windowMs = 60000) => {
+  if (!rateLimiter.isAllowed(`${name}:${request.accountId}`, limit, windowMs)) {
+    throw new RateLimitError(message);
+  }
+};
+
+export const success = (data, { message } = {}) => ({
+  success: true,
+  apiVersion: API_VERSION,
+  data,
+  ...(message ? { message } : {})
+});
+
+/**
+ * Some of the work failed; `data` reports what did and did not happen
+ */
+export const partialFailure = (data, message) => ({
+  success: false,
+  apiVersion: API_VERSION,
+  data,
+  message,
+  code: 'partial_failure'
+});
+
+export const failure = (error, fallbackMessage) => ({
+  success: false,
+  apiVersion: API_VERSION,
+  message: error.message || fallbackMessage,
+  code: RESPONSE_CODES[error.name] || 'internal'
+});
+
+/**
+ * Wrap `fn(request)` as a Forge resolver function; anything it throws becomes a failure
+ * @param {string} name - Resolver name, for logs
+ * @param {Function} fn - async (request) => success(...)
+ * @param {string} fallbackMessage - Message when the error has none
+ */
+export const defineHandler = (name, fn, fallbackMessage = `Failed to run ${name}`) => async (req) => {
+  try {
+    return await fn(parseRequest(req));
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ForbiddenError ||
+      error instanceof RateLimitError) {
+      console.warn(`${name} rejected:`, error.message);
+    } else {
+      console.error(`${name} error:`, error);
+    }
+    return failure(error, fallbackMessage);
+  }
+};
@@ -0,0 +1,77 @@
+import IdentityService from '../services/IdentityService';
+import FieldMappingService from '../services/FieldMappingService';
+import JiraService from '../services/jira';
+import { ForbiddenError, ValidationError } from '../utils/errorHandling';
+import { defineHandler, requireString, success } from './schema';
+
+/**
+ * Site settings: speaker -> Jira account aliases and meeting output -> custom field mappings.
+ * Anyone can read them; changing them takes Jira admin (ADMINISTER).
+ */
+
+const requireSiteAdmin = async () => {
+  if (!await new JiraService().hasPermission('ADMINISTER')) {
+    throw new ForbiddenError('Only Jira administrators can change this setting');
+  }
+};
+
+/**
+ * Manual speaker -> Jira account overrides used when resolving action item assignees
+ */
+export const getIdentityAliases = defineHandler('getIdentityAliases', async (request) => {
+  const aliases = await new IdentityService({ siteId: request.siteId }).listAliases();
+
+  return success(aliases.map(alias => ({
+    alias: alias.alias,
+    accountId: alias.account_id,
+    displayName: alias.display_name
+  })));
+}, 'Failed to load identity aliases');
+
+export const setIdentityAlias = defineHandler('setIdentityAlias', async (request) => {
+  await requireSiteAdmin();
+  const { alias, accountId, displayName } = request.payload;
+
+  if (!alias || typeof alias !== 'string' || !accountId || typeof accountId !== 'string') {
+    throw new ValidationError('Alias and accountId are required');
+  }
+
+  await new IdentityService({ siteId: request.siteId })
+    .setAlias(alias, { accountId, displayName: displayName || null }, request.accountId);
+
+  return success({ alias, accountId, displayName: displayName || null }, {
+    message: `"${alias}" will now resolve to ${displayName || accountId}`
+  });
+}, 'Failed to save identity alias');
+
+export const removeIdentityAlias = defineHandler('removeIdentityAlias', async (request) => {
+  await requireSiteAdmin();
+  const alias = requireString(request.payload, 'alias');
+
+  await new IdentityService({ siteId: request.siteId }).removeAlias(alias);
+
+  return success({ alias }, { message: `Removed alias "${alias}"` });
+}, 'Failed to remove identity alias');
+
+/**
+ * Admin mapping of meeting outputs (latest decision, meeting date, ...) to Jira custom fields
+ */
+export const getFieldMappings = defineHandler('getFieldMappings', async () => {
+  return success(await new FieldMappingService().listMappings());
+}, 'Failed to load field mappings');
+
+export const setFieldMapping = defineHandler('setFieldMapping', async (request) => {
+  await requireSiteAdmin();
+  const output = requireString(request.payload, 'output');
+  const { fieldId } = request.payload;
+
+  if (fieldId !== null && fieldId !== undefined && typeof fieldId !== 'string') {
+    throw new ValidationError('fieldId must be a string or null');
+  }
+
+  const mappings = await new FieldMappingService().setMapping(output, fieldId || null);
+
+  return success(mappings, {
+    message: fieldId ? `${output} will be written to ${fieldId}` : `${output} is no longer written to Jira`
+  });
+}, 'Failed to save field mapping');
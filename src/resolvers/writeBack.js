@@ -0,0 +1,136 @@
+import { storage } from '@forge/api';
+import WriteBackService from '../services/WriteBackService';
+import { STORAGE_KEYS } from '../services/storageKeys';
+import { ValidationError, NotFoundError } from '../utils/errorHandling';
+import { defineHandler, requireIssueKey, requireString, success, partialFailure } from './schema';
+
+/**
+ * Review of proposed Jira updates: list, approve or reject, apply, audit history.
+ * Meetings and changes are only reachable from the issues they belong to.
+ */
+
+/**
+ * Whether the meeting belongs to the context issue: listed in its panel, mentioning it,
+ * or with a change proposed for it
+ */
+const isIssueMeeting = async (writeBack, issueKey, meetingId) => {
+  const listed = ((await storage.get(STORAGE_KEYS.issueMeetings(issueKey)))?.meetings || [])
+    .some(meeting => meeting.id === meetingId);
+  return listed || await writeBack.meetingTouchesIssue(meetingId, issueKey);
+};
+
+const requireIssueMeeting = async (writeBack, issueKey, meetingId) => {
+  if (!await isIssueMeeting(writeBack, issueKey, meetingId)) {
+    throw new NotFoundError('Meeting not found');
+  }
+};
+
+/**
+ * A change for the context issue, or from one of its meetings
+ */
+const requireIssueChange = async (writeBack, issueKey, changeId) => {
+  const change = await writeBack.getChange(changeId);
+  if (!change || (change.issue_key !== issueKey && !await isIssueMeeting(writeBack, issueKey, change.meeting_id))) {
+    throw new NotFoundError('Change not found');
+  }
+  return change;
+};
+
+/**
+ * Proposed Jira updates awaiting review. Lists every change from the meetings that
+ * touch this issue, so a comment aimed at the wrong ticket is visible here too.
+ */
+export const getPendingChanges = defineHandler('getPendingChanges', async (request) => {
+  const issueKey = requireIssueKey(request);
+  const { meetingId, status } = request.payload;
+  const writeBack = new WriteBackService({ siteId: request.siteId });
+
+  let changes;
+  if (meetingId) {
+    await requireIssueMeeting(writeBack, issueKey, meetingId);
+    changes = await writeBack.listChanges({ meetingId, status });
+  } else {
+    const meetingIds = [...new Set((await writeBack.listChanges({ issueKey })).map(change => change.meeting_id))];
+    changes = [];
+    for (const id of meetingIds) {
+      changes.push(...await writeBack.listChanges({ meetingId: id, status }));
+    }
+  }
+
+  return success(changes.map(change => ({
+    id: change.id,
+    meetingId: change.meeting_id,
+    issueKey: change.issue_key,
+    changeType: change.change_type,
+    status: change.status,
+    summary: change.summary,
+    preview: change.preview,
+    payload: change.change_type === 'comment' ? null : change.payload,
+    decidedBy: change.decided_by,
+    decidedAt: change.decided_at,
+    error: change.error_message
+  })));
+}, 'Failed to load pending changes');
+
+/**
+ * Approve (optionally with edits) or reject one proposed change
+ */
+export const decideChange = defineHandler('decideChange', async (request) => {
+  const issueKey = requireIssueKey(request);
+  const changeId = requireString(request.payload, 'changeId', 'change ID');
+  const { decision, edits, reason } = request.payload;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new ValidationError('Decision must be "approve" or "reject"');
+  }
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    throw new ValidationError('Reason must be text');
+  }
+
+  const writeBack = new WriteBackService({ siteId: request.siteId });
+  await requireIssueChange(writeBack, issueKey, changeId);
+  const change = decision === 'approve'
+    ? await writeBack.approve(changeId, request.accountId, edits || null)
+    : await writeBack.reject(changeId, request.accountId, reason || null);
+
+  return success(
+    { id: change.id, status: change.status, issueKey: change.issue_key },
+    { message: `${change.summary}: ${change.status}` }
+  );
+}, 'Failed to record decision');
+
+/**
+ * Execute approved changes for a meeting (or for this issue)
+ */
+export const applyApprovedChanges = defineHandler('applyApprovedChanges', async (request) => {
+  const issueKey = requireIssueKey(request);
+  const { meetingId } = request.payload;
+  const writeBack = new WriteBackService({ siteId: request.siteId });
+  if (meetingId) {
+    await requireIssueMeeting(writeBack, issueKey, meetingId);
+  }
+
+  const result = await writeBack.applyApproved(meetingId ? { meetingId } : { issueKey }, request.accountId);
+  const message = `Applied ${result.applied} change(s)${result.failed ? `, ${result.failed} failed` : ''}`;
+
+  return result.failed === 0 ? success(result, { message }) : partialFailure(result, message);
+}, 'Failed to apply changes');
+
+export const getWriteBackHistory = defineHandler('getWriteBackHistory', async (request) => {
+  const issueKey = requireIssueKey(request);
+  const { meetingId, changeId } = request.payload;
+
+  if (!meetingId && !changeId) {
+    throw new ValidationError('Meeting ID or change ID is required');
+  }
+
+  const writeBack = new WriteBackService({ siteId: request.siteId });
+  if (meetingId) {
+    await requireIssueMeeting(writeBack, issueKey, meetingId);
+  }
+  if (changeId) {
+    await requireIssueChange(writeBack, issueKey, changeId);
+  }
+
+  return success(await writeBack.getHistory({ meetingId, changeId }));
+}, 'Failed to load write-back history');
@@ -0,0 +1,254 @@
+import DatabaseService from './DatabaseService';
+import JiraService from './jira';
+import { textToDocument } from '../utils/adf';
+
+/**
+ * Maps meeting outputs (latest decision, meeting date, ...) onto Jira fields
+ * chosen by an admin, e.g. a "Decision Log" text field and a "Last Discussed"
+ * date field.
+ *
+ * Mappings live in the `field_mappings` config as { output: fieldId }. Field
+ * types come from Jira's field list, and each value is converted to the shape
+ * the field takes before it is proposed as a field_update write-back change.
+ */
+
+/**
+ * Meeting outputs that can be mapped. `value` reads the raw output for one
+ * ticket, `kinds` are the field kinds it can be written to and `text` words a
+ * numeric output for text and select fields.
+ */
+export const MEETING_OUTPUTS = {
+  latest_decision: {
+    label: 'Latest decision',
+    kinds: ['text', 'rich_text'],
+    value: ({ insights }) => {
+      const decisions = insights.keyDecisions || [];
+      const ordered = [...decisions].sort((a, b) => (a.start ?? a.position ?? 0) - (b.start ?? b.position ?? 0));
+      const latest = ordered[ordered.length - 1];
+      return latest ? (typeof latest === 'string' ? latest : latest.decision) || null : null;
+    }
+  },
+  meeting_date: {
+    label: 'Meeting date',
+    kinds: ['date', 'datetime', 'text'],
+    value: ({ meeting }) => meeting.start_time || null
+  },
+  sentiment: {
+    label: 'Sentiment',
+    kinds: ['number', 'text', 'select', 'multi_select', 'labels'],
+    value: ({ mention, insights }) => {
+      const score = mention?.sentiment_score ?? insights.sentiment;
+      return score === undefined || score === null ? null : Number(score);
+    },
+    text: (score) => (score > 0.2 ? 'Positive' : score < -0.2 ? 'Negative' : 'Neutral')
+  },
+  action_item_count: {
+    label: 'Action item count',
+    kinds: ['number', 'text'],
+    value: ({ insights }) => (insights.actionItems || []).length
+  }
+};
+
+// Jira field schema -> the kind of value we write
+const FIELD_KINDS = {
+  string: 'text',
+  date: 'date',
+  datetime: 'datetime',
+  number: 'number',
+  option: 'select'
+};
+
+const TEXTAREA_TYPE = 'com.atlassian.jira.plugin.system.customfieldtypes:textarea';
+
+/**
+ * How a Jira field takes values, or null when it is not a supported target
+ * @param {Object} field - From GET /rest/api/3/field
+ */
+export const fieldKind = (field) => {
+  const schema = field?.schema;
+  if (!schema) return null;
+
+  if (schema.type === 'string' && schema.custom === TEXTAREA_TYPE) return 'rich_text';
+  if (schema.type === 'array') {
+    if (schema.items === 'option') return 'multi_select';
+    if (schema.items === 'string') return 'labels';
+    return null;
+  }
+  return FIELD_KINDS[schema.type] || null;
+};
+
+class FieldMappingService {
+  /**
+   * @param {Object} options - { jira, db }
+   */
+  constructor({ jira = null, db = null } = {}) {
+    this.db = db || new DatabaseService();
+    this.jira = jira || new JiraService({ db: this.db });
+    this.fieldsPromise = null;
+  }
+
+  /**
+   * Custom fields that meeting outputs can be written to, loaded once per instance
+   * @returns {Array} - [{ id, name, custom, kind }]
+   */
+  async discoverFields() {
+    if (!this.fieldsPromise) {
+      this.fieldsPromise = this.jira.getFields()
+        .then(fields => fields
+          .map(field => ({ id: field.id, name: field.name, custom: Boolean(field.custom), kind: fieldKind(field) }))
+          .filter(field => field.custom && field.kind))
+        .catch(error => {
+          this.fieldsPromise = null;
+          throw error;
+        });
+    }
+    return await this.fieldsPromise;
+  }
+
+  async getMappings() {
+    const { mappings = {} } = await this.db.getConfig('field_mappings');
+    return Object.fromEntries(Object.entries(mappings).filter(([output, fieldId]) => MEETING_OUTPUTS[output] && fieldId));
+  }
+
+  /**
+   * Every output with the field it is mapped to, for the admin view
+   * @returns {Object} - { outputs: [{ output, label, fieldId, fieldName, kind }], fields }
+   */
+  async listMappings() {
+    const [mappings, fields] = await Promise.all([this.getMappings(), this.discoverFields()]);
+
+    return {
+      outputs: Object.entries(MEETING_OUTPUTS).map(([output, { label }]) => {
+        const field = fields.find(item => item.id === mappings[output]);
+        return {
+          output,
+          label,
+          fieldId: mappings[output] || null,
+          fieldName: field ? field.name : null,
+          kind: field ? field.kind : null
+        };
+      }),
+      fields
+    };
+  }
+
+  /**
+   * Map an output to a field, or clear it with a null fieldId
+   * @param {string} output - Key of MEETING_OUTPUTS
+   * @param {string|null} fieldId - e.g. 'customfield_10050'
+   */
+  async setMapping(output, fieldId) {
+    if (!MEETING_OUTPUTS[output]) {
+      throw new Error(`Unknown meeting output: ${output}`);
+    }
+
+    const mappings = await this.getMappings();
+    if (fieldId) {
+      const field = (await this.discoverFields()).find(item => item.id === fieldId);
+      if (!field) {
+        throw new Error(`Field ${fieldId} is not a custom field or has an unsupported type`);
+      }
+      if (!MEETING_OUTPUTS[output].kinds.includes(field.kind)) {
+        throw new Error(`${MEETING_OUTPUTS[output].label} cannot be written to a ${field.kind.replace('_', ' ')} field`);
+      }
+      mappings[output] = fieldId;
+    } else {
+      delete mappings[output];
+    }
+
+    await this.db.setConfig('field_mappings', { mappings });
+    return mappings;
+  }
+
+  /**
+   * Field values for one ticket of a meeting
+   * @param {Object} meeting - Stored meetings record
+   * @param {Object} mention - Stored ticket_mentions record for the ticket
+   * @returns {Object|null} - { fields: { fieldId: value }, values: [{ output, fieldId, fieldName, display }] }
+   */
+  async buildUpdate(meeting, mention = null) {
+    const mappings = await this.getMappings();
+    if (Object.keys(mappings).length === 0) {
+      return null;
+    }
+
+    const fields = await this.discoverFields();
+    const insights = this.parse(meeting.processed_data) || {};
+    const update = { fields: {}, values: [] };
+
+    for (const [output, fieldId] of Object.entries(mappings)) {
+      const field = fields.find(item => item.id === fieldId);
+      const definition = MEETING_OUTPUTS[output];
+      if (!field || !definition.kinds.includes(field.kind)) {
+        console.warn(`Mapped field ${fieldId} for ${output} no longer exists or changed type`);
+        continue;
+      }
+
+      const raw = definition.value({ meeting, mention, insights });
+      const value = this.convert(raw, field.kind, definition.text);
+      if (value === null) continue;
+
+      update.fields[fieldId] = value;
+      update.values.push({ output, fieldId, fieldName: field.name, display: this.display(raw, field.kind, definition.text) });
+    }
+
+    return update.values.length > 0 ? update : null;
+  }
+
+  /**
+   * Convert an output to the value shape a field kind takes; null when it cannot
+   * @param {*} raw - Output value
+   * @param {string} kind - From fieldKind()
+   * @param {Function} text - Optional wording for text and select fields
+   */
+  convert(raw, kind, text = null) {
+    if (raw === null || raw === undefined || raw === '') {
+      return null;
+    }
+
+    const wording = text && typeof raw === 'number' ? text(raw) : String(raw);
+
+    switch (kind) {
+      case 'text':
+        return wording.slice(0, 255);
+      case 'rich_text':
+        return textToDocument(wording);
+      case 'number': {
+        const number = Number(raw);
+        return Number.isFinite(number) ? number : null;
+      }
+      case 'date':
+      case 'datetime': {
+        const date = new Date(raw);
+        if (isNaN(date.getTime())) return null;
+        return kind === 'date' ? date.toISOString().slice(0, 10) : date.toISOString().replace('Z', '+0000');
+      }
+      case 'select':
+        return { value: wording };
+      case 'multi_select':
+        return [{ value: wording }];
+      case 'labels':
+        return [wording.toLowerCase().replace(/\s+/g, '-')];
+      default:
+        return null;
+    }
+  }
+
+  display(raw, kind, text = null) {
+    if (kind === 'date') return String(raw).slice(0, 10);
+    return text && typeof raw === 'number' && kind !== 'number' ? text(raw) : String(raw);
+  }
+
+  parse(value) {
+    if (!value) return null;
+    if (typeof value !== 'string') return value;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default FieldMappingService;
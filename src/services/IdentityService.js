@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import DatabaseService from './DatabaseService';
+import JiraService from './jira';
+
+/**
+ * Identity resolution - maps transcript speaker names and emails to Jira accounts
+ *
+ * Lookups go manual alias -> per-site cache -> Jira user search. Ambiguous
+ * search results resolve to nothing rather than to a guess, so a comment never
+ * mentions the wrong person; admins fix those with an alias.
+ */
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// Misses are cached too, but retried sooner in case the user is added to the site
+const MISS_TTL_MS = 60 * 60 * 1000;
+
+const EMAIL_PATTERN = /[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+/;
+
+/**
+ * Lower-case and collapse whitespace so "Alex  Chen" and "alex chen" share a key
+ */
+export const normalizeIdentity = (value) => {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Split "Alex Chen <alex@example.com>", "alex@example.com" or "Alex" into { name, email }
+ */
+export const parseIdentity = (value) => {
+  const text = String(value || '').trim();
+  const emailMatch = EMAIL_PATTERN.exec(text);
+  const email = emailMatch ? emailMatch[0].toLowerCase() : null;
+  const name = text.replace(EMAIL_PATTERN, '').replace(/[<>()]/g, '').trim() || null;
+
+  return { name, email };
+};
+
+/**
+ * Site id from a Forge invocation context (resolver `cloudId` or a trigger's installContext ARI)
+ */
+export const siteIdFromContext = (context) => {
+  if (context?.cloudId) return context.cloudId;
+
+  const match = /\bsite\/([^/]+)/.exec(context?.installContext || '');
+  return match ? match[1] : 'default';
+};
+
+// Storage keys only allow a restricted character set, emails and names don't fit it
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+
+class IdentityService {
+  /**
+   * @param {Object} options - { jira, db, siteId, now }
+   */
+  constructor({ jira = new JiraService(), db = new DatabaseService(), siteId = 'default', now = () => new Date() } = {}) {
+    this.jira = jira;
+    this.db = db;
+    this.siteId = siteId;
+    this.now = now;
+  }
+
+  /**
+   * Resolve a speaker name or email to a Jira account
+   * @param {string} nameOrEmail - As it appears in the transcript or participant list
+   * @param {Array} participants - Meeting participants, used to expand first names and find emails
+   * @returns {Object|null} - { accountId, displayName, source, confidence }
+   */
+  async resolve(nameOrEmail, participants = []) {
+    const identity = this.expandFromParticipants(parseIdentity(nameOrEmail), participants);
+    if (!identity.name && !identity.email) return null;
+
+    const keys = [identity.email, identity.name].filter(Boolean).map(normalizeIdentity);
+
+    for (const key of keys) {
+      const alias = await this.db.findById('identity_aliases', this.recordId(key));
+      if (alias) {
+        return { accountId: alias.account_id, displayName: alias.display_name, source: 'alias', confidence: 1 };
+      }
+    }
+
+    for (const key of keys) {
+      const resolved = await this.lookup(key, identity);
+      if (resolved) return resolved;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve many names at once, searching each distinct name only once
+   * @returns {Map} - name -> identity or null
+   */
+  async resolveMany(names, participants = []) {
+    const results = new Map();
+
+    for (const name of names) {
+      if (!name || results.has(name)) continue;
+
+      try {
+        results.set(name, await this.resolve(name, participants));
+      } catch (error) {
+        console.error(`Error resolving identity for ${name}:`, error);
+        results.set(name, null);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Attach resolved Jira accounts to action items as `assignee`
+   * @param {Array} actionItems - Items with `responsible` (a name) from the processor
+   * @param {Array|string} participants - Meeting participants (JSON string as stored)
+   * @returns {Array} - Copies of the items with `assignee: { accountId, displayName } | null`
+   */
+  async assignActionItems(actionItems = [], participants = []) {
+    const people = typeof participants === 'string' ? JSON.parse(participants) : (participants || []);
+    const identities = await this.resolveMany(actionItems.map(item => item.responsible), people);
+
+    return actionItems.map(item => {
+      const identity = item.responsible ? identities.get(item.responsible) : null;
+      return {
+        ...item,
+        assignee: identity ? { accountId: identity.accountId, displayName: identity.displayName } : null
+      };
+    });
+  }
+
+  /**
+   * Cached lookup for one key, falling back to Jira user search
+   */
+  async lookup(key, identity) {
+    const id = this.recordId(key);
+    const cached = await this.db.findById('identity_cache', id);
+
+    if (cached && this.isFresh(cached)) {
+      return cached.account_id
+        ? { accountId: cached.account_id, displayName: cached.display_name, source: 'cache', confidence: cached.confidence }
+        : null;
+    }
+
+    const users = await this.jira.searchUsers(key === identity.email ? identity.email : identity.name);
+    const match = this.pickUser(identity, users || []);
+
+    await this.save('identity_cache', id, {
+      site_id: this.siteId,
+      lookup_key: key,
+      account_id: match ? match.user.accountId : null,
+      display_name: match ? match.user.displayName : null,
+      confidence: match ? match.confidence : null,
+      resolved_at: this.now().toISOString()
+    });
+
+    return match
+      ? { accountId: match.user.accountId, displayName: match.user.displayName, source: 'search', confidence: match.confidence }
+      : null;
+  }
+
+  /**
+   * Choose the user a search result refers to, or null when it is ambiguous
+   * @returns {Object|null} - { user, confidence }
+   */
+  pickUser({ name, email }, users) {
+    const people = users.filter(user => user.accountType === 'atlassian' && user.active !== false);
+
+    if (email) {
+      const byEmail = people.find(user => normalizeIdentity(user.emailAddress) === email);
+      if (byEmail) return { user: byEmail, confidence: 1 };
+    }
+
+    if (!name) return null;
+    const wanted = normalizeIdentity(name);
+
+    const exact = people.filter(user => normalizeIdentity(user.displayName) === wanted);
+    if (exact.length === 1) return { user: exact[0], confidence: 0.95 };
+    if (exact.length > 1) return null;
+
+    // "Alex" only counts when exactly one user on the site is called Alex
+    if (!wanted.includes(' ')) {
+      const firstName = people.filter(user => normalizeIdentity(user.displayName).split(' ')[0] === wanted);
+      return firstName.length === 1 ? { user: firstName[0], confidence: 0.75 } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Use the participant list to turn a bare first name into a full name and email
+   */
+  expandFromParticipants(identity, participants) {
+    if (!identity.name || identity.email) return identity;
+
+    const wanted = normalizeIdentity(identity.name);
+    const matches = participants
+      .map(participant => parseIdentity(typeof participant === 'string'
+        ? participant
+        : [participant.name, participant.email && `<${participant.email}>`].filter(Boolean).join(' ')))
+      .filter(person => person.name && (
+        normalizeIdentity(person.name) === wanted ||
+        normalizeIdentity(person.name).split(' ')[0] === wanted
+      ));
+
+    return matches.length === 1
+      ? { name: matches[0].name, email: matches[0].email }
+      : identity;
+  }
+
+  /**
+   * Manual override: always resolve `alias` to this account on this site
+   */
+  async setAlias(alias, { accountId, displayName = null }, createdBy = null) {
+    const key = normalizeIdentity(alias);
+    if (!key || !accountId) {
+      throw new Error('Alias and accountId are required');
+    }
+
+    return await this.save('identity_aliases', this.recordId(key), {
+      site_id: this.siteId,
+      alias: key,
+      account_id: accountId,
+      display_name: displayName,
+      created_by: createdBy
+    });
+  }
+
+  async removeAlias(alias) {
+    return await this.db.delete('identity_aliases', this.recordId(normalizeIdentity(alias)));
+  }
+
+  async listAliases() {
+    return await this.db.findAll('identity_aliases', { site_id: this.siteId });
+  }
+
+  isFresh(record) {
+    const age = this.now().getTime() - new Date(record.resolved_at).getTime();
+    return age < (record.account_id ? CACHE_TTL_MS : MISS_TTL_MS);
+  }
+
+  recordId(key) {
+    return `${this.siteId}:${hashKey(key)}`;
+  }
+
+  async save(table, id, data) {
+    const existing = await this.db.findById(table, id);
+    return existing
+      ? await this.db.update(table, id, data)
+      : await this.db.insert(table, { id, ...data });
+  }
+}
+
+export default IdentityService;
@@ -0,0 +1,187 @@
+import Fuse from 'fuse.js';
+import JiraService from './jira';
+
+/**
+ * Finds tickets people talk about by name instead of by key ("the login
+ * timeout bug" rather than PROJ-482).
+ *
+ * Noun phrases such as "the <words> bug|issue|page|..." are pulled from each
+ * utterance and scored against the summaries of open issues in the team's
+ * projects. Matches come back as implied mentions with a confidence capped
+ * well below explicit key mentions, and a phrase that fits two issues about
+ * equally well is dropped rather than guessed.
+ */
+
+const DETERMINERS = ['the', 'that', 'this', 'our', 'those', 'these'];
+
+// Words that end a phrase naming a piece of work
+const HEAD_NOUNS = [
+  'bug', 'issue', 'ticket', 'story', 'task', 'epic', 'problem', 'error', 'crash', 'fix',
+  'feature', 'page', 'screen', 'flow', 'migration', 'refactor', 'upgrade', 'integration',
+  'change', 'report', 'dashboard', 'endpoint', 'work'
+];
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'or', 'of', 'for', 'on', 'in', 'to', 'with', 'about', 'from', 'at', 'by',
+  'is', 'was', 'it', 'its', 'new', 'old', 'same', 'other', 'big', 'small', 'whole', 'last', 'next'
+]);
+
+// Determiner, up to five words that are not themselves determiners, then a head noun
+const PHRASE_PATTERN = new RegExp(
+  `\\b(?:${DETERMINERS.join('|')})\\s+((?:(?!(?:${DETERMINERS.join('|')})\\b)[a-z0-9'-]+\\s+){1,5}?)(${HEAD_NOUNS.join('|')})(?:e?s)?\\b`,
+  'gi'
+);
+
+export const IMPLIED_CONFIDENCE_CAP = 0.6;
+
+const DEFAULTS = {
+  minSimilarity: 0.6,
+  // Best match must beat the runner-up by this much
+  ambiguityMargin: 0.05,
+  maxCandidates: 100
+};
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token && !STOPWORDS.has(token) && !DETERMINERS.includes(token));
+
+// "timeout" ~ "times", "migrate" ~ "migration": compare on a shared stem-ish prefix
+const tokensMatch = (a, b) => a === b || (a.length >= 4 && b.length >= 4 && a.slice(0, 4) === b.slice(0, 4));
+
+/**
+ * Pull candidate phrases out of an utterance
+ * @returns {Array} - [{ phrase, tokens, position }]
+ */
+export const extractPhrases = (text) => {
+  const phrases = [];
+  PHRASE_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = PHRASE_PATTERN.exec(text)) !== null) {
+    const tokens = tokenize(match[1]);
+    if (tokens.length > 0) {
+      phrases.push({ phrase: match[0], tokens, position: match.index });
+    }
+  }
+
+  return phrases;
+};
+
+class ImpliedMentionResolver {
+  /**
+   * @param {Object} options - { jira, minSimilarity, ambiguityMargin, maxCandidates }
+   */
+  constructor({ jira = null, ...options } = {}) {
+    this.jira = jira || new JiraService();
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * Open issues to match against, most recently updated first
+   * @param {Array} projectKeys - Team projects; empty searches every project
+   */
+  async loadCandidates(projectKeys = []) {
+    const scope = projectKeys.length > 0 ? `project in (${projectKeys.join(', ')}) AND ` : '';
+    const { issues } = await this.jira.searchIssues(
+      `${scope}statusCategory != Done ORDER BY updated DESC`,
+      ['summary', 'status'],
+      this.options.maxCandidates
+    );
+
+    return issues.map(issue => ({
+      key: issue.key,
+      summary: issue.fields?.summary || '',
+      tokens: tokenize(issue.fields?.summary)
+    }));
+  }
+
+  /**
+   * Resolve implied mentions in a meeting
+   * @param {Array} utterances - [{ speaker, text, start }]
+   * @param {Object} options - { projectKeys, explicitMentions: [{ ticketId }] already found by key }
+   * @returns {Array} - [{ ticketId, implied, phrase, matchedSummary, similarity, confidence, context, speakers, start }]
+   */
+  async resolve(utterances, { projectKeys = [], explicitMentions = [] } = {}) {
+    try {
+      const phrases = utterances.flatMap(utterance => extractPhrases(utterance.text)
+        .map(phrase => ({ ...phrase, utterance })));
+      if (phrases.length === 0) {
+        return [];
+      }
+
+      const candidates = await this.loadCandidates(projectKeys);
+      const fuse = new Fuse(candidates, {
+        keys: ['summary'],
+        includeScore: true,
+        ignoreLocation: true,
+        threshold: 0.6
+      });
+
+      const explicit = new Set(explicitMentions.map(mention => mention.ticketId));
+      const best = new Map();
+
+      for (const phrase of phrases) {
+        const match = this.match(phrase, candidates, fuse);
+        if (!match || explicit.has(match.key)) continue;
+
+        const existing = best.get(match.key);
+        if (existing) {
+          existing.speakers = [...new Set([...existing.speakers, phrase.utterance.speaker].filter(Boolean))];
+          if (match.similarity <= existing.similarity) continue;
+        }
+
+        best.set(match.key, {
+          ticketId: match.key,
+          implied: true,
+          phrase: phrase.phrase,
+          matchedSummary: match.summary,
+          similarity: match.similarity,
+          confidence: Math.round(match.similarity * IMPLIED_CONFIDENCE_CAP * 100) / 100,
+          context: phrase.utterance.text,
+          speakers: existing ? existing.speakers : [phrase.utterance.speaker].filter(Boolean),
+          start: existing ? existing.start : (phrase.utterance.start ?? null)
+        });
+      }
+
+      const implied = [...best.values()];
+      console.log(`Resolved ${implied.length} implied ticket mentions from ${phrases.length} phrases`);
+      return implied;
+
+    } catch (error) {
+      console.error('Error resolving implied ticket mentions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Score one phrase against the candidates: token coverage weighted with Fuse's fuzzy score
+   * @returns {Object|null} - { key, summary, similarity }
+   */
+  match(phrase, candidates, fuse) {
+    const fuzzy = new Map(fuse.search(phrase.tokens.join(' ')).map(result => [result.item.key, result.score]));
+
+    const scored = candidates
+      .map(candidate => {
+        const covered = phrase.tokens.filter(token => candidate.tokens.some(other => tokensMatch(token, other)));
+        const coverage = covered.length / phrase.tokens.length;
+        const fuzzyScore = fuzzy.has(candidate.key) ? 1 - fuzzy.get(candidate.key) : 0;
+
+        return {
+          key: candidate.key,
+          summary: candidate.summary,
+          similarity: Math.round((0.6 * coverage + 0.4 * fuzzyScore) * 100) / 100
+        };
+      })
+      .filter(candidate => candidate.similarity >= this.options.minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity);
+
+    if (scored.length === 0) return null;
+    if (scored.length > 1 && scored[0].similarity - scored[1].similarity < this.options.ambiguityMargin) {
+      return null;
+    }
+    return scored[0];
+  }
+}
+
+export default ImpliedMentionResolver;
@@ -1,4 +1,7 @@
 import api, { route } from '@forge/api';
+import MeetingCommentBuilder from './MeetingCommentBuilder';
+import MeetingCommentSync from './MeetingCommentSync';
+import { textToDocument } from '../utils/adf';
 
 class JiraService {
   constructor() {
@@ -52,67 +55,18 @@ class JiraService {
     throw new Error('MCP not available in this environment');
   }
 
+  /**
+   * Post the meeting comment, or edit the one this meeting already posted on the ticket
+   * @returns {Object} - { id, action: 'created' | 'updated' | 'unchanged' }
+   */
   async updateViaRestAPI(ticketKey, meetingData) {
     try {
       const comment = this.formatMeetingComment(meetingData);
       
       // Use Forge API instead of direct fetch for proper authentication
-      const response = await api.asUser().requestJira(
-        route`/rest/api/3/issue/${ticketKey}/comment`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          body: JSON.stringify({
-            body: {
-              type: 'doc',
-              version: 1,
-              content: [
-                {
-                  type: 'panel',
-                  attrs: {
-                    panelType: 'info'
-                  },
-                  content: [
-                    {
-                      type: 'paragraph',
-                      content: [
-                        {
-                          type: 'text',
-                          text: '🎙️ Meeting Context Added',
-                          marks: [{ type: 'strong' }]
-                        }
-                      ]
-                    },
-                    {
-                      type: 'paragraph',
-                      content: [
-                        {
-                          type: 'text',
-                          text: comment
-                        }
-                      ]
-                    }
-                  ]
-                }
-              ]
-            },
-            properties: {
-              meetingId: meetingData.id,
-              source: 'meetingsync'
-            }
-          })
-        }
-      );
+      const result = await new MeetingCommentSync(api.asUser()).upsert(ticketKey, meetingData.id, comment);
 
-      if (!response.ok) {
-        throw new Error(`Jira API error: ${response.status} ${response.statusText}`);
-      }
-
-      const result = await response.json();
-      console.log(`Successfully updated ${ticketKey} via REST API`);
+      console.log(`Successfully updated ${ticketKey} via REST API (${result.action})`);
       return result;
 
     } catch (error) {
@@ -121,49 +75,25 @@ class JiraService {
     }
   }
 
-  formatMeetingComment(meetingData) {
-    let comment = `📅 Meeting: ${meetingData.title}\n`;
-    comment += `⏰ Date: ${new Date(meetingData.start_time).toLocaleString()}\n`;
-    
-    if (meetingData.duration_minutes) {
-      comment += `⏱️ Duration: ${meetingData.duration_minutes} minutes\n`;
-    }
-
-    if (meetingData.participants && meetingData.participants.length > 0) {
-      comment += `👥 Participants: ${meetingData.participants.join(', ')}\n`;
-    }
-
-    comment += '\n';
-
-    // Add processed insights
-    const processedData = typeof meetingData.processed_data === 'string' 
-      ? JSON.parse(meetingData.processed_data) 
-      : meetingData.processed_data;
-
-    if (processedData) {
-      if (processedData.summary) {
-        comment += `📝 Summary:\n${processedData.summary}\n\n`;
-      }
-
-      if (processedData.actionItems && processedData.actionItems.length > 0) {
-        comment += '✅ Action Items:\n';
-        processedData.actionItems.forEach(item => {
-          comment += `• ${item}\n`;
-        });
-        comment += '\n';
-      }
+  /**
+   * Delete the comment a meeting posted on a ticket, e.g. when the meeting is deleted
+   */
+  async removeMeetingContext(ticketKey, meetingId) {
+    try {
+      return await new MeetingCommentSync(api.asUser()).remove(ticketKey, meetingId);
 
-      if (processedData.keyDecisions && processedData.keyDecisions.length > 0) {
-        comment += '🎯 Key Decisions:\n';
-        processedData.keyDecisions.forEach(decision => {
-          comment += `• ${decision}\n`;
-        });
-        comment += '\n';
-      }
+    } catch (error) {
+      console.error(`Error removing meeting context from ${ticketKey}:`, error);
+      throw error;
     }
+  }
 
-    comment += '_Added automatically by MeetingSync_';
-    return comment;
+  /**
+   * Build the ADF meeting context comment from a stored meeting record
+   */
+  formatMeetingComment(meetingData) {
+    const builder = new MeetingCommentBuilder();
+    return builder.build(builder.fromMeetingRecord(meetingData));
   }
 
   async getTicketDetails(ticketKey) {
@@ -240,17 +170,7 @@ class JiraService {
             update: {
               comment: [{
                 add: {
-                  body: {
-                    type: 'doc',
-                    version: 1,
-                    content: [{
-                      type: 'paragraph',
-                      content: [{
-                        type: 'text',
-                        text: comment
-                      }]
-                    }]
-                  }
+                  body: textToDocument(comment)
                 }
               }]
             }
@@ -0,0 +1,152 @@
+import {
+  doc, paragraph, heading, strong, em, bulletList, taskList,
+  mention, date, status, expand, panel
+} from '../utils/adf';
+
+// Lozenge colours for the mention categories assigned by the enterprise tier
+const CATEGORY_COLORS = {
+  blocker: 'red',
+  decision: 'green',
+  status_update: 'blue',
+  action: 'purple',
+  question: 'yellow',
+  reference: 'neutral'
+};
+
+/**
+ * Builds the meeting context comment posted to Jira as a real ADF document.
+ *
+ * Shared by both Jira clients: `jira.js` passes { meeting, mentions, actionItems,
+ * keyDecisions } and `JiraService.js` passes a stored meeting record, which
+ * `fromMeetingRecord` maps onto the same input.
+ */
+class MeetingCommentBuilder {
+  /**
+   * @param {Object} options - { maxExcerpts, excerptLength } for the transcript excerpt section
+   */
+  constructor({ maxExcerpts = 5, excerptLength = 300 } = {}) {
+    this.maxExcerpts = maxExcerpts;
+    this.excerptLength = excerptLength;
+  }
+
+  /**
+   * @param {Object} input - { meeting, summary, mentions, actionItems, keyDecisions, participants }
+   * @returns {Object} - ADF document
+   */
+  build({ meeting = {}, summary = null, mentions = [], actionItems = [], keyDecisions = [], participants = [] }) {
+    const discussion = mentions.filter(item => this.mentionSummary(item));
+    const excerpts = mentions.filter(item => item.context).slice(0, this.maxExcerpts);
+
+    return doc(
+      panel('info',
+        heading(3, '🎙️ Meeting Context: ', strong(meeting.title || 'Untitled meeting')),
+        this.formatDetails(meeting, participants)
+      ),
+
+      summary && [heading(4, '📝 Summary'), paragraph(summary)],
+
+      discussion.length > 0 && [
+        heading(4, '💬 Discussion'),
+        bulletList(discussion.map(item => [
+          status((item.category || 'discussed').replace(/_/g, ' '), CATEGORY_COLORS[item.category] || 'neutral'),
+          ' ',
+          this.mentionSummary(item)
+        ]))
+      ],
+
+      actionItems.length > 0 && [
+        heading(4, '✅ Action Items'),
+        taskList(actionItems.map(item => ({
+          content: this.formatActionItem(item),
+          done: ['done', 'completed'].includes(item.status)
+        })))
+      ],
+
+      keyDecisions.length > 0 && [
+        heading(4, '🎯 Key Decisions'),
+        bulletList(keyDecisions.map(decision => decision.decision || String(decision)))
+      ],
+
+      excerpts.length > 0 && expand('Transcript excerpts', excerpts.map(item => this.formatExcerpt(item))),
+
+      paragraph(em('Added automatically by MeetingSync'))
+    );
+  }
+
+  /**
+   * Map a stored meetings record (processed_data as JSON) onto build() input
+   */
+  fromMeetingRecord(meeting, mentions = []) {
+    const processed = typeof meeting.processed_data === 'string'
+      ? JSON.parse(meeting.processed_data)
+      : (meeting.processed_data || {});
+    const participants = typeof meeting.participants === 'string'
+      ? JSON.parse(meeting.participants)
+      : (meeting.participants || []);
+
+    return {
+      meeting,
+      summary: processed.summary || null,
+      mentions: mentions.length > 0 ? mentions : (processed.ticketMentions || []),
+      actionItems: processed.actionItems || [],
+      keyDecisions: processed.keyDecisions || [],
+      participants
+    };
+  }
+
+  formatDetails(meeting, participants) {
+    const parts = [];
+    const when = meeting.start_time || meeting.date;
+
+    if (when && date(when)) parts.push('📅 ', date(when));
+    if (meeting.duration_minutes) parts.push(`${parts.length ? ' · ' : ''}⏱️ ${meeting.duration_minutes} min`);
+    if (meeting.platform) parts.push(parts.length ? ' · ' : '', status(meeting.platform, 'blue'));
+
+    const names = participants.map(person => (typeof person === 'string' ? person : person.name)).filter(Boolean);
+    if (names.length > 0) parts.push(`${parts.length ? ' · ' : ''}👥 ${names.join(', ')}`);
+
+    return parts.length > 0 ? paragraph(parts) : null;
+  }
+
+  /**
+   * "Update the runbook — @Alex Chen · due 8 Mar" with a real mention when the owner was resolved
+   */
+  formatActionItem(item) {
+    const content = [item.action || item.task || String(item)];
+    const owner = item.assignee?.accountId
+      ? mention(item.assignee.accountId, item.assignee.displayName)
+      : (item.responsible || (typeof item.assignee === 'string' ? item.assignee : null));
+
+    if (owner) content.push(' — ', owner);
+    if (item.dueDate && date(item.dueDate)) content.push(' · due ', date(item.dueDate));
+
+    return content;
+  }
+
+  formatExcerpt(item) {
+    const label = [
+      item.start !== null && item.start !== undefined ? `[${this.formatTimestamp(item.start)}]` : null,
+      item.speaker,
+      item.ticketId
+    ].filter(Boolean).join(' ');
+    const quote = item.context.length > this.excerptLength
+      ? item.context.substring(0, this.excerptLength) + '...'
+      : item.context;
+
+    return paragraph(label ? strong(`${label}: `) : null, quote);
+  }
+
+  mentionSummary(item) {
+    return item.discussion_summary || item.summary || null;
+  }
+
+  formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = String(Math.floor((total % 3600) / 60)).padStart(hours ? 2 : 1, '0');
+    const secs = String(total % 60).padStart(2, '0');
+    return hours ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+  }
+}
+
+export default MeetingCommentBuilder;
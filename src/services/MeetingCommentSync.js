@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { route } from '@forge/api';
+import { documentToText } from '../utils/adf';
+
+/**
+ * Keeps one MeetingSync comment per meeting per issue.
+ *
+ * Our comments carry a `meetingsync` comment property with the meeting ID and
+ * a hash of the content. Posting again for the same meeting edits that comment
+ * (or leaves it alone when nothing changed) instead of adding a duplicate, and
+ * deleting a meeting can find and remove exactly the comments it produced.
+ */
+
+export const COMMENT_PROPERTY_KEY = 'meetingsync';
+
+const PAGE_SIZE = 100;
+
+/**
+ * Content hash of an ADF body. Hashes the rendered text, because task lists and
+ * status lozenges get fresh localIds every time a document is built.
+ */
+export const hashDocument = (body) => {
+  const content = typeof body === 'string' ? body : documentToText(body);
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+};
+
+class MeetingCommentSync {
+  /**
+   * @param {Object} client - Forge product API client (api.asUser() or api.asApp())
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Find the comment previously posted for a meeting
+   * @returns {Object|null} - { id, hash }
+   */
+  async findComment(issueKey, meetingId) {
+    let startAt = 0;
+
+    while (true) {
+      const response = await this.client.requestJira(
+        route`/rest/api/3/issue/${issueKey}/comment?expand=properties&startAt=${startAt}&maxResults=${PAGE_SIZE}`,
+        {
+          headers: {
+            'Accept': 'application/json'
+          }
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch comments for ${issueKey}: ${response.status}`);
+      }
+
+      const page = await response.json();
+      const comments = page.comments || [];
+
+      for (const comment of comments) {
+        const property = (comment.properties || []).find(item => item.key === COMMENT_PROPERTY_KEY);
+        if (property && property.value && property.value.meetingId === meetingId) {
+          return { id: comment.id, hash: property.value.hash || null };
+        }
+      }
+
+      startAt += comments.length;
+      if (comments.length === 0 || startAt >= (page.total || 0)) {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Create the meeting's comment, or edit the existing one if its content changed
+   * @param {Object} body - ADF document
+   * @returns {Object} - { id, action: 'created' | 'updated' | 'unchanged' }
+   */
+  async upsert(issueKey, meetingId, body) {
+    try {
+      const hash = hashDocument(body);
+      const existing = await this.findComment(issueKey, meetingId);
+
+      if (existing && existing.hash === hash) {
+        return { id: existing.id, action: 'unchanged' };
+      }
+
+      const payload = JSON.stringify({
+        body,
+        properties: [{
+          key: COMMENT_PROPERTY_KEY,
+          value: { meetingId, hash, source: 'meetingsync' }
+        }]
+      });
+
+      const response = existing
+        ? await this.client.requestJira(route`/rest/api/3/issue/${issueKey}/comment/${existing.id}`, {
+          method: 'PUT',
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+          },
+          body: payload
+        })
+        : await this.client.requestJira(route`/rest/api/3/issue/${issueKey}/comment`, {
+          method: 'POST',
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+          },
+          body: payload
+        });
+
+      if (!response.ok) {
+        throw new Error(`Failed to ${existing ? 'update' : 'add'} comment on ${issueKey}: ${response.status}`);
+      }
+
+      const result = await response.json();
+      const action = existing ? 'updated' : 'created';
+      console.log(`Meeting ${meetingId} comment ${action} on ${issueKey}:`, result.id);
+
+      return { id: result.id, action };
+
+    } catch (error) {
+      console.error(`Error syncing meeting ${meetingId} comment on ${issueKey}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the comment a meeting posted on an issue, if there is one
+   * @returns {Object} - { removed, id }
+   */
+  async remove(issueKey, meetingId) {
+    try {
+      const existing = await this.findComment(issueKey, meetingId);
+      if (!existing) {
+        return { removed: false, id: null };
+      }
+
+      const response = await this.client.requestJira(
+        route`/rest/api/3/issue/${issueKey}/comment/${existing.id}`,
+        { method: 'DELETE' }
+      );
+
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`Failed to delete comment ${existing.id} on ${issueKey}: ${response.status}`);
+      }
+
+      console.log(`Removed meeting ${meetingId} comment from ${issueKey}`);
+      return { removed: true, id: existing.id };
+
+    } catch (error) {
+      console.error(`Error removing meeting ${meetingId} comment from ${issueKey}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default MeetingCommentSync;
@@ -0,0 +1,300 @@
+import DatabaseService from './DatabaseService';
+import WriteBackService from './WriteBackService';
+import { validateMeetingData } from '../utils/validation';
+import { ValidationError } from '../utils/errorHandling';
+
+/**
+ * Edits to the meetings stored on an issue's panel record: meeting details,
+ * action items and key decisions.
+ *
+ * Each edit is validated with validateMeetingData, recorded on the meeting's `editHistory` as
+ * { target, index, action, changes: { field: { from, to } }, editedBy, editedAt }
+ * and returns the edited copy; the caller stores it. syncWriteBack then brings
+ * the staged Jira updates in line with the edit.
+ */
+
+export const MEETING_FIELDS = ['title', 'platform', 'date', 'duration', 'summary', 'tags'];
+export const ACTION_ITEM_FIELDS = ['task', 'assignee', 'status', 'dueDate'];
+export const ACTION_ITEM_STATUSES = ['pending', 'in-progress', 'completed'];
+
+// Longest text accepted per field; title and platform match the `meetings` columns
+const TEXT_LIMITS = {
+  title: { label: 'Title', max: 255 },
+  platform: { label: 'Platform', max: 50 },
+  summary: { label: 'Summary', max: 10000 },
+  tag: { label: 'Tag', max: 50 },
+  task: { label: 'Action item text', max: 500 },
+  assignee: { label: 'Assignee', max: 255 },
+  decision: { label: 'Decision text', max: 1000 }
+};
+
+// Oldest entries are dropped past this, so a much-edited meeting stays within the storage value limit
+const MAX_HISTORY = 50;
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+class MeetingEditService {
+  /**
+   * @param {Object} options - { db, writeBack, siteId, now }
+   */
+  constructor({ db = null, writeBack = null, siteId = 'default', now = () => new Date() } = {}) {
+    this.db = db || new DatabaseService();
+    this.writeBack = writeBack || new WriteBackService({ db: this.db, siteId });
+    this.now = now;
+  }
+
+  /**
+   * @param {Object} meeting - Panel meeting
+   * @param {Object} changes - Any of MEETING_FIELDS
+   * @returns {Object} - { meeting, entry }, entry is null when nothing changed
+   */
+  updateMeeting(meeting, changes, actor = null) {
+    const updates = this.pick(changes, MEETING_FIELDS);
+
+    if (updates.duration !== undefined) {
+      // validateMeetingData lets NaN and 0-from-"" through, and worklogs are planned from this
+      const duration = updates.duration === '' || updates.duration === null ? NaN : Number(updates.duration);
+      if (!Number.isFinite(duration) || duration < 0) {
+        throw new ValidationError('Duration must be zero or more minutes');
+      }
+      updates.duration = duration;
+    }
+    for (const field of ['title', 'platform', 'summary']) {
+      if (updates[field] !== undefined) {
+        updates[field] = this.text(updates[field], field);
+      }
+    }
+    if (updates.tags !== undefined) {
+      if (!Array.isArray(updates.tags)) {
+        throw new ValidationError('Tags must be a list');
+      }
+      updates.tags = updates.tags.map(tag => this.text(String(tag), 'tag')).filter(Boolean);
+    }
+
+    const edited = { ...meeting, ...updates };
+    return this.record(edited, { target: 'meeting', action: 'updated' }, this.diff(meeting, edited, Object.keys(updates)), actor);
+  }
+
+  /**
+   * Update, add (no index) or remove ({ remove: true }) an action item
+   * @param {Object} changes - Any of ACTION_ITEM_FIELDS
+   */
+  updateActionItem(meeting, index, changes, actor = null) {
+    const items = [...(meeting.actionItems || [])];
+    const { action, position } = this.locate(items, index, changes, 'action item');
+
+    if (action === 'removed') {
+      const [removed] = items.splice(position, 1);
+      return this.record({ ...meeting, actionItems: items }, { target: 'actionItem', index: position, action },
+        this.diff(removed, {}, ACTION_ITEM_FIELDS), actor);
+    }
+
+    const current = action === 'added' ? { task: '', assignee: 'Unassigned', status: 'pending' } : items[position];
+    const item = { ...current, ...this.pick(changes, ACTION_ITEM_FIELDS) };
+    item.task = this.text(item.task, 'task');
+    item.assignee = this.text(item.assignee, 'assignee');
+
+    if (!item.task) {
+      throw new ValidationError('Action item text is required');
+    }
+    if (!ACTION_ITEM_STATUSES.includes(item.status)) {
+      throw new ValidationError(`Status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`);
+    }
+    if (item.dueDate === '') {
+      item.dueDate = null;
+    }
+    if (item.dueDate && isNaN(Date.parse(item.dueDate))) {
+      throw new ValidationError('Invalid due date');
+    }
+
+    items[position] = item;
+    return this.record({ ...meeting, actionItems: items }, { target: 'actionItem', index: position, action },
+      this.diff(action === 'added' ? {} : current, item, ACTION_ITEM_FIELDS), actor);
+  }
+
+  /**
+   * Update, add (no index) or remove ({ remove: true }) a key decision
+   * @param {Object} changes - { text }
+   */
+  updateDecision(meeting, index, changes, actor = null) {
+    const decisions = [...(meeting.keyDecisions || [])];
+    const { action, position } = this.locate(decisions, index, changes, 'decision');
+
+    if (action === 'removed') {
+      const [removed] = decisions.splice(position, 1);
+      return this.record({ ...meeting, keyDecisions: decisions }, { target: 'decision', index: position, action },
+        { text: { from: removed, to: null } }, actor);
+    }
+
+    const text = this.text(changes.text, 'decision');
+    if (!text) {
+      throw new ValidationError('Decision text is required');
+    }
+
+    const previous = action === 'added' ? null : decisions[position];
+    decisions[position] = text;
+    return this.record({ ...meeting, keyDecisions: decisions }, { target: 'decision', index: position, action },
+      same(previous, text) ? {} : { text: { from: previous, to: text } }, actor);
+  }
+
+  /**
+   * Re-stage the Jira updates that depend on the edited meeting. A processed meeting
+   * (one with a `meetings` record) gets its record updated and its proposals re-run;
+   * an edited action item that already became an issue gets an update proposed for it.
+   * @returns {Array} - The pending changes proposed
+   */
+  async syncWriteBack(meeting, entry, { issueKey = null, actor = null } = {}) {
+    const proposals = [];
+
+    const record = await this.db.findById('meetings', meeting.id);
+    if (record) {
+      const updated = await this.db.update('meetings', meeting.id, this.toMeetingRecord(record, meeting));
+      proposals.push(...await this.writeBack.proposeForMeeting(updated, { issueKey, actor }));
+    }
+
+    const item = entry.target === 'actionItem' && entry.action === 'updated' ? meeting.actionItems[entry.index] : null;
+    if (item?.issueKey && (entry.changes.task || entry.changes.dueDate)) {
+      proposals.push(await this.writeBack.proposeActionItemUpdate(meeting, item, actor));
+    }
+
+    return proposals;
+  }
+
+  /**
+   * A processed `meetings` record as a panel meeting, so an upload can be edited like any other
+   */
+  fromMeetingRecord(record) {
+    const processed = this.parse(record.processed_data) || {};
+    const participants = this.parse(record.participants) || [];
+
+    return {
+      id: record.id,
+      title: record.title,
+      platform: record.platform || 'Upload',
+      date: record.start_time,
+      duration: record.duration_minutes || 0,
+      participants: participants.map(person => (typeof person === 'string' ? { name: person, role: 'Participant' } : person)),
+      summary: processed.summary || '',
+      actionItems: (processed.actionItems || []).map(({ action, responsible, ...item }) => ({
+        ...item,
+        task: action,
+        assignee: responsible || 'Unassigned',
+        status: item.status || 'pending'
+      })),
+      keyDecisions: (processed.keyDecisions || []).map(decision => decision.decision || String(decision)),
+      sentiment: 'neutral',
+      tags: ['uploaded'],
+      source: 'upload',
+      createdAt: record.created_at || this.now().toISOString()
+    };
+  }
+
+  /**
+   * The processed `meetings` columns a panel meeting's details map onto, the inverse of fromMeetingRecord
+   */
+  toMeetingRecord(record, meeting) {
+    const processed = this.parse(record.processed_data) || {};
+
+    return {
+      title: meeting.title,
+      start_time: meeting.date,
+      platform: meeting.platform,
+      duration_minutes: meeting.duration || 0,
+      processed_data: JSON.stringify({
+        ...processed,
+        summary: meeting.summary || null,
+        actionItems: (meeting.actionItems || []).map(({ task, assignee, ...item }) => ({
+          ...item,
+          action: task,
+          responsible: assignee && assignee !== 'Unassigned' ? assignee : null
+        })),
+        keyDecisions: (meeting.keyDecisions || []).map(decision => (typeof decision === 'string' ? { decision } : decision))
+      })
+    };
+  }
+
+  /**
+   * Where an item edit applies: a new item when there is no index, otherwise an existing one
+   */
+  locate(list, index, changes, label) {
+    if (index === undefined || index === null) {
+      if (changes.remove) {
+        throw new ValidationError(`Choose the ${label} to remove`);
+      }
+      return { action: 'added', position: list.length };
+    }
+
+    const position = Number(index);
+    if (!Number.isInteger(position) || position < 0 || position >= list.length) {
+      throw new ValidationError(`No ${label} at position ${index}`);
+    }
+    return { action: changes.remove ? 'removed' : 'updated', position };
+  }
+
+  /**
+   * Trimmed text for a TEXT_LIMITS field, kept unescaped
+   */
+  text(value, field) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+
+    const { label, max } = TEXT_LIMITS[field];
+    if (typeof value !== 'string') {
+      throw new ValidationError(`${label} must be text`);
+    }
+
+    const trimmed = value.trim();
+    if (trimmed.length > max) {
+      throw new ValidationError(`${label} must be at most ${max} characters`);
+    }
+    return trimmed;
+  }
+
+  parse(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  pick(changes = {}, fields) {
+    const picked = {};
+    for (const field of fields) {
+      if (changes[field] !== undefined) {
+        picked[field] = changes[field];
+      }
+    }
+    return picked;
+  }
+
+  diff(before, after, fields) {
+    const changes = {};
+    for (const field of fields) {
+      if (!same(before[field], after[field])) {
+        changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Validate the edited meeting and append the edit to its history; an edit that changes nothing is not recorded
+   */
+  record(meeting, { target, index = null, action }, changes, actor) {
+    if (Object.keys(changes).length === 0) {
+      return { meeting, entry: null };
+    }
+
+    try {
+      validateMeetingData(meeting);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    const entry = { target, index, action, changes, editedBy: actor, editedAt: this.now().toISOString() };
+    return {
+      meeting: { ...meeting, editHistory: [...(meeting.editHistory || []), entry].slice(-MAX_HISTORY) },
+      entry
+    };
+  }
+}
+
+export default MeetingEditService;
@@ -1,17 +1,56 @@
 import { storage } from '@forge/api';
 import { v4 as uuidv4 } from 'uuid';
 import TextProcessor from './TextProcessor';
+import MeetingProcessor from './meeting-processor';
+import MeetingEditService from './MeetingEditService';
+import TranscriptParser from './TranscriptParser';
 import DatabaseService from './DatabaseService';
+import QueueService from './QueueService';
+import WriteBackService from './WriteBackService';
+import JiraService from './jira';
+import MentionVerifier from './MentionVerifier';
+import ImpliedMentionResolver from './ImpliedMentionResolver';
+import { STORAGE_KEYS, emptyIssueMeetings } from './storageKeys';
+
+// A meeting pending or processing this long without a queued task is analyzed again
+const STUCK_MEETING_MS = 15 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseList = (value) => {
+  const list = typeof value === 'string' ? JSON.parse(value || '[]') : value;
+  return Array.isArray(list) ? list : [];
+};
+
+// Explicit keys only; spoken forms are normalized later, during analysis
+const firstTicketKey = (utterances) => {
+  for (const utterance of utterances) {
+    const match = /\b[A-Z][A-Z0-9]{1,9}-\d+\b/.exec(utterance.text || '');
+    if (match) return match[0];
+  }
+  return null;
+};
 
 class MeetingService {
-  constructor() {
+  /**
+   * @param {Object} options - { jira } client used to verify ticket mentions and clean up
+   * comments; pass an asApp client when running without a user (triggers, queue worker);
+   * { db } to use another DatabaseService
+   */
+  constructor({ jira = null, db = null } = {}) {
     this.textProcessor = new TextProcessor();
-    this.db = new DatabaseService();
+    this.transcriptParser = new TranscriptParser();
+    this.db = db || new DatabaseService();
+    this.meetingProcessor = new MeetingProcessor({ db: this.db });
+    this.queue = new QueueService({ db: this.db });
+    this.jira = jira || new JiraService({ db: this.db });
+    this.mentionVerifier = new MentionVerifier({ jira: this.jira });
+    this.impliedMentionResolver = new ImpliedMentionResolver({ jira: this.jira });
   }
 
   async getMeetingsForTicket(ticketKey, forceRefresh = false) {
     try {
-      const cacheKey = `meetings:${ticketKey}`;
+      const cacheKey = STORAGE_KEYS.ticketMeetingsCache(ticketKey);
       
       // Try cache first unless force refresh
       if (!forceRefresh) {
@@ -22,15 +61,8 @@ class MeetingService {
         }
       }
 
-      // Query database for meetings mentioning this ticket
-      const meetings = await this.db.query(`
-        SELECT m.*, tm.discussion_summary, tm.action_items, tm.key_decisions
-        FROM meetings m
-        LEFT JOIN ticket_mentions tm ON m.id = tm.meeting_id
-        WHERE tm.ticket_id = ? OR m.transcript_text LIKE ?
-        ORDER BY m.start_time DESC
-        LIMIT 20
-      `, [ticketKey, `%${ticketKey}%`]);
+      // Meetings mentioning this ticket, or with its key in the transcript
+      const meetings = await this.db.searchMeetingsForTicket(ticketKey, { limit: 20 });
 
       // Cache results for 5 minutes
       await storage.set(cacheKey, meetings, { ttl: 300 });
@@ -44,38 +76,56 @@ class MeetingService {
     }
   }
 
+  /**
+   * Save an uploaded transcript as a pending meeting, then analyze it. If analysis fails the
+   * meeting stays pending with a transcript_analysis task queued, so the worker retries it.
+   * Teams on the 'ai' and 'enterprise' tiers always go through the queue, since LLM calls
+   * on a long meeting can outlast the request.
+   * @param {string} transcript - Transcript file contents
+   * @param {Object} meetingData - { fileName, title, teamId, platform, issueKey }
+   * @returns {Object} - The analyzed meeting, or the pending one when analysis was queued
+   */
   async processTextTranscript(transcript, meetingData) {
     try {
       console.log('Processing text transcript:', meetingData.fileName);
 
-      // Analyze transcript for ticket mentions and insights
-      const analysis = await this.textProcessor.analyzeTranscript(transcript);
-      
-      // Create meeting record
+      // Parse into speaker turns (platform exports, .vtt/.srt cues or "Name: text" lines)
+      const parsed = this.transcriptParser.parse(transcript, { fileName: meetingData.fileName });
+      const transcriptText = parsed.format === 'text' && typeof transcript === 'string' ? transcript : parsed.text;
+
+      // Create the meeting record before analysis, so a failed analysis can be retried from it
       const meetingId = uuidv4();
       const meeting = {
         id: meetingId,
         team_id: meetingData.teamId || 'default',
-        title: meetingData.title || 'Uploaded Meeting',
-        start_time: new Date().toISOString(),
-        transcript_text: transcript,
-        processed_data: JSON.stringify(analysis),
-        participants: JSON.stringify(analysis.participants || []),
+        title: meetingData.title || parsed.title || 'Uploaded Meeting',
+        start_time: parsed.date || new Date().toISOString(),
+        transcript_text: transcriptText,
+        utterances: JSON.stringify(parsed.utterances),
+        processed_data: null,
+        participants: JSON.stringify(parsed.participants),
         meeting_type: 'uploaded',
-        processing_status: 'completed',
-        duration_minutes: this.estimateDuration(transcript)
+        platform: parsed.platform || meetingData.platform || null,
+        processing_status: 'pending',
+        duration_minutes: this.estimateDuration(transcriptText, parsed.utterances)
       };
-
-      // Save to database
       await this.db.insert('meetings', meeting);
 
-      // Process ticket mentions
-      if (analysis.ticketMentions && analysis.ticketMentions.length > 0) {
-        await this.processTicketMentions(meetingId, analysis.ticketMentions, analysis);
+      if (await this.getProcessingTier(meeting.team_id) !== 'basic') {
+        await this.queueAnalysis(meetingId, { issueKey: meetingData.issueKey });
+        console.log(`Queued analysis of meeting ${meetingId}`);
+        return meeting;
       }
 
-      console.log(`Successfully processed meeting ${meetingId}`);
-      return meeting;
+      try {
+        const analyzed = await this.analyzeMeeting(meetingId, { issueKey: meetingData.issueKey });
+        console.log(`Successfully processed meeting ${meetingId}`);
+        return analyzed;
+      } catch (error) {
+        console.error(`Analysis of meeting ${meetingId} failed, queueing a retry:`, error);
+        await this.queueAnalysis(meetingId, { issueKey: meetingData.issueKey });
+        return meeting;
+      }
 
     } catch (error) {
       console.error('Error processing text transcript:', error);
@@ -83,44 +133,215 @@ class MeetingService {
     }
   }
 
-  async processAudioFile(audioFile, meetingData) {
+  /**
+   * List an uploaded meeting on an issue's panel and stage its Jira updates for review there.
+   * A meeting still waiting for analysis gets its updates staged by the queue worker instead.
+   * @param {Object} options - { actor, siteId }
+   * @returns {Array} - Pending changes staged now
+   */
+  async attachToIssue(meeting, issueKey, { actor = null, siteId = 'default' } = {}) {
+    await this.listOnIssue(meeting, issueKey);
+    if (meeting.processing_status !== 'completed') {
+      return [];
+    }
+
     try {
-      console.log('Processing audio file:', meetingData.fileName);
+      return await new WriteBackService({ db: this.db, jira: this.jira, siteId })
+        .proposeForMeeting(meeting, { issueKey, actor });
+    } catch (error) {
+      // The meeting is saved either way; proposals can be regenerated
+      console.warn('Failed to stage Jira updates:', error);
+      return [];
+    }
+  }
 
-      // For now, queue for processing (would integrate with Whisper API in production)
-      const meetingId = uuidv4();
-      const meeting = {
-        id: meetingId,
-        team_id: meetingData.teamId || 'default',
-        title: meetingData.title || 'Audio Meeting',
-        start_time: new Date().toISOString(),
-        transcript_text: null,
-        processed_data: null,
-        participants: JSON.stringify([]),
-        meeting_type: 'audio',
-        processing_status: 'pending',
-        audio_file_path: `audio/${meetingId}`,
-        duration_minutes: 0
-      };
+  /**
+   * Add the meeting to the issue's panel, or refresh its entry once analysis has filled it in
+   */
+  async listOnIssue(meeting, issueKey) {
+    const storageKey = STORAGE_KEYS.issueMeetings(issueKey);
+    const meetingData = await storage.get(storageKey) || emptyIssueMeetings(issueKey);
+    const entry = new MeetingEditService({ db: this.db }).fromMeetingRecord(meeting);
+    const index = meetingData.meetings.findIndex(listed => listed.id === meeting.id);
 
-      // Save to database
-      await this.db.insert('meetings', meeting);
+    if (index === -1) {
+      meetingData.meetings.unshift(entry);
+    } else {
+      meetingData.meetings[index] = { ...meetingData.meetings[index], ...entry };
+    }
+    meetingData.totalMeetings = meetingData.meetings.length;
+    await storage.set(storageKey, meetingData);
+  }
 
-      // Store audio file
-      await storage.set(`audio:${meetingId}`, audioFile);
+  /**
+   * Queue a transcript_analysis task for a stored meeting and mark it pending
+   * @param {string} meetingId - Meeting to analyze
+   * @param {Object} options - { issueKey } the issue its proposals are staged for
+   */
+  async queueAnalysis(meetingId, { issueKey = null } = {}) {
+    await this.queue.enqueue('transcript_analysis', { meetingId, issueKey: issueKey || null });
+    await this.setProcessingStatus(meetingId, 'pending');
+  }
 
-      // Queue for processing
-      await this.queueAudioProcessing(meetingId);
+  /**
+   * Queue analysis for meetings left pending or processing with no open task - a queue
+   * write that failed after the meeting was saved, or tasks lost before the queue existed
+   * @param {Date} now - Current time
+   * @returns {Array} - IDs of the meetings queued
+   */
+  async requeueStuckMeetings(now = new Date()) {
+    try {
+      const cutoff = new Date(now.getTime() - STUCK_MEETING_MS).toISOString();
+      const open = ['pending', 'processing'];
+      // One equality lookup per status, so storage reads the status indexes
+      const openTasks = (await Promise.all(open.map(status => this.db.findAll('processing_queue', { status })))).flat();
+      const queued = new Set(openTasks.map(task => this.queue.parsePayload(task.payload).meetingId));
+
+      const unfinished = (await Promise.all(open.map(status => this.db.findAll('meetings', { processing_status: status })))).flat();
+      const stuck = unfinished
+        .filter(meeting => !queued.has(meeting.id) && (meeting.updated_at || meeting.created_at || '') < cutoff);
+
+      for (const meeting of stuck) {
+        await this.queueAnalysis(meeting.id);
+      }
 
-      console.log(`Queued audio meeting ${meetingId} for processing`);
-      return meeting;
+      return stuck.map(meeting => meeting.id);
 
     } catch (error) {
-      console.error('Error processing audio file:', error);
+      console.error('Error requeueing stuck meetings:', error);
       throw error;
     }
   }
 
+  /**
+   * Analyze speaker turns at the team's processing tier with MeetingProcessor, which splits
+   * long meetings into chunks; 'ai' and 'enterprise' also use the configured LLM provider.
+   * Sentiment and topics come from TextProcessor.
+   * @param {Array} utterances - Utterance[] from TranscriptParser, or stored utterances
+   * @param {Object} options - { meetingDate, teamId }; { issueKey } whose sprint resolves
+   * "end of sprint" deadlines, else the first ticket key said in the meeting
+   */
+  async analyzeTranscript(utterances, { meetingDate, teamId = null, issueKey = null } = {}) {
+    const options = {
+      meetingDate,
+      spokenKeys: await this.getSpokenKeyOptions(),
+      ...await this.getSprintOptions(issueKey || firstTicketKey(utterances))
+    };
+    const tier = await this.getProcessingTier(teamId);
+
+    // The flattened text is already stored as transcript_text
+    const { transcript, ...analysis } = await this.meetingProcessor.processMeeting(utterances, tier, options);
+
+    return {
+      ...analysis,
+      ticketMentions: analysis.ticketMentions.map(mention => ({
+        ...mention,
+        sentiment: this.textProcessor.analyzeSentiment(mention.context)
+      })),
+      sentiment: this.textProcessor.analyzeSentiment(transcript),
+      topics: this.textProcessor.extractTopics(transcript)
+    };
+  }
+
+  /**
+   * The team's `tier`, or 'basic' for unknown teams and when ai_settings.enabled is off
+   */
+  async getProcessingTier(teamId) {
+    try {
+      const { enabled = true } = await this.db.getConfig('ai_settings');
+      const team = enabled && teamId ? await this.db.findById('teams', teamId) : null;
+      return ['ai', 'enterprise'].includes(team?.tier) ? team.tier : 'basic';
+    } catch (error) {
+      console.warn('Could not load the team processing tier, using basic:', error);
+      return 'basic';
+    }
+  }
+
+  /**
+   * End date and length of the issue's active sprint, for "end of sprint" and "next sprint"
+   * deadlines. Empty when there is no issue, no active sprint or Jira can't be reached,
+   * which leaves those deadlines unresolved.
+   */
+  async getSprintOptions(issueKey) {
+    if (!issueKey) return {};
+
+    try {
+      const sprint = await this.jira.getActiveSprint(issueKey);
+      if (!sprint) return {};
+
+      const lengthDays = sprint.startDate
+        ? Math.round((new Date(sprint.endDate) - new Date(sprint.startDate)) / DAY_MS)
+        : 0;
+      return { sprintEndDate: sprint.endDate, ...(lengthDays > 0 && { sprintLengthDays: lengthDays }) };
+    } catch (error) {
+      console.warn(`Could not load the active sprint for ${issueKey}:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Known project keys and configured aliases ({ "project": "PROJ" }) for normalizing
+   * spoken ticket keys. Without Jira, only configured aliases are used.
+   */
+  async getSpokenKeyOptions() {
+    const { aliases = {} } = await this.db.getConfig('spoken_keys');
+
+    try {
+      return { projectKeys: [...await this.mentionVerifier.getProjectKeys()], aliases };
+    } catch (error) {
+      console.warn('Could not load project keys for spoken key normalization:', error);
+      return { projectKeys: Object.values(aliases), aliases };
+    }
+  }
+
+  /**
+   * Verify the key mentions found in the transcript, then add tickets referred to by name
+   */
+  async detectMentions(analysis, { teamId = null } = {}) {
+    const verified = await this.verifyMentions(analysis);
+    return await this.resolveImpliedMentions(verified, { teamId });
+  }
+
+  /**
+   * Keep only mentions of real issues; the rest move to `unverifiedMentions` with a reason.
+   * If Jira cannot be reached the mentions are kept as detected, so processing still completes.
+   */
+  async verifyMentions(analysis) {
+    try {
+      const { verified, unverified } = await this.mentionVerifier.verify(analysis.ticketMentions || []);
+      return {
+        ...analysis,
+        ticketMentions: verified,
+        unverifiedMentions: unverified.map(({ ticketId, reason, message }) => ({ ticketId, reason, message }))
+      };
+    } catch (error) {
+      console.warn('Could not verify ticket mentions, keeping them unverified:', error);
+      return analysis;
+    }
+  }
+
+  /**
+   * Append implied mentions ("the login timeout bug") matched against open issues in the team's
+   * projects - the team's configured `jira_config.projects`, else the projects mentioned by key
+   */
+  async resolveImpliedMentions(analysis, { teamId = null } = {}) {
+    try {
+      const team = teamId ? await this.db.findById('teams', teamId) : null;
+      const jiraConfig = typeof team?.jira_config === 'string' ? JSON.parse(team.jira_config) : (team?.jira_config || {});
+      const explicitMentions = analysis.ticketMentions || [];
+      const projectKeys = Array.isArray(jiraConfig.projects) && jiraConfig.projects.length > 0
+        ? jiraConfig.projects
+        : [...new Set(explicitMentions.map(mention => mention.ticketId.split('-')[0]))];
+
+      const implied = await this.impliedMentionResolver.resolve(analysis.utterances || [], { projectKeys, explicitMentions });
+      return { ...analysis, ticketMentions: [...explicitMentions, ...implied] };
+
+    } catch (error) {
+      console.warn('Could not resolve implied ticket mentions:', error);
+      return analysis;
+    }
+  }
+
   async processTicketMentions(meetingId, ticketMentions, analysis) {
     try {
       for (const mention of ticketMentions) {
@@ -133,6 +354,7 @@ class MeetingService {
           key_decisions: JSON.stringify(analysis.keyDecisions || []),
           sentiment_score: mention.sentiment || 0.0,
           confidence_score: mention.confidence || 0.0,
+          mention_type: mention.implied ? 'implied' : 'explicit',
           mcp_update_status: 'pending'
         };
 
@@ -146,25 +368,70 @@ class MeetingService {
     }
   }
 
-  async queueAudioProcessing(meetingId) {
+  /**
+   * (Re-)run transcript analysis for a stored meeting - right after upload, and
+   * from the queue worker for meetings whose analysis was queued
+   * @param {Object} options - { issueKey } the meeting was uploaded to, for sprint deadlines
+   */
+  async analyzeMeeting(meetingId, { issueKey = null } = {}) {
     try {
-      const queueItem = {
-        id: uuidv4(),
-        task_type: 'audio_processing',
-        payload: JSON.stringify({ meetingId }),
-        status: 'pending',
-        priority: 5,
-        scheduled_at: new Date().toISOString()
-      };
+      const meeting = await this.db.findById('meetings', meetingId);
+      // Neither can succeed on a retry
+      if (!meeting) {
+        throw Object.assign(new Error(`Meeting not found: ${meetingId}`), { retryable: false });
+      }
+      if (!meeting.transcript_text) {
+        throw Object.assign(new Error(`Meeting ${meetingId} has no transcript to analyze`), { retryable: false });
+      }
+
+      const storedUtterances = typeof meeting.utterances === 'string'
+        ? JSON.parse(meeting.utterances)
+        : meeting.utterances;
+      const source = Array.isArray(storedUtterances) && storedUtterances.length > 0
+        ? storedUtterances
+        : this.transcriptParser.parse(meeting.transcript_text).utterances;
+
+      const analysis = await this.detectMentions(
+        await this.analyzeTranscript(source, { meetingDate: meeting.start_time, teamId: meeting.team_id, issueKey }),
+        { teamId: meeting.team_id }
+      );
+      const { utterances, ...insights } = analysis;
+
+      const updated = await this.db.update('meetings', meetingId, {
+        utterances: JSON.stringify(utterances),
+        processed_data: JSON.stringify(insights),
+        participants: JSON.stringify([...new Set([...parseList(meeting.participants), ...(analysis.participants || [])])]),
+        processing_status: 'completed',
+        duration_minutes: this.estimateDuration(meeting.transcript_text, utterances)
+      });
+
+      // Replace mentions from any earlier run
+      const existing = await this.db.getTicketMentions(meetingId);
+      for (const mention of existing) {
+        await this.db.delete('ticket_mentions', mention.id);
+      }
+      if (analysis.ticketMentions && analysis.ticketMentions.length > 0) {
+        await this.processTicketMentions(meetingId, analysis.ticketMentions, analysis);
+      }
+
+      console.log(`Analyzed meeting ${meetingId}`);
+      return updated;
 
-      await this.db.insert('processing_queue', queueItem);
-      console.log(`Queued audio processing for meeting ${meetingId}`);
     } catch (error) {
-      console.error('Error queueing audio processing:', error);
+      console.error(`Error analyzing meeting ${meetingId}:`, error);
       throw error;
     }
   }
 
+  async setProcessingStatus(meetingId, status) {
+    try {
+      return await this.db.update('meetings', meetingId, { processing_status: status });
+    } catch (error) {
+      console.error(`Error setting status of meeting ${meetingId}:`, error);
+      return null;
+    }
+  }
+
   async saveMeeting(meetingData) {
     try {
       await this.db.insertOrUpdate('meetings', meetingData, 'id');
@@ -172,7 +439,7 @@ class MeetingService {
       // Clear cache for affected tickets
       if (meetingData.ticketMentions) {
         for (const mention of meetingData.ticketMentions) {
-          await storage.delete(`meetings:${mention.ticketId}`);
+          await storage.delete(STORAGE_KEYS.ticketMeetingsCache(mention.ticketId));
         }
       }
 
@@ -183,7 +450,15 @@ class MeetingService {
     }
   }
 
-  async deleteMeeting(meetingId) {
+  /**
+   * Delete a meeting, its ticket mentions and files, and the comments it posted to Jira.
+   * Its pending and approved Jira updates are rejected first, so none is applied afterwards.
+   * @param {string} meetingId - Meeting to delete
+   * @param {Object} options - { issueKeys } extra issues to clean up besides the mentioned tickets,
+   *   { actor } who deleted it, recorded on the rejected changes
+   * @returns {Object} - { success, removedComments: [issueKey] }
+   */
+  async deleteMeeting(meetingId, { issueKeys = [], actor = null } = {}) {
     try {
       // Get meeting details first
       const meeting = await this.db.findById('meetings', meetingId);
@@ -191,24 +466,46 @@ class MeetingService {
         throw new Error('Meeting not found');
       }
 
+      await new WriteBackService({ db: this.db, jira: this.jira }).withdrawForMeeting(meetingId, 'Meeting deleted', actor);
+
       // Delete related records
-      await this.db.delete('ticket_mentions', { meeting_id: meetingId });
-      await this.db.delete('meetings', { id: meetingId });
+      const mentions = await this.db.getTicketMentions(meetingId);
+      for (const mention of mentions) {
+        await this.db.delete('ticket_mentions', mention.id);
+      }
+      await this.db.delete('meetings', meetingId);
 
       // Clean up stored files
       await storage.delete(`audio:${meetingId}`);
       await storage.delete(`meeting:${meetingId}:file`);
       await storage.delete(`meeting:${meetingId}:data`);
 
+      // Remove our comments; a failure here should not resurrect the meeting
+      const removedComments = [];
+      for (const issueKey of new Set([...mentions.map(mention => mention.ticket_id), ...issueKeys])) {
+        try {
+          const { removed } = await this.jira.removeMeetingContextComment(issueKey, meetingId);
+          if (removed) removedComments.push(issueKey);
+        } catch (error) {
+          console.warn(`Could not remove meeting ${meetingId} comment from ${issueKey}:`, error);
+        }
+      }
+
       console.log(`Deleted meeting ${meetingId}`);
-      return { success: true };
+      return { success: true, removedComments };
     } catch (error) {
       console.error('Error deleting meeting:', error);
       throw error;
     }
   }
 
-  estimateDuration(transcript) {
+  estimateDuration(transcript, utterances = []) {
+    // Timed transcripts know their own length
+    const lastTurn = utterances.length > 0 ? utterances[utterances.length - 1] : null;
+    if (lastTurn && lastTurn.end !== null && lastTurn.end !== undefined) {
+      return Math.ceil(lastTurn.end / 60);
+    }
+
     // Rough estimate: average speaking pace is about 150 words per minute
     const wordCount = transcript.split(/\s+/).length;
     return Math.ceil(wordCount / 150);
@@ -0,0 +1,122 @@
+import JiraService from './jira';
+
+/**
+ * Checks detected ticket mentions against the Jira site before anything is
+ * stored or written back.
+ *
+ * Transcript patterns also match things like "ISO 9001" or "Q 4", so a mention
+ * only counts when its project exists on the site and the issue itself is
+ * visible. Project keys are loaded once per verifier; issue existence is
+ * checked in batches with a single `key in (...)` search each.
+ */
+
+const KEY_PATTERN = /^([A-Z][A-Z0-9_]{1,9})-(\d+)$/;
+
+// JQL `key in` lists are kept well under the search endpoint's URL limits
+const BATCH_SIZE = 50;
+
+export const UNVERIFIED_REASONS = {
+  invalid_key: 'Not a Jira issue key',
+  unknown_project: 'No project with this key on the site',
+  not_found: 'Issue not found or not visible'
+};
+
+class MentionVerifier {
+  /**
+   * @param {Object} options - { jira, batchSize }
+   */
+  constructor({ jira = null, batchSize = BATCH_SIZE } = {}) {
+    this.jira = jira || new JiraService();
+    this.batchSize = batchSize;
+    this.projectKeys = null;
+  }
+
+  /**
+   * Project keys on the site, fetched on first use
+   * @returns {Set}
+   */
+  async getProjectKeys() {
+    if (!this.projectKeys) {
+      this.projectKeys = this.jira.getProjectKeys().then(keys => new Set(keys));
+      // Let a failed load be retried by the next call
+      this.projectKeys.catch(() => {
+        this.projectKeys = null;
+      });
+    }
+    return await this.projectKeys;
+  }
+
+  /**
+   * Split mentions into ones that refer to real issues and ones that don't
+   * @param {Array} mentions - [{ ticketId, ... }]
+   * @returns {Object} - { verified: [mention], unverified: [{ ...mention, reason, message }] }
+   */
+  async verify(mentions) {
+    try {
+      const verified = [];
+      const unverified = [];
+      const candidates = [];
+      const reject = (mention, reason) => unverified.push({ ...mention, verified: false, reason, message: UNVERIFIED_REASONS[reason] });
+
+      const projectKeys = mentions.length > 0 ? await this.getProjectKeys() : new Set();
+
+      for (const mention of mentions) {
+        const ticketId = String(mention.ticketId || '').toUpperCase();
+        const match = KEY_PATTERN.exec(ticketId);
+
+        if (!match) {
+          reject(mention, 'invalid_key');
+        } else if (!projectKeys.has(match[1])) {
+          reject(mention, 'unknown_project');
+        } else {
+          candidates.push({ mention, key: ticketId });
+        }
+      }
+
+      const existing = await this.findExistingKeys([...new Set(candidates.map(candidate => candidate.key))]);
+      for (const { mention, key } of candidates) {
+        if (existing.has(key)) {
+          verified.push({ ...mention, ticketId: key, verified: true });
+        } else {
+          reject(mention, 'not_found');
+        }
+      }
+
+      if (unverified.length > 0) {
+        console.log(`Dropped ${unverified.length} unverified ticket mentions:`,
+          unverified.map(mention => `${mention.ticketId} (${mention.reason})`));
+      }
+
+      return { verified, unverified };
+
+    } catch (error) {
+      console.error('Error verifying ticket mentions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keys from the list that exist, one JQL search per batch
+   * @returns {Set}
+   */
+  async findExistingKeys(keys) {
+    const existing = new Set();
+
+    for (let i = 0; i < keys.length; i += this.batchSize) {
+      const batch = keys.slice(i, i + this.batchSize);
+      // validateQuery=warn returns the issues that exist instead of rejecting the whole query
+      const { issues } = await this.jira.searchIssues(
+        `key in (${batch.join(', ')})`,
+        ['key'],
+        batch.length,
+        { validateQuery: 'warn' }
+      );
+
+      issues.forEach(issue => existing.add(issue.key));
+    }
+
+    return existing;
+  }
+}
+
+export default MentionVerifier;
@@ -0,0 +1,165 @@
+import { v4 as uuidv4 } from 'uuid';
+import DatabaseService from './DatabaseService';
+
+// Retry delays double from BASE up to MAX
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// A task still 'processing' after this long belongs to a worker that died
+const STALE_TASK_MS = 15 * 60 * 1000;
+
+/**
+ * Delay before retrying a task that has failed `attempts` times
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} - Delay in milliseconds
+ */
+export const backoffDelay = (attempts) => {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+};
+
+/**
+ * Order claimable tasks: lower priority number first, then oldest scheduled_at
+ */
+export const compareTasks = (a, b) => {
+  return (a.priority ?? 5) - (b.priority ?? 5) ||
+    new Date(a.scheduled_at) - new Date(b.scheduled_at);
+};
+
+/**
+ * Durable task queue on the processing_queue table
+ *
+ * Tasks move pending -> processing -> completed, or back to pending with a
+ * later scheduled_at after a failure. Once max_attempts is used up a task is
+ * parked in 'failed' with its error_message as the dead-letter state.
+ */
+class QueueService {
+  /**
+   * @param {Object} options - { db } to use another DatabaseService
+   */
+  constructor({ db = null } = {}) {
+    this.db = db || new DatabaseService();
+  }
+
+  /**
+   * Add a task to the queue
+   * @param {string} taskType - 'transcript_analysis' | 'jira_update'
+   * @param {Object} payload - Task payload
+   * @param {Object} options - { priority, maxAttempts, scheduledAt }
+   */
+  async enqueue(taskType, payload, options = {}) {
+    try {
+      const task = {
+        id: uuidv4(),
+        task_type: taskType,
+        payload: JSON.stringify(payload),
+        status: 'pending',
+        priority: options.priority ?? 5,
+        attempts: 0,
+        max_attempts: options.maxAttempts ?? 3,
+        error_message: null,
+        scheduled_at: (options.scheduledAt || new Date()).toISOString(),
+        started_at: null,
+        completed_at: null
+      };
+
+      await this.db.insert('processing_queue', task);
+      console.log(`Queued ${taskType} task ${task.id}`);
+      return task;
+
+    } catch (error) {
+      console.error(`Error queueing ${taskType} task:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the most urgent due task, marking it as processing
+   * @param {Date} now - Current time
+   * @returns {Object|null} - Claimed task with parsed payload, or null if none are due
+   */
+  async claimNext(now = new Date()) {
+    const pending = await this.db.findAll('processing_queue', { status: 'pending' });
+    const due = pending
+      .filter(task => new Date(task.scheduled_at) <= now)
+      .sort(compareTasks);
+
+    for (const candidate of due) {
+      // Only claimed if still pending with the attempts read above, so a task claimed
+      // (or claimed, failed and rescheduled) by an overlapping run is skipped
+      const claimed = await this.db.updateWhere('processing_queue', candidate.id, {
+        status: 'pending',
+        attempts: candidate.attempts
+      }, {
+        status: 'processing',
+        attempts: candidate.attempts + 1,
+        started_at: now.toISOString()
+      });
+
+      if (claimed) {
+        return { ...claimed, payload: this.parsePayload(claimed.payload) };
+      }
+    }
+
+    return null;
+  }
+
+  async complete(task, now = new Date()) {
+    return await this.db.update('processing_queue', task.id, {
+      status: 'completed',
+      error_message: null,
+      completed_at: now.toISOString()
+    });
+  }
+
+  /**
+   * Record a failed attempt: reschedule with backoff, or dead-letter the task
+   * when it is out of attempts or the error is marked non-retryable
+   * @returns {Object} - Updated task
+   */
+  async fail(task, error, now = new Date()) {
+    const attempts = task.attempts || 1;
+    const exhausted = error.retryable === false || attempts >= (task.max_attempts ?? 3);
+    const message = error.message || String(error);
+
+    if (exhausted) {
+      console.error(`Task ${task.id} (${task.task_type}) failed permanently after ${attempts} attempts: ${message}`);
+      return await this.db.update('processing_queue', task.id, {
+        status: 'failed',
+        error_message: message,
+        completed_at: now.toISOString()
+      });
+    }
+
+    const retryAt = new Date(now.getTime() + backoffDelay(attempts));
+    console.warn(`Task ${task.id} (${task.task_type}) failed, retrying at ${retryAt.toISOString()}: ${message}`);
+
+    return await this.db.update('processing_queue', task.id, {
+      status: 'pending',
+      error_message: message,
+      scheduled_at: retryAt.toISOString(),
+      started_at: null
+    });
+  }
+
+  /**
+   * Fail tasks left in 'processing' by a worker that timed out
+   * @returns {Array} - Tasks that were recovered
+   */
+  async recoverStale(now = new Date()) {
+    const processing = await this.db.findAll('processing_queue', { status: 'processing' });
+    const stale = processing.filter(task => now - new Date(task.started_at) > STALE_TASK_MS);
+
+    const recovered = [];
+    for (const task of stale) {
+      recovered.push(await this.fail(task, new Error('Worker timed out while processing task'), now));
+    }
+
+    return recovered;
+  }
+
+  parsePayload(payload) {
+    return typeof payload === 'string' ? JSON.parse(payload) : (payload || {});
+  }
+}
+
+export default QueueService;
@@ -0,0 +1,145 @@
+import { toUtterances, indexUtterances, utteranceAt } from '../models/Utterance';
+
+/**
+ * Finds relations between tickets discussed together ("PROJ-22 is blocked by
+ * PROJ-10", "PROJ-3 is a duplicate of PROJ-7") so they can be proposed as
+ * Jira issue links.
+ *
+ * Works off the mention positions from extractTicketMentions: two mentions
+ * next to each other in the same sentence are a candidate pair, and the words
+ * between them decide the relation and its direction.
+ */
+
+const KEY_PATTERN = /\b[A-Z][A-Z0-9_]{1,9}-\d+\b/g;
+
+// Longest gap between two mentions that can still be one statement about them
+const MAX_GAP = 60;
+
+/**
+ * Relations with the Jira link type they are proposed as. `from` is the issue
+ * the outward description reads from: "PROJ-10 blocks PROJ-22".
+ */
+export const RELATION_TYPES = {
+  blocks: { linkType: 'Blocks', outward: 'blocks' },
+  duplicates: { linkType: 'Duplicate', outward: 'duplicates' },
+  relates: { linkType: 'Relates', outward: 'relates to' }
+};
+
+const FILLER = "(?:(?:is|are|was|'s|might be|may be|could be|looks like|seems(?: to be)?)\\s+)?(?:(?:actually|probably|really|still|just|basically|definitely|currently|kind of)\\s+)?(?:(?:a|an|the)\\s+)?";
+
+// Phrases between the first and the second mention
+const BETWEEN_PATTERNS = [
+  { regex: new RegExp(`^${FILLER}(?:blocked (?:by|on)|waiting (?:on|for)|depends on|dependent on|held up by|stuck behind)$`), relation: 'blocks', reversed: true, confidence: 0.85 },
+  { regex: new RegExp(`^${FILLER}(?:blocks|blocking|blocker (?:for|on)|holding up)$`), relation: 'blocks', confidence: 0.85 },
+  { regex: new RegExp(`^${FILLER}(?:duplicates|duplicate of|dupe of|same (?:issue|bug|ticket|thing) as|same as)$`), relation: 'duplicates', confidence: 0.8 },
+  { regex: new RegExp(`^${FILLER}(?:related to|relates to|connected to|linked to|tied to|ties into|tied in with|part of the same (?:work|problem) as)$`), relation: 'relates', confidence: 0.75 }
+];
+
+// "PROJ-3 and PROJ-7 are duplicates": a conjunction between, the relation after the second mention
+const CONJUNCTION = /^(?:and|&)$/;
+const AFTER_PATTERNS = [
+  { regex: /^(?:are|look like|seem to be|might be|may be)\s+(?:probably\s+|actually\s+|really\s+)?(?:duplicates|dupes|the same (?:issue|bug|ticket|thing))\b/, relation: 'duplicates', confidence: 0.7 },
+  { regex: /^(?:are|look|seem)\s+(?:probably\s+|actually\s+|really\s+)?(?:related|connected|linked)\b/, relation: 'relates', confidence: 0.65 }
+];
+
+// Checked over the gap and the few words before the first mention: "PROJ-1 isn't blocked by PROJ-2"
+const NEGATION = /\b(?:not|never|no longer)\b|n't\b/i;
+
+const normalize = (text) => text.toLowerCase().replace(/[,;:]/g, ' ').replace(/\s+/g, ' ').trim();
+
+class RelationExtractor {
+  /**
+   * Relations between mentioned tickets
+   * @param {string} text - The text the mention positions refer to
+   * @param {Array} mentions - [{ ticketId, position, positions }] from extractTicketMentions
+   * @param {Array} index - Utterance offset index from indexUtterances, to attribute speakers
+   * @returns {Array} - [{ relation, from, to, linkType, quote, speaker, start, confidence }]
+   */
+  extract(text, mentions, index = []) {
+    const occurrences = mentions
+      .flatMap(mention => (mention.positions || [mention.position])
+        .filter(position => typeof position === 'number')
+        .map(position => ({ ticketId: mention.ticketId, position, end: position + mention.ticketId.length })))
+      .sort((a, b) => a.position - b.position);
+
+    const found = new Map();
+
+    for (let i = 0; i < occurrences.length - 1; i++) {
+      const first = occurrences[i];
+      const second = occurrences[i + 1];
+      if (first.ticketId === second.ticketId) continue;
+
+      const gap = text.slice(first.end, second.position);
+      if (gap.length > MAX_GAP || /[.!?]/.test(gap)) continue;
+
+      const lead = text.slice(0, first.position).split(/\s+/).slice(-3).join(' ');
+      if (NEGATION.test(`${lead} ${gap}`)) continue;
+
+      const match = this.classify(normalize(gap), normalize(this.sentenceAfter(text, second.end)));
+      if (!match) continue;
+
+      const [from, to] = match.reversed ? [second.ticketId, first.ticketId] : [first.ticketId, second.ticketId];
+      const symmetric = match.relation !== 'blocks';
+      const pairKey = `${match.relation}:${symmetric ? [from, to].sort().join('|') : `${from}|${to}`}`;
+      const utterance = index.length > 0 ? utteranceAt(index, first.position) : null;
+
+      // The last statement about a pair wins
+      found.set(pairKey, {
+        relation: match.relation,
+        from,
+        to,
+        linkType: RELATION_TYPES[match.relation].linkType,
+        quote: this.sentenceAround(text, first.position, second.end),
+        speaker: utterance ? utterance.speaker : null,
+        start: utterance ? utterance.start : null,
+        confidence: match.confidence
+      });
+    }
+
+    return [...found.values()];
+  }
+
+  /**
+   * Relations in a transcript without stored mention positions
+   * @param {string|Array} transcript - Transcript text or utterances
+   * @param {Array} ticketIds - Only relate these tickets; all keys when omitted
+   */
+  detect(transcript, ticketIds = null) {
+    const { text, index } = indexUtterances(toUtterances(transcript));
+    const positions = new Map();
+
+    for (const match of text.matchAll(KEY_PATTERN)) {
+      if (ticketIds && !ticketIds.includes(match[0])) continue;
+      positions.set(match[0], [...(positions.get(match[0]) || []), match.index]);
+    }
+
+    return this.extract(text, [...positions].map(([ticketId, list]) => ({ ticketId, positions: list })), index);
+  }
+
+  classify(gap, after) {
+    const between = BETWEEN_PATTERNS.find(pattern => pattern.regex.test(gap));
+    if (between) return between;
+
+    if (CONJUNCTION.test(gap)) {
+      return AFTER_PATTERNS.find(pattern => pattern.regex.test(after)) || null;
+    }
+
+    return null;
+  }
+
+  sentenceAfter(text, position) {
+    return text.slice(position).split(/[.!?]/)[0];
+  }
+
+  sentenceAround(text, start, end) {
+    const before = text.slice(0, start);
+    const sentenceStart = Math.max(before.lastIndexOf('. '), before.lastIndexOf('? '), before.lastIndexOf('! '));
+    const sentenceStartIndex = sentenceStart === -1 ? 0 : sentenceStart + 2;
+    const rest = text.slice(end);
+    const stop = rest.search(/[.!?](?:\s|$)/);
+
+    return text.slice(sentenceStartIndex, stop === -1 ? text.length : end + stop + 1).trim();
+  }
+}
+
+export default RelationExtractor;
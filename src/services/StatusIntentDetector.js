@@ -0,0 +1,191 @@
+import { toUtterances } from '../models/Utterance';
+
+/**
+ * Detects spoken status changes ("PROJ-12 is done", "let's move PROJ-40 to
+ * review") and maps them onto the transitions Jira offers for the issue.
+ *
+ * Detection runs during transcript analysis; mapping needs the issue's
+ * workflow, so it runs when write-back changes are proposed. Transitions are
+ * only ever proposed - a person approves them like any other Jira change.
+ */
+
+const KEY = '([A-Z][A-Z0-9_]{1,9}-\\d+)';
+
+/**
+ * Intents with the words that signal them and the status / transition names they usually map to
+ */
+export const STATUS_INTENTS = {
+  done: {
+    words: ['done', 'finished', 'complete', 'completed', 'closed', 'resolved', 'shipped', 'deployed', 'released', 'merged', 'fixed'],
+    targets: ['Done', 'Closed', 'Resolved', 'Complete']
+  },
+  review: {
+    words: ['in review', 'code review', 'ready for review', 'review', 'ready for qa', 'in qa', 'qa', 'testing', 'in testing'],
+    targets: ['In Review', 'Code Review', 'Review', 'QA', 'Ready for QA']
+  },
+  in_progress: {
+    words: ['in progress', 'started', 'underway', 'picked up', 'being worked on'],
+    targets: ['In Progress', 'Start Progress', 'Start']
+  },
+  blocked: {
+    words: ['blocked', 'on hold'],
+    targets: ['Blocked', 'On Hold']
+  },
+  todo: {
+    words: ['to do', 'todo', 'backlog', 'reopened'],
+    targets: ['To Do', 'Backlog', 'Reopen', 'Open']
+  }
+};
+
+const INTENT_WORDS = Object.entries(STATUS_INTENTS)
+  .flatMap(([intent, { words }]) => words.map(word => ({ intent, word })))
+  .sort((a, b) => b.word.length - a.word.length);
+
+const STATUS_WORDS = INTENT_WORDS.map(({ word }) => word.replace(/ /g, '\\s+')).join('|');
+
+const PATTERNS = [
+  {
+    // "move PROJ-40 to review", "put PROJ-7 back into the in progress column"
+    regex: new RegExp(`\\b(?:move|moving|moved|put|putting|push|pushing|set|setting|transition|transitioning|send|sending|drag|dragging)\\s+${KEY}\\s+(?:back\\s+)?(?:to|into|in)\\s+(?:the\\s+)?([a-z][a-z ]{1,30}?)(?:\\s+(?:column|status|lane))?(?=[.,;!?]|\\s+(?:and|now|today|then|please)\\b|$)`, 'gi'),
+    confidence: 0.9,
+    explicit: true
+  },
+  {
+    // "PROJ-12 is done", "PROJ-9 can be closed", "PROJ-3 is now in review"
+    regex: new RegExp(`${KEY}\\s+(?:is|was|'s|has been|got|can be|is ready to be)\\s+(?:now\\s+|finally\\s+|all\\s+|basically\\s+|officially\\s+)?(${STATUS_WORDS})\\b`, 'gi'),
+    confidence: 0.8
+  },
+  {
+    // "I finished PROJ-12", "we closed out PROJ-8", "Sam picked up PROJ-5"
+    regex: new RegExp(`\\b(finished|completed|closed|resolved|shipped|merged|fixed|started|picked up|reopened)\\s+(?:out\\s+)?${KEY}\\b`, 'gi'),
+    confidence: 0.75,
+    verbFirst: true
+  },
+  {
+    // "PROJ-4 is ready for review"
+    regex: new RegExp(`${KEY}\\s+(?:is|'s)\\s+(ready for (?:review|qa|testing))\\b`, 'gi'),
+    confidence: 0.8
+  }
+];
+
+// Checked over the match and the few words before it: "we haven't finished PROJ-12"
+const NEGATION = /\b(?:not|never|almost|nearly)\b|n't\b/i;
+
+/**
+ * Intent for a spoken status phrase, or null
+ */
+export const classifyStatus = (phrase) => {
+  const normalized = String(phrase || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const found = INTENT_WORDS.find(({ word }) => normalized === word || normalized.startsWith(`${word} `) || normalized.endsWith(` ${word}`));
+  return found ? found.intent : null;
+};
+
+const bigrams = (value) => {
+  const text = ` ${value} `;
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+};
+
+/**
+ * Similarity of two status / transition names: 1 for equal, at least 0.8 when
+ * one's words are all in the other, otherwise the bigram Dice coefficient
+ */
+export const nameSimilarity = (a, b) => {
+  const left = String(a || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const right = String(b || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  const total = leftGrams.length + rightGrams.length;
+  const shared = leftGrams.filter(gram => {
+    const index = rightGrams.indexOf(gram);
+    if (index === -1) return false;
+    rightGrams.splice(index, 1);
+    return true;
+  }).length;
+  const dice = (2 * shared) / total;
+
+  const leftWords = left.split(' ');
+  const rightWords = right.split(' ');
+  const contained = leftWords.every(word => rightWords.includes(word)) || rightWords.every(word => leftWords.includes(word));
+
+  return Math.round((contained ? Math.max(dice, 0.8) : dice) * 100) / 100;
+};
+
+class StatusIntentDetector {
+  /**
+   * @param {Object} options - { minSimilarity } for matching an intent to a transition
+   */
+  constructor({ minSimilarity = 0.6 } = {}) {
+    this.minSimilarity = minSimilarity;
+  }
+
+  /**
+   * Find status intents in a meeting. The last statement about a ticket wins.
+   * @param {string|Array} transcript - Transcript text or utterances
+   * @returns {Array} - [{ ticketId, intent, status, quote, speaker, start, confidence }]
+   */
+  detect(transcript) {
+    const latest = new Map();
+
+    for (const utterance of toUtterances(transcript)) {
+      const sentences = utterance.text.match(/[^.!?]+[.!?]*/g) || [];
+
+      for (const sentence of sentences) {
+        for (const pattern of PATTERNS) {
+          pattern.regex.lastIndex = 0;
+          let match;
+
+          while ((match = pattern.regex.exec(sentence)) !== null) {
+            const [key, status] = pattern.verbFirst ? [match[2], match[1]] : [match[1], match[2]];
+            const ticketId = key.toUpperCase();
+            const lead = sentence.slice(0, match.index).split(/\s+/).slice(-3).join(' ');
+            if (NEGATION.test(`${lead} ${match[0]}`)) continue;
+
+            const intent = classifyStatus(status);
+            if (!intent && !pattern.explicit) continue;
+
+            latest.set(ticketId, {
+              ticketId,
+              intent,
+              status: status.toLowerCase().replace(/\s+/g, ' ').trim(),
+              quote: sentence.trim(),
+              speaker: utterance.speaker,
+              start: utterance.start,
+              confidence: intent ? pattern.confidence : pattern.confidence - 0.2
+            });
+          }
+        }
+      }
+    }
+
+    return [...latest.values()];
+  }
+
+  /**
+   * Pick the available transition that best fits a detected intent
+   * @param {Object} intent - From detect()
+   * @param {Array} transitions - Jira transitions: [{ id, name, to: { name } }]
+   * @returns {Object|null} - { transition, similarity }
+   */
+  matchTransition(intent, transitions) {
+    const wanted = [intent.status, ...(intent.intent ? STATUS_INTENTS[intent.intent].targets : [])];
+    let best = null;
+
+    for (const transition of transitions) {
+      const names = [transition.name, transition.to?.name].filter(Boolean);
+      const similarity = Math.max(...wanted.flatMap(target => names.map(name => nameSimilarity(target, name))));
+
+      if (similarity >= this.minSimilarity && (!best || similarity > best.similarity)) {
+        best = { transition, similarity };
+      }
+    }
+
+    return best;
+  }
+}
+
+export default StatusIntentDetector;
@@ -0,0 +1,286 @@
+/**
+ * Query layer over Forge storage for the records DatabaseService keeps as `${table}:${id}`
+ *
+ * Filters are typed, the same shapes DatabaseService compiles to SQL:
+ *   { status: 'pending' }                       eq (null matches missing values)
+ *   { status: { in: ['pending', 'failed'] } }   in
+ *   { title: { like: '%planning%' } }           like, case-sensitive as in Forge SQL
+ *   { start_time: { gte: from, lt: to } }       range, any of gt / gte / lt / lte
+ *
+ * Equality on an indexed field reads the index instead of scanning the table.
+ * An index entry is one key per record, `ticket_mention:by_ticket:PROJ-1:<id>`,
+ * so concurrent writers never rewrite a shared list. Entries can go stale
+ * (a failed write, records from before the index existed), so records found
+ * through an index are always re-read and re-checked against the filters.
+ */
+
+import { startsWith } from '@forge/api';
+
+// Secondary indexes per table. Names must not start with a table prefix, or scans would pick them up.
+export const STORAGE_INDEXES = {
+  meetings: [
+    { name: 'meeting:by_status', field: 'processing_status' }
+  ],
+  ticket_mentions: [
+    { name: 'ticket_mention:by_ticket', field: 'ticket_id' },
+    { name: 'ticket_mention:by_meeting', field: 'meeting_id' }
+  ],
+  pending_changes: [
+    { name: 'pending_change:by_meeting', field: 'meeting_id' },
+    { name: 'pending_change:by_issue', field: 'issue_key' }
+  ],
+  write_back_audit: [
+    { name: 'audit_entry:by_meeting', field: 'meeting_id' },
+    { name: 'audit_entry:by_change', field: 'change_id' }
+  ],
+  processing_queue: [
+    { name: 'queue_task:by_status', field: 'status' }
+  ],
+  identity_aliases: [
+    { name: 'identity_alias:by_site', field: 'site_id' }
+  ]
+};
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+// Forge storage queries return at most 100 results per page
+const PAGE_SIZE = 100;
+
+/**
+ * Escape a value for use inside a storage key; Forge keys allow [A-Za-z0-9:._-#\s] and `:` separates parts here
+ */
+export const keyPart = (value) => String(value).replace(/[^A-Za-z0-9._-]/g, ch => `#${ch.codePointAt(0).toString(16)}#`);
+
+/**
+ * SQL LIKE pattern as a RegExp: % any run, _ one character, backslash escapes
+ */
+export const likeToRegExp = (pattern) => new RegExp(`^${String(pattern).replace(
+  /\\(.)|([%_])|([.*+?^${}()|[\]\\/])/g,
+  (match, escaped, wildcard, special) => {
+    if (escaped) return escaped.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    if (wildcard) return wildcard === '%' ? '[\\s\\S]*' : '[\\s\\S]';
+    return `\\${special}`;
+  }
+)}$`);
+
+/**
+ * Normalize a where object into [{ field, op, value }]; `op` is eq, in, like or range
+ */
+export const parseWhere = (where = {}) => Object.entries(where).map(([field, condition]) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return { field, op: 'eq', value: condition };
+  }
+
+  const operators = Object.keys(condition);
+  if (operators.length === 1 && operators[0] === 'eq') {
+    return { field, op: 'eq', value: condition.eq };
+  }
+  if (operators.length === 1 && operators[0] === 'in') {
+    if (!Array.isArray(condition.in)) {
+      throw new Error(`Filter on ${field}: "in" takes an array`);
+    }
+    return { field, op: 'in', value: condition.in };
+  }
+  if (operators.length === 1 && operators[0] === 'like') {
+    return { field, op: 'like', value: condition.like };
+  }
+  if (operators.length > 0 && operators.every(operator => RANGE_OPERATORS.includes(operator))) {
+    return { field, op: 'range', value: condition };
+  }
+
+  throw new Error(`Filter on ${field}: unsupported condition ${JSON.stringify(condition)}`);
+});
+
+/**
+ * Order two stored values: numbers numerically, everything else (ISO timestamps included) as strings
+ */
+export const compareValues = (a, b) => {
+  if (a instanceof Date) a = a.toISOString();
+  if (b instanceof Date) b = b.toISOString();
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const left = String(a);
+  const right = String(b);
+  return left === right ? 0 : (left < right ? -1 : 1);
+};
+
+const isMissing = (value) => value === null || value === undefined;
+
+const matchesFilter = (record, { field, op, value }) => {
+  const actual = record[field];
+
+  switch (op) {
+    case 'eq':
+      return isMissing(value) ? isMissing(actual) : !isMissing(actual) && compareValues(actual, value) === 0;
+    case 'in':
+      return !isMissing(actual) && value.some(item => !isMissing(item) && compareValues(actual, item) === 0);
+    case 'like':
+      return !isMissing(actual) && likeToRegExp(value).test(String(actual));
+    default:
+      return !isMissing(actual) && Object.entries(value).every(([operator, bound]) => {
+        const diff = compareValues(actual, bound);
+        return { gt: diff > 0, gte: diff >= 0, lt: diff < 0, lte: diff <= 0 }[operator];
+      });
+  }
+};
+
+export const matchesWhere = (record, filters) => filters.every(filter => matchesFilter(record, filter));
+
+/**
+ * Normalize orderBy: 'field', { field, direction } or a list of either
+ */
+export const parseOrderBy = (orderBy = []) => (Array.isArray(orderBy) ? orderBy : [orderBy]).map(item => {
+  const { field, direction = 'asc' } = typeof item === 'string' ? { field: item } : item;
+  if (!['asc', 'desc'].includes(String(direction).toLowerCase())) {
+    throw new Error(`Invalid sort direction for ${field}: ${direction}`);
+  }
+  return { field, direction: String(direction).toLowerCase() };
+});
+
+// Missing values sort first ascending, as NULL does in MySQL
+export const sortRecords = (records, order) => [...records].sort((a, b) => {
+  for (const { field, direction } of order) {
+    const left = a[field];
+    const right = b[field];
+    const diff = isMissing(left) || isMissing(right)
+      ? (isMissing(left) ? 0 : 1) - (isMissing(right) ? 0 : 1)
+      : compareValues(left, right);
+    if (diff !== 0) return direction === 'desc' ? -diff : diff;
+  }
+  return 0;
+});
+
+class StorageQuery {
+  /**
+   * @param {Object} options - { storage } Forge storage (or a compatible stand-in), { indexes }
+   */
+  constructor({ storage, indexes = STORAGE_INDEXES }) {
+    this.storage = storage;
+    this.indexes = indexes;
+    this.built = new Set();
+  }
+
+  /**
+   * @param {string} table - Table name
+   * @param {Object} query - { where, orderBy, limit, offset }
+   * @returns {Array} - Matching records
+   */
+  async find(table, { where = {}, orderBy = [], limit = null, offset = 0 } = {}) {
+    const filters = parseWhere(where);
+    const candidates = await this.candidates(table, filters);
+    const records = sortRecords(candidates.filter(record => matchesWhere(record, filters)), parseOrderBy(orderBy));
+
+    return limit === null ? records.slice(offset) : records.slice(offset, offset + limit);
+  }
+
+  /**
+   * Records that may match: through the index of an eq / in filter, else the whole table
+   */
+  async candidates(table, filters) {
+    const indexes = this.indexes[table] || [];
+    const lookup = filters
+      .filter(filter => ['eq', 'in'].includes(filter.op))
+      .map(filter => ({ filter, index: indexes.find(index => index.field === filter.field) }))
+      .find(({ index }) => index);
+
+    if (!lookup) {
+      return await this.scan(table);
+    }
+
+    await this.ensureIndexes(table);
+
+    const values = lookup.filter.op === 'in' ? lookup.filter.value : [lookup.filter.value];
+    const ids = new Set();
+    for (const value of values.filter(item => !isMissing(item))) {
+      for (const entry of await this.keys(`${lookup.index.name}:${keyPart(value)}:`)) {
+        ids.add(entry.value);
+      }
+    }
+
+    const records = await Promise.all([...ids].map(id => this.storage.get(`${table}:${id}`)));
+    return records.filter(Boolean);
+  }
+
+  async scan(table) {
+    const entries = await this.keys(`${table}:`);
+    // Only records; other values can share a table prefix
+    return entries
+      .map(entry => entry.value)
+      .filter(value => value && typeof value === 'object' && !Array.isArray(value) && value.id !== undefined);
+  }
+
+  async keys(prefix) {
+    const entries = [];
+    let cursor;
+    do {
+      let query = this.storage.query().where('key', startsWith(prefix)).limit(PAGE_SIZE);
+      if (cursor) {
+        query = query.cursor(cursor);
+      }
+
+      const page = await query.getMany();
+      entries.push(...page.results);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return entries;
+  }
+
+  /**
+   * Keep a record's index entries in step with a write
+   * @param {Object|null} record - Record after the write, null on delete
+   * @param {Object|null} previous - Record before the write, null on insert
+   */
+  async indexRecord(table, record, previous = null) {
+    const id = (record || previous)?.id;
+    if (id === undefined) return;
+
+    for (const index of this.indexes[table] || []) {
+      const before = previous ? previous[index.field] : undefined;
+      const after = record ? record[index.field] : undefined;
+      if (previous && record && before === after) continue;
+
+      if (!isMissing(before)) {
+        await this.storage.delete(this.entryKey(index, before, id));
+      }
+      if (!isMissing(after)) {
+        await this.storage.set(this.entryKey(index, after, id), id);
+      }
+    }
+  }
+
+  entryKey(index, value, id) {
+    return `${index.name}:${keyPart(value)}:${id}`;
+  }
+
+  /**
+   * Backfill the table's indexes once, for records written before they existed.
+   * A marker records which indexes were built, so adding one rebuilds.
+   */
+  async ensureIndexes(table) {
+    if (this.built.has(table)) return;
+
+    const markerKey = `storage_indexes:${table}`;
+    const names = (this.indexes[table] || []).map(index => index.name).sort();
+    const marker = await this.storage.get(markerKey);
+
+    if (!marker || JSON.stringify(marker.indexes) !== JSON.stringify(names)) {
+      await this.rebuildIndexes(table);
+      await this.storage.set(markerKey, { indexes: names, built_at: new Date().toISOString() });
+    }
+    this.built.add(table);
+  }
+
+  async rebuildIndexes(table) {
+    const records = await this.scan(table);
+    for (const record of records) {
+      for (const index of this.indexes[table] || []) {
+        if (!isMissing(record[index.field])) {
+          await this.storage.set(this.entryKey(index, record[index.field], record.id), record.id);
+        }
+      }
+    }
+    console.log(`Built storage indexes for ${records.length} ${table} records`);
+  }
+}
+
+export default StorageQuery;
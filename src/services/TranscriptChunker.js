@@ -0,0 +1,129 @@
+/**
+ * TranscriptChunker - split long transcripts for map-reduce processing
+ *
+ * Chunks are cut on speaker-turn boundaries (and on time windows for timed
+ * transcripts) from the flattened text produced by indexUtterances, so every
+ * chunk is a contiguous slice of that text and `chunk.offset + localPosition`
+ * is a position in the full transcript. Only a single turn longer than the
+ * chunk limit is ever split mid-turn, at sentence boundaries where possible.
+ */
+
+const SENTENCE_END = /[.!?]\s/g;
+
+class TranscriptChunker {
+  /**
+   * @param {Object} options - { maxChunkLength, windowSeconds, overlapTurns }
+   *   maxChunkLength - Character limit per chunk
+   *   windowSeconds  - Also start a new chunk when a chunk spans this much meeting time
+   *   overlapTurns   - Turns repeated at the start of the next chunk for context
+   */
+  constructor({ maxChunkLength = 50000, windowSeconds = null, overlapTurns = 1 } = {}) {
+    this.maxChunkLength = maxChunkLength;
+    this.windowSeconds = windowSeconds;
+    this.overlapTurns = overlapTurns;
+  }
+
+  /**
+   * @param {string} text - Flattened transcript
+   * @param {Array} index - [{ offset, length, utterance }] from indexUtterances
+   * @returns {Array} - [{ id, offset, text, start, end }]
+   */
+  chunk(text, index = []) {
+    if (text.length <= this.maxChunkLength && !this.exceedsWindow(index, 0, index.length - 1)) {
+      return [this.makeChunk(0, text, 0, text.length, index)];
+    }
+
+    if (index.length === 0) {
+      return this.splitSpan(text, 0, text.length).map((span, i) => this.makeChunk(i, text, span.from, span.to, []));
+    }
+
+    const chunks = [];
+    let first = 0;
+
+    while (first < index.length) {
+      let last = first;
+
+      // Grow the chunk turn by turn while it fits
+      while (last + 1 < index.length &&
+        this.spanEnd(index, last + 1) - index[first].offset <= this.maxChunkLength &&
+        !this.exceedsWindow(index, first, last + 1)) {
+        last++;
+      }
+
+      const from = index[first].offset;
+      const to = this.spanEnd(index, last);
+
+      if (to - from > this.maxChunkLength) {
+        // A single turn longer than a whole chunk
+        for (const span of this.splitSpan(text, from, to)) {
+          chunks.push(this.makeChunk(chunks.length, text, span.from, span.to, [index[first]]));
+        }
+      } else {
+        chunks.push(this.makeChunk(chunks.length, text, from, to, index.slice(first, last + 1)));
+      }
+
+      if (last + 1 >= index.length) break;
+
+      // Step back for overlap, but always move forward
+      first = Math.max(last + 1 - this.overlapTurns, first + 1);
+    }
+
+    return chunks;
+  }
+
+  spanEnd(index, i) {
+    return index[i].offset + index[i].length;
+  }
+
+  exceedsWindow(index, first, last) {
+    if (!this.windowSeconds || last <= first) return false;
+
+    const start = index[first].utterance.start;
+    const end = index[last].utterance.start;
+    return start !== null && end !== null && end - start >= this.windowSeconds;
+  }
+
+  /**
+   * Split an over-long span at sentence ends, falling back to a hard cut
+   */
+  splitSpan(text, from, to) {
+    const spans = [];
+    let start = from;
+
+    while (to - start > this.maxChunkLength) {
+      const limit = start + this.maxChunkLength;
+      let cut = -1;
+
+      SENTENCE_END.lastIndex = start;
+      let match;
+      while ((match = SENTENCE_END.exec(text)) !== null && match.index + 1 <= limit) {
+        cut = match.index + 1;
+      }
+
+      if (cut <= start) {
+        cut = limit;
+      }
+
+      spans.push({ from: start, to: cut });
+      start = cut;
+      while (start < to && text[start] === ' ') start++;
+    }
+
+    spans.push({ from: start, to });
+    return spans;
+  }
+
+  makeChunk(id, text, from, to, entries) {
+    const timed = entries.filter(entry => entry.utterance.start !== null);
+
+    return {
+      id,
+      offset: from,
+      text: text.slice(from, to),
+      start: timed.length > 0 ? timed[0].utterance.start : null,
+      end: timed.length > 0 ? timed[timed.length - 1].utterance.end : null
+    };
+  }
+}
+
+export default TranscriptChunker;
@@ -0,0 +1,252 @@
+import Utterance, { listSpeakers } from '../models/Utterance';
+import { detectPlatform } from './platforms';
+import { isDocx, extractDocxText } from '../utils/docx';
+
+/**
+ * Transcript ingestion for platform exports (Zoom, Teams, Google Meet, Otter),
+ * timed caption formats (WebVTT, SRT) and plain text.
+ *
+ * Every parser produces the same shape so the processor does not need to know
+ * where a transcript came from:
+ *   { format, platform, title, date, participants, utterances: Utterance[], text }
+ * where `text` is a readable "Speaker: line" rendering of the utterances.
+ * Utterance `start` and `end` are offsets in seconds from the beginning of the
+ * meeting, or null when the source carries no timing (plain text).
+ */
+
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/;
+const CUE_TIMING_PATTERN = /^\s*(\S+)\s+-->\s+(\S+)/;
+const VOICE_TAG_PATTERN = /<v(?:\.[^\s>]+)*\s+([^>]+)>([\s\S]*?)(?:<\/v>|(?=<v[\s.])|$)/g;
+
+class TranscriptParser {
+  /**
+   * Parse transcript content into utterances
+   * @param {string|Buffer} content - Raw file content (.docx exports as a Buffer)
+   * @param {Object} options - { fileName, format, title } where format overrides detection
+   * @returns {Object} { format, platform, title, date, participants, utterances, text }
+   */
+  parse(content, options = {}) {
+    const source = this.readSource(content, options.fileName);
+    let result = null;
+
+    if (!options.format) {
+      const platformParser = detectPlatform(source);
+      if (platformParser) {
+        result = { platform: platformParser.platform, ...platformParser.parse(source, this) };
+      }
+    }
+
+    if (!result) {
+      result = { format: options.format || this.detectFormat(source.text, options.fileName) };
+
+      switch (result.format) {
+        case 'vtt':
+          result.utterances = this.parseWebVTT(source.text);
+          break;
+        case 'srt':
+          result.utterances = this.parseSRT(source.text);
+          break;
+        default:
+          result.utterances = Utterance.fromText(source.text);
+      }
+    }
+
+    const { utterances } = result;
+    const speakers = listSpeakers(utterances);
+
+    console.log(`Parsed ${utterances.length} utterances from ${result.format} transcript`);
+
+    return {
+      format: result.format,
+      platform: result.platform || null,
+      title: result.title || options.title || null,
+      date: result.date || null,
+      participants: [...new Set([...(result.participants || []), ...speakers])],
+      utterances,
+      text: this.renderText(utterances)
+    };
+  }
+
+  /**
+   * Normalise uploaded content into { text, fileName, container }
+   */
+  readSource(content, fileName = '') {
+    if (Buffer.isBuffer(content)) {
+      if (isDocx(content)) {
+        return { text: extractDocxText(content), fileName, container: 'docx' };
+      }
+      content = content.toString('utf8');
+    }
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      throw new Error('Invalid transcript provided');
+    }
+
+    return { text: content, fileName, container: 'text' };
+  }
+
+  /**
+   * Detect transcript format from file name and content
+   */
+  detectFormat(content, fileName = '') {
+    const lowerName = (fileName || '').toLowerCase();
+
+    if (lowerName.endsWith('.vtt') || /^\uFEFF?WEBVTT/.test(content)) {
+      return 'vtt';
+    }
+
+    if (lowerName.endsWith('.srt')) {
+      return 'srt';
+    }
+
+    // SRT files have no header, so look for "1\n00:00:01,000 --> ..." at the start
+    if (/^\uFEFF?\s*\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s+-->/.test(content)) {
+      return 'srt';
+    }
+
+    return 'text';
+  }
+
+  /**
+   * Parse WebVTT content, honouring <v Speaker> voice tags
+   */
+  parseWebVTT(content) {
+    const blocks = this.splitBlocks(content);
+    const utterances = [];
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+
+      // Skip the file header and non-cue blocks
+      if (/^WEBVTT/.test(lines[0]) || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+        continue;
+      }
+
+      const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+      if (timingIndex === -1) continue;
+
+      const [, rawStart, rawEnd] = lines[timingIndex].match(CUE_TIMING_PATTERN);
+      const start = this.parseTimestamp(rawStart);
+      const end = this.parseTimestamp(rawEnd);
+      if (start === null || end === null) continue;
+
+      const payload = lines.slice(timingIndex + 1).join('\n');
+      for (const voice of this.splitVoices(payload)) {
+        this.pushUtterance(utterances, start, end, voice.speaker, voice.text);
+      }
+    }
+
+    return utterances;
+  }
+
+  /**
+   * Parse SubRip (SRT) content
+   */
+  parseSRT(content) {
+    const blocks = this.splitBlocks(content);
+    const utterances = [];
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+      if (timingIndex === -1) continue;
+
+      const [, rawStart, rawEnd] = lines[timingIndex].match(CUE_TIMING_PATTERN);
+      const start = this.parseTimestamp(rawStart);
+      const end = this.parseTimestamp(rawEnd);
+      if (start === null || end === null) continue;
+
+      // Some exporters put <v> tags in SRT too
+      const payload = lines.slice(timingIndex + 1).join('\n');
+      for (const voice of this.splitVoices(payload)) {
+        this.pushUtterance(utterances, start, end, voice.speaker, voice.text);
+      }
+    }
+
+    return utterances;
+  }
+
+  /**
+   * Render utterances as a readable "Speaker: text" transcript
+   */
+  renderText(utterances) {
+    return utterances
+      .map(utterance => (utterance.speaker ? `${utterance.speaker}: ${utterance.text}` : utterance.text))
+      .join('\n');
+  }
+
+  /**
+   * Convert "hh:mm:ss.ttt", "mm:ss.ttt" or "hh:mm:ss,ttt" into seconds
+   */
+  parseTimestamp(value) {
+    const match = TIMESTAMP_PATTERN.exec((value || '').trim());
+    if (!match) return null;
+
+    const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+    const millis = parseInt(fraction.padEnd(3, '0'), 10);
+
+    return parseInt(hours, 10) * 3600 +
+      parseInt(minutes, 10) * 60 +
+      parseInt(seconds, 10) +
+      millis / 1000;
+  }
+
+  /**
+   * Split a cue payload into speaker-attributed parts
+   */
+  splitVoices(payload) {
+    const voices = [];
+    let match;
+
+    VOICE_TAG_PATTERN.lastIndex = 0;
+    while ((match = VOICE_TAG_PATTERN.exec(payload)) !== null) {
+      voices.push({
+        speaker: this.decodeEntities(match[1]).trim(),
+        text: this.stripMarkup(match[2])
+      });
+    }
+
+    if (voices.length > 0) {
+      return voices;
+    }
+
+    // No voice tags - fall back to "Name: text" or "[Name]: text" prefixes
+    return [Utterance.splitSpeaker(this.stripMarkup(payload))];
+  }
+
+  /**
+   * Remove cue markup (<c>, <b>, inline timestamps) and decode entities
+   */
+  stripMarkup(text) {
+    return this.decodeEntities(
+      text
+        .replace(/<\/?[^>]+>/g, '')
+        .replace(/\s+/g, ' ')
+    ).trim();
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lrm;|&rlm;/g, '')
+      .replace(/&amp;/g, '&');
+  }
+
+  splitBlocks(content) {
+    return content
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .split(/\n{2,}/)
+      .map(block => block.trim())
+      .filter(Boolean);
+  }
+
+  pushUtterance(utterances, start, end, speaker, text) {
+    if (!text) return;
+    utterances.push(new Utterance({ speaker, start, end, text }));
+  }
+}
+
+export default TranscriptParser;
@@ -0,0 +1,130 @@
+import { toUtterances, listSpeakers } from '../models/Utterance';
+
+/**
+ * Works out how much of a meeting each participant should log against each
+ * discussed ticket.
+ *
+ * A ticket stays the topic from the utterance that mentions it until another
+ * ticket is mentioned. Each utterance weighs its timed length, or its text
+ * length for untimed transcripts, and the weights are scaled to the meeting's
+ * `duration_minutes`. Entries are only planned here; WriteBackService proposes
+ * them as pending worklog changes.
+ */
+
+const KEY_PATTERN = /\b[A-Z][A-Z0-9_]{1,9}-\d+\b/g;
+
+/**
+ * Defaults for the `worklog_settings` config
+ * - split: 'discussion' shares time by how long each ticket was discussed, 'even' splits it equally
+ * - attendees: 'all' logs for every participant, 'speakers' only for people who spoke on the ticket
+ * - include_unassigned_time: spread time not spent on any ticket over the discussed tickets
+ */
+export const DEFAULT_WORKLOG_SETTINGS = {
+  enabled: true,
+  split: 'discussion',
+  attendees: 'all',
+  include_unassigned_time: false,
+  round_to_minutes: 5,
+  min_minutes: 5
+};
+
+class WorklogPlanner {
+  /**
+   * @param {Object} settings - Overrides for DEFAULT_WORKLOG_SETTINGS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_WORKLOG_SETTINGS, ...settings };
+  }
+
+  /**
+   * Seconds of discussion per ticket, scaled to the meeting length
+   * @param {Array} utterances - [{ speaker, start, end, text }]
+   * @param {Array} mentions - [{ ticketId, implied, context }] tickets to account for
+   * @param {number} durationSeconds - Meeting length
+   * @returns {Object} - { tickets: Map(ticketId -> { seconds, speakers: Set }), unassigned }
+   */
+  shareDiscussion(utterances, mentions, durationSeconds) {
+    const known = new Set(mentions.map(mention => mention.ticketId));
+    // Implied mentions have no key in the text; they are found by the utterance they came from
+    const impliedByText = new Map(mentions
+      .filter(mention => mention.implied && mention.context)
+      .map(mention => [mention.context, mention.ticketId]));
+
+    const turns = toUtterances(utterances);
+    const weights = turns.map(turn => (turn.duration !== null ? turn.duration : turn.text.length));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const scale = totalWeight > 0 ? durationSeconds / totalWeight : 0;
+
+    const tickets = new Map();
+    let unassigned = 0;
+    let topic = [];
+
+    turns.forEach((turn, i) => {
+      const mentioned = [...new Set([
+        ...(turn.text.match(KEY_PATTERN) || []),
+        ...(impliedByText.has(turn.text) ? [impliedByText.get(turn.text)] : [])
+      ])].filter(ticketId => known.has(ticketId));
+      if (mentioned.length > 0) topic = mentioned;
+
+      const seconds = weights[i] * scale;
+      if (topic.length === 0) {
+        unassigned += seconds;
+        return;
+      }
+
+      for (const ticketId of topic) {
+        const entry = tickets.get(ticketId) || { seconds: 0, speakers: new Set() };
+        entry.seconds += seconds / topic.length;
+        if (turn.speaker) entry.speakers.add(turn.speaker);
+        tickets.set(ticketId, entry);
+      }
+    });
+
+    return { tickets, unassigned };
+  }
+
+  /**
+   * Plan worklog entries for a meeting
+   * @param {Object} input - { durationMinutes, utterances, mentions, participants }
+   * @returns {Array} - [{ ticketId, participant, timeSpentSeconds, share }]
+   */
+  plan({ durationMinutes, utterances = [], mentions = [], participants = [] }) {
+    const durationSeconds = (Number(durationMinutes) || 0) * 60;
+    if (!this.settings.enabled || durationSeconds <= 0 || mentions.length === 0) {
+      return [];
+    }
+
+    const { tickets, unassigned } = this.shareDiscussion(utterances, mentions, durationSeconds);
+    if (tickets.size === 0) {
+      return [];
+    }
+
+    const discussed = [...tickets.values()].reduce((sum, entry) => sum + entry.seconds, 0);
+    const pool = this.settings.include_unassigned_time ? discussed + unassigned : discussed;
+    const attendees = participants.length > 0 ? participants : listSpeakers(toUtterances(utterances));
+
+    const entries = [];
+    for (const [ticketId, entry] of tickets) {
+      const share = this.settings.split === 'even' ? 1 / tickets.size : entry.seconds / discussed;
+      const timeSpentSeconds = this.round(pool * share);
+      if (timeSpentSeconds < this.settings.min_minutes * 60) continue;
+
+      const people = this.settings.attendees === 'speakers'
+        ? attendees.filter(name => entry.speakers.has(name))
+        : attendees;
+
+      for (const participant of people) {
+        entries.push({ ticketId, participant, timeSpentSeconds, share: Math.round(share * 100) / 100 });
+      }
+    }
+
+    return entries;
+  }
+
+  round(seconds) {
+    const step = Math.max(1, this.settings.round_to_minutes) * 60;
+    return Math.round(seconds / step) * step;
+  }
+}
+
+export default WorklogPlanner;
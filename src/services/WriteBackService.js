@@ -0,0 +1,748 @@
+import { v4 as uuidv4 } from 'uuid';
+import DatabaseService from './DatabaseService';
+import JiraService from './jira';
+import IdentityService from './IdentityService';
+import MeetingCommentBuilder from './MeetingCommentBuilder';
+import StatusIntentDetector from './StatusIntentDetector';
+import WorklogPlanner from './WorklogPlanner';
+import RelationExtractor, { RELATION_TYPES } from './RelationExtractor';
+import FieldMappingService from './FieldMappingService';
+import { textToDocument, documentToText } from '../utils/adf';
+import { ValidationError } from '../utils/errorHandling';
+
+/**
+ * Write-back staging: nothing from a processed meeting touches Jira until a
+ * person has approved it.
+ *
+ * Processing proposes pending changes (comment, label, transition, issue
+ * creation, ...) per ticket. Each one is approved - optionally edited - or
+ * rejected from the panel, and only approved changes are executed. Every
+ * proposal, decision and execution outcome is appended to the audit log.
+ *
+ * Change lifecycle: pending -> approved -> applying -> applied | failed, or
+ * pending -> rejected. 'applying' is claimed with a conditional update before
+ * Jira is called, so two apply runs never post the same change. A run that dies
+ * mid-call leaves the change 'applying'; it is not retried, since Jira may
+ * already have it.
+ */
+
+export const CHANGE_STATUSES = ['pending', 'approved', 'rejected', 'applying', 'applied', 'failed'];
+
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}-\d+$/;
+
+// payload.source of proposals raised by editing an action item, which a re-run of proposeForMeeting keeps
+const ACTION_ITEM_EDIT = 'action_item_edit';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const editText = (label, max, { required = true } = {}) => (value) => {
+  if (!required && (value === null || value === undefined || value === '')) return null;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`${label} must be text`);
+  }
+  if (value.trim().length > max) {
+    throw new ValidationError(`${label} must be at most ${max} characters`);
+  }
+  return value.trim();
+};
+
+/**
+ * Check and normalize a reviewer's edit per payload field, so a malformed value is refused
+ * at approval instead of breaking describe() or the Jira call
+ */
+const EDIT_CHECKS = {
+  text: editText('Comment text', 32000),
+  comment: editText('Comment', 32000, { required: false }),
+  transitionName: editText('Transition name', 255, { required: false }),
+  linkType: editText('Link type', 255),
+  action: editText('Action item text', 500),
+  labels: (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new ValidationError('Labels must be a non-empty list');
+    }
+    return value.map(editText('Label', 255));
+  },
+  transitionId: (value) => {
+    if (!/^\d+$/.test(String(value ?? ''))) {
+      throw new ValidationError('Transition ID must be a number');
+    }
+    return String(value);
+  },
+  to: (value) => {
+    const issueKey = String(value ?? '').trim().toUpperCase();
+    if (!ISSUE_KEY_PATTERN.test(issueKey)) {
+      throw new ValidationError(`Invalid issue key: ${value}`);
+    }
+    return issueKey;
+  },
+  timeSpentSeconds: (value) => {
+    const seconds = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (!Number.isInteger(seconds) || seconds < 60) {
+      throw new ValidationError('Time spent must be a whole number of seconds, at least 60');
+    }
+    return seconds;
+  },
+  started: (value) => {
+    if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+      throw new ValidationError('Start time must be a date and time');
+    }
+    return value;
+  },
+  dueDate: (value) => {
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string' || !DATE_ONLY.test(value) || isNaN(Date.parse(value))) {
+      throw new ValidationError('Due date must be a YYYY-MM-DD date');
+    }
+    return value;
+  },
+  assignee: (value) => {
+    if (value === null || value === '') return null;
+    const accountId = typeof value === 'string' ? value : value?.accountId;
+    if (typeof accountId !== 'string' || !accountId.trim()) {
+      throw new ValidationError('Assignee must be an account ID');
+    }
+    return typeof value === 'string' ? { accountId: accountId.trim() } : { ...value, accountId: accountId.trim() };
+  },
+  issueType: (value) => {
+    if (!['subtask', 'task'].includes(value)) {
+      throw new ValidationError('Issue type must be "subtask" or "task"');
+    }
+    return value;
+  }
+};
+
+const formatMinutes = (seconds) => {
+  const minutes = Math.round(Number(seconds) / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`.replace(/ 0m$/, '') : `${minutes}m`;
+};
+
+/**
+ * How each change type is executed against Jira, and which payload fields a reviewer may edit.
+ * New write-back types register an entry here.
+ */
+export const CHANGE_TYPES = {
+  comment: {
+    editable: ['text'],
+    describe: (change) => `Comment on ${change.issue_key}`,
+    execute: async (jira, change) => {
+      return await jira.upsertMeetingComment(change.issue_key, change.meeting_id, change.payload.document);
+    }
+  },
+
+  label: {
+    editable: ['labels'],
+    describe: (change) => `Add labels ${change.payload.labels.join(', ')} to ${change.issue_key}`,
+    execute: async (jira, change) => {
+      return { labels: await jira.addLabelsToIssue(change.issue_key, change.payload.labels) };
+    }
+  },
+
+  transition: {
+    editable: ['transitionId', 'transitionName', 'comment'],
+    describe: (change) => `Move ${change.issue_key} to ${change.payload.toStatus || change.payload.transitionName || change.payload.transitionId}`,
+    execute: async (jira, change) => {
+      await jira.transitionIssue(change.issue_key, change.payload.transitionId, change.payload.comment || null);
+      return { transitionId: change.payload.transitionId };
+    }
+  },
+
+  issue_link: {
+    editable: ['linkType', 'to'],
+    describe: (change) => {
+      const relation = Object.values(RELATION_TYPES).find(type => type.linkType === change.payload.linkType);
+      return `Link ${change.issue_key} ${relation ? relation.outward : change.payload.linkType.toLowerCase()} ${change.payload.to}`;
+    },
+    execute: async (jira, change) => {
+      // Jira reads the outward description ("blocks") from the inward issue of the request
+      await jira.linkIssues(change.payload.linkType, change.issue_key, change.payload.to);
+      return { linkType: change.payload.linkType, from: change.issue_key, to: change.payload.to };
+    }
+  },
+
+  field_update: {
+    editable: [],
+    describe: (change) => `Set ${change.payload.values.map(value => value.fieldName).join(', ')} on ${change.issue_key}`,
+    execute: async (jira, change) => {
+      await jira.updateIssueField(change.issue_key, change.payload.fields);
+      return { fields: Object.keys(change.payload.fields) };
+    }
+  },
+
+  // Jira books a worklog to whoever posts it, so only the participant may approve and apply their own
+  worklog: {
+    editable: ['timeSpentSeconds', 'started', 'comment'],
+    describe: (change) => `Log ${formatMinutes(change.payload.timeSpentSeconds)} on ${change.issue_key} for ${change.payload.participant?.displayName || change.payload.participant?.name} (from their own account)`,
+    execute: async (jira, change) => {
+      const { timeSpentSeconds, started, comment } = change.payload;
+      return await jira.addWorklog(change.issue_key, {
+        timeSpentSeconds: Number(timeSpentSeconds),
+        started,
+        comment: comment ? textToDocument(comment) : null
+      });
+    }
+  },
+
+  create_issue: {
+    editable: ['action', 'dueDate', 'assignee', 'issueType', 'labels'],
+    describe: (change) => `Create ${change.payload.issueType === 'task' ? 'task' : 'sub-task'} under ${change.issue_key}: ${change.payload.action}`,
+    execute: async (jira, change) => {
+      const { action, dueDate, assignee, quote, speaker, issueType, labels, meeting } = change.payload;
+      const [result] = await jira.createIssuesFromActionItems(
+        change.issue_key,
+        [{ action, dueDate, assignee, quote, speaker }],
+        { meeting, issueType, labels }
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return { issueKey: result.issueKey, created: result.created };
+    }
+  }
+};
+
+class WriteBackService {
+  /**
+   * @param {Object} options - { jira, db, identity, siteId, now }
+   */
+  constructor({ jira = null, db = null, identity = null, siteId = 'default', now = () => new Date() } = {}) {
+    this.db = db || new DatabaseService();
+    this.jira = jira || new JiraService({ db: this.db });
+    this.identity = identity || new IdentityService({ jira: this.jira, db: this.db, siteId });
+    this.statusIntents = new StatusIntentDetector();
+    this.relations = new RelationExtractor();
+    this.fieldMapping = new FieldMappingService({ jira: this.jira, db: this.db });
+    this.now = now;
+  }
+
+  /**
+   * Stage the Jira updates for a processed meeting. Undecided proposals from an
+   * earlier run of the same meeting are replaced; decided ones are kept.
+   * @param {Object} meeting - Stored meetings record
+   * @param {Object} options - { issueKey: ticket the meeting was uploaded on, actor }
+   * @returns {Array} - The pending changes
+   */
+  async proposeForMeeting(meeting, { issueKey = null, actor = null } = {}) {
+    try {
+      const builder = new MeetingCommentBuilder();
+      const input = builder.fromMeetingRecord(meeting);
+      const actionItems = await this.identity.assignActionItems(input.actionItems, input.participants);
+      const mentions = await this.db.getTicketMentions(meeting.id);
+
+      const proposals = [];
+      const ticketIds = [...new Set(mentions.map(mention => mention.ticket_id))];
+
+      for (const ticketId of ticketIds) {
+        const document = builder.build({
+          ...input,
+          actionItems,
+          mentions: mentions
+            .filter(mention => mention.ticket_id === ticketId)
+            .map(mention => ({ ticketId, context: mention.discussion_summary }))
+        });
+
+        proposals.push(this.proposal(meeting, ticketId, 'comment', { document }));
+        proposals.push(this.proposal(meeting, ticketId, 'label', { labels: ['meeting-discussed'] }));
+      }
+
+      proposals.push(...await this.proposeTransitions(meeting, ticketIds));
+      proposals.push(...await this.proposeLinks(meeting, ticketIds));
+      proposals.push(...await this.proposeFieldUpdates(meeting, mentions, ticketIds));
+      proposals.push(...await this.proposeWorklogs(meeting, mentions, input.participants));
+
+      if (issueKey) {
+        const meetingRef = { id: meeting.id, title: meeting.title, start_time: meeting.start_time };
+        // Items already turned into issues are kept current by proposeActionItemUpdate instead
+        for (const item of actionItems.filter(item => !item.issueKey)) {
+          proposals.push(this.proposal(meeting, issueKey, 'create_issue', {
+            action: item.action,
+            dueDate: item.dueDate || null,
+            assignee: item.assignee || null,
+            quote: item.quote || item.context || null,
+            speaker: item.speaker || null,
+            issueType: 'subtask',
+            labels: [],
+            meeting: meetingRef
+          }));
+        }
+      }
+
+      const previous = (await this.db.findAll('pending_changes', { meeting_id: meeting.id, status: 'pending' }))
+        .filter(change => this.parse(change.payload)?.source !== ACTION_ITEM_EDIT);
+      return await this.replaceProposals(previous, proposals, actor);
+
+    } catch (error) {
+      console.error(`Error proposing write-back for meeting ${meeting.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Propose transitions for spoken status changes ("PROJ-12 is done") on the mentioned tickets,
+   * using the issue's available transition whose name best matches. The quote becomes the comment.
+   */
+  async proposeTransitions(meeting, ticketIds) {
+    const insights = this.parse(meeting.processed_data) || {};
+    const intents = insights.statusIntents ||
+      this.statusIntents.detect(this.parse(meeting.utterances) || meeting.transcript_text || []);
+    const proposals = [];
+
+    for (const intent of intents.filter(item => ticketIds.includes(item.ticketId))) {
+      try {
+        const match = this.statusIntents.matchTransition(intent, await this.jira.getAvailableTransitions(intent.ticketId));
+        if (!match) {
+          console.log(`No transition on ${intent.ticketId} matches "${intent.status}"`);
+          continue;
+        }
+
+        const issue = await this.jira.getIssue(intent.ticketId);
+        const toStatus = match.transition.to?.name || match.transition.name;
+        if (issue.status?.name === toStatus) continue;
+
+        proposals.push(this.proposal(meeting, intent.ticketId, 'transition', {
+          transitionId: match.transition.id,
+          transitionName: match.transition.name,
+          toStatus,
+          comment: `"${intent.quote}"${intent.speaker ? ` - ${intent.speaker}` : ''}`,
+          intent: intent.intent,
+          spoken: intent.status,
+          similarity: match.similarity
+        }));
+
+      } catch (error) {
+        console.warn(`Could not propose a transition for ${intent.ticketId}:`, error);
+      }
+    }
+
+    return proposals;
+  }
+
+  /**
+   * Propose issue links for relations spoken between mentioned tickets ("PROJ-22 is blocked by PROJ-10"),
+   * skipping pairs Jira already links with the same type
+   */
+  async proposeLinks(meeting, ticketIds) {
+    const insights = this.parse(meeting.processed_data) || {};
+    const relations = (insights.issueRelations ||
+      this.relations.detect(this.parse(meeting.utterances) || meeting.transcript_text || [], ticketIds))
+      .filter(relation => ticketIds.includes(relation.from) && ticketIds.includes(relation.to));
+    const proposals = [];
+
+    for (const relation of relations) {
+      try {
+        const issue = await this.jira.getIssue(relation.from);
+        const linked = (issue.issueLinks || []).some(link => link.type?.name === relation.linkType &&
+          [link.inwardIssue?.key, link.outwardIssue?.key].includes(relation.to));
+        if (linked) continue;
+
+        proposals.push(this.proposal(meeting, relation.from, 'issue_link', {
+          linkType: relation.linkType,
+          to: relation.to,
+          relation: relation.relation,
+          quote: relation.quote,
+          speaker: relation.speaker,
+          confidence: relation.confidence
+        }));
+
+      } catch (error) {
+        console.warn(`Could not propose a link from ${relation.from} to ${relation.to}:`, error);
+      }
+    }
+
+    return proposals;
+  }
+
+  /**
+   * Propose the admin-mapped custom field values (latest decision, meeting date, ...) per mentioned ticket
+   */
+  async proposeFieldUpdates(meeting, mentions, ticketIds) {
+    const proposals = [];
+
+    for (const ticketId of ticketIds) {
+      try {
+        const update = await this.fieldMapping.buildUpdate(meeting, mentions.find(mention => mention.ticket_id === ticketId));
+        if (!update) continue;
+
+        proposals.push(this.proposal(meeting, ticketId, 'field_update', update));
+
+      } catch (error) {
+        console.warn(`Could not propose field updates for ${ticketId}:`, error);
+      }
+    }
+
+    return proposals;
+  }
+
+  /**
+   * Propose worklog entries per participant per discussed ticket, split by the `worklog_settings` rules
+   */
+  async proposeWorklogs(meeting, mentions, participants = []) {
+    const planner = new WorklogPlanner(await this.db.getConfig('worklog_settings'));
+    const entries = planner.plan({
+      durationMinutes: meeting.duration_minutes,
+      utterances: this.parse(meeting.utterances) || meeting.transcript_text || [],
+      mentions: mentions.map(mention => ({
+        ticketId: mention.ticket_id,
+        implied: mention.mention_type === 'implied',
+        context: mention.discussion_summary
+      })),
+      participants
+    });
+
+    // A re-run (reprocessing, panel edits) must not stage time that is already approved or booked
+    const booked = new Set((await this.db.findAll('pending_changes', { meeting_id: meeting.id, change_type: 'worklog' }))
+      .filter(change => ['approved', 'applied'].includes(change.status))
+      .map(change => `${change.issue_key}:${this.parse(change.payload).participant?.name}`));
+    const unbooked = entries.filter(entry => !booked.has(`${entry.ticketId}:${entry.participant}`));
+    if (unbooked.length === 0) {
+      return [];
+    }
+
+    const identities = await this.identity.resolveMany([...new Set(unbooked.map(entry => entry.participant))], participants);
+
+    // The worklog is posted by its participant, so people without a Jira account get none
+    return unbooked
+      .filter(entry => identities.get(entry.participant))
+      .map(entry => {
+        const identity = identities.get(entry.participant);
+
+        return this.proposal(meeting, entry.ticketId, 'worklog', {
+          timeSpentSeconds: entry.timeSpentSeconds,
+          started: meeting.start_time,
+          comment: `"${meeting.title || 'meeting'}" - ${Math.round(entry.share * 100)}% of the discussion`,
+          participant: {
+            name: entry.participant,
+            accountId: identity.accountId,
+            displayName: identity.displayName
+          },
+          share: entry.share
+        });
+      });
+  }
+
+  /**
+   * Propose updating the issue an action item was turned into after the item was edited in
+   * the panel. An undecided proposal from an earlier edit of the same item is replaced.
+   * @param {Object} meeting - The meeting the item belongs to ({ id, title })
+   * @param {Object} item - Panel action item { task, dueDate, issueKey }
+   */
+  async proposeActionItemUpdate(meeting, item, actor = null) {
+    const proposal = this.proposal(meeting, item.issueKey, 'field_update', {
+      fields: { summary: item.task, duedate: item.dueDate || null },
+      values: [
+        { fieldName: 'Summary', display: item.task },
+        { fieldName: 'Due date', display: item.dueDate || 'none' }
+      ],
+      source: ACTION_ITEM_EDIT
+    });
+
+    const previous = (await this.db.findAll('pending_changes', { meeting_id: meeting.id, issue_key: item.issueKey, status: 'pending' }))
+      .filter(change => this.parse(change.payload)?.source === ACTION_ITEM_EDIT);
+    const [saved] = await this.replaceProposals(previous, [proposal], actor);
+    return saved;
+  }
+
+  /**
+   * Put `proposals` in place of the `previous` undecided changes. Forge SQL runs every
+   * statement on its own, so there is no transaction: the new changes are saved first and
+   * removed again if saving fails, which leaves the earlier ones in place. Should removing
+   * the earlier ones fail, the next proposal run for the meeting removes them.
+   */
+  async replaceProposals(previous, proposals, actor = null) {
+    const saved = [];
+    try {
+      for (const proposal of proposals) {
+        saved.push(...await this.saveProposals([proposal], actor));
+      }
+    } catch (error) {
+      for (const change of saved) {
+        await this.db.delete('pending_changes', change.id);
+      }
+      throw error;
+    }
+
+    for (const change of previous) {
+      await this.db.delete('pending_changes', change.id);
+    }
+    return saved;
+  }
+
+  /**
+   * Build a pending change; `payload` is what the executor needs
+   */
+  proposal(meeting, issueKey, changeType, payload) {
+    if (!CHANGE_TYPES[changeType]) {
+      throw new Error(`Unknown change type: ${changeType}`);
+    }
+
+    return {
+      id: uuidv4(),
+      meeting_id: meeting.id,
+      issue_key: issueKey,
+      change_type: changeType,
+      payload,
+      status: 'pending'
+    };
+  }
+
+  /**
+   * Persist proposals (from this service or other proposers) and log them
+   */
+  async saveProposals(proposals, actor = null) {
+    const saved = [];
+
+    for (const proposal of proposals) {
+      const change = await this.db.insert('pending_changes', {
+        ...proposal,
+        payload: JSON.stringify(proposal.payload),
+        decided_by: null,
+        decided_at: null,
+        result: null,
+        error_message: null
+      });
+      await this.audit(change, 'proposed', actor, { summary: this.describe({ ...change, payload: proposal.payload }) });
+      saved.push(this.hydrate(change));
+    }
+
+    return saved;
+  }
+
+  /**
+   * @param {Object} filter - { meetingId, issueKey, status }
+   * @returns {Array} - Changes with parsed payload and a readable `summary` and `preview`
+   */
+  async listChanges({ meetingId, issueKey, status } = {}) {
+    const where = {};
+    if (meetingId) where.meeting_id = meetingId;
+    if (issueKey) where.issue_key = issueKey;
+    if (status) where.status = status;
+
+    const changes = await this.db.findAll('pending_changes', where);
+    return changes
+      .map(change => this.hydrate(change))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * Approve a pending change, applying reviewer edits to its payload first
+   * @param {Object} edits - Allowed payload fields for the change type, plus `issueKey` to retarget
+   */
+  async approve(changeId, actor, edits = null) {
+    const change = await this.getPending(changeId);
+    if (!this.canPost(change, actor)) {
+      throw new Error(`Only ${change.payload.participant.displayName} can approve this worklog; Jira books it to whoever posts it`);
+    }
+    const updates = { status: 'approved', decided_by: actor, decided_at: this.now().toISOString() };
+
+    if (edits && Object.keys(edits).length > 0) {
+      const { issueKey, payload } = this.applyEdits(change, edits);
+      updates.issue_key = issueKey;
+      updates.payload = JSON.stringify(payload);
+      await this.audit(change, 'edited', actor, { edits });
+    }
+
+    const updated = await this.db.update('pending_changes', changeId, updates);
+    await this.audit(updated, 'approved', actor);
+    return this.hydrate(updated);
+  }
+
+  async reject(changeId, actor, reason = null) {
+    const change = await this.getPending(changeId);
+    const updated = await this.db.update('pending_changes', changeId, {
+      status: 'rejected',
+      decided_by: actor,
+      decided_at: this.now().toISOString(),
+      error_message: reason
+    });
+
+    await this.audit(change, 'rejected', actor, { reason });
+    return this.hydrate(updated);
+  }
+
+  /**
+   * Reject the meeting's undecided and approved changes, e.g. when the meeting is deleted,
+   * so none of them can be applied later. A change another run is already applying is left alone.
+   * @returns {Array} - The withdrawn changes
+   */
+  async withdrawForMeeting(meetingId, reason, actor = null) {
+    const open = (await this.listChanges({ meetingId }))
+      .filter(change => ['pending', 'approved'].includes(change.status));
+
+    const withdrawn = await Promise.all(open.map(async (change) => {
+      const updated = await this.db.updateWhere('pending_changes', change.id, { status: change.status }, {
+        status: 'rejected',
+        decided_by: actor,
+        decided_at: this.now().toISOString(),
+        error_message: reason
+      });
+      if (updated) {
+        await this.audit(change, 'rejected', actor, { reason });
+      }
+      return updated;
+    }));
+
+    return withdrawn.filter(Boolean).map(change => this.hydrate(change));
+  }
+
+  /**
+   * Execute approved changes. Failures are recorded per change and do not stop the rest.
+   * @param {Object} filter - { meetingId, issueKey }
+   * @returns {Object} - { applied, failed, results: [{ id, status, result, error }] }
+   */
+  async applyApproved({ meetingId, issueKey } = {}, actor = null) {
+    // Other participants' worklogs stay approved until they apply them
+    const approved = (await this.listChanges({ meetingId, issueKey, status: 'approved' }))
+      .filter(change => this.canPost(change, actor));
+    const summary = { applied: 0, failed: 0, results: [] };
+
+    for (const change of approved) {
+      // Claim the change first; one another run already claimed is skipped
+      const claimed = await this.db.updateWhere('pending_changes', change.id, { status: 'approved' }, { status: 'applying' });
+      if (!claimed) {
+        continue;
+      }
+
+      try {
+        const result = await CHANGE_TYPES[change.change_type].execute(this.jira, change);
+        await this.db.update('pending_changes', change.id, {
+          status: 'applied',
+          result: JSON.stringify(result || null),
+          error_message: null
+        });
+        await this.audit(change, 'applied', actor, { result });
+
+        summary.applied++;
+        summary.results.push({ id: change.id, status: 'applied', result });
+
+      } catch (error) {
+        console.error(`Error applying ${change.change_type} change ${change.id}:`, error);
+        await this.db.update('pending_changes', change.id, { status: 'failed', error_message: error.message });
+        await this.audit(change, 'failed', actor, { error: error.message });
+
+        summary.failed++;
+        summary.results.push({ id: change.id, status: 'failed', error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Audit trail for a meeting or a single change, oldest first
+   */
+  async getHistory({ meetingId, changeId } = {}) {
+    const where = {};
+    if (meetingId) where.meeting_id = meetingId;
+    if (changeId) where.change_id = changeId;
+
+    const entries = await this.db.findAll('write_back_audit', where);
+    return entries
+      .map(entry => ({ ...entry, details: this.parse(entry.details) }))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  applyEdits(change, edits) {
+    const allowed = CHANGE_TYPES[change.change_type].editable;
+    const payload = { ...change.payload };
+
+    for (const [field, value] of Object.entries(edits)) {
+      if (allowed.includes(field)) {
+        payload[field] = EDIT_CHECKS[field](value);
+      } else if (field !== 'issueKey') {
+        throw new ValidationError(`Field "${field}" cannot be edited on a ${change.change_type} change`);
+      }
+    }
+
+    // A reviewer rewriting a comment replaces the generated document
+    if (change.change_type === 'comment' && payload.text !== undefined) {
+      payload.document = textToDocument(payload.text);
+      delete payload.text;
+    }
+
+    const issueKey = edits.issueKey ? String(edits.issueKey).trim().toUpperCase() : change.issue_key;
+    if (!ISSUE_KEY_PATTERN.test(issueKey)) {
+      throw new ValidationError(`Invalid issue key: ${edits.issueKey}`);
+    }
+
+    return { issueKey, payload };
+  }
+
+  /**
+   * Whether `actor` may post the change; worklogs only by their participant
+   */
+  canPost(change, actor) {
+    return change.change_type !== 'worklog' || change.payload.participant?.accountId === actor;
+  }
+
+  /**
+   * @returns {Object|null} - The change with parsed payload, or null if there is none
+   */
+  async getChange(changeId) {
+    const change = await this.db.findById('pending_changes', changeId);
+    return change ? this.hydrate(change) : null;
+  }
+
+  /**
+   * Whether the meeting belongs to the issue: it mentions the issue or has a change proposed for it
+   */
+  async meetingTouchesIssue(meetingId, issueKey) {
+    if ((await this.db.getTicketMentions(meetingId, issueKey)).length > 0) {
+      return true;
+    }
+    return (await this.db.findAll('pending_changes', { meeting_id: meetingId, issue_key: issueKey })).length > 0;
+  }
+
+  async getPending(changeId) {
+    const change = await this.db.findById('pending_changes', changeId);
+    if (!change) {
+      throw new Error(`Change not found: ${changeId}`);
+    }
+    if (change.status !== 'pending') {
+      throw new Error(`Change ${changeId} is already ${change.status}`);
+    }
+    return this.hydrate(change);
+  }
+
+  async audit(change, action, actor, details = {}) {
+    return await this.db.insert('write_back_audit', {
+      id: uuidv4(),
+      change_id: change.id,
+      meeting_id: change.meeting_id,
+      issue_key: change.issue_key,
+      change_type: change.change_type,
+      action,
+      actor: actor || null,
+      details: JSON.stringify(details),
+      created_at: this.now().toISOString()
+    });
+  }
+
+  describe(change) {
+    return CHANGE_TYPES[change.change_type].describe(change);
+  }
+
+  hydrate(change) {
+    const payload = this.parse(change.payload) || {};
+    const hydrated = { ...change, payload, result: this.parse(change.result) };
+
+    hydrated.summary = this.describe(hydrated);
+    hydrated.preview = this.preview(change.change_type, payload);
+    return hydrated;
+  }
+
+  preview(changeType, payload) {
+    if (changeType === 'comment') {
+      return documentToText(payload.document);
+    }
+    if (changeType === 'field_update') {
+      return payload.values.map(value => `${value.fieldName}: ${value.display}`).join('\n');
+    }
+    return null;
+  }
+
+  parse(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+}
+
+export default WriteBackService;
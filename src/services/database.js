@@ -1,31 +1,55 @@
 import { storage } from '@forge/api';
 import { v4 as uuidv4 } from 'uuid';
+import { createSqlAdapter, identifier } from './sql';
+import StorageQuery, { parseWhere, parseOrderBy, sortRecords } from './StorageQuery';
+import { MIGRATIONS, MigrationRunner } from './migrations';
+
+// Defaults seeded into app_config by sql/schema.sql
+const DEFAULT_CONFIG = {
+  processing_limits: { max_file_size_mb: 50, max_duration_hours: 4 },
+  ai_settings: { enabled: true, model_config: { temperature: 0.3, max_tokens: 2000 } },
+  jira_settings: { auto_update: true, require_approval: true, comment_prefix: '[MeetingSync]', max_retries: 3 },
+  // Spoken project names mapped to keys, e.g. { "project": "PROJ", "mobile app": "MOB" }
+  spoken_keys: { aliases: {} },
+  // How meeting time is split into worklog proposals, see WorklogPlanner
+  worklog_settings: { enabled: true, split: 'discussion', attendees: 'all', include_unassigned_time: false, round_to_minutes: 5, min_minutes: 5 },
+  // Meeting outputs written to Jira fields on write-back, e.g. { "latest_decision": "customfield_10050" }
+  field_mappings: { mappings: {} }
+};
+
+const RANGE_SQL = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Pending Forge SQL migrations per adapter, run once per process
+const migrationRuns = new WeakMap();
+
+// How long a storage updateWhere waits before re-reading to see whether a concurrent writer won
+export const CLAIM_SETTLE_MS = 250;
 
 class DatabaseService {
-  constructor() {
-    // In a real Forge SQL environment, this would use the SQL API
-    // For now, we'll use Forge storage as a fallback
-    this.useForgeSQL = process.env.FORGE_SQL_ENABLED === 'true';
+  /**
+   * @param {Object} options - { sql } adapter; by default Forge SQL when
+   *   FORGE_SQL_ENABLED is set, otherwise Forge storage
+   */
+  constructor({ sql = null } = {}) {
+    this.sql = sql || createSqlAdapter();
+    this.useForgeSQL = Boolean(this.sql);
+    this.storageQuery = new StorageQuery({ storage });
   }
 
+  /**
+   * Raw SQL, Forge SQL only; use select() for queries that also run on storage
+   */
   async query(sql, params = []) {
-    if (this.useForgeSQL) {
-      // Use Forge SQL when available
-      return await this.executeSQL(sql, params);
-    } else {
-      // Fallback to storage-based simulation
-      return await this.simulateQuery(sql, params);
+    if (!this.useForgeSQL) {
+      throw new Error('Raw SQL queries need Forge SQL; use select() with Forge storage');
     }
+    await this.ready();
+    return await this.executeSQL(sql, params);
   }
 
-  async executeSQL(sql, params) {
+  async executeSQL(sql, params = []) {
     try {
-      // This would use the Forge SQL API when available
-      // const result = await sql.query(sql, params);
-      // return result.rows;
-      
-      console.log('Forge SQL query:', sql, params);
-      throw new Error('Forge SQL not available in this environment');
+      return await this.sql.query(sql, params);
       
     } catch (error) {
       console.error('Forge SQL error:', error);
@@ -33,73 +57,61 @@ class DatabaseService {
     }
   }
 
-  async simulateQuery(sql, params) {
-    try {
-      // Simple simulation for development/testing
-      console.log('Simulating SQL query:', sql, params);
-      
-      if (sql.includes('SELECT') && sql.includes('meetings')) {
-        return await this.simulateSelectMeetings(params);
-      } else if (sql.includes('SELECT') && sql.includes('ticket_mentions')) {
-        return await this.simulateSelectTicketMentions(params);
-      }
-      
-      return [];
-      
-    } catch (error) {
-      console.error('Query simulation error:', error);
-      return [];
+  /**
+   * Find records with typed filters, sorting and paging, on either backend
+   * @param {string} table - Table name
+   * @param {Object} query - { where, orderBy, limit, offset }, filter shapes as in StorageQuery
+   * @returns {Array} - Matching records
+   */
+  async select(table, query = {}) {
+    await this.ready();
+    if (this.useForgeSQL) {
+      return await this.selectSQL(table, query);
     }
+    return await this.storageQuery.find(table, query);
   }
 
-  async simulateSelectMeetings(params) {
-    try {
-      // Get all meetings from storage
-      const meetingKeys = await storage.query()
-        .where('key', 'startsWith', 'meeting:')
-        .getMany();
-      
-      const meetings = [];
-      
-      for (const item of meetingKeys.results) {
-        const meeting = item.value;
-        if (meeting && this.matchesParams(meeting, params)) {
-          meetings.push(meeting);
-        }
-      }
-      
-      return meetings.sort((a, b) => new Date(b.start_time) - new Date(a.start_time));
-      
-    } catch (error) {
-      console.error('Error simulating meetings query:', error);
-      return [];
-    }
-  }
+  async selectSQL(table, { where = {}, orderBy = [], limit = null, offset = 0 } = {}) {
+    const params = [];
+    const conditions = parseWhere(where).map(({ field, op, value }) => {
+      const column = identifier(field);
 
-  async simulateSelectTicketMentions(params) {
-    try {
-      const mentionKeys = await storage.query()
-        .where('key', 'startsWith', 'ticket_mention:')
-        .getMany();
-      
-      const mentions = [];
-      
-      for (const item of mentionKeys.results) {
-        const mention = item.value;
-        if (mention && this.matchesParams(mention, params)) {
-          mentions.push(mention);
-        }
+      switch (op) {
+        case 'eq':
+          if (value === null || value === undefined) return `${column} IS NULL`;
+          params.push(value);
+          return `${column} = ?`;
+        case 'in':
+          if (value.length === 0) return '1 = 0';
+          params.push(...value);
+          return `${column} IN (${value.map(() => '?').join(', ')})`;
+        case 'like':
+          params.push(value);
+          return `${column} LIKE ?`;
+        default:
+          return Object.entries(value).map(([operator, bound]) => {
+            params.push(bound);
+            return `${column} ${RANGE_SQL[operator]} ?`;
+          }).join(' AND ');
       }
-      
-      return mentions;
-      
-    } catch (error) {
-      console.error('Error simulating ticket mentions query:', error);
-      return [];
+    });
+    const order = parseOrderBy(orderBy).map(({ field, direction }) => `${identifier(field)} ${direction.toUpperCase()}`);
+
+    let sql = `SELECT * FROM ${identifier(table)}`;
+    if (conditions.length > 0) sql += ` WHERE ${conditions.join(' AND ')}`;
+    if (order.length > 0) sql += ` ORDER BY ${order.join(', ')}`;
+    if (limit !== null) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
     }
+
+    const rows = await this.executeSQL(sql, params);
+    // MySQL has no OFFSET without LIMIT
+    return limit === null && offset > 0 ? rows.slice(offset) : rows;
   }
 
   async insert(table, data) {
+    await this.ready();
     if (this.useForgeSQL) {
       return await this.insertSQL(table, data);
     } else {
@@ -109,15 +121,15 @@ class DatabaseService {
 
   async insertSQL(table, data) {
     try {
-      const columns = Object.keys(data).join(', ');
-      const placeholders = Object.keys(data).map(() => '?').join(', ');
-      const values = Object.values(data);
+      const record = { ...data, id: data.id || uuidv4() };
+      const columns = Object.keys(record).map(identifier).join(', ');
+      const placeholders = Object.keys(record).map(() => '?').join(', ');
       
-      const sql = `INSERT INTO ${table} (${columns}) VALUES (${placeholders})`;
+      const sql = `INSERT INTO ${identifier(table)} (${columns}) VALUES (${placeholders})`;
+      await this.sql.execute(sql, Object.values(record));
       
-      // This would use Forge SQL API
-      console.log('SQL insert:', sql, values);
-      throw new Error('Forge SQL not available in this environment');
+      // Read back for the column defaults (status, created_at, ...)
+      return await this.findByIdSQL(table, record.id) || record;
       
     } catch (error) {
       console.error('SQL insert error:', error);
@@ -138,6 +150,7 @@ class DatabaseService {
       };
       
       await storage.set(key, record);
+      await this.storageQuery.indexRecord(table, record);
       console.log(`Inserted into ${table}:`, record);
       
       return { id, ...record };
@@ -149,6 +162,7 @@ class DatabaseService {
   }
 
   async update(table, id, data) {
+    await this.ready();
     if (this.useForgeSQL) {
       return await this.updateSQL(table, id, data);
     } else {
@@ -158,13 +172,20 @@ class DatabaseService {
 
   async updateSQL(table, id, data) {
     try {
-      const setClause = Object.keys(data).map(key => `${key} = ?`).join(', ');
+      const setClause = Object.keys(data).map(key => `${identifier(key)} = ?`).join(', ');
       const values = [...Object.values(data), id];
       
-      const sql = `UPDATE ${table} SET ${setClause} WHERE id = ?`;
+      if (setClause) {
+        await this.sql.execute(`UPDATE ${identifier(table)} SET ${setClause} WHERE id = ?`, values);
+      }
       
-      console.log('SQL update:', sql, values);
-      throw new Error('Forge SQL not available in this environment');
+      // affectedRows counts changed rows only, so existence is checked by reading back
+      const updated = await this.findByIdSQL(table, id);
+      if (!updated) {
+        throw new Error(`Record not found: ${table}:${id}`);
+      }
+      
+      return updated;
       
     } catch (error) {
       console.error('SQL update error:', error);
@@ -188,6 +209,7 @@ class DatabaseService {
       };
       
       await storage.set(key, updated);
+      await this.storageQuery.indexRecord(table, updated, existing);
       console.log(`Updated ${table}:`, updated);
       
       return updated;
@@ -198,7 +220,57 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Update a record only while it still matches `expected`, e.g. { status: 'pending' }.
+   * With Forge SQL the check and the write are a single UPDATE. Storage has no
+   * compare-and-set, so the write carries a claim_token that is read back after
+   * CLAIM_SETTLE_MS; a writer whose token was overwritten loses. That narrows the
+   * race to the settle window rather than closing it, so work claimed this way
+   * must still be safe to run twice.
+   * @returns {Object|null} - Updated record, or null if it no longer matches
+   */
+  async updateWhere(table, id, expected, data) {
+    await this.ready();
+    if (this.useForgeSQL) {
+      return await this.updateWhereSQL(table, id, expected, data);
+    } else {
+      return await this.updateWhereStorage(table, id, expected, data);
+    }
+  }
+
+  async updateWhereSQL(table, id, expected, data) {
+    try {
+      const setClause = Object.keys(data).map(key => `${identifier(key)} = ?`).join(', ');
+      const conditions = ['id = ?', ...Object.keys(expected).map(key => `${identifier(key)} = ?`)];
+      const { affectedRows } = await this.sql.execute(
+        `UPDATE ${identifier(table)} SET ${setClause} WHERE ${conditions.join(' AND ')}`,
+        [...Object.values(data), id, ...Object.values(expected)]
+      );
+
+      return affectedRows > 0 ? await this.findByIdSQL(table, id) : null;
+
+    } catch (error) {
+      console.error('SQL conditional update error:', error);
+      throw error;
+    }
+  }
+
+  async updateWhereStorage(table, id, expected, data) {
+    const existing = await storage.get(`${table}:${id}`);
+    if (!existing || Object.entries(expected).some(([field, value]) => existing[field] !== value)) {
+      return null;
+    }
+
+    const token = uuidv4();
+    await this.updateStorage(table, id, { ...data, claim_token: token });
+    await new Promise(resolve => setTimeout(resolve, CLAIM_SETTLE_MS));
+
+    const { claim_token: current, ...record } = (await storage.get(`${table}:${id}`)) || {};
+    return current === token ? record : null;
+  }
+
   async findById(table, id) {
+    await this.ready();
     if (this.useForgeSQL) {
       return await this.findByIdSQL(table, id);
     } else {
@@ -208,7 +280,7 @@ class DatabaseService {
 
   async findByIdSQL(table, id) {
     try {
-      const sql = `SELECT * FROM ${table} WHERE id = ?`;
+      const sql = `SELECT * FROM ${identifier(table)} WHERE id = ?`;
       const results = await this.executeSQL(sql, [id]);
       return results[0] || null;
       
@@ -229,8 +301,25 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Find all records in a table whose fields equal the given values
+   * @param {string} table - Table name
+   * @param {Object} where - { column: value } equality filters
+   * @returns {Array} - Matching records
+   */
+  async findAll(table, where = {}) {
+    try {
+      return await this.select(table, { where });
+
+    } catch (error) {
+      console.error(`Error finding records in ${table}:`, error);
+      throw error;
+    }
+  }
+
   async findMeetingsByTicket(ticketId) {
     try {
+      await this.ready();
       if (this.useForgeSQL) {
         const sql = `
           SELECT DISTINCT m.* 
@@ -242,18 +331,8 @@ class DatabaseService {
         return await this.executeSQL(sql, [ticketId]);
       } else {
         // Storage-based fallback
-        const mentionKeys = await storage.query()
-          .where('key', 'startsWith', 'ticket_mention:')
-          .getMany();
-        
-        const meetingIds = new Set();
-        
-        for (const item of mentionKeys.results) {
-          const mention = item.value;
-          if (mention && mention.ticket_id === ticketId) {
-            meetingIds.add(mention.meeting_id);
-          }
-        }
+        const mentions = await this.select('ticket_mentions', { where: { ticket_id: ticketId } });
+        const meetingIds = new Set(mentions.map(mention => mention.meeting_id));
         
         const meetings = [];
         for (const meetingId of meetingIds) {
@@ -272,6 +351,55 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Meetings that mention a ticket or whose transcript contains its key, newest first,
+   * each with that ticket's discussion summary, action items and decisions
+   * @param {string} ticketKey - e.g. 'PROJ-123'
+   * @param {Object} options - { limit }
+   */
+  async searchMeetingsForTicket(ticketKey, { limit = 20 } = {}) {
+    const transcriptPattern = `%${ticketKey.replace(/[\\%_]/g, '\\$&')}%`;
+
+    try {
+      await this.ready();
+      if (this.useForgeSQL) {
+        // The ticket filter is part of the join, so each meeting appears once
+        const sql = `
+          SELECT m.*, tm.discussion_summary, tm.action_items, tm.key_decisions
+          FROM meetings m
+          LEFT JOIN ticket_mentions tm ON m.id = tm.meeting_id AND tm.ticket_id = ?
+          WHERE tm.id IS NOT NULL OR m.transcript_text LIKE ?
+          ORDER BY m.start_time DESC
+          LIMIT ?
+        `;
+        return await this.executeSQL(sql, [ticketKey, transcriptPattern, limit]);
+      }
+
+      // Mentions come from the ticket index; the transcript match has no index and scans meetings
+      const mentions = await this.select('ticket_mentions', { where: { ticket_id: ticketKey } });
+      const mentionsByMeeting = new Map(mentions.map(mention => [mention.meeting_id, mention]));
+      const mentioned = await Promise.all([...mentionsByMeeting.keys()].map(id => this.findByIdStorage('meetings', id)));
+      const transcripts = await this.select('meetings', { where: { transcript_text: { like: transcriptPattern } } });
+
+      const meetings = new Map([...mentioned.filter(Boolean), ...transcripts].map(meeting => [meeting.id, meeting]));
+      const rows = [...meetings.values()].map(meeting => {
+        const mention = mentionsByMeeting.get(meeting.id);
+        return {
+          ...meeting,
+          discussion_summary: mention ? mention.discussion_summary : null,
+          action_items: mention ? mention.action_items : null,
+          key_decisions: mention ? mention.key_decisions : null
+        };
+      });
+
+      return sortRecords(rows, [{ field: 'start_time', direction: 'desc' }]).slice(0, limit);
+
+    } catch (error) {
+      console.error(`Error searching meetings for ${ticketKey}:`, error);
+      return [];
+    }
+  }
+
   async getMeetingContext(ticketId) {
     try {
       const meetings = await this.findMeetingsByTicket(ticketId);
@@ -297,31 +425,8 @@ class DatabaseService {
 
   async getTicketMentions(meetingId, ticketId = null) {
     try {
-      if (this.useForgeSQL) {
-        const sql = ticketId 
-          ? `SELECT * FROM ticket_mentions WHERE meeting_id = ? AND ticket_id = ?`
-          : `SELECT * FROM ticket_mentions WHERE meeting_id = ?`;
-        const params = ticketId ? [meetingId, ticketId] : [meetingId];
-        return await this.executeSQL(sql, params);
-      } else {
-        // Storage-based fallback
-        const mentionKeys = await storage.query()
-          .where('key', 'startsWith', 'ticket_mention:')
-          .getMany();
-        
-        const mentions = [];
-        
-        for (const item of mentionKeys.results) {
-          const mention = item.value;
-          if (mention && mention.meeting_id === meetingId) {
-            if (!ticketId || mention.ticket_id === ticketId) {
-              mentions.push(mention);
-            }
-          }
-        }
-        
-        return mentions;
-      }
+      const where = ticketId ? { meeting_id: meetingId, ticket_id: ticketId } : { meeting_id: meetingId };
+      return await this.select('ticket_mentions', { where });
       
     } catch (error) {
       console.error('Error getting ticket mentions:', error);
@@ -329,25 +434,83 @@ class DatabaseService {
     }
   }
 
-  matchesParams(record, params) {
-    // Simple parameter matching for simulation
-    // In real SQL, this would be handled by the query itself
-    if (!params || params.length === 0) {
-      return true;
+  /**
+   * Read an app_config value, falling back to the seeded defaults
+   * @param {string} configKey - e.g. 'processing_limits'
+   * @returns {Object} - Parsed config_value merged over the defaults
+   */
+  async getConfig(configKey) {
+    const defaults = DEFAULT_CONFIG[configKey] || {};
+
+    try {
+      await this.ready();
+      let record;
+      if (this.useForgeSQL) {
+        const rows = await this.executeSQL('SELECT config_value FROM app_config WHERE config_key = ?', [configKey]);
+        record = rows[0];
+      } else {
+        record = await storage.get(`app_config:${configKey}`);
+      }
+
+      if (!record) {
+        return { ...defaults };
+      }
+
+      const value = typeof record.config_value === 'string'
+        ? JSON.parse(record.config_value)
+        : record.config_value;
+
+      return { ...defaults, ...value };
+
+    } catch (error) {
+      console.error(`Error reading config ${configKey}:`, error);
+      return { ...defaults };
+    }
+  }
+
+  /**
+   * Store an app_config value, replacing the previous one
+   * @param {string} configKey - e.g. 'field_mappings'
+   * @param {Object} value - The full config_value
+   */
+  async setConfig(configKey, value) {
+    try {
+      await this.ready();
+      if (this.useForgeSQL) {
+        await this.executeSQL(
+          'INSERT INTO app_config (id, config_key, config_value) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+          [uuidv4(), configKey, JSON.stringify(value)]
+        );
+      } else {
+        await storage.set(`app_config:${configKey}`, {
+          config_key: configKey,
+          config_value: value,
+          updated_at: new Date().toISOString()
+        });
+      }
+
+      return value;
+
+    } catch (error) {
+      console.error(`Error saving config ${configKey}:`, error);
+      throw error;
     }
-    
-    // This is a simplified matcher - would need more sophisticated logic for real use
-    return true;
   }
 
   async delete(table, id) {
     try {
+      await this.ready();
       if (this.useForgeSQL) {
-        const sql = `DELETE FROM ${table} WHERE id = ?`;
-        return await this.executeSQL(sql, [id]);
+        const sql = `DELETE FROM ${identifier(table)} WHERE id = ?`;
+        await this.sql.execute(sql, [id]);
+        return true;
       } else {
         const key = `${table}:${id}`;
+        const existing = await storage.get(key);
         await storage.delete(key);
+        if (existing) {
+          await this.storageQuery.indexRecord(table, null, existing);
+        }
         return true;
       }
       
@@ -357,59 +520,42 @@ class DatabaseService {
     }
   }
 
-  async initializeTables() {
-    if (!this.useForgeSQL) {
-      console.log('Using storage-based simulation - no table initialization needed');
-      return;
+  /**
+   * With Forge SQL, create or upgrade the tables once per process before the
+   * first query. Storage migrations (the legacy key scan) never run on a
+   * request: migrate() runs them from the lifecycle trigger and the queue worker.
+   */
+  async ready() {
+    if (!this.useForgeSQL) return;
+
+    const target = this.sql;
+    if (!migrationRuns.has(target)) {
+      migrationRuns.set(target, new MigrationRunner({ sql: target, migrations: MIGRATIONS }).migrate().catch(error => {
+        migrationRuns.delete(target);
+        throw error;
+      }));
     }
-    
-    // SQL table creation for when Forge SQL is available
-    const tables = [
-      `CREATE TABLE IF NOT EXISTS teams (
-        id VARCHAR(36) PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        jira_config JSON NOT NULL,
-        tier ENUM('basic', 'ai', 'enterprise') DEFAULT 'basic',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS meetings (
-        id VARCHAR(36) PRIMARY KEY,
-        team_id VARCHAR(36),
-        title VARCHAR(255) NOT NULL,
-        start_time TIMESTAMP NOT NULL,
-        transcript_text TEXT,
-        processed_data JSON,
-        participants JSON,
-        meeting_type VARCHAR(50),
-        processing_status ENUM('pending', 'processing', 'completed', 'failed'),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS ticket_mentions (
-        id VARCHAR(36) PRIMARY KEY,
-        meeting_id VARCHAR(36) NOT NULL,
-        ticket_id VARCHAR(50) NOT NULL,
-        discussion_summary TEXT,
-        action_items JSON,
-        key_decisions JSON,
-        sentiment_score DECIMAL(3,2),
-        mcp_update_status ENUM('pending', 'success', 'failed'),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )`
-    ];
-    
-    try {
-      for (const tableSQL of tables) {
-        await this.executeSQL(tableSQL);
-      }
-      console.log('Database tables initialized successfully');
-    } catch (error) {
-      console.error('Error initializing tables:', error);
-      throw error;
+    await migrationRuns.get(target);
+  }
+
+  /**
+   * Apply pending migrations to Forge storage, and to Forge SQL when it is enabled;
+   * storage is always migrated because the issue panel keeps its meetings there.
+   * Each runner checks the recorded schema version first, so this is cheap when
+   * nothing is pending.
+   * @returns {Array} - { backend, from, to, applied } per backend
+   */
+  async migrate() {
+    const runners = [new MigrationRunner({ storage, migrations: MIGRATIONS })];
+    if (this.useForgeSQL) {
+      runners.push(new MigrationRunner({ sql: this.sql, migrations: MIGRATIONS }));
+    }
+
+    const results = [];
+    for (const runner of runners) {
+      results.push(await runner.migrate());
     }
+    return results;
   }
 }
 
@@ -1,9 +1,34 @@
-import { requestJira } from '@forge/bridge';
+import crypto from 'crypto';
 import api, { route } from '@forge/api';
+import DatabaseService from './DatabaseService';
+import MeetingCommentBuilder from './MeetingCommentBuilder';
+import MeetingCommentSync from './MeetingCommentSync';
+import MentionVerifier from './MentionVerifier';
+import { textToDocument } from '../utils/adf';
+
+const SUMMARY_MAX_LENGTH = 255;
+
+/**
+ * Stable id for an action item within a meeting, so reprocessing finds the issue created last time
+ */
+export const actionItemKey = (meetingId, action) => {
+  const normalized = String(action || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return `${meetingId}:${crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32)}`;
+};
 
 class JiraService {
-  constructor() {
+  /**
+   * @param {Object} options - { asApp } to call Jira as the app, e.g. from triggers with no user;
+   * { db } records issues created from action items
+   */
+  constructor({ asApp = false, db = null } = {}) {
     this.apiBaseUrl = '/rest/api/3';
+    this.asApp = asApp;
+    this.db = db || new DatabaseService();
+  }
+
+  client() {
+    return this.asApp ? api.asApp() : api.asUser();
   }
 
   /**
@@ -11,7 +36,7 @@ class JiraService {
    */
   async getIssue(issueKey) {
     try {
-      const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueKey}`, {
+      const response = await this.client().requestJira(route`/rest/api/3/issue/${issueKey}`, {
         headers: {
           'Accept': 'application/json'
         }
@@ -37,7 +62,8 @@ class JiraService {
         created: issue.fields.created,
         updated: issue.fields.updated,
         labels: issue.fields.labels || [],
-        components: issue.fields.components || []
+        components: issue.fields.components || [],
+        issueLinks: issue.fields.issuelinks || []
       };
 
     } catch (error) {
@@ -46,34 +72,55 @@ class JiraService {
     }
   }
 
+  /**
+   * The active sprint an issue is in, from the Jira Software agile API
+   * @returns {Object|null} { id, name, startDate, endDate }, or null when the issue is in no
+   * active sprint or its project has no board
+   */
+  async getActiveSprint(issueKey) {
+    try {
+      const response = await this.client().requestJira(route`/rest/agile/1.0/issue/${issueKey}?fields=sprint`, {
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to fetch sprint for ${issueKey}: ${response.status}`);
+      }
+
+      const { fields = {} } = await response.json();
+      const sprint = fields.sprint;
+      if (!sprint || sprint.state !== 'active' || !sprint.endDate) {
+        return null;
+      }
+
+      return { id: sprint.id, name: sprint.name, startDate: sprint.startDate || null, endDate: sprint.endDate };
+
+    } catch (error) {
+      console.error(`Error fetching sprint for ${issueKey}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Add comment to a Jira issue
+   * @param {string|Object} commentBody - Comment text, or an ADF document
    */
   async addComment(issueKey, commentBody, visibility = null) {
     try {
       const comment = {
-        body: {
-          type: "doc",
-          version: 1,
-          content: [
-            {
-              type: "paragraph",
-              content: [
-                {
-                  type: "text",
-                  text: commentBody
-                }
-              ]
-            }
-          ]
-        }
+        body: typeof commentBody === 'string' ? textToDocument(commentBody) : commentBody
       };
 
       if (visibility) {
         comment.visibility = visibility;
       }
 
-      const response = await api.asUser().requestJira(
+      const response = await this.client().requestJira(
         route`/rest/api/3/issue/${issueKey}/comment`,
         {
           method: 'POST',
@@ -101,12 +148,21 @@ class JiraService {
   }
 
   /**
-   * Add meeting context comment to issue
+   * Add meeting context comment to issue. A meeting keeps a single comment per
+   * issue: re-running edits the existing comment instead of adding another.
+   * @returns {Object} - { id, action: 'created' | 'updated' | 'unchanged' }
    */
   async addMeetingContextComment(issueKey, meetingData) {
     try {
       const formattedComment = this.formatMeetingComment(meetingData);
-      return await this.addComment(issueKey, formattedComment);
+      const meetingId = meetingData.meeting?.id;
+
+      if (!meetingId) {
+        const result = await this.addComment(issueKey, formattedComment);
+        return { id: result.id, action: 'created' };
+      }
+
+      return await this.upsertMeetingComment(issueKey, meetingId, formattedComment);
 
     } catch (error) {
       console.error(`Error adding meeting context to ${issueKey}:`, error);
@@ -114,59 +170,62 @@ class JiraService {
     }
   }
 
+  /**
+   * Create or edit the single comment a meeting keeps on an issue
+   * @param {Object} document - ADF comment body
+   * @returns {Object} - { id, action: 'created' | 'updated' | 'unchanged' }
+   */
+  async upsertMeetingComment(issueKey, meetingId, document) {
+    return await new MeetingCommentSync(this.client()).upsert(issueKey, meetingId, document);
+  }
+
+  /**
+   * Delete the meeting context comment a meeting posted on an issue
+   * @returns {Object} - { removed, id }
+   */
+  async removeMeetingContextComment(issueKey, meetingId) {
+    try {
+      return await new MeetingCommentSync(this.client()).remove(issueKey, meetingId);
+
+    } catch (error) {
+      console.error(`Error removing meeting context from ${issueKey}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Format meeting data into a Jira comment
+   * @param {Object} meetingData - { meeting, mentions, actionItems, keyDecisions }
+   * @returns {Object} - ADF document
    */
   formatMeetingComment(meetingData) {
     const { meeting, mentions, actionItems, keyDecisions } = meetingData;
-    
-    let comment = `🎯 **Meeting Context: ${meeting.title}**\n`;
-    comment += `📅 Date: ${new Date(meeting.start_time).toLocaleDateString()}\n\n`;
-    
-    if (mentions && mentions.length > 0) {
-      comment += `**Discussion Summary:**\n`;
-      mentions.forEach(mention => {
-        if (mention.discussion_summary) {
-          comment += `• ${mention.discussion_summary}\n`;
-        }
-      });
-      comment += `\n`;
-    }
-    
-    if (actionItems && actionItems.length > 0) {
-      comment += `**Action Items:**\n`;
-      actionItems.forEach(item => {
-        const responsible = item.responsible ? ` (@${item.responsible})` : '';
-        comment += `• ${item.action}${responsible}\n`;
-      });
-      comment += `\n`;
-    }
-    
-    if (keyDecisions && keyDecisions.length > 0) {
-      comment += `**Key Decisions:**\n`;
-      keyDecisions.forEach(decision => {
-        comment += `• ${decision.decision}\n`;
-      });
-      comment += `\n`;
-    }
-    
-    comment += `*Added automatically by MeetingSync*`;
-    
-    return comment;
+    const builder = new MeetingCommentBuilder();
+
+    return builder.build({
+      ...builder.fromMeetingRecord(meeting || {}),
+      mentions: mentions || [],
+      actionItems: actionItems || [],
+      keyDecisions: keyDecisions || []
+    });
   }
 
   /**
    * Search issues by JQL
+   * @param {Object} options - { validateQuery: 'warn' } to skip unknown keys instead of failing the query
    */
-  async searchIssues(jql, fields = ['key', 'summary', 'status'], maxResults = 50) {
+  async searchIssues(jql, fields = ['key', 'summary', 'status'], maxResults = 50, { validateQuery = null } = {}) {
     try {
       const params = new URLSearchParams({
         jql: jql,
         fields: fields.join(','),
         maxResults: maxResults.toString()
       });
+      if (validateQuery) {
+        params.set('validateQuery', validateQuery);
+      }
 
-      const response = await api.asUser().requestJira(
+      const response = await this.client().requestJira(
         route`/rest/api/3/search?${params}`,
         {
           headers: {
@@ -193,6 +252,68 @@ class JiraService {
     }
   }
 
+  /**
+   * Keys of every project visible to the caller, following project search pages
+   */
+  async getProjectKeys() {
+    try {
+      const keys = [];
+      let startAt = 0;
+
+      while (true) {
+        const response = await this.client().requestJira(
+          route`/rest/api/3/project/search?startAt=${startAt}&maxResults=50`,
+          {
+            headers: {
+              'Accept': 'application/json'
+            }
+          }
+        );
+
+        if (!response.ok) {
+          throw new Error(`Failed to list projects: ${response.status}`);
+        }
+
+        const page = await response.json();
+        const projects = page.values || [];
+        keys.push(...projects.map(project => project.key));
+
+        startAt += projects.length;
+        if (page.isLast !== false || projects.length === 0) {
+          return keys;
+        }
+      }
+
+    } catch (error) {
+      console.error('Error listing projects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All system and custom fields on the site, with their schema
+   * @returns {Array} - [{ id, name, custom, schema: { type, items, custom } }]
+   */
+  async getFields() {
+    try {
+      const response = await this.client().requestJira(route`/rest/api/3/field`, {
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to list fields: ${response.status}`);
+      }
+
+      return await response.json();
+
+    } catch (error) {
+      console.error('Error listing fields:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get issues by project
    */
@@ -234,7 +355,7 @@ class JiraService {
    */
   async getIssueComments(issueKey, maxResults = 50) {
     try {
-      const response = await api.asUser().requestJira(
+      const response = await this.client().requestJira(
         route`/rest/api/3/issue/${issueKey}/comment?maxResults=${maxResults}`,
         {
           headers: {
@@ -266,7 +387,7 @@ class JiraService {
    */
   async updateIssueField(issueKey, fieldUpdates) {
     try {
-      const response = await api.asUser().requestJira(
+      const response = await this.client().requestJira(
         route`/rest/api/3/issue/${issueKey}`,
         {
           method: 'PUT',
@@ -332,27 +453,13 @@ class JiraService {
         transitionData.update = {
           comment: [{
             add: {
-              body: {
-                type: "doc",
-                version: 1,
-                content: [
-                  {
-                    type: "paragraph",
-                    content: [
-                      {
-                        type: "text",
-                        text: comment
-                      }
-                    ]
-                  }
-                ]
-              }
+              body: textToDocument(comment)
             }
           }]
         };
       }
 
-      const response = await api.asUser().requestJira(
+      const response = await this.client().requestJira(
         route`/rest/api/3/issue/${issueKey}/transitions`,
         {
           method: 'POST',
@@ -377,12 +484,54 @@ class JiraService {
     }
   }
 
+  /**
+   * Log time on an issue. Jira records the caller as the worklog author.
+   * @param {Object} worklog - { timeSpentSeconds, started: ISO timestamp, comment: ADF document }
+   * @returns {Object} - { id }
+   */
+  async addWorklog(issueKey, { timeSpentSeconds, started, comment = null }) {
+    try {
+      const body = {
+        timeSpentSeconds,
+        // Jira expects "2024-03-06T15:00:00.000+0000"
+        started: new Date(started).toISOString().replace('Z', '+0000')
+      };
+      if (comment) {
+        body.comment = comment;
+      }
+
+      const response = await this.client().requestJira(
+        route`/rest/api/3/issue/${issueKey}/worklog?adjustEstimate=auto`,
+        {
+          method: 'POST',
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Failed to log work on ${issueKey}: ${response.status}`);
+      }
+
+      const result = await response.json();
+      console.log(`Logged ${timeSpentSeconds}s on ${issueKey}:`, result.id);
+      return { id: result.id };
+
+    } catch (error) {
+      console.error(`Error logging work on ${issueKey}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get available transitions for issue
    */
   async getAvailableTransitions(issueKey) {
     try {
-      const response = await api.asUser().requestJira(
+      const response = await this.client().requestJira(
         route`/rest/api/3/issue/${issueKey}/transitions`,
         {
           headers: {
@@ -405,13 +554,65 @@ class JiraService {
     }
   }
 
+  /**
+   * Whether the calling user holds a permission, e.g. 'ADMINISTER' for Jira admins
+   */
+  async hasPermission(permission) {
+    try {
+      const response = await this.client().requestJira(route`/rest/api/3/mypermissions?permissions=${permission}`, {
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to check permission ${permission}: ${response.status}`);
+      }
+
+      const { permissions = {} } = await response.json();
+      return permissions[permission]?.havePermission === true;
+
+    } catch (error) {
+      console.error(`Error checking permission ${permission}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find users by display name or email (read:jira-user scope)
+   * @param {string} query - Name, email or partial name
+   * @returns {Array} - [{ accountId, accountType, displayName, emailAddress, active }]
+   */
+  async searchUsers(query, maxResults = 20) {
+    try {
+      const response = await this.client().requestJira(
+        route`/rest/api/3/user/search?query=${query}&maxResults=${maxResults}`,
+        {
+          headers: {
+            'Accept': 'application/json'
+          }
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`User search failed: ${response.status}`);
+      }
+
+      return await response.json();
+
+    } catch (error) {
+      console.error(`Error searching users for "${query}":`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get current user information - Now with proper read:jira-user scope
    */
   async getCurrentUser() {
     try {
       // This endpoint now has the required read:jira-user scope in manifest.yml
-      const response = await api.asUser().requestJira(route`/rest/api/3/myself`, {
+      const response = await this.client().requestJira(route`/rest/api/3/myself`, {
         headers: {
           'Accept': 'application/json'
         }
@@ -430,16 +631,216 @@ class JiraService {
   }
 
   /**
-   * Bulk update multiple issues with meeting context
+   * Create an issue
+   * @param {Object} fields - Jira issue fields
+   * @returns {Object} - { id, key }
+   */
+  async createIssue(fields) {
+    try {
+      const response = await this.client().requestJira(route`/rest/api/3/issue`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ fields })
+      });
+
+      if (!response.ok) {
+        const detail = await response.text();
+        throw new Error(`Failed to create issue: ${response.status} ${detail}`);
+      }
+
+      const result = await response.json();
+      console.log(`Created issue ${result.key}`);
+      return { id: result.id, key: result.key };
+
+    } catch (error) {
+      console.error('Error creating issue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link two issues, e.g. linkIssues('Relates', 'PROJ-2', 'PROJ-1')
+   */
+  async linkIssues(linkType, inwardKey, outwardKey) {
+    try {
+      const response = await this.client().requestJira(route`/rest/api/3/issueLink`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          type: { name: linkType },
+          inwardIssue: { key: inwardKey },
+          outwardIssue: { key: outwardKey }
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to link ${inwardKey} to ${outwardKey}: ${response.status}`);
+      }
+
+      return true;
+
+    } catch (error) {
+      console.error(`Error linking ${inwardKey} to ${outwardKey}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue types available for creating issues in a project
+   */
+  async getProjectIssueTypes(projectKey) {
+    try {
+      const response = await this.client().requestJira(
+        route`/rest/api/3/issue/createmeta/${projectKey}/issuetypes`,
+        {
+          headers: {
+            'Accept': 'application/json'
+          }
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Failed to get issue types for ${projectKey}: ${response.status}`);
+      }
+
+      const result = await response.json();
+      return result.issueTypes || result.values || [];
+
+    } catch (error) {
+      console.error(`Error getting issue types for ${projectKey}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create Jira issues from extracted action items, under the ticket they were discussed on.
+   *
+   * Sub-tasks are used when the project has a sub-task type and the parent is not itself a
+   * sub-task; otherwise a Task is created and linked to the parent. Created issues are recorded
+   * per meeting and action item, so running this again for the same meeting returns the
+   * existing issues instead of creating duplicates.
+   *
+   * @param {string} parentKey - Issue the action items were discussed on
+   * @param {Array} actionItems - [{ action, dueDate, assignee: { accountId }, quote }]
+   * @param {Object} options - { meeting: { id, title, start_time }, issueType: 'subtask'|'task', labels }
+   * @returns {Array} - [{ action, success, created, issueKey, error }]
+   */
+  async createIssuesFromActionItems(parentKey, actionItems, { meeting, issueType = 'subtask', labels = [] } = {}) {
+    if (!meeting || !meeting.id) {
+      throw new Error('A meeting with an id is required to create issues from action items');
+    }
+
+    const parent = await this.getIssue(parentKey);
+    const subtaskType = issueType === 'subtask' && !parent.issueType?.subtask
+      ? (await this.getProjectIssueTypes(parent.project.key)).find(type => type.subtask)
+      : null;
+
+    const results = [];
+
+    for (const item of actionItems) {
+      const action = item.action || item.task;
+      const id = actionItemKey(meeting.id, action);
+
+      try {
+        const existing = await this.db.findById('action_item_issues', id);
+        if (existing && await this.issueExists(existing.issue_key)) {
+          results.push({ action, success: true, created: false, issueKey: existing.issue_key });
+          continue;
+        }
+
+        const fields = {
+          project: { key: parent.project.key },
+          summary: this.formatIssueSummary(action),
+          issuetype: subtaskType ? { id: subtaskType.id } : { name: 'Task' },
+          description: this.formatActionItemDescription(item, meeting, parentKey),
+          labels: [...new Set(['meetingsync', ...labels].map(label => String(label).replace(/\s+/g, '-')))]
+        };
+
+        if (subtaskType) {
+          fields.parent = { key: parentKey };
+        }
+        if (item.assignee?.accountId) {
+          fields.assignee = { accountId: item.assignee.accountId };
+        }
+        if (item.dueDate) {
+          fields.duedate = item.dueDate;
+        }
+
+        const issue = await this.createIssue(fields);
+        if (!subtaskType) {
+          await this.linkIssues('Relates', issue.key, parentKey);
+        }
+
+        const record = {
+          meeting_id: meeting.id,
+          parent_key: parentKey,
+          issue_key: issue.key,
+          issue_id: issue.id,
+          action
+        };
+        if (existing) {
+          await this.db.update('action_item_issues', id, record);
+        } else {
+          await this.db.insert('action_item_issues', { id, ...record });
+        }
+
+        results.push({ action, success: true, created: true, issueKey: issue.key });
+
+      } catch (error) {
+        results.push({ action, success: false, created: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * First line of an action item, trimmed to Jira's summary limit
+   */
+  formatIssueSummary(action) {
+    const summary = String(action || '').split('\n')[0].replace(/[.\s]+$/, '').trim();
+    return summary.length > SUMMARY_MAX_LENGTH
+      ? summary.substring(0, SUMMARY_MAX_LENGTH - 3) + '...'
+      : summary;
+  }
+
+  /**
+   * ADF description with the spoken quote and a back-link to the meeting and parent ticket
+   */
+  formatActionItemDescription(item, meeting, parentKey) {
+    const date = meeting.start_time ? new Date(meeting.start_time).toISOString().slice(0, 10) : null;
+    const lines = [
+      `Action item from meeting "${meeting.title || meeting.id}"${date ? ` on ${date}` : ''}, discussed on ${parentKey}.`
+    ];
+
+    if (item.quote || item.context) {
+      lines.push(`"${item.quote || item.context}"${item.speaker ? ` - ${item.speaker}` : ''}`);
+    }
+    lines.push(`MeetingSync meeting ID: ${meeting.id}`);
+
+    return textToDocument(lines.join('\n'));
+  }
+
+  /**
+   * Bulk update multiple issues with meeting context. Mentions are verified up front in
+   * batches; results keep the order of `ticketMentions`, and unverified ones carry the reason.
    */
   async bulkUpdateWithMeetingContext(ticketMentions, meetingData) {
     const results = [];
+    const { unverified } = await new MentionVerifier({ jira: this }).verify(ticketMentions);
+    const rejected = new Map(unverified.map(mention => [mention.ticketId, mention]));
     
     for (const mention of ticketMentions) {
       try {
-        const exists = await this.issueExists(mention.ticketId);
+        const failure = rejected.get(mention.ticketId);
         
-        if (exists) {
+        if (!failure) {
           const commentResult = await this.addMeetingContextComment(
             mention.ticketId, 
             {
@@ -453,7 +854,8 @@ class JiraService {
           results.push({
             ticketId: mention.ticketId,
             success: true,
-            commentId: commentResult.id
+            commentId: commentResult.id,
+            commentAction: commentResult.action
           });
 
           // Add meeting label
@@ -463,7 +865,9 @@ class JiraService {
           results.push({
             ticketId: mention.ticketId,
             success: false,
-            error: 'Issue not found'
+            verified: false,
+            reason: failure.reason,
+            error: failure.message
           });
         }
 
@@ -0,0 +1,98 @@
+import { fetch } from '@forge/api';
+import LLMProvider from './LLMProvider';
+import { IntegrationError } from '../../utils/errorHandling';
+
+const APIS = {
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com',
+    model: 'claude-3-5-haiku-latest',
+    path: '/v1/messages',
+    headers: (apiKey) => ({
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    }),
+    body: ({ model, system, prompt, temperature, maxTokens }) => ({
+      model,
+      system,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: 'user', content: prompt }]
+    }),
+    text: (data) => (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('')
+  },
+
+  openai: {
+    baseUrl: 'https://api.openai.com',
+    model: 'gpt-4o-mini',
+    path: '/v1/chat/completions',
+    headers: (apiKey) => ({
+      Authorization: `Bearer ${apiKey}`
+    }),
+    body: ({ model, system, prompt, temperature, maxTokens }) => ({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ]
+    }),
+    text: (data) => data.choices?.[0]?.message?.content || ''
+  }
+};
+
+/**
+ * LLM provider for Anthropic Messages and OpenAI Chat Completions compatible HTTP APIs.
+ * `baseUrl` can point at any compatible gateway; its host must be listed under
+ * permissions.external.fetch.backend in manifest.yml.
+ */
+class HttpLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { api: 'anthropic' | 'openai', apiKey, model, baseUrl, temperature, maxTokens }
+   */
+  constructor(options = {}) {
+    const api = APIS[options.api];
+    if (!api) {
+      throw new Error(`Unsupported LLM API: ${options.api}`);
+    }
+    if (!options.apiKey) {
+      throw new Error(`An API key is required for the ${options.api} provider`);
+    }
+
+    super({ ...options, name: options.api });
+    this.api = api;
+    this.apiKey = options.apiKey;
+    this.model = options.model || api.model;
+    this.baseUrl = (options.baseUrl || api.baseUrl).replace(/\/+$/, '');
+  }
+
+  async complete({ system, prompt }) {
+    const response = await fetch(`${this.baseUrl}${this.api.path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.api.headers(this.apiKey)
+      },
+      body: JSON.stringify(this.api.body({
+        model: this.model,
+        system,
+        prompt,
+        temperature: this.temperature,
+        maxTokens: this.maxTokens
+      }))
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new IntegrationError(`${this.name} request failed: ${response.status} ${detail.slice(0, 200)}`, this.name);
+      // Rate limits and server errors are worth retrying, bad requests are not
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+
+    return this.api.text(await response.json());
+  }
+}
+
+export default HttpLLMProvider;
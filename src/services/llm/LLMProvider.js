@@ -0,0 +1,119 @@
+import { IntegrationError } from '../../utils/errorHandling';
+import { SCHEMAS, MENTION_CATEGORIES, validateSchema } from './schemas';
+
+/**
+ * Base class for LLM providers
+ *
+ * Subclasses implement complete({ system, prompt, schema }) returning the raw
+ * model text; the four meeting operations, JSON parsing and schema validation
+ * live here so every provider produces the same validated shapes.
+ */
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'llm';
+    this.temperature = options.temperature ?? 0.3;
+    this.maxTokens = options.maxTokens ?? 2000;
+  }
+
+  /**
+   * Send one prompt to the model
+   * @returns {string} - Raw model output, expected to contain a JSON object
+   */
+  async complete() {
+    throw new Error(`${this.constructor.name} must implement complete()`);
+  }
+
+  /**
+   * @param {Object} input - { transcript, maxLength }
+   * @returns {Object} - { summary, topics }
+   */
+  async summarize({ transcript, maxLength = 1000 }) {
+    return this.run('summarize', {
+      instructions: `Summarize this meeting in at most ${maxLength} characters. Cover outcomes, blockers and owners; skip small talk. Also list up to 10 short topics.`,
+      content: transcript
+    });
+  }
+
+  /**
+   * @param {Object} input - { transcript }
+   * @returns {Object} - { actionItems: [{ action, responsible, dueDate, quote, confidence }] }
+   */
+  async extractActions({ transcript }) {
+    return this.run('extractActions', {
+      instructions: 'List the action items agreed in this meeting. Use the speaker name for "responsible" when someone volunteers ("I will ..."), null if nobody owns it. Put any spoken deadline in "dueDate" as said. "quote" must be the exact words from the transcript the item comes from.',
+      content: transcript
+    });
+  }
+
+  /**
+   * @param {Object} input - { transcript }
+   * @returns {Object} - { decisions: [{ decision, rationale, quote, confidence }] }
+   */
+  async extractDecisions({ transcript }) {
+    return this.run('extractDecisions', {
+      instructions: 'List the decisions made in this meeting, with the rationale if one was given. "quote" must be the exact words from the transcript the decision comes from.',
+      content: transcript
+    });
+  }
+
+  /**
+   * @param {Object} input - { ticketId, context }
+   * @returns {Object} - { category, summary, sentiment, confidence }
+   */
+  async classifyMention({ ticketId, context }) {
+    return this.run('classifyMention', {
+      instructions: `Classify how ${ticketId} was discussed as one of: ${MENTION_CATEGORIES.join(', ')}. Summarize what was said about it in one sentence and rate sentiment from -1 to 1.`,
+      content: context
+    });
+  }
+
+  /**
+   * Run an operation and return its validated JSON output
+   */
+  async run(operation, { instructions, content }) {
+    const schema = SCHEMAS[operation];
+    const system = [
+      'You analyse meeting transcripts for a Jira integration.',
+      'Reply with a single JSON object and nothing else, matching this JSON schema:',
+      JSON.stringify(schema)
+    ].join('\n');
+
+    const raw = await this.complete({
+      operation,
+      system,
+      prompt: `${instructions}\n\n<transcript>\n${content}\n</transcript>`,
+      schema
+    });
+
+    return this.parseOutput(operation, raw);
+  }
+
+  parseOutput(operation, raw) {
+    let data;
+    try {
+      data = typeof raw === 'string' ? JSON.parse(extractJson(raw)) : raw;
+    } catch (error) {
+      throw new IntegrationError(`${this.name} returned invalid JSON for ${operation}`, this.name);
+    }
+
+    const errors = validateSchema(data, SCHEMAS[operation]);
+    if (errors.length > 0) {
+      throw new IntegrationError(`${this.name} output failed schema validation for ${operation}: ${errors.slice(0, 3).join('; ')}`, this.name);
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Pull the JSON object out of model text that may be wrapped in prose or code fences
+ */
+export const extractJson = (text) => {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  return start !== -1 && end > start ? body.slice(start, end + 1) : body;
+};
+
+export default LLMProvider;
@@ -0,0 +1,84 @@
+import LLMProvider from './LLMProvider';
+
+const ACTION_PATTERN = /\b(will|should|must|need to|going to|action item|follow up|todo)\b/i;
+const DECISION_PATTERN = /\b(decided|agreed|going with|concluded|resolved)\b/i;
+const BLOCKER_PATTERN = /\b(blocked|blocker|stuck|waiting on|can't|cannot)\b/i;
+
+const sentences = (text) => text
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length > 0);
+
+/**
+ * Deterministic local provider for tests and offline development.
+ *
+ * Answers from fixed `responses` when given ({ summarize: {...}, ... } or
+ * functions of the prompt input), otherwise from simple keyword rules. Output
+ * still goes through the same JSON parsing and schema validation as a real model.
+ */
+class StubLLMProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ ...options, name: 'stub' });
+    this.responses = options.responses || {};
+    this.calls = [];
+  }
+
+  async complete({ operation, prompt }) {
+    const content = /<transcript>\n([\s\S]*)\n<\/transcript>$/.exec(prompt)?.[1] || '';
+    this.calls.push({ operation, content });
+
+    const fixed = this.responses[operation];
+    if (fixed !== undefined) {
+      const response = typeof fixed === 'function' ? fixed(content) : fixed;
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    return JSON.stringify(this.answer(operation, content, prompt));
+  }
+
+  answer(operation, content, prompt) {
+    const all = sentences(content);
+
+    switch (operation) {
+      case 'summarize':
+        return { summary: all.slice(0, 2).join(' '), topics: [] };
+
+      case 'extractActions':
+        return {
+          actionItems: all.filter(sentence => ACTION_PATTERN.test(sentence)).map(sentence => ({
+            action: sentence.replace(/[.!?]$/, ''),
+            responsible: null,
+            dueDate: null,
+            quote: sentence,
+            confidence: 0.6
+          }))
+        };
+
+      case 'extractDecisions':
+        return {
+          decisions: all.filter(sentence => DECISION_PATTERN.test(sentence)).map(sentence => ({
+            decision: sentence.replace(/[.!?]$/, ''),
+            rationale: null,
+            quote: sentence,
+            confidence: 0.6
+          }))
+        };
+
+      case 'classifyMention': {
+        const category = BLOCKER_PATTERN.test(content) ? 'blocker'
+          : DECISION_PATTERN.test(content) ? 'decision'
+            : ACTION_PATTERN.test(content) ? 'action'
+              : /\?/.test(content) ? 'question'
+                : 'reference';
+        const ticketId = /classify how (\S+) was discussed/i.exec(prompt)?.[1];
+        const summary = all.find(sentence => ticketId && sentence.includes(ticketId)) || all[0] || '';
+        return { category, summary, sentiment: category === 'blocker' ? -0.5 : 0, confidence: 0.5 };
+      }
+
+      default:
+        throw new Error(`Unknown operation: ${operation}`);
+    }
+  }
+}
+
+export default StubLLMProvider;
@@ -0,0 +1,46 @@
+/**
+ * LLM provider selection
+ *
+ * Configured with Forge environment variables (forge variables set ...):
+ *   LLM_PROVIDER  - 'anthropic', 'openai' or 'stub'
+ *   LLM_API_KEY   - API key for the HTTP providers (set with --encrypt)
+ *   LLM_MODEL     - Optional model override
+ *   LLM_BASE_URL  - Optional compatible gateway URL
+ */
+
+import HttpLLMProvider from './HttpLLMProvider';
+import StubLLMProvider from './StubLLMProvider';
+
+export { default as LLMProvider } from './LLMProvider';
+export { HttpLLMProvider, StubLLMProvider };
+export { SCHEMAS, MENTION_CATEGORIES, validateSchema } from './schemas';
+
+/**
+ * Create the configured provider
+ * @param {Object} settings - ai_settings model_config ({ temperature, max_tokens }) and overrides
+ * @param {Object} env - Environment, defaults to process.env
+ * @returns {LLMProvider|null} - null when no provider is configured
+ */
+export const createLLMProvider = (settings = {}, env = process.env) => {
+  const provider = settings.provider || env.LLM_PROVIDER;
+  const options = {
+    temperature: settings.temperature,
+    maxTokens: settings.max_tokens
+  };
+
+  if (!provider) {
+    return null;
+  }
+
+  if (provider === 'stub') {
+    return new StubLLMProvider(options);
+  }
+
+  return new HttpLLMProvider({
+    ...options,
+    api: provider,
+    apiKey: settings.apiKey || env.LLM_API_KEY,
+    model: settings.model || env.LLM_MODEL,
+    baseUrl: settings.baseUrl || env.LLM_BASE_URL
+  });
+};
@@ -0,0 +1,133 @@
+/**
+ * JSON schemas for structured LLM output, and a small validator for the
+ * subset of JSON Schema they use (type, properties, required, items, enum,
+ * minimum/maximum, maxItems)
+ */
+
+export const MENTION_CATEGORIES = ['status_update', 'blocker', 'decision', 'action', 'question', 'reference'];
+
+const nullableString = { type: ['string', 'null'] };
+
+export const SCHEMAS = {
+  summarize: {
+    type: 'object',
+    required: ['summary'],
+    properties: {
+      summary: { type: 'string' },
+      topics: { type: 'array', items: { type: 'string' }, maxItems: 10 }
+    }
+  },
+
+  extractActions: {
+    type: 'object',
+    required: ['actionItems'],
+    properties: {
+      actionItems: {
+        type: 'array',
+        maxItems: 25,
+        items: {
+          type: 'object',
+          required: ['action'],
+          properties: {
+            action: { type: 'string' },
+            responsible: nullableString,
+            dueDate: nullableString,
+            quote: nullableString,
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        }
+      }
+    }
+  },
+
+  extractDecisions: {
+    type: 'object',
+    required: ['decisions'],
+    properties: {
+      decisions: {
+        type: 'array',
+        maxItems: 25,
+        items: {
+          type: 'object',
+          required: ['decision'],
+          properties: {
+            decision: { type: 'string' },
+            rationale: nullableString,
+            quote: nullableString,
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        }
+      }
+    }
+  },
+
+  classifyMention: {
+    type: 'object',
+    required: ['category', 'summary'],
+    properties: {
+      category: { type: 'string', enum: MENTION_CATEGORIES },
+      summary: { type: 'string' },
+      sentiment: { type: 'number', minimum: -1, maximum: 1 },
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return type === actual || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema from SCHEMAS
+ * @param {string} path - Location for error messages
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+export const validateSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (schema.type && !types.some(type => matchesType(value, type))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+};
@@ -1,63 +1,160 @@
 import nlp from 'nlp-compromise';
 import Fuse from 'fuse.js';
+import TranscriptParser from './TranscriptParser';
+import TranscriptChunker from './TranscriptChunker';
+import { toUtterances, indexUtterances, utteranceAt, listSpeakers } from '../models/Utterance';
+import { createLLMProvider } from './llm';
+import { extractDueDate } from '../utils/dateExtraction';
+import { normalizeUtterances, attachSurfaceForms } from '../utils/spokenKeys';
+import StatusIntentDetector from './StatusIntentDetector';
+import RelationExtractor from './RelationExtractor';
 
 class MeetingProcessor {
-  constructor() {
+  /**
+   * @param {Object} options - { llmProvider } to override the provider configured via LLM_* variables;
+   * { db } to read the provider's model settings from ai_settings.model_config
+   */
+  constructor(options = {}) {
+    this.transcriptParser = new TranscriptParser();
+    this.llmProvider = options.llmProvider;
+    this.db = options.db || null;
+    
     // Configuration for different processing tiers
     this.config = {
+      // Longer transcripts are split into chunks of maxChunkLength characters
+      // (and chunkWindowSeconds of meeting time) and processed map-reduce style
       basic: {
         useAI: false,
-        maxTranscriptLength: 50000,
+        maxChunkLength: 50000,
+        chunkWindowSeconds: null,
         summaryLength: 500
       },
       ai: {
         useAI: true,
-        maxTranscriptLength: 100000,
+        maxChunkLength: 100000,
+        chunkWindowSeconds: 30 * 60,
         summaryLength: 1000
+      },
+      enterprise: {
+        useAI: true,
+        classifyMentions: true,
+        maxChunkLength: 100000,
+        chunkWindowSeconds: 30 * 60,
+        summaryLength: 2000
       }
     };
   }
 
+  /**
+   * Parse a transcript file (platform export, WebVTT, SRT or plain text) and process it
+   * @param {string|Buffer} content - Raw file content
+   * @param {Object} options - { fileName, format, title, tier, spokenKeys }
+   * @returns {Object} Processed meeting data with cue timestamps and platform metadata attached
+   */
+  async ingestTranscript(content, options = {}) {
+    const parsed = this.transcriptParser.parse(content, options);
+    const result = await this.processMeeting(parsed.utterances, options.tier, {
+      meetingDate: parsed.date || options.meetingDate,
+      sprintEndDate: options.sprintEndDate,
+      sprintLengthDays: options.sprintLengthDays,
+      spokenKeys: options.spokenKeys
+    });
+
+    return {
+      ...result,
+      participants: [...new Set([...parsed.participants, ...result.participants])],
+      transcriptFormat: parsed.format,
+      platform: parsed.platform,
+      title: parsed.title,
+      date: parsed.date
+    };
+  }
+
   /**
    * Process a meeting transcript and extract ticket mentions and insights
-   * @param {string} transcript - The meeting transcript text
-   * @param {string} tier - Processing tier: 'basic' or 'ai'
+   * @param {string|Array} transcript - Transcript text, or Utterance[] from TranscriptParser
+   * @param {string} tier - Processing tier: 'basic', 'ai' or 'enterprise'
+   * @param {Object} options - { meetingDate, sprintEndDate, sprintLengthDays } used to resolve action item due dates;
+   * { spokenKeys: { projectKeys, aliases } } to normalize spoken ticket keys before extraction
    * @returns {Object} Processed meeting data
    */
-  async processMeeting(transcript, tier = 'basic') {
+  async processMeeting(transcript, tier = 'basic', options = {}) {
     try {
       console.log(`Processing meeting with tier: ${tier}`);
       
       const config = this.config[tier] || this.config.basic;
       
+      // Work on speaker turns; the flattened text keeps an offset index back to each utterance
+      const { utterances, forms } = options.spokenKeys
+        ? normalizeUtterances(toUtterances(transcript), options.spokenKeys)
+        : { utterances: toUtterances(transcript), forms: [] };
+      const { text, index } = indexUtterances(utterances);
+      
       // Validate and clean transcript
-      const cleanTranscript = this.cleanTranscript(transcript, config.maxTranscriptLength);
+      const cleanTranscript = this.cleanTranscript(text);
+      
+      // Split long meetings on speaker turns / time windows instead of truncating
+      const chunks = new TranscriptChunker({
+        maxChunkLength: config.maxChunkLength,
+        windowSeconds: config.chunkWindowSeconds
+      }).chunk(cleanTranscript, index);
       
       // Extract ticket mentions
-      const ticketMentions = this.extractTicketMentions(cleanTranscript);
+      const ticketMentions = attachSurfaceForms(this.attributeItems(
+        this.extractTicketMentions(cleanTranscript), index, 'ticketId'
+      ), forms);
+      
+      const llm = config.useAI ? await this.getLLMProvider() : null;
       
       // Generate summary based on tier
-      const summary = tier === 'ai' 
-        ? await this.generateAISummary(cleanTranscript, config.summaryLength)
-        : this.generateBasicSummary(cleanTranscript, config.summaryLength);
+      const summary = await this.summarizeChunks(chunks, config.summaryLength, llm);
       
       // Extract action items
-      const actionItems = this.extractActionItems(cleanTranscript);
+      const extractedActions = this.removeDuplicateActions(await this.mapChunks(chunks, chunk => (llm
+        ? this.withBasicFallback('action items', () => this.extractAIActionItems(chunk.text),
+          () => this.extractActionItems(chunk.text))
+        : this.extractActionItems(chunk.text))));
+      const actionItems = this.attributeItems(extractedActions, index, 'action').map(item => ({
+        ...item,
+        responsible: this.resolveResponsible(item.responsible, item.speaker),
+        ...this.resolveDueDate(item, options)
+      }));
       
       // Extract key decisions
-      const keyDecisions = this.extractKeyDecisions(cleanTranscript);
+      const extractedDecisions = this.removeDuplicateDecisions(await this.mapChunks(chunks, chunk => (llm
+        ? this.withBasicFallback('decisions', () => this.extractAIDecisions(chunk.text),
+          () => this.extractKeyDecisions(chunk.text))
+        : this.extractKeyDecisions(chunk.text))));
+      const keyDecisions = this.attributeItems(extractedDecisions, index, 'decision');
+      
+      // Spoken status changes ("PROJ-12 is done"), mapped to transitions at write-back
+      const statusIntents = new StatusIntentDetector().detect(utterances);
+      
+      // Tickets discussed together ("PROJ-22 is blocked by PROJ-10"), proposed as issue links
+      const issueRelations = new RelationExtractor().extract(cleanTranscript, ticketMentions, index);
+      
+      // Enterprise tier: classify how each ticket was discussed
+      if (llm && config.classifyMentions) {
+        await this.classifyTicketMentions(ticketMentions);
+      }
       
       // Identify participants (if possible)
-      const participants = this.identifyParticipants(cleanTranscript);
+      const participants = this.identifyParticipants(cleanTranscript, utterances);
       
       return {
         transcript: cleanTranscript,
+        utterances: utterances.map(utterance => utterance.toJSON()),
         ticketMentions,
+        spokenKeyForms: forms,
         summary,
         actionItems,
         keyDecisions,
+        statusIntents,
+        issueRelations,
         participants,
         processingTier: tier,
+        aiProvider: llm ? llm.name : null,
+        chunkCount: chunks.length,
         processedAt: new Date().toISOString(),
         wordCount: cleanTranscript.split(' ').length
       };
@@ -71,23 +168,145 @@ class MeetingProcessor {
   /**
    * Clean and validate transcript text
    */
-  cleanTranscript(transcript, maxLength) {
+  cleanTranscript(transcript) {
     if (!transcript || typeof transcript !== 'string') {
       throw new Error('Invalid transcript provided');
     }
     
     // Remove excessive whitespace and normalize
-    let cleaned = transcript
+    return transcript
       .replace(/\s+/g, ' ')
       .trim();
-    
-    // Truncate if too long
-    if (cleaned.length > maxLength) {
-      cleaned = cleaned.substring(0, maxLength) + '...';
-      console.warn(`Transcript truncated to ${maxLength} characters`);
+  }
+
+  /**
+   * Run an extractor over each chunk and shift item positions from chunk-local
+   * to whole-transcript offsets
+   * @param {Array} chunks - From TranscriptChunker
+   * @param {Function} extract - async (chunk) => items carrying a chunk-local `position`
+   * @returns {Array} Items from every chunk, tagged with their chunk id
+   */
+  async mapChunks(chunks, extract) {
+    const items = [];
+
+    for (const chunk of chunks) {
+      const extracted = await extract(chunk);
+      for (const item of extracted) {
+        items.push({
+          ...item,
+          position: typeof item.position === 'number' ? item.position + chunk.offset : item.position,
+          chunk: chunk.id
+        });
+      }
     }
-    
-    return cleaned;
+
+    return items;
+  }
+
+  /**
+   * Summarize each chunk, then summarize the chunk summaries
+   */
+  async summarizeChunks(chunks, maxLength, llm) {
+    const summarize = (text) => (llm
+      ? this.generateAISummary(text, maxLength)
+      : this.generateBasicSummary(text, maxLength));
+
+    if (chunks.length === 1) {
+      return summarize(chunks[0].text);
+    }
+
+    const partials = [];
+    for (const chunk of chunks) {
+      const partial = await summarize(chunk.text);
+      partials.push(llm ? `${this.formatChunkLabel(chunk)}: ${partial}` : partial.replace(/\.*$/, '.'));
+    }
+
+    return summarize(partials.join(llm ? '\n' : ' '));
+  }
+
+  /**
+   * "Part 2 (30:00-1:00:00)" style label used when merging chunk summaries
+   */
+  formatChunkLabel(chunk) {
+    const format = (seconds) => {
+      const total = Math.floor(seconds);
+      const hours = Math.floor(total / 3600);
+      const minutes = String(Math.floor((total % 3600) / 60)).padStart(hours > 0 ? 2 : 1, '0');
+      const rest = String(total % 60).padStart(2, '0');
+      return hours > 0 ? `${hours}:${minutes}:${rest}` : `${minutes}:${rest}`;
+    };
+
+    const label = `Part ${chunk.id + 1}`;
+    return chunk.start !== null && chunk.end !== null
+      ? `${label} (${format(chunk.start)}-${format(chunk.end)})`
+      : label;
+  }
+
+  /**
+   * Attribute extracted items to the utterance they came from: speaker, plus
+   * start/end cue offsets (seconds) when the transcript is timed
+   * @param {Array} items - Extracted items carrying a `position` in the flattened text
+   * @param {Array} index - Offsets produced by indexUtterances
+   * @param {string} textField - Item field holding the matched text
+   */
+  attributeItems(items, index, textField) {
+    if (index.length === 0) return items;
+
+    return items.map(item => {
+      if (typeof item.position !== 'number') return item;
+
+      const first = utteranceAt(index, item.position);
+      if (!first) return item;
+
+      const matchLength = (item[textField] || '').length;
+      const last = utteranceAt(index, item.position + Math.max(matchLength - 1, 0)) || first;
+      const attributed = { ...item, speaker: first.speaker };
+
+      if (first.isTimed) {
+        attributed.start = first.start;
+        attributed.end = last.end !== null ? last.end : first.end;
+      }
+
+      return attributed;
+    });
+  }
+
+  /**
+   * Resolve pronouns picked up by extractResponsiblePerson against the speaker:
+   * "I will ..." belongs to whoever said it, "We will ..." belongs to nobody in particular
+   */
+  resolveResponsible(responsible, speaker) {
+    if (!responsible) return null;
+
+    const pronoun = responsible.toLowerCase();
+    if (pronoun === 'i') {
+      return speaker || null;
+    }
+
+    const unassignable = ['we', 'you', 'they', 'it', 'this', 'that', 'someone', 'somebody', 'everyone', 'team'];
+    return unassignable.includes(pronoun) ? null : responsible;
+  }
+
+  /**
+   * Resolve an action item's deadline phrase against the meeting start time
+   * @returns {Object} { dueDate: 'YYYY-MM-DD' | null, dueDatePhrase }
+   */
+  resolveDueDate(item, { meetingDate, sprintEndDate, sprintLengthDays } = {}) {
+    if (item.dueDate && /^\d{4}-\d{2}-\d{2}$/.test(item.dueDate)) {
+      return { dueDate: item.dueDate, dueDatePhrase: item.dueDate };
+    }
+
+    const resolve = (text) => extractDueDate(text, meetingDate, { sprintEndDate, sprintLengthDays });
+
+    // LLM items carry the deadline as it was said ("Friday", "end of sprint")
+    const found = (item.dueDate && (resolve(item.dueDate) || resolve(`by ${item.dueDate}`))) ||
+      resolve(item.action) ||
+      resolve(item.context);
+
+    return {
+      dueDate: found ? found.dueDate : null,
+      dueDatePhrase: found ? found.phrase : null
+    };
   }
 
   /**
@@ -118,7 +337,14 @@ class MeetingProcessor {
             ticketId = match[1];
           }
           
-          if (ticketId && !mentions.has(ticketId)) {
+          // Every occurrence is kept for relation extraction; the first one carries the details
+          if (ticketId && mentions.has(ticketId)) {
+            const detail = mentionDetails.find(item => item.ticketId === ticketId);
+            const keyPosition = match.index + match[0].indexOf(match[1]);
+            if (!detail.positions.includes(keyPosition)) {
+              detail.positions.push(keyPosition);
+            }
+          } else if (ticketId) {
             mentions.add(ticketId);
             
             // Extract context around the mention
@@ -128,6 +354,7 @@ class MeetingProcessor {
               ticketId,
               context,
               position: match.index,
+              positions: [match.index + match[0].indexOf(match[1])],
               confidence: this.calculateMentionConfidence(context, ticketId)
             });
           }
@@ -177,21 +404,117 @@ class MeetingProcessor {
   }
 
   /**
-   * Generate AI-powered summary (placeholder for AI integration)
+   * Summarize with the configured LLM provider; the basic summary is used without one
+   * or when the call fails
    */
   async generateAISummary(transcript, maxLength) {
-    try {
-      // This is a placeholder for AI integration
-      // In a real implementation, you'd call an AI service like OpenAI, Claude, etc.
-      console.log('AI summary generation not implemented, falling back to basic summary');
+    const llm = await this.getLLMProvider();
+    if (!llm) {
       return this.generateBasicSummary(transcript, maxLength);
-      
+    }
+
+    return this.withBasicFallback('summary', async () => {
+      const { summary } = await llm.summarize({ transcript, maxLength });
+      return summary.length > maxLength ? `${summary.substring(0, maxLength - 3)}...` : summary;
+    }, () => this.generateBasicSummary(transcript, maxLength));
+  }
+
+  /**
+   * Extract action items with the LLM, locating each quote in the transcript so
+   * it can be attributed to a speaker like the regex matches
+   */
+  async extractAIActionItems(transcript) {
+    const { actionItems } = await (await this.getLLMProvider()).extractActions({ transcript });
+
+    return actionItems.map(item => ({
+      action: item.action,
+      responsible: item.responsible || null,
+      dueDate: item.dueDate || null,
+      confidence: item.confidence ?? 0.8,
+      position: this.locateQuote(transcript, item.quote),
+      context: item.quote || item.action,
+      source: 'ai'
+    }));
+  }
+
+  async extractAIDecisions(transcript) {
+    const { decisions } = await (await this.getLLMProvider()).extractDecisions({ transcript });
+
+    return decisions.map(item => ({
+      decision: item.decision,
+      rationale: item.rationale || null,
+      confidence: item.confidence ?? 0.8,
+      position: this.locateQuote(transcript, item.quote),
+      context: item.quote || item.decision,
+      source: 'ai'
+    }));
+  }
+
+  /**
+   * Add { category, summary, sentiment } from the LLM to each ticket mention
+   */
+  async classifyTicketMentions(ticketMentions) {
+    const llm = await this.getLLMProvider();
+
+    for (const mention of ticketMentions) {
+      try {
+        mention.classification = await llm.classifyMention({
+          ticketId: mention.ticketId,
+          context: mention.context
+        });
+      } catch (error) {
+        console.warn(`Could not classify mention of ${mention.ticketId}:`, error.message);
+        mention.classification = null;
+      }
+    }
+
+    return ticketMentions;
+  }
+
+  /**
+   * The configured LLM provider, or null when none is set up. Temperature and
+   * max_tokens come from the ai_settings model_config when a db is given.
+   */
+  async getLLMProvider() {
+    if (this.llmProvider === undefined) {
+      try {
+        const { model_config: modelConfig = {} } = this.db ? await this.db.getConfig('ai_settings') : {};
+        this.llmProvider = createLLMProvider(modelConfig);
+      } catch (error) {
+        console.error('LLM provider misconfigured, using basic processing:', error.message);
+        this.llmProvider = null;
+      }
+    }
+
+    return this.llmProvider;
+  }
+
+  /**
+   * Run an AI step, falling back to the basic extractor if the provider fails
+   */
+  async withBasicFallback(label, aiStep, basicStep) {
+    try {
+      return await aiStep();
     } catch (error) {
-      console.error('Error generating AI summary:', error);
-      return this.generateBasicSummary(transcript, maxLength);
+      console.error(`AI ${label} failed, falling back to basic extraction:`, error.message);
+      return basicStep();
     }
   }
 
+  /**
+   * Position of a quoted passage in the transcript, ignoring case and spacing
+   */
+  locateQuote(transcript, quote) {
+    if (!quote) return undefined;
+
+    const position = transcript.indexOf(quote);
+    if (position !== -1) return position;
+
+    const normalized = quote.replace(/\s+/g, ' ').trim().toLowerCase();
+    const lowered = transcript.toLowerCase().indexOf(normalized);
+    return lowered !== -1 ? lowered : undefined;
+  }
+
   /**
    * Generate basic summary using NLP
    */
@@ -279,6 +602,7 @@ class MeetingProcessor {
               action,
               responsible,
               confidence,
+              position: match.index + match[0].indexOf(action),
               context: this.extractActionContext(transcript, match.index)
             });
           }
@@ -319,6 +643,7 @@ class MeetingProcessor {
             decisions.push({
               decision,
               confidence,
+              position: match.index + match[0].indexOf(decision),
               context: this.extractDecisionContext(transcript, match.index)
             });
           }
@@ -337,9 +662,16 @@ class MeetingProcessor {
 
   /**
    * Identify participants from transcript
+   * @param {string} transcript - Flattened transcript text
+   * @param {Array} utterances - Speaker turns; when they carry speakers no guessing is needed
    */
-  identifyParticipants(transcript) {
+  identifyParticipants(transcript, utterances = []) {
     try {
+      const speakers = listSpeakers(utterances);
+      if (speakers.length > 0) {
+        return speakers;
+      }
+
       const namePatterns = [
         /\b([A-Z][a-z]+)\s+(?:said|mentioned|asked|suggested|noted|stated)/gi,
         /\b([A-Z][a-z]+):\s/g, // Speaker format
@@ -438,6 +770,7 @@ class MeetingProcessor {
   extractResponsiblePerson(actionText) {
     try {
       const patterns = [
+        /\b(I)(?:'ll|\s+(?:will|should|must|need to|am going to))\b/i, // first person, resolved to the speaker
         /\b([A-Z][a-z]+)\s+(?:will|should|must|needs? to)/i,
         /(?:assign|assigned to|responsible|owner)\s+([A-Z][a-z]+)/i,
         /\b([A-Z][a-z]+)\s+(?:is|was)\s+(?:responsible|assigned)/i
@@ -480,7 +813,7 @@ class MeetingProcessor {
       
       // Find the best version among similar items
       for (const result of similar) {
-        if (result.item.confidence > bestItem.confidence) {
+        if (this.isBetterDuplicate(result.item, bestItem)) {
           bestItem = result.item;
         }
         processed.add(result.item.action);
@@ -492,6 +825,17 @@ class MeetingProcessor {
     return unique.sort((a, b) => b.confidence - a.confidence);
   }
 
+  /**
+   * Prefer the more confident duplicate, then the earliest one in the transcript
+   * (chunks overlap, so the same sentence can be found twice)
+   */
+  isBetterDuplicate(candidate, current) {
+    if (candidate.confidence !== current.confidence) {
+      return candidate.confidence > current.confidence;
+    }
+    return (candidate.position ?? Infinity) < (current.position ?? Infinity);
+  }
+
   /**
    * Remove duplicate decisions using fuzzy matching
    */
@@ -513,7 +857,7 @@ class MeetingProcessor {
       let bestItem = item;
       
       for (const result of similar) {
-        if (result.item.confidence > bestItem.confidence) {
+        if (this.isBetterDuplicate(result.item, bestItem)) {
           bestItem = result.item;
         }
         processed.add(result.item.decision);
@@ -588,16 +932,23 @@ class MeetingProcessor {
           context: mention.context.length > 100 
             ? mention.context.substring(0, 100) + '...'
             : mention.context,
-          confidence: Math.round(mention.confidence * 100)
+          confidence: Math.round(mention.confidence * 100),
+          start: mention.start,
+          end: mention.end
         })),
         actionItems: data.actionItems.map(item => ({
           action: item.action,
           responsible: item.responsible || 'Unassigned',
-          confidence: Math.round(item.confidence * 100)
+          dueDate: item.dueDate || null,
+          confidence: Math.round(item.confidence * 100),
+          start: item.start,
+          end: item.end
         })),
         keyDecisions: data.keyDecisions.map(decision => ({
           decision: decision.decision,
-          confidence: Math.round(decision.confidence * 100)
+          confidence: Math.round(decision.confidence * 100),
+          start: decision.start,
+          end: decision.end
         })),
         participants: data.participants,
         stats: this.getProcessingStats(data)
@@ -0,0 +1,167 @@
+/**
+ * Create the tables as they were when this migration shipped; tables that
+ * already exist are left as they are. The statements are a frozen copy of
+ * sql/schema.js; later schema changes go there and into a new migration.
+ */
+
+const STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS teams (
+    id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    jira_config JSON NOT NULL,
+    tier ENUM('basic', 'ai', 'enterprise') DEFAULT 'basic',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_teams_tier (tier),
+    INDEX idx_teams_created (created_at)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS meetings (
+    id VARCHAR(36) PRIMARY KEY,
+    team_id VARCHAR(36) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    start_time TIMESTAMP NOT NULL,
+    transcript_text LONGTEXT,
+    utterances JSON,
+    processed_data JSON,
+    participants JSON,
+    meeting_type VARCHAR(50) DEFAULT 'general',
+    platform VARCHAR(50),
+    processing_status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+    audio_file_path VARCHAR(500),
+    duration_minutes INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_meetings_team (team_id),
+    INDEX idx_meetings_status (processing_status),
+    INDEX idx_meetings_start_time (start_time)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS ticket_mentions (
+    id VARCHAR(36) PRIMARY KEY,
+    meeting_id VARCHAR(36) NOT NULL,
+    ticket_id VARCHAR(50) NOT NULL,
+    discussion_summary TEXT,
+    action_items JSON,
+    key_decisions JSON,
+    sentiment_score DECIMAL(3,2) DEFAULT 0.0,
+    confidence_score DECIMAL(3,2) DEFAULT 0.0,
+    mention_type ENUM('explicit', 'implied') DEFAULT 'explicit',
+    mcp_update_status ENUM('pending', 'success', 'failed', 'skipped') DEFAULT 'pending',
+    update_attempts INT DEFAULT 0,
+    last_update_attempt TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_ticket_mentions_meeting (meeting_id),
+    INDEX idx_ticket_mentions_ticket (ticket_id),
+    INDEX idx_ticket_mentions_status (mcp_update_status),
+    UNIQUE KEY uk_meeting_ticket (meeting_id, ticket_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS processing_queue (
+    id VARCHAR(36) PRIMARY KEY,
+    task_type ENUM('transcript_analysis', 'audio_processing', 'jira_update') NOT NULL,
+    payload JSON NOT NULL,
+    status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+    priority INT DEFAULT 5,
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 3,
+    error_message TEXT,
+    scheduled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_queue_status (status),
+    INDEX idx_queue_scheduled (scheduled_at),
+    INDEX idx_queue_priority (priority)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS pending_changes (
+    id VARCHAR(36) PRIMARY KEY,
+    meeting_id VARCHAR(36) NOT NULL,
+    issue_key VARCHAR(50) NOT NULL,
+    change_type VARCHAR(50) NOT NULL,
+    payload JSON NOT NULL,
+    status ENUM('pending', 'approved', 'rejected', 'applied', 'failed') DEFAULT 'pending',
+    decided_by VARCHAR(128),
+    decided_at TIMESTAMP NULL,
+    result JSON,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_pending_changes_meeting (meeting_id),
+    INDEX idx_pending_changes_issue (issue_key),
+    INDEX idx_pending_changes_status (status)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS write_back_audit (
+    id VARCHAR(36) PRIMARY KEY,
+    change_id VARCHAR(36) NOT NULL,
+    meeting_id VARCHAR(36) NOT NULL,
+    issue_key VARCHAR(50) NOT NULL,
+    change_type VARCHAR(50) NOT NULL,
+    action ENUM('proposed', 'edited', 'approved', 'rejected', 'applied', 'failed') NOT NULL,
+    actor VARCHAR(128),
+    details JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_write_back_audit_meeting (meeting_id),
+    INDEX idx_write_back_audit_change (change_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS action_item_issues (
+    id VARCHAR(100) PRIMARY KEY,
+    meeting_id VARCHAR(36) NOT NULL,
+    parent_key VARCHAR(50) NOT NULL,
+    issue_key VARCHAR(50) NOT NULL,
+    issue_id VARCHAR(36),
+    action TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_action_item_issues_meeting (meeting_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS identity_aliases (
+    id VARCHAR(100) PRIMARY KEY,
+    site_id VARCHAR(64) NOT NULL,
+    alias VARCHAR(255) NOT NULL,
+    account_id VARCHAR(128) NOT NULL,
+    display_name VARCHAR(255),
+    created_by VARCHAR(128),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_identity_aliases_site (site_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS identity_cache (
+    id VARCHAR(100) PRIMARY KEY,
+    site_id VARCHAR(64) NOT NULL,
+    lookup_key VARCHAR(255) NOT NULL,
+    account_id VARCHAR(128),
+    display_name VARCHAR(255),
+    confidence DECIMAL(3,2),
+    resolved_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_identity_cache_site (site_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS app_config (
+    id VARCHAR(36) PRIMARY KEY,
+    config_key VARCHAR(100) NOT NULL UNIQUE,
+    config_value JSON NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_config_key (config_key)
+  )`
+];
+
+export default {
+  version: 1,
+  name: 'create_tables',
+  sql: async (adapter) => {
+    for (const statement of STATEMENTS) {
+      await adapter.execute(statement);
+    }
+  }
+};
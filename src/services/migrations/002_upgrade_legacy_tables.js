@@ -0,0 +1,53 @@
+/**
+ * Bring teams, meetings and ticket_mentions created by the first
+ * initializeTables up to sql/schema.sql: the columns and indexes it left out,
+ * and the defaults and ENUM values it had wrong.
+ *
+ * On tables migration 1 created these already exist, so "duplicate column" and
+ * "duplicate key" errors are expected and skipped; MODIFY restates the current
+ * definition. Left out on purpose: meetings.team_id NOT NULL and the
+ * uk_meeting_ticket unique key, which existing rows may violate.
+ */
+
+const STATEMENTS = [
+  'ALTER TABLE teams ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP',
+  'ALTER TABLE teams ADD INDEX idx_teams_tier (tier)',
+  'ALTER TABLE teams ADD INDEX idx_teams_created (created_at)',
+
+  'ALTER TABLE meetings MODIFY COLUMN transcript_text LONGTEXT',
+  'ALTER TABLE meetings ADD COLUMN utterances JSON',
+  "ALTER TABLE meetings MODIFY COLUMN meeting_type VARCHAR(50) DEFAULT 'general'",
+  'ALTER TABLE meetings ADD COLUMN platform VARCHAR(50)',
+  "ALTER TABLE meetings MODIFY COLUMN processing_status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending'",
+  'ALTER TABLE meetings ADD COLUMN audio_file_path VARCHAR(500)',
+  'ALTER TABLE meetings ADD COLUMN duration_minutes INT DEFAULT 0',
+  'ALTER TABLE meetings ADD INDEX idx_meetings_team (team_id)',
+  'ALTER TABLE meetings ADD INDEX idx_meetings_status (processing_status)',
+  'ALTER TABLE meetings ADD INDEX idx_meetings_start_time (start_time)',
+
+  'ALTER TABLE ticket_mentions MODIFY COLUMN sentiment_score DECIMAL(3,2) DEFAULT 0.0',
+  'ALTER TABLE ticket_mentions ADD COLUMN confidence_score DECIMAL(3,2) DEFAULT 0.0',
+  "ALTER TABLE ticket_mentions ADD COLUMN mention_type ENUM('explicit', 'implied') DEFAULT 'explicit'",
+  "ALTER TABLE ticket_mentions MODIFY COLUMN mcp_update_status ENUM('pending', 'success', 'failed', 'skipped') DEFAULT 'pending'",
+  'ALTER TABLE ticket_mentions ADD COLUMN update_attempts INT DEFAULT 0',
+  'ALTER TABLE ticket_mentions ADD COLUMN last_update_attempt TIMESTAMP NULL',
+  'ALTER TABLE ticket_mentions ADD INDEX idx_ticket_mentions_meeting (meeting_id)',
+  'ALTER TABLE ticket_mentions ADD INDEX idx_ticket_mentions_ticket (ticket_id)',
+  'ALTER TABLE ticket_mentions ADD INDEX idx_ticket_mentions_status (mcp_update_status)'
+];
+
+export default {
+  version: 2,
+  name: 'upgrade_legacy_tables',
+  sql: async (adapter) => {
+    for (const statement of STATEMENTS) {
+      try {
+        await adapter.execute(statement);
+      } catch (error) {
+        if (error.code !== 'schema_conflict') {
+          throw error;
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,12 @@
+import LegacyKeyMigrator from './LegacyKeyMigrator';
+
+/**
+ * Move issue panel meetings from the legacy storage keys to STORAGE_KEYS.issueMeetings
+ */
+export default {
+  version: 3,
+  name: 'canonical_storage_keys',
+  storage: async (storage) => {
+    await new LegacyKeyMigrator({ storage }).run();
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * Add the 'applying' status that applyApproved claims a change with before calling Jira
+ */
+export default {
+  version: 4,
+  name: 'pending_change_applying',
+  sql: async (adapter) => {
+    await adapter.execute(
+      "ALTER TABLE pending_changes MODIFY COLUMN status ENUM('pending', 'approved', 'rejected', 'applying', 'applied', 'failed') DEFAULT 'pending'"
+    );
+  }
+};
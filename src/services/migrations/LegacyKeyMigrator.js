@@ -0,0 +1,180 @@
+import StorageQuery from '../StorageQuery';
+import { STORAGE_KEYS } from '../storageKeys';
+
+/**
+ * Moves an issue's panel meetings from the layouts earlier versions wrote into
+ * STORAGE_KEYS.issueMeetings:
+ *
+ *   meetings:{issueKey}             panel context, also used as the search cache
+ *   meeting-{issueKey}              panel context with email participants and string action items
+ *   meetings_{issueKey}             list of meeting ids, with
+ *   meeting_{issueKey}_{meetingId}  one uploaded transcript each
+ *
+ * Meetings are merged by id into whatever the issue already has, so an
+ * interrupted run can simply run again. Legacy keys are deleted only after
+ * the canonical record is written. `meetings:{id}` table records share the
+ * first prefix and are left alone.
+ */
+
+const ISSUE_KEY = /^[A-Z][A-Z0-9_]*-\d+$/;
+const UPLOAD_KEY = /^meeting_([A-Z][A-Z0-9_]*-\d+)_/;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isContext = (value) => isObject(value) && Array.isArray(value.meetings);
+
+const toParticipant = (participant) => {
+  if (typeof participant !== 'string') return participant;
+  return participant.includes('@') ? { name: participant, email: participant } : { name: participant };
+};
+
+const toActionItem = (item) => (typeof item === 'string'
+  ? { task: item, assignee: 'Unassigned', status: 'pending' }
+  : item);
+
+/**
+ * A context meeting in the panel's shape: participant objects and { task, assignee, status } action items
+ */
+export const normalizeMeeting = (meeting) => ({
+  ...meeting,
+  participants: (meeting.participants || []).map(toParticipant),
+  actionItems: (meeting.actionItems || []).map(toActionItem),
+  keyDecisions: meeting.keyDecisions || []
+});
+
+/**
+ * An uploaded transcript record as a panel meeting
+ */
+export const uploadToMeeting = (record) => {
+  const metadata = record.metadata || {};
+  const uploadedAt = record.uploadedAt || record.processedAt || null;
+
+  return normalizeMeeting({
+    id: record.id,
+    title: record.title || metadata.title || `Meeting for ${record.issueKey}`,
+    platform: metadata.platform || 'Upload',
+    date: metadata.date || uploadedAt,
+    duration: metadata.duration || 0,
+    participants: metadata.participants || [],
+    summary: record.summary || '',
+    actionItems: [],
+    keyDecisions: [],
+    sentiment: 'neutral',
+    tags: ['uploaded'],
+    source: 'upload',
+    transcript: record.transcript,
+    ticketMentions: record.ticketMentions || [],
+    createdAt: uploadedAt
+  });
+};
+
+const latest = (values) => values.filter(Boolean).sort().pop() || null;
+
+/**
+ * Merge legacy contexts and uploads into the issue's current context; meetings already there win
+ */
+export const mergeIssueMeetings = (issueKey, current, contexts, uploads) => {
+  const sources = [current, ...contexts].filter(isContext);
+  const meetings = new Map();
+
+  for (const meeting of [...sources.flatMap(context => context.meetings.map(normalizeMeeting)), ...uploads.map(uploadToMeeting)]) {
+    if (meeting && meeting.id !== undefined && !meetings.has(meeting.id)) {
+      meetings.set(meeting.id, meeting);
+    }
+  }
+
+  const sorted = [...meetings.values()].sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+  const syncHistory = sources
+    .flatMap(context => context.syncHistory || [])
+    .sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+
+  return {
+    ...(isContext(current) ? current : {}),
+    issueKey,
+    meetings: sorted,
+    totalMeetings: sorted.length,
+    lastSync: latest(sources.map(context => context.lastSync)),
+    syncHistory
+  };
+};
+
+class LegacyKeyMigrator {
+  /**
+   * @param {Object} options - { storage } Forge storage (or a compatible stand-in)
+   */
+  constructor({ storage }) {
+    this.storage = storage;
+    this.storageQuery = new StorageQuery({ storage });
+  }
+
+  /**
+   * @returns {Object} - { issues, meetings, removedKeys }
+   */
+  async run() {
+    const issues = new Map();
+    const caches = [];
+    const issue = (issueKey) => {
+      if (!issues.has(issueKey)) issues.set(issueKey, { contexts: [], uploads: [], keys: [] });
+      return issues.get(issueKey);
+    };
+
+    for (const { key, value } of await this.storageQuery.keys('meetings:')) {
+      const suffix = key.slice('meetings:'.length);
+      if (Array.isArray(value) && ISSUE_KEY.test(suffix)) {
+        // Cached search results; MeetingService rebuilds them under their own key
+        caches.push(key);
+      } else if (isContext(value) && value.id === undefined && ISSUE_KEY.test(value.issueKey || suffix)) {
+        const entry = issue(value.issueKey || suffix);
+        entry.contexts.push(value);
+        entry.keys.push(key);
+      }
+    }
+
+    for (const { key, value } of await this.storageQuery.keys('meeting-')) {
+      const issueKey = key.slice('meeting-'.length);
+      if (isContext(value) && ISSUE_KEY.test(issueKey)) {
+        const entry = issue(issueKey);
+        entry.contexts.push(value);
+        entry.keys.push(key);
+      }
+    }
+
+    for (const { key, value } of await this.storageQuery.keys('meetings_')) {
+      const issueKey = key.slice('meetings_'.length);
+      if (Array.isArray(value) && ISSUE_KEY.test(issueKey)) {
+        issue(issueKey).keys.push(key);
+      }
+    }
+
+    for (const { key, value } of await this.storageQuery.keys('meeting_')) {
+      const issueKey = isObject(value) && (value.issueKey || (UPLOAD_KEY.exec(key) || [])[1]);
+      if (issueKey && ISSUE_KEY.test(issueKey) && value.id !== undefined) {
+        const entry = issue(issueKey);
+        entry.uploads.push({ ...value, issueKey });
+        entry.keys.push(key);
+      }
+    }
+
+    let meetings = 0;
+    let removedKeys = 0;
+    for (const [issueKey, { contexts, uploads, keys }] of issues) {
+      const canonicalKey = STORAGE_KEYS.issueMeetings(issueKey);
+      const merged = mergeIssueMeetings(issueKey, await this.storage.get(canonicalKey), contexts, uploads);
+
+      await this.storage.set(canonicalKey, merged);
+      for (const key of keys) {
+        await this.storage.delete(key);
+      }
+      meetings += merged.meetings.length;
+      removedKeys += keys.length;
+    }
+
+    for (const key of caches) {
+      await this.storage.delete(key);
+    }
+
+    console.log(`Moved ${meetings} meetings for ${issues.size} issues to ${STORAGE_KEYS.issueMeetings('{issueKey}')}`);
+    return { issues: issues.size, meetings, removedKeys: removedKeys + caches.length };
+  }
+}
+
+export default LegacyKeyMigrator;
@@ -0,0 +1,116 @@
+import { STORAGE_KEYS } from '../storageKeys';
+
+/**
+ * Applies numbered up-migrations to one backend and records which ran
+ *
+ * A migration is { version, name, sql?, storage? }: `sql(adapter)` runs on
+ * Forge SQL, `storage(storage)` on Forge storage, and a backend records the
+ * version even when the migration has no step for it. Forge SQL records
+ * versions in the schema_migrations table, Forge storage under
+ * STORAGE_KEYS.schemaVersion. Migrations only go up and must be safe to run
+ * again, since a run that fails part-way is retried from its first step.
+ */
+
+const VERSION_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)`;
+
+class MigrationRunner {
+  /**
+   * @param {Object} options - { sql } adapter or { storage }, and the { migrations } to apply
+   */
+  constructor({ sql = null, storage = null, migrations = [] }) {
+    if (Boolean(sql) === Boolean(storage)) {
+      throw new Error('MigrationRunner needs either a SQL adapter or Forge storage');
+    }
+
+    const sorted = [...migrations].sort((a, b) => a.version - b.version);
+    sorted.forEach((migration, i) => {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Migration ${migration.name}: version must be a positive integer`);
+      }
+      if (i > 0 && sorted[i - 1].version === migration.version) {
+        throw new Error(`Migrations ${sorted[i - 1].name} and ${migration.name} share version ${migration.version}`);
+      }
+    });
+
+    this.sql = sql;
+    this.storage = storage;
+    this.migrations = sorted;
+    this.backend = sql ? 'sql' : 'storage';
+  }
+
+  /**
+   * @returns {Array} - Applied migrations, [{ version, name, applied_at }] by version
+   */
+  async applied() {
+    if (this.sql) {
+      await this.sql.execute(VERSION_TABLE);
+      return await this.sql.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    }
+
+    const record = await this.storage.get(STORAGE_KEYS.schemaVersion);
+    return record ? record.applied : [];
+  }
+
+  async currentVersion() {
+    const applied = await this.applied();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  async pending() {
+    const current = await this.currentVersion();
+    return this.migrations.filter(migration => migration.version > current);
+  }
+
+  /**
+   * Apply pending migrations in order, recording each as it completes
+   * @returns {Object} - { backend, from, to, applied: [names] }
+   */
+  async migrate() {
+    const applied = await this.applied();
+    const from = applied.length > 0 ? applied[applied.length - 1].version : 0;
+    const pending = this.migrations.filter(migration => migration.version > from);
+    const names = [];
+
+    for (const migration of pending) {
+      const up = migration[this.backend];
+      try {
+        if (up) {
+          await up(this.sql || this.storage);
+        }
+        await this.record(migration, applied);
+      } catch (error) {
+        console.error(`Migration ${migration.version} ${migration.name} failed on ${this.backend}:`, error);
+        throw error;
+      }
+
+      applied.push({ version: migration.version, name: migration.name, applied_at: new Date().toISOString() });
+      names.push(migration.name);
+      console.log(`Applied migration ${migration.version} ${migration.name} on ${this.backend}`);
+    }
+
+    return { backend: this.backend, from, to: pending.length > 0 ? pending[pending.length - 1].version : from, applied: names };
+  }
+
+  async record(migration, applied) {
+    if (this.sql) {
+      try {
+        await this.sql.execute('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      } catch (error) {
+        // Another invocation applied it first
+        if (error.code !== 'duplicate') {
+          throw error;
+        }
+      }
+      return;
+    }
+
+    const entry = { version: migration.version, name: migration.name, applied_at: new Date().toISOString() };
+    await this.storage.set(STORAGE_KEYS.schemaVersion, { version: migration.version, applied: [...applied, entry] });
+  }
+}
+
+export default MigrationRunner;
@@ -0,0 +1,25 @@
+/**
+ * Schema and storage migrations, applied in version order
+ *
+ * Add a migration as the next numbered file and list it here; never edit or
+ * renumber one that has shipped. DatabaseService.migrate() applies them from the
+ * install/upgrade trigger and the queue worker; requests only run the SQL ones.
+ */
+
+import createTables from './001_create_tables';
+import upgradeLegacyTables from './002_upgrade_legacy_tables';
+import canonicalStorageKeys from './003_canonical_storage_keys';
+import pendingChangeApplying from './004_pending_change_applying';
+import MigrationRunner from './MigrationRunner';
+import LegacyKeyMigrator from './LegacyKeyMigrator';
+
+export { MigrationRunner, LegacyKeyMigrator };
+
+export const MIGRATIONS = [
+  createTables,
+  upgradeLegacyTables,
+  canonicalStorageKeys,
+  pendingChangeApplying
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
@@ -0,0 +1,96 @@
+/**
+ * Google Meet transcripts (the Google Doc Meet saves to Drive, exported as .txt or .docx)
+ *
+ *   Weekly sync (2024-01-15 at 10:00 GMT-8) - Transcript
+ *   Attendees
+ *   Alice Smith, Bob Jones
+ *   Transcript
+ *   00:00:00
+ *   Alice Smith: Morning all.
+ *   ...
+ *   Transcript ended after 00:45:12
+ */
+
+import Utterance from '../../models/Utterance';
+import { toLines, fillEndTimes, parseHeaderDate } from './shared';
+
+const TITLE_PATTERN = /^(.*?)\s*(?:\(([^)]+)\))?\s*-\s*Transcript$/i;
+const MARKER_PATTERN = /^\d{1,2}:\d{2}:\d{2}$/;
+const ENDED_PATTERN = /^Transcript ended after (\d{1,2}:\d{2}:\d{2})/i;
+const FOOTER_PATTERN = /^This editable transcript was computer generated/i;
+
+export default {
+  platform: 'Google Meet',
+
+  detect({ text }) {
+    const lines = toLines(text).slice(0, 10);
+    return TITLE_PATTERN.test(lines[0] || '') ||
+      (lines.some(line => /^Attendees$/i.test(line)) && lines.some(line => /^Transcript$/i.test(line)));
+  },
+
+  parse({ text }, parser) {
+    const lines = toLines(text);
+    const titleMatch = TITLE_PATTERN.exec(lines[0] || '');
+
+    let title = titleMatch ? titleMatch[1] : null;
+    let date = titleMatch && titleMatch[2] ? parseHeaderDate(titleMatch[2]) : null;
+    let participants = [];
+    let bodyStart = titleMatch ? 1 : 0;
+
+    // Optional Attendees / Transcript header sections
+    const attendeesIndex = lines.findIndex(line => /^Attendees$/i.test(line));
+    if (attendeesIndex !== -1 && lines[attendeesIndex + 1]) {
+      participants = lines[attendeesIndex + 1].split(',').map(name => name.trim()).filter(Boolean);
+      bodyStart = Math.max(bodyStart, attendeesIndex + 2);
+    }
+
+    const transcriptIndex = lines.findIndex(line => /^Transcript$/i.test(line));
+    if (transcriptIndex !== -1) {
+      bodyStart = Math.max(bodyStart, transcriptIndex + 1);
+    }
+
+    // Untitled exports start with the title and date on their own lines
+    if (!title && !MARKER_PATTERN.test(lines[0] || '') && !Utterance.splitSpeaker(lines[0] || '').speaker) {
+      title = lines[0] || null;
+    }
+    if (!date) {
+      const dateLine = lines.slice(0, bodyStart + 1).find(line => !MARKER_PATTERN.test(line) && parseHeaderDate(line));
+      date = dateLine ? parseHeaderDate(dateLine) : null;
+    }
+
+    const utterances = [];
+    let marker = null;
+    let finalEnd = null;
+
+    for (const line of lines.slice(bodyStart)) {
+      const ended = ENDED_PATTERN.exec(line);
+      if (ended) {
+        finalEnd = parser.parseTimestamp(ended[1]);
+        break;
+      }
+      if (FOOTER_PATTERN.test(line)) break;
+
+      if (MARKER_PATTERN.test(line)) {
+        marker = parser.parseTimestamp(line);
+        continue;
+      }
+
+      const { speaker, text: spoken } = Utterance.splitSpeaker(line);
+      if (speaker) {
+        utterances.push(new Utterance({ speaker, start: marker, text: spoken }));
+      } else if (utterances.length > 0) {
+        // Wrapped continuation of the previous turn
+        const previous = utterances[utterances.length - 1];
+        previous.text = `${previous.text} ${line}`;
+      }
+    }
+
+    return {
+      format: 'google-meet',
+      title,
+      date,
+      participants,
+      utterances: fillEndTimes(utterances, finalEnd)
+    };
+  }
+};
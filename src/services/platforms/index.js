@@ -0,0 +1,23 @@
+/**
+ * Platform transcript parsers, in detection order
+ *
+ * Each parser exposes { platform, detect(source), parse(source, transcriptParser) }
+ * where source is { text, fileName, container } and container is 'text' or 'docx'.
+ * parse() returns { format, title, date, participants?, utterances }.
+ */
+
+import zoom from './zoom';
+import teams from './teams';
+import googleMeet from './google-meet';
+import otter from './otter';
+
+export const PLATFORM_PARSERS = [zoom, teams, googleMeet, otter];
+
+/**
+ * Find the parser for a transcript export
+ * @param {Object} source - { text, fileName, container }
+ * @returns {Object|null} - Matching platform parser
+ */
+export const detectPlatform = (source) => {
+  return PLATFORM_PARSERS.find(parser => parser.detect(source)) || null;
+};
@@ -0,0 +1,86 @@
+/**
+ * Otter.ai exports
+ *
+ * - TXT: "Speaker Name  0:03" header line followed by the paragraph spoken
+ * - JSON: { title, start_time, speakers, transcripts: [{ speaker, start_offset, end_offset, transcript }] }
+ *   with offsets in milliseconds
+ */
+
+import Utterance from '../../models/Utterance';
+import { toLines, parseSpeakerBlocks, fillEndTimes, titleFromFileName, SPEAKER_HEADER_PATTERN } from './shared';
+
+const parseJson = (text) => {
+  try {
+    const data = JSON.parse(text);
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const jsonTurns = (data) => data.transcripts || data.segments || data.transcript || null;
+
+const speakerName = (turn, speakers = []) => {
+  const raw = turn.speaker_name || turn.speaker || turn.speaker_id;
+  const known = speakers.find(speaker => speaker.id === raw || speaker.speaker_id === raw);
+  return (known && (known.name || known.speaker_name)) || (typeof raw === 'string' ? raw : null);
+};
+
+const toSeconds = (turn, offsetField, secondsField) => {
+  if (typeof turn[offsetField] === 'number') return turn[offsetField] / 1000;
+  if (typeof turn[secondsField] === 'number') return turn[secondsField];
+  return null;
+};
+
+export default {
+  platform: 'Otter',
+
+  detect({ text, fileName = '', container }) {
+    if (container !== 'text') return false;
+
+    if (/^\s*[{[]/.test(text)) {
+      const data = parseJson(text);
+      return Boolean(data && Array.isArray(jsonTurns(data)));
+    }
+
+    const lines = toLines(text);
+    return /otter\.ai/i.test(lines[lines.length - 1] || '') ||
+      (!/\.(vtt|srt)$/i.test(fileName) && SPEAKER_HEADER_PATTERN.test(lines[0] || ''));
+  },
+
+  parse({ text, fileName }, parser) {
+    const data = /^\s*[{[]/.test(text) ? parseJson(text) : null;
+
+    if (data) {
+      const speakers = Array.isArray(data.speakers) ? data.speakers : [];
+      const utterances = jsonTurns(data).map(turn => new Utterance({
+        speaker: speakerName(turn, speakers),
+        start: toSeconds(turn, 'start_offset', 'start'),
+        end: toSeconds(turn, 'end_offset', 'end'),
+        text: turn.transcript || turn.text || ''
+      })).filter(utterance => utterance.text);
+
+      const startTime = data.start_time || data.created_at;
+      const date = typeof startTime === 'number'
+        ? new Date(startTime < 1e12 ? startTime * 1000 : startTime).toISOString()
+        : (startTime && !isNaN(Date.parse(startTime)) ? new Date(startTime).toISOString() : null);
+
+      return {
+        format: 'otter-json',
+        title: data.title || titleFromFileName(fileName),
+        date,
+        participants: speakers.map(speaker => speaker.name || speaker.speaker_name).filter(Boolean),
+        utterances: fillEndTimes(utterances)
+      };
+    }
+
+    const lines = toLines(text).filter(line => !/^Transcribed by https?:\/\/otter\.ai/i.test(line));
+
+    return {
+      format: 'otter-txt',
+      title: titleFromFileName(fileName),
+      date: null,
+      utterances: parseSpeakerBlocks(lines, parser)
+    };
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * Helpers shared by the platform transcript parsers
+ */
+
+import Utterance from '../../models/Utterance';
+
+// "Alice Smith   0:03" / "Speaker 1\t1:02:03" - speaker header followed by the spoken text
+export const SPEAKER_HEADER_PATTERN = /^(.+?)(?:\s{2,}|\t)((?:\d+:)?\d{1,2}:\d{2})$/;
+
+/**
+ * Split text into trimmed lines, dropping blank ones
+ */
+export const toLines = (text) => {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Parse "Speaker  m:ss" header blocks (Otter TXT, Teams .docx)
+ * @param {string[]} lines - Transcript lines
+ * @param {Object} parser - TranscriptParser, for timestamp parsing
+ * @returns {Utterance[]}
+ */
+export const parseSpeakerBlocks = (lines, parser) => {
+  const utterances = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text.length > 0) {
+      utterances.push(new Utterance({
+        speaker: current.speaker,
+        start: current.start,
+        text: current.text.join(' ')
+      }));
+    }
+  };
+
+  for (const line of lines) {
+    const header = SPEAKER_HEADER_PATTERN.exec(line);
+    if (header) {
+      flush();
+      current = { speaker: header[1].trim(), start: parser.parseTimestamp(header[2]), text: [] };
+    } else if (current) {
+      current.text.push(line);
+    }
+  }
+  flush();
+
+  return fillEndTimes(utterances);
+};
+
+/**
+ * Exports that only stamp the start of a turn end where the next turn begins
+ */
+export const fillEndTimes = (utterances, finalEnd = null) => {
+  for (let i = 0; i < utterances.length; i++) {
+    if (utterances[i].end !== null || utterances[i].start === null) continue;
+
+    const next = utterances.slice(i + 1).find(u => u.start !== null && u.start > utterances[i].start);
+    utterances[i].end = next ? next.start : finalEnd;
+  }
+
+  return utterances;
+};
+
+/**
+ * Parse the loose date strings exports put in their headers
+ * ("January 15, 2024, 3:00PM", "2024-01-15 at 10:00 GMT-8")
+ * @returns {string|null} - ISO timestamp
+ */
+export const parseHeaderDate = (value) => {
+  if (!value) return null;
+
+  const normalized = value
+    .replace(/\s+at\s+/i, ' ')
+    .replace(/(\d)(AM|PM)\b/i, '$1 $2')
+    .replace(/,\s*(\d{1,2}:\d{2})/, ' $1')
+    .replace(/GMT([+-])(\d{1,2})(?::?(\d{2}))?$/, (match, sign, hours, minutes = '00') =>
+      `GMT${sign}${hours.padStart(2, '0')}${minutes}`)
+    .trim();
+
+  const timestamp = Date.parse(normalized);
+  return isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+};
+
+/**
+ * Derive a meeting title from an uploaded file name
+ */
+export const titleFromFileName = (fileName) => {
+  if (!fileName) return null;
+
+  const base = fileName
+    .replace(/^.*[\\/]/, '')
+    .replace(/(\.transcript)?\.[a-z0-9]+$/i, '')
+    .replace(/[_]+/g, ' ')
+    .trim();
+
+  return base || null;
+};
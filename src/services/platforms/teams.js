@@ -0,0 +1,83 @@
+/**
+ * Microsoft Teams transcript exports
+ *
+ * - .vtt: WebVTT with <v Speaker> voice tags and GUID cue ids ("<guid>/12-0") or a
+ *   NOTE block naming Teams; voice tags alone are standard WebVTT
+ * - .docx: title, date and duration header, then either "Name   0:03" blocks
+ *   (current export) or "0:0:0.0 --> 0:0:5.0 / Name / text" blocks (older export)
+ */
+
+import Utterance from '../../models/Utterance';
+import { toLines, parseSpeakerBlocks, parseHeaderDate, titleFromFileName, SPEAKER_HEADER_PATTERN } from './shared';
+
+const LEGACY_CUE_PATTERN = /^(\S+)\s+-->\s+(\S+)$/;
+const TRANSCRIPTION_NOTICE_PATTERN = /\b(started|stopped) transcription\b/i;
+const GUID_CUE_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?:\/\d+-\d+)?\s*$/im;
+const TEAMS_NOTE_PATTERN = /^NOTE\b.*\bTeams\b/im;
+
+const parseLegacyBlocks = (lines, parser) => {
+  const utterances = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const timing = LEGACY_CUE_PATTERN.exec(lines[i]);
+    if (!timing || i + 2 >= lines.length) continue;
+
+    utterances.push(new Utterance({
+      speaker: lines[i + 1],
+      start: parser.parseTimestamp(timing[1]),
+      end: parser.parseTimestamp(timing[2]),
+      text: lines[i + 2]
+    }));
+    i += 2;
+  }
+
+  return utterances;
+};
+
+const parseDocx = (text, parser) => {
+  const lines = toLines(text).filter(line => !TRANSCRIPTION_NOTICE_PATTERN.test(line));
+  const bodyStart = lines.findIndex(line => SPEAKER_HEADER_PATTERN.test(line) || LEGACY_CUE_PATTERN.test(line));
+  const header = bodyStart > 0 ? lines.slice(0, bodyStart) : [];
+  const body = bodyStart >= 0 ? lines.slice(bodyStart) : [];
+
+  const utterances = LEGACY_CUE_PATTERN.test(body[0] || '')
+    ? parseLegacyBlocks(body, parser)
+    : parseSpeakerBlocks(body, parser);
+
+  // Header is "Title", "January 15, 2024, 3:00PM", "45m 12s" - any of which may be missing
+  const dateLine = header.find(line => parseHeaderDate(line));
+
+  return {
+    format: 'teams-docx',
+    title: header.find(line => line !== dateLine && !/^\d+[hms]\b/.test(line)) || null,
+    date: dateLine ? parseHeaderDate(dateLine) : null,
+    utterances
+  };
+};
+
+export default {
+  platform: 'Teams',
+
+  detect({ text, container }) {
+    if (container === 'docx') {
+      return toLines(text).some(line => SPEAKER_HEADER_PATTERN.test(line) || LEGACY_CUE_PATTERN.test(line));
+    }
+
+    return /^\uFEFF?WEBVTT/.test(text) &&
+      /<v[\s.][^>]+>/.test(text) &&
+      (GUID_CUE_PATTERN.test(text) || TEAMS_NOTE_PATTERN.test(text));
+  },
+
+  parse({ text, fileName, container }, parser) {
+    if (container === 'docx') {
+      return parseDocx(text, parser);
+    }
+
+    return {
+      format: 'teams-vtt',
+      title: titleFromFileName(fileName),
+      date: null,
+      utterances: parser.parseWebVTT(text)
+    };
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Zoom cloud recording transcripts (GMT20240115-150000_Recording.transcript.vtt)
+ *
+ * Plain WebVTT with numbered cues; Zoom never uses voice tags and puts the
+ * speaker inline as "Name: text" instead.
+ */
+
+import { titleFromFileName } from './shared';
+
+const ZOOM_FILE_PATTERN = /GMT(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/;
+const ZOOM_CUE_PATTERN = /(?:^|\n)\d+\n\d{2}:\d{2}:\d{2}\.\d{3} --> \d{2}:\d{2}:\d{2}\.\d{3}\n[^\n:]{1,60}: /;
+
+const dateFromFileName = (fileName) => {
+  const match = ZOOM_FILE_PATTERN.exec(fileName || '');
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)).toISOString();
+};
+
+export default {
+  platform: 'Zoom',
+
+  detect({ text, fileName = '', container }) {
+    if (container !== 'text' || !/^\uFEFF?WEBVTT/.test(text)) {
+      return false;
+    }
+
+    if (/\.transcript\.vtt$/i.test(fileName) || ZOOM_FILE_PATTERN.test(fileName)) {
+      return true;
+    }
+
+    return !/<v[\s.]/.test(text) && ZOOM_CUE_PATTERN.test(text.replace(/\r\n?/g, '\n'));
+  },
+
+  parse({ text, fileName }, parser) {
+    const isRecordingName = ZOOM_FILE_PATTERN.test(fileName || '');
+
+    return {
+      format: 'zoom-vtt',
+      // Zoom recording file names are timestamps, not titles
+      title: isRecordingName ? null : titleFromFileName(fileName),
+      date: dateFromFileName(fileName),
+      utterances: parser.parseWebVTT(text)
+    };
+  }
+};
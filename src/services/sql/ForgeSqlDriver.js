@@ -0,0 +1,50 @@
+/**
+ * Driver for Forge SQL (@forge/sql 3.x)
+ *
+ * Data statements go through prepared statements with bound parameters; DDL
+ * has no parameters and runs through executeDDL. Each call is a separate
+ * request to Forge SQL, so there is no session state and no transactions.
+ * The client is loaded on first use so environments without Forge SQL never
+ * import it.
+ */
+
+const DDL_STATEMENT = /^\s*(?:CREATE|ALTER|DROP|RENAME|TRUNCATE)\b/i;
+
+class ForgeSqlDriver {
+  /**
+   * @param {Object} options - { client } to inject the @forge/sql `sql` export
+   */
+  constructor({ client = null } = {}) {
+    this.client = client;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      const module = await import('@forge/sql');
+      this.client = module.sql || module.default;
+    }
+    return this.client;
+  }
+
+  /**
+   * @returns {Object} - { rows, affectedRows }
+   */
+  async execute(query, params = []) {
+    const client = await this.getClient();
+
+    if (DDL_STATEMENT.test(query) && params.length === 0) {
+      await client.executeDDL(query);
+      return { rows: [], affectedRows: 0 };
+    }
+
+    const result = await client.prepare(query).bindParams(...params).execute();
+
+    // SELECT returns rows; INSERT / UPDATE / DELETE return a result header
+    if (Array.isArray(result.rows)) {
+      return { rows: result.rows, affectedRows: result.rows.length };
+    }
+    return { rows: [], affectedRows: result.rows?.affectedRows ?? 0 };
+  }
+}
+
+export default ForgeSqlDriver;
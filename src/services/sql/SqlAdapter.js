@@ -0,0 +1,146 @@
+import { DatabaseError } from '../../utils/errorHandling';
+
+/**
+ * Runs parameterized SQL through a driver, serializes values for MySQL/TiDB
+ * and maps driver errors to DatabaseError.
+ *
+ * A driver implements execute(sql, params) -> { rows, affectedRows }.
+ * ForgeSqlDriver talks to Forge SQL; the tests run the same statements
+ * against SQLite (src/__tests__/support).
+ *
+ * There are no transactions: Forge SQL sends every statement as its own
+ * request, so START TRANSACTION / COMMIT would not wrap anything. Callers
+ * order multi-step writes so a failure part-way is safe to run again, and
+ * claim rows with conditional updates (DatabaseService.updateWhere).
+ */
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})$/;
+const SQL_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?$/;
+
+/**
+ * MySQL error codes and errnos -> DatabaseError code, and whether retrying can help
+ */
+export const SQL_ERROR_CODES = {
+  ER_DUP_ENTRY: { errno: 1062, code: 'duplicate' },
+  ER_NO_REFERENCED_ROW_2: { errno: 1452, code: 'foreign_key' },
+  ER_ROW_IS_REFERENCED_2: { errno: 1451, code: 'foreign_key' },
+  ER_BAD_NULL_ERROR: { errno: 1048, code: 'invalid_value' },
+  WARN_DATA_TRUNCATED: { errno: 1265, code: 'invalid_value' },
+  ER_NO_DEFAULT_FOR_FIELD: { errno: 1364, code: 'invalid_value' },
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: { errno: 1366, code: 'invalid_value' },
+  ER_TRUNCATED_WRONG_VALUE: { errno: 1292, code: 'invalid_value' },
+  ER_DATA_TOO_LONG: { errno: 1406, code: 'invalid_value' },
+  ER_WRONG_VALUE_COUNT_ON_ROW: { errno: 1136, code: 'invalid_value' },
+  ER_INVALID_JSON_TEXT: { errno: 3140, code: 'invalid_value' },
+  ER_NO_SUCH_TABLE: { errno: 1146, code: 'missing_table' },
+  ER_BAD_TABLE_ERROR: { errno: 1051, code: 'missing_table' },
+  ER_BAD_FIELD_ERROR: { errno: 1054, code: 'unknown_column' },
+  ER_TABLE_EXISTS_ERROR: { errno: 1050, code: 'schema_conflict' },
+  ER_DUP_FIELDNAME: { errno: 1060, code: 'schema_conflict' },
+  ER_DUP_KEYNAME: { errno: 1061, code: 'schema_conflict' },
+  ER_CANT_DROP_FIELD_OR_KEY: { errno: 1091, code: 'schema_conflict' },
+  ER_PARSE_ERROR: { errno: 1064, code: 'syntax' },
+  ER_WRONG_ARGUMENTS: { errno: 1210, code: 'syntax' },
+  ER_SP_DOES_NOT_EXIST: { errno: 1305, code: 'syntax' },
+  ER_LOCK_DEADLOCK: { errno: 1213, code: 'deadlock', retryable: true },
+  ER_LOCK_WAIT_TIMEOUT: { errno: 1205, code: 'deadlock', retryable: true },
+  QUERY_TIMED_OUT: { code: 'timeout', retryable: true },
+  ETIMEDOUT: { code: 'timeout', retryable: true },
+  ECONNREFUSED: { code: 'connection', retryable: true },
+  ECONNRESET: { code: 'connection', retryable: true },
+  PROTOCOL_CONNECTION_LOST: { code: 'connection', retryable: true }
+};
+
+/**
+ * Wrap a driver error in a DatabaseError. Forge SQL puts the MySQL details on
+ * `debug`; mysql-style drivers put them on the error itself.
+ */
+export const mapSqlError = (error, sql = '') => {
+  if (error instanceof DatabaseError) {
+    return error;
+  }
+
+  const details = error.debug || error;
+  const known = SQL_ERROR_CODES[details.code] || SQL_ERROR_CODES[error.code] ||
+    Object.values(SQL_ERROR_CODES).find(entry => entry.errno && entry.errno === Number(details.errno));
+  const message = details.sqlMessage || details.message || error.message;
+  const statement = sql.trim().split(/\s+/)[0] || 'SQL';
+
+  return new DatabaseError(`${statement.toUpperCase()} failed: ${message}`, {
+    code: known ? known.code : 'unknown',
+    retryable: Boolean(known && known.retryable),
+    cause: error
+  });
+};
+
+/**
+ * Convert a JS value to a bind parameter: objects become JSON, booleans 0/1,
+ * and ISO timestamps UTC 'YYYY-MM-DD HH:MM:SS' literals that TIMESTAMP columns accept
+ */
+export const toSqlValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && ISO_TIMESTAMP.test(value)) {
+    return new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * Convert a result value back: TIMESTAMP columns (UTC) become ISO strings,
+ * the same shape records have in Forge storage
+ */
+export const fromSqlValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && SQL_TIMESTAMP.test(value)) {
+    return new Date(`${value.replace(' ', 'T')}Z`).toISOString();
+  }
+  return value;
+};
+
+/**
+ * Table and column names cannot be bound as parameters, so they are checked before interpolation
+ */
+export const identifier = (name) => {
+  if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+    throw new DatabaseError(`Invalid SQL identifier: ${name}`, { code: 'syntax' });
+  }
+  return name;
+};
+
+class SqlAdapter {
+  /**
+   * @param {Object} options - { driver }; tables are created by the migrations in services/migrations
+   */
+  constructor({ driver } = {}) {
+    this.driver = driver;
+  }
+
+  /**
+   * @returns {Array} - Result rows
+   */
+  async query(sql, params = []) {
+    const { rows } = await this.execute(sql, params);
+    return rows;
+  }
+
+  /**
+   * @returns {Object} - { rows, affectedRows }
+   */
+  async execute(sql, params = []) {
+    try {
+      const result = await this.driver.execute(sql, params.map(toSqlValue));
+      const rows = (result.rows || []).map(row => Object.fromEntries(
+        Object.entries(row).map(([column, value]) => [column, fromSqlValue(value)])
+      ));
+      return { rows, affectedRows: result.affectedRows || 0 };
+    } catch (error) {
+      throw mapSqlError(error, sql);
+    }
+  }
+}
+
+export default SqlAdapter;
@@ -0,0 +1,30 @@
+/**
+ * SQL backend selection
+ *
+ * Configured with Forge environment variables (forge variables set ...):
+ *   FORGE_SQL_ENABLED - 'true' to store records in Forge SQL instead of Forge storage
+ */
+
+import SqlAdapter from './SqlAdapter';
+import ForgeSqlDriver from './ForgeSqlDriver';
+
+export { SqlAdapter, ForgeSqlDriver };
+export { SQL_ERROR_CODES, mapSqlError, toSqlValue, fromSqlValue, identifier } from './SqlAdapter';
+export { SCHEMA_STATEMENTS } from './schema';
+
+// One adapter per driver, shared by every DatabaseService and its migration run
+const adapters = {};
+
+/**
+ * Get the configured adapter
+ * @param {Object} env - Environment, defaults to process.env
+ * @returns {SqlAdapter|null} - null when records live in Forge storage
+ */
+export const createSqlAdapter = (env = process.env) => {
+  if (env.FORGE_SQL_ENABLED === 'true') {
+    adapters.forge = adapters.forge || new SqlAdapter({ driver: new ForgeSqlDriver() });
+    return adapters.forge;
+  }
+
+  return null;
+};
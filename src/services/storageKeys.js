@@ -0,0 +1,30 @@
+/**
+ * Forge storage key layout
+ *
+ * DatabaseService keeps table records at `${table}:${id}` and StorageQuery
+ * their index entries; the keys below are everything else, each under a
+ * prefix no table uses. Earlier versions kept an issue's panel meetings under
+ * `meetings:{key}` (shared with the search cache and the meetings table),
+ * `meeting-{key}`, or `meetings_{key}` plus one `meeting_{key}_{id}` per
+ * meeting; LegacyKeyMigrator moves those here.
+ */
+
+export const STORAGE_KEYS = {
+  // Meetings shown in an issue's panel: { issueKey, meetings, totalMeetings, lastSync, syncHistory }
+  issueMeetings: (issueKey) => `issue_meetings:${issueKey}`,
+  // MeetingService's cached search results for a ticket
+  ticketMeetingsCache: (ticketKey) => `ticket_meetings_cache:${ticketKey}`,
+  // Applied migrations on the storage backend, see MigrationRunner
+  schemaVersion: 'schema_version'
+};
+
+/**
+ * An issue's panel record before any meeting is added, the value kept at STORAGE_KEYS.issueMeetings
+ */
+export const emptyIssueMeetings = (issueKey) => ({
+  issueKey,
+  meetings: [],
+  totalMeetings: 0,
+  lastSync: null,
+  syncHistory: []
+});
@@ -0,0 +1,165 @@
+/**
+ * Atlassian Document Format (ADF) node builders
+ *
+ * Jira's v3 REST API takes rich text as ADF documents. These helpers build
+ * the nodes so callers never hand-assemble nested JSON or push markdown
+ * syntax into a text node (Jira renders `**bold**` literally).
+ * https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const STATUS_COLORS = ['neutral', 'purple', 'blue', 'red', 'yellow', 'green'];
+
+// Jira wiki-style mention token accepted by textToDocument
+const MENTION_TOKEN_PATTERN = /\[~accountid:([^\]]+)\]/g;
+
+/**
+ * Inline content accepts strings as plain text nodes; empty text nodes are invalid ADF
+ */
+const inline = (content) => {
+  return (Array.isArray(content) ? content : [content])
+    .filter(node => node !== null && node !== undefined && node !== '')
+    .map(node => (typeof node === 'string' ? text(node) : node));
+};
+
+export const doc = (...content) => ({ type: 'doc', version: 1, content: content.flat().filter(Boolean) });
+
+/**
+ * @param {string} value - Text
+ * @param {Array} marks - e.g. ['strong'], or mark objects like { type: 'link', attrs: { href } }
+ */
+export const text = (value, marks = []) => {
+  const node = { type: 'text', text: String(value) };
+  if (marks.length > 0) {
+    node.marks = marks.map(mark => (typeof mark === 'string' ? { type: mark } : mark));
+  }
+  return node;
+};
+
+export const strong = (value) => text(value, ['strong']);
+export const em = (value) => text(value, ['em']);
+export const link = (value, href) => text(value, [{ type: 'link', attrs: { href } }]);
+
+export const paragraph = (...content) => ({ type: 'paragraph', content: inline(content.flat()) });
+
+export const heading = (level, ...content) => ({
+  type: 'heading',
+  attrs: { level: Math.min(6, Math.max(1, level)) },
+  content: inline(content.flat())
+});
+
+/**
+ * @param {Array} items - Each item is inline content (string, node or array) or a block node
+ */
+export const bulletList = (items) => ({
+  type: 'bulletList',
+  content: items.map(item => ({
+    type: 'listItem',
+    content: [isBlock(item) ? item : paragraph(item)]
+  }))
+});
+
+/**
+ * @param {Array} items - [{ content, done }] where content is inline content
+ */
+export const taskList = (items) => ({
+  type: 'taskList',
+  attrs: { localId: uuidv4() },
+  content: items.map(item => ({
+    type: 'taskItem',
+    attrs: { localId: uuidv4(), state: item.done ? 'DONE' : 'TODO' },
+    content: inline(item.content)
+  }))
+});
+
+/**
+ * @param {string} accountId - Jira account ID
+ * @param {string} displayName - Shown until Jira renders the current name
+ */
+export const mention = (accountId, displayName = null) => {
+  const node = { type: 'mention', attrs: { id: accountId } };
+  if (displayName) {
+    node.attrs.text = `@${displayName}`;
+  }
+  return node;
+};
+
+/**
+ * Date lozenge; ADF stores the UTC midnight timestamp in milliseconds as a string
+ * @param {string|Date} value - 'YYYY-MM-DD' or any parseable date
+ */
+export const date = (value) => {
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+
+  const day = Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate());
+  return { type: 'date', attrs: { timestamp: String(day) } };
+};
+
+export const status = (value, color = 'neutral') => ({
+  type: 'status',
+  attrs: {
+    text: String(value).toUpperCase(),
+    color: STATUS_COLORS.includes(color) ? color : 'neutral',
+    localId: uuidv4()
+  }
+});
+
+export const expand = (title, ...content) => ({
+  type: 'expand',
+  attrs: { title },
+  content: content.flat().filter(Boolean)
+});
+
+export const panel = (panelType, ...content) => ({
+  type: 'panel',
+  attrs: { panelType },
+  content: content.flat().filter(Boolean)
+});
+
+export const rule = () => ({ type: 'rule' });
+
+const isBlock = (node) => {
+  return Boolean(node) && typeof node === 'object' && !Array.isArray(node) &&
+    ['paragraph', 'heading', 'bulletList', 'taskList', 'panel', 'expand', 'rule'].includes(node.type);
+};
+
+/**
+ * Convert plain text into a document, one paragraph per line,
+ * with [~accountid:...] tokens as mention nodes
+ */
+export const textToDocument = (value) => {
+  const paragraphs = String(value || '').split('\n').map(line => {
+    const content = [];
+    let last = 0;
+    let match;
+
+    MENTION_TOKEN_PATTERN.lastIndex = 0;
+    while ((match = MENTION_TOKEN_PATTERN.exec(line)) !== null) {
+      content.push(line.slice(last, match.index));
+      content.push(mention(match[1]));
+      last = match.index + match[0].length;
+    }
+    content.push(line.slice(last));
+
+    return paragraph(content);
+  });
+
+  return doc(paragraphs);
+};
+
+/**
+ * Flatten a document back to plain text, e.g. for hashing or logs
+ */
+export const documentToText = (node) => {
+  if (!node || typeof node !== 'object') return '';
+  if (node.type === 'text') return node.text;
+  if (node.type === 'mention') return node.attrs.text || `@${node.attrs.id}`;
+  if (node.type === 'date') return new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10);
+  if (node.type === 'status') return `[${node.attrs.text}]`;
+
+  const inner = (node.content || []).map(documentToText);
+  const blockTypes = ['doc', 'bulletList', 'taskList', 'expand', 'panel'];
+  return inner.join(blockTypes.includes(node.type) ? '\n' : '');
+};
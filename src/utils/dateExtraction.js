@@ -0,0 +1,198 @@
+/**
+ * Due-date extraction for action items
+ *
+ * Finds deadline phrases ("by Friday", "end of sprint", "before the 15th",
+ * "next week", "March 3rd", "in two weeks") and resolves them against the
+ * meeting's start time. Dates are calendar days in UTC, returned as
+ * YYYY-MM-DD - the format of Jira's `duedate` field.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const WEEKDAY = '(mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?';
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+const DEADLINE = '(?:by|before|due|until|till|no later than|on|for|deadline(?: is)?)';
+
+/**
+ * Patterns in priority order; each resolver gets the match and the UTC
+ * reference day and returns a Date (UTC midnight) or null
+ */
+const PATTERNS = [
+  {
+    // 2024-03-15
+    regex: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+    confidence: 0.95,
+    resolve: (m) => utcDate(+m[1], +m[2] - 1, +m[3])
+  },
+  {
+    // by March 15th / March 15, 2025
+    regex: new RegExp(`\\b${MONTH}\\.?\\s+${ORDINAL}(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+    confidence: 0.9,
+    resolve: (m, ref) => monthDay(ref, monthIndex(m[1]), +m[2], m[3] && +m[3])
+  },
+  {
+    // the 15th of March / 15 March
+    regex: new RegExp(`\\b(?:the\\s+)?${ORDINAL}(?:\\s+of)?\\s+${MONTH}\\b(?:,?\\s+(\\d{4}))?`, 'i'),
+    confidence: 0.9,
+    resolve: (m, ref) => monthDay(ref, monthIndex(m[2]), +m[1], m[3] && +m[3])
+  },
+  {
+    // 3/15 (month/day)
+    regex: new RegExp(`\\b${DEADLINE}\\s+(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?\\b`, 'i'),
+    confidence: 0.8,
+    resolve: (m, ref) => monthDay(ref, +m[1] - 1, +m[2], m[3] && (m[3].length === 2 ? 2000 + +m[3] : +m[3]))
+  },
+  {
+    // before the 15th
+    regex: new RegExp(`\\b${DEADLINE}\\s+the\\s+${ORDINAL}\\b`, 'i'),
+    confidence: 0.8,
+    resolve: (m, ref) => {
+      const day = +m[1];
+      const candidate = utcDate(ref.getUTCFullYear(), ref.getUTCMonth(), day);
+      return candidate >= ref ? candidate : utcDate(ref.getUTCFullYear(), ref.getUTCMonth() + 1, day);
+    }
+  },
+  {
+    regex: /\b(today|tonight|end of (?:the )?day|eod|cob|close of business)\b/i,
+    confidence: 0.9,
+    resolve: (m, ref) => ref
+  },
+  {
+    regex: /\btomorrow\b/i,
+    confidence: 0.9,
+    resolve: (m, ref) => addDays(ref, 1)
+  },
+  {
+    // next Friday = the Friday of next week
+    regex: new RegExp(`\\bnext\\s+${WEEKDAY}\\b`, 'i'),
+    confidence: 0.85,
+    resolve: (m, ref) => addDays(startOfWeek(ref), 7 + weekdayOffset(m[1]))
+  },
+  {
+    // by Friday / this Friday - the next one on or after the meeting
+    regex: new RegExp(`\\b(?:${DEADLINE}|this|until)\\s+${WEEKDAY}\\b`, 'i'),
+    confidence: 0.85,
+    resolve: (m, ref) => nextWeekday(ref, weekdayIndex(m[1]))
+  },
+  {
+    regex: /\b(?:end of (?:the |this )?week|eow|this week)\b/i,
+    confidence: 0.8,
+    resolve: (m, ref) => endOfWorkWeek(ref)
+  },
+  {
+    regex: /\b(?:end of )?next week\b/i,
+    confidence: 0.7,
+    resolve: (m, ref) => endOfWorkWeek(addDays(ref, 7))
+  },
+  {
+    regex: /\b(?:end of (?:the |this )?sprint|sprint end|this sprint)\b/i,
+    confidence: 0.7,
+    resolve: (m, ref, options) => options.sprintEndDate
+      ? toUtcDay(new Date(options.sprintEndDate))
+      : null
+  },
+  {
+    regex: /\bnext sprint\b/i,
+    confidence: 0.6,
+    resolve: (m, ref, options) => options.sprintEndDate
+      ? addDays(toUtcDay(new Date(options.sprintEndDate)), options.sprintLengthDays || 14)
+      : null
+  },
+  {
+    regex: /\b(?:end of (?:the |this )?month|month end)\b/i,
+    confidence: 0.8,
+    resolve: (m, ref) => utcDate(ref.getUTCFullYear(), ref.getUTCMonth() + 1, 0)
+  },
+  {
+    regex: /\bnext month\b/i,
+    confidence: 0.6,
+    resolve: (m, ref) => utcDate(ref.getUTCFullYear(), ref.getUTCMonth() + 2, 0)
+  },
+  {
+    // in 3 days / within two weeks
+    regex: /\b(?:in|within)\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(business days?|days?|weeks?)\b/i,
+    confidence: 0.8,
+    resolve: (m, ref) => {
+      const count = /^\d+$/.test(m[1]) ? +m[1] : NUMBER_WORDS[m[1].toLowerCase()];
+      if (/^business/i.test(m[2])) return addBusinessDays(ref, count);
+      return addDays(ref, /^week/i.test(m[2]) ? count * 7 : count);
+    }
+  }
+];
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+const toUtcDay = (date) => utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+const weekdayIndex = (name) => WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+
+// Days from Monday, so weeks run Monday-Sunday
+const weekdayOffset = (name) => (weekdayIndex(name) + 6) % 7;
+const startOfWeek = (date) => addDays(date, -((date.getUTCDay() + 6) % 7));
+const endOfWorkWeek = (date) => addDays(startOfWeek(date), 4);
+
+const nextWeekday = (date, weekday) => addDays(date, (weekday - date.getUTCDay() + 7) % 7);
+
+const addBusinessDays = (date, count) => {
+  let result = date;
+  let remaining = count;
+  while (remaining > 0) {
+    result = addDays(result, 1);
+    if (result.getUTCDay() !== 0 && result.getUTCDay() !== 6) remaining--;
+  }
+  return result;
+};
+
+/**
+ * Month/day without a year means the next occurrence on or after the meeting
+ */
+const monthDay = (ref, month, day, year) => {
+  if (month < 0 || day < 1 || day > 31) return null;
+  if (year) return utcDate(year, month, day);
+
+  const candidate = utcDate(ref.getUTCFullYear(), month, day);
+  return candidate >= ref ? candidate : utcDate(ref.getUTCFullYear() + 1, month, day);
+};
+
+/**
+ * Format a Date as Jira's YYYY-MM-DD
+ */
+export const formatDueDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Find and resolve the first deadline phrase in some text
+ * @param {string} text - Action item or sentence
+ * @param {Date|string} referenceDate - Meeting start time
+ * @param {Object} options - { sprintEndDate, sprintLengthDays }
+ * @returns {Object|null} - { dueDate: 'YYYY-MM-DD', phrase, confidence }
+ */
+export const extractDueDate = (text, referenceDate = new Date(), options = {}) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const reference = new Date(referenceDate || Date.now());
+  if (isNaN(reference.getTime())) return null;
+  const ref = toUtcDay(reference);
+
+  for (const pattern of PATTERNS) {
+    const match = pattern.regex.exec(text);
+    if (!match) continue;
+
+    const date = pattern.resolve(match, ref, options);
+    if (!date || isNaN(date.getTime())) continue;
+
+    return {
+      dueDate: formatDueDate(date),
+      phrase: match[0].trim(),
+      confidence: pattern.confidence
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,103 @@
+/**
+ * Minimal .docx text extraction for transcript exports
+ *
+ * Reads word/document.xml straight out of the zip container with zlib so we
+ * don't need a document library just to get paragraphs of text.
+ */
+
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Check for the zip local file header magic ("PK\x03\x04")
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} - True if the buffer looks like a zip/docx
+ */
+export const isDocx = (buffer) => {
+  return Buffer.isBuffer(buffer) && buffer.length > 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+};
+
+/**
+ * Read a single entry from a zip archive
+ * @param {Buffer} buffer - Zip content
+ * @param {string} entryName - Path inside the archive
+ * @returns {Buffer|null} - Uncompressed entry, or null if missing
+ */
+export const readZipEntry = (buffer, entryName) => {
+  // The end-of-central-directory record sits in the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new Error('Invalid docx file: zip directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Invalid docx file: corrupt zip directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name === entryName) {
+      const localNameLength = buffer.readUInt16LE(localOffset + 26);
+      const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+      const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported docx compression method: ${method}`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return null;
+};
+
+/**
+ * Extract paragraph text from a .docx file, one paragraph per line
+ * @param {Buffer} buffer - .docx content
+ * @returns {string} - Plain text
+ */
+export const extractDocxText = (buffer) => {
+  const documentXml = readZipEntry(buffer, 'word/document.xml');
+  if (!documentXml) {
+    throw new Error('Invalid docx file: word/document.xml not found');
+  }
+
+  const xml = documentXml.toString('utf8');
+  const paragraphs = xml.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+
+  return paragraphs
+    .map(paragraph => paragraph
+      .replace(/<w:tab\/>/g, '\t')
+      .replace(/<w:br\/>/g, '\n')
+      .replace(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g, '$1')
+      .replace(/<[^>]+>/g, ''))
+    .map(text => text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&'))
+    .join('\n');
+};
@@ -90,6 +90,35 @@ export class ValidationError extends Error {
   }
 }
 
+export class FileTooLargeError extends ValidationError {
+  constructor(message, limitBytes) {
+    super(message);
+    this.name = 'FileTooLargeError';
+    this.limitBytes = limitBytes;
+  }
+}
+
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class RateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RateLimitError';
+  }
+}
+
 export class StorageError extends Error {
   constructor(message) {
     super(message);
@@ -97,6 +126,20 @@ export class StorageError extends Error {
   }
 }
 
+/**
+ * SQL failure mapped from a driver error; `code` is one of the SQL_ERROR_CODES
+ * in services/sql/SqlAdapter and `retryable` marks transient failures
+ */
+export class DatabaseError extends StorageError {
+  constructor(message, { code = 'unknown', retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'DatabaseError';
+    this.code = code;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
 export class IntegrationError extends Error {
   constructor(message, service) {
     super(message);
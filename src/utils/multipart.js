@@ -0,0 +1,236 @@
+/**
+ * Incremental multipart/form-data parser for the upload web trigger
+ *
+ * Works on Buffers end to end so binary parts (.docx) survive intact, and
+ * enforces the file size limit chunk by chunk rather than after the whole
+ * part has been collected. Forge web triggers hand over the complete body,
+ * so parseMultipart feeds it through in chunks; nothing is streamed from the
+ * network.
+ */
+
+import { ValidationError, FileTooLargeError } from './errorHandling';
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const CLOSE_DELIMITER = Buffer.from('--');
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const DEFAULT_MAX_FIELD_SIZE = 1024 * 1024;
+
+/**
+ * Pull the boundary out of a multipart Content-Type header
+ * @param {string} contentType - Content-Type header value
+ * @returns {string} - Boundary without quotes
+ */
+export const getBoundary = (contentType) => {
+  if (!contentType || !/^multipart\/form-data/i.test(contentType.trim())) {
+    throw new ValidationError('Content-Type must be multipart/form-data');
+  }
+
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  if (!match) {
+    throw new ValidationError('Boundary not found in Content-Type header');
+  }
+
+  return match[1] || match[2];
+};
+
+/**
+ * Parse the header block of a single part
+ * @param {string} block - Raw header lines
+ * @returns {Object} - { name, fileName, contentType, headers }
+ */
+export const parsePartHeaders = (block) => {
+  const headers = {};
+  for (const line of block.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const name = /\bname="([^"]*)"/i.exec(disposition);
+  const encodedFileName = /\bfilename\*=(?:UTF-8|utf-8)''([^;]+)/.exec(disposition);
+  const fileName = /\bfilename="([^"]*)"/i.exec(disposition);
+
+  return {
+    name: name ? name[1] : null,
+    fileName: encodedFileName ? decodeURIComponent(encodedFileName[1]) : (fileName ? fileName[1] : null),
+    contentType: headers['content-type'] || null,
+    headers
+  };
+};
+
+/**
+ * Incremental parser - feed it chunks with write() and call end() for the result
+ */
+export class MultipartParser {
+  /**
+   * @param {string} boundary - Multipart boundary
+   * @param {Object} options - { maxFileSize, maxFieldSize } in bytes
+   */
+  constructor(boundary, options = {}) {
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    this.maxFileSize = options.maxFileSize || Infinity;
+    this.maxFieldSize = options.maxFieldSize || DEFAULT_MAX_FIELD_SIZE;
+
+    // The first delimiter has no leading CRLF; pretend it does so every delimiter looks the same
+    this.pending = CRLF;
+    this.state = 'preamble';
+    this.part = null;
+    this.fields = {};
+    this.files = [];
+  }
+
+  write(chunk) {
+    if (this.state === 'done') return;
+
+    this.pending = Buffer.concat([this.pending, Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)]);
+
+    let progressed = true;
+    while (progressed && this.state !== 'done') {
+      progressed = this.step();
+    }
+  }
+
+  end() {
+    if (this.state !== 'done') {
+      throw new ValidationError('Unexpected end of multipart body');
+    }
+
+    return { fields: this.fields, files: this.files };
+  }
+
+  /**
+   * Advance the state machine as far as the buffered data allows
+   * @returns {boolean} - True if more progress may be possible
+   */
+  step() {
+    switch (this.state) {
+      case 'preamble': {
+        const index = this.pending.indexOf(this.delimiter);
+        if (index === -1) {
+          this.keepTail();
+          return false;
+        }
+        this.pending = this.pending.subarray(index + this.delimiter.length);
+        this.state = 'delimiter';
+        return true;
+      }
+
+      case 'delimiter': {
+        // Either "--" (end of body) or CRLF (another part follows), optionally after padding
+        if (this.pending.length < 2) return false;
+
+        if (this.pending.subarray(0, 2).equals(CLOSE_DELIMITER)) {
+          this.state = 'done';
+          return false;
+        }
+
+        const lineEnd = this.pending.indexOf(CRLF);
+        if (lineEnd === -1) return false;
+
+        this.pending = this.pending.subarray(lineEnd + CRLF.length);
+        this.state = 'headers';
+        return true;
+      }
+
+      case 'headers': {
+        const index = this.pending.indexOf(HEADER_END);
+        if (index === -1) {
+          if (this.pending.length > this.maxFieldSize) {
+            throw new ValidationError('Multipart part headers too large');
+          }
+          return false;
+        }
+
+        const headers = parsePartHeaders(this.pending.subarray(0, index).toString('utf8'));
+        this.part = { ...headers, chunks: [], size: 0 };
+        this.pending = this.pending.subarray(index + HEADER_END.length);
+        this.state = 'body';
+        return true;
+      }
+
+      case 'body': {
+        const index = this.pending.indexOf(this.delimiter);
+        if (index === -1) {
+          // Hold back enough bytes to catch a delimiter split across chunks
+          const safeLength = this.pending.length - (this.delimiter.length - 1);
+          if (safeLength > 0) {
+            this.appendToPart(this.pending.subarray(0, safeLength));
+            this.pending = this.pending.subarray(safeLength);
+          }
+          return false;
+        }
+
+        this.appendToPart(this.pending.subarray(0, index));
+        this.finishPart();
+        this.pending = this.pending.subarray(index + this.delimiter.length);
+        this.state = 'delimiter';
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  appendToPart(data) {
+    if (data.length === 0) return;
+
+    const part = this.part;
+    part.size += data.length;
+
+    if (part.fileName !== null && part.size > this.maxFileSize) {
+      throw new FileTooLargeError(
+        `File "${part.fileName}" exceeds the ${Math.round(this.maxFileSize / (1024 * 1024))}MB upload limit`,
+        this.maxFileSize
+      );
+    }
+    if (part.fileName === null && part.size > this.maxFieldSize) {
+      throw new ValidationError(`Form field "${part.name}" is too large`);
+    }
+
+    // Copy out of the shared pending buffer so it can be released
+    part.chunks.push(Buffer.from(data));
+  }
+
+  finishPart() {
+    const { name, fileName, contentType, headers, chunks, size } = this.part;
+    const content = Buffer.concat(chunks, size);
+
+    if (fileName !== null) {
+      this.files.push({ field: name, fileName, contentType, headers, size, content });
+    } else if (name) {
+      this.fields[name] = content.toString('utf8');
+    }
+
+    this.part = null;
+  }
+
+  keepTail() {
+    const keep = this.delimiter.length - 1;
+    if (this.pending.length > keep) {
+      this.pending = this.pending.subarray(this.pending.length - keep);
+    }
+  }
+}
+
+/**
+ * Parse a complete body by feeding it through MultipartParser in chunks
+ * @param {Buffer|string} body - Raw request body
+ * @param {string} contentType - Content-Type header value
+ * @param {Object} options - { maxFileSize, maxFieldSize, chunkSize }
+ * @returns {Object} - { fields, files: [{ field, fileName, contentType, size, content }] }
+ */
+export const parseMultipart = (body, contentType, options = {}) => {
+  const parser = new MultipartParser(getBoundary(contentType), options);
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '', 'utf8');
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+
+  for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+    parser.write(buffer.subarray(offset, offset + chunkSize));
+  }
+
+  return parser.end();
+};
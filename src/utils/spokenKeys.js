@@ -0,0 +1,226 @@
+import Utterance from '../models/Utterance';
+
+/**
+ * Spoken-form ticket key normalization for speech-to-text transcripts
+ *
+ * ASR renders "PROJ-123" as "proj one twenty three", "P R O J dash 123" or
+ * "project 123". This pass rewrites those to canonical keys before mention
+ * extraction, and returns each rewrite with the original surface form so a
+ * detected mention can be traced back to what was actually said.
+ *
+ * Only known project keys and configured aliases are rewritten, so ordinary
+ * speech ("it one", "a b c") is left alone. Without any known keys, spelled
+ * letters still count when followed by an explicit "dash"/"hyphen".
+ */
+
+const UNITS = { zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const SEPARATORS = ['dash', 'hyphen', 'minus', '-', '–'];
+
+const TOKEN_PATTERN = /[A-Za-z]+|\d+|[-–]/g;
+
+const tokenize = (text) => {
+  const tokens = [];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    tokens.push({ value: match[0], lower: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+// Tokens belong to one spoken key only when nothing but spaces and dashes separate them
+// (and dots, for spelled letters like "P.R.O.J.")
+const adjacent = (text, previous, next) => {
+  const gap = text.slice(previous.end, next.start);
+  return previous.value.length === 1 ? /^[\s.\-–]*$/.test(gap) : /^[\s\-–]*$/.test(gap);
+};
+
+/**
+ * Read a spoken number starting at `tokens[from]`. Numbers are said in digit
+ * groups ("one twenty three" = 1|23, "twelve oh five" = 12|0|5) or in full
+ * ("four hundred eighty two"), and either way the groups are concatenated.
+ * @returns {Object|null} - { digits, next: index after the last number token }
+ */
+export const readSpokenNumber = (tokens, from, text = null) => {
+  const groups = [];
+  let current = null;
+  let next = from;
+
+  const close = () => {
+    if (current) groups.push(String(current.value));
+    current = null;
+  };
+
+  for (let i = from; i < tokens.length; i++) {
+    const { lower } = tokens[i];
+    if (i > from && text !== null && !adjacent(text, tokens[i - 1], tokens[i])) break;
+
+    if (/^\d+$/.test(lower)) {
+      close();
+      groups.push(lower);
+    } else if (lower in UNITS) {
+      if (current && ['tens', 'hundred', 'hundredTens'].includes(current.stage)) {
+        current.value += UNITS[lower];
+        current.stage = 'done';
+      } else {
+        close();
+        current = { value: UNITS[lower], stage: 'unit' };
+      }
+    } else if (lower in TEENS) {
+      if (current && current.stage === 'hundred') {
+        current.value += TEENS[lower];
+        current.stage = 'done';
+      } else {
+        close();
+        current = { value: TEENS[lower], stage: 'done' };
+      }
+    } else if (lower in TENS) {
+      if (current && current.stage === 'hundred') {
+        current.value += TENS[lower];
+        current.stage = 'hundredTens';
+      } else {
+        close();
+        current = { value: TENS[lower], stage: 'tens' };
+      }
+    } else if (lower === 'hundred' && current && current.stage === 'unit' && current.value > 0) {
+      current.value *= 100;
+      current.stage = 'hundred';
+    } else if ((lower === 'and' && current?.stage === 'hundred') || (['-', '–'].includes(lower) && current?.stage === 'tens')) {
+      // "four hundred and two", "twenty-three": part of the same group
+      continue;
+    } else {
+      break;
+    }
+
+    next = i + 1;
+  }
+
+  close();
+  return groups.length > 0 ? { digits: groups.join(''), next } : null;
+};
+
+/**
+ * Match a project key at `tokens[from]`: a configured alias, the key said as a word, or spelled letters
+ * @returns {Object|null} - { key, next, spelled }
+ */
+const readProjectKey = (text, tokens, from, projectKeys, aliases) => {
+  // Longest alias first, so "mobile app" wins over "mobile"
+  for (const [alias, key] of aliases) {
+    const words = alias.split(' ');
+    const slice = tokens.slice(from, from + words.length);
+    if (slice.length === words.length &&
+      slice.every((token, i) => token.lower === words[i] && (i === 0 || adjacent(text, slice[i - 1], token)))) {
+      return { key, next: from + words.length, spelled: false };
+    }
+  }
+
+  const word = tokens[from].value.toUpperCase();
+  if (tokens[from].value.length > 1 && projectKeys.has(word)) {
+    return { key: word, next: from + 1, spelled: false };
+  }
+
+  let end = from;
+  while (end < tokens.length && end - from < 10 && /^[a-z]$/i.test(tokens[end].value) &&
+    (end === from || adjacent(text, tokens[end - 1], tokens[end]))) {
+    end++;
+  }
+  if (end - from >= 2) {
+    const key = tokens.slice(from, end).map(token => token.value.toUpperCase()).join('');
+    if (projectKeys.has(key) || projectKeys.size === 0) {
+      return { key, next: end, spelled: true };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Rewrite spoken ticket keys in a piece of text
+ * @param {string} text
+ * @param {Object} options - { projectKeys: ['PROJ'], aliases: { 'project': 'PROJ', 'mobile app': 'MOB' } }
+ * @returns {Object} - { text, forms: [{ key, original, position }] } with positions in the input text
+ */
+export const normalizeSpokenKeys = (text, { projectKeys = [], aliases = {} } = {}) => {
+  const source = String(text || '');
+  const keys = new Set(projectKeys.map(key => String(key).toUpperCase()));
+  const aliasList = Object.entries(aliases)
+    .map(([alias, key]) => [alias.toLowerCase().replace(/\s+/g, ' ').trim(), String(key).toUpperCase()])
+    .filter(([alias]) => alias)
+    .sort((a, b) => b[0].split(' ').length - a[0].split(' ').length);
+
+  const tokens = tokenize(source);
+  const forms = [];
+  let output = '';
+  let copied = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const project = readProjectKey(source, tokens, i, keys, aliasList);
+    if (!project || project.next >= tokens.length || !adjacent(source, tokens[project.next - 1], tokens[project.next])) continue;
+
+    let numberFrom = project.next;
+    const hasSeparator = SEPARATORS.includes(tokens[numberFrom].lower);
+    if (hasSeparator) {
+      numberFrom++;
+      if (numberFrom >= tokens.length || !adjacent(source, tokens[numberFrom - 1], tokens[numberFrom])) continue;
+    }
+
+    // Spelled letters with no known keys to check against need an explicit "dash"
+    if (project.spelled && keys.size === 0 && !hasSeparator) continue;
+
+    const number = readSpokenNumber(tokens, numberFrom, source);
+    if (!number || /^0/.test(number.digits)) continue;
+
+    const start = tokens[i].start;
+    const end = tokens[number.next - 1].end;
+    const original = source.slice(start, end);
+    const key = `${project.key}-${number.digits}`;
+
+    if (original !== key) {
+      output += source.slice(copied, start) + key;
+      copied = end;
+      forms.push({ key, original, position: start });
+    }
+    i = number.next - 1;
+  }
+
+  return { text: output + source.slice(copied), forms };
+};
+
+/**
+ * Normalize every utterance, keeping speaker and timing on each recorded form
+ * @returns {Object} - { utterances: Utterance[], forms: [{ key, original, speaker, start }] }
+ */
+export const normalizeUtterances = (utterances, options = {}) => {
+  const forms = [];
+
+  const normalized = utterances.map(item => {
+    const utterance = Utterance.from(item);
+    const result = normalizeSpokenKeys(utterance.text, options);
+    if (result.forms.length === 0) return utterance;
+
+    result.forms.forEach(form => forms.push({ key: form.key, original: form.original, speaker: utterance.speaker, start: utterance.start }));
+    return new Utterance({ speaker: utterance.speaker, start: utterance.start, end: utterance.end, text: result.text });
+  });
+
+  return { utterances: normalized, forms };
+};
+
+/**
+ * Record on each mention how its key was actually said, where it was normalized
+ */
+export const attachSurfaceForms = (mentions, forms) => {
+  if (forms.length === 0) return mentions;
+
+  return mentions.map(mention => {
+    const said = forms.filter(form => form.key === mention.ticketId);
+    return said.length > 0
+      ? { ...mention, surfaceForms: [...new Set(said.map(form => form.original))] }
+      : mention;
+  });
+};
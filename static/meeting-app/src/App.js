@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { invoke, view } from '@forge/bridge';
+import PendingChanges from './PendingChanges';
+import MeetingCard from './MeetingCard';
 
 const App = () => {
   const [meetingData, setMeetingData] = useState(null);
@@ -9,6 +11,7 @@ const App = () => {
   const [adding, setAdding] = useState(false);
   const [issueKey, setIssueKey] = useState(null);
   const [accountId, setAccountId] = useState(null);
+  const [changesVersion, setChangesVersion] = useState(0);
 
   useEffect(() => {
     // Initialize with real Jira context
@@ -24,7 +27,7 @@ const App = () => {
         setIssueKey(currentIssueKey);
         setAccountId(currentAccountId);
         
-        await loadMeetingContext(currentIssueKey, currentAccountId);
+        await loadMeetingContext(currentIssueKey);
       } catch (err) {
         console.error('Failed to get Jira context:', err);
         // Fallback to demo mode if context fails
@@ -34,25 +37,22 @@ const App = () => {
         setIssueKey(demoIssueKey);
         setAccountId(demoAccountId);
         
-        await loadMeetingContext(demoIssueKey, demoAccountId);
+        await loadMeetingContext(demoIssueKey);
       }
     };
 
     initializeApp();
   }, []);
 
-  const loadMeetingContext = async (key, accId) => {
+  const loadMeetingContext = async (key) => {
     if (!key) return;
     
     setLoading(true);
     setError(null);
     
     try {
-      // Call the specific function directly with real account ID
-      const response = await invoke('getMeetingContext', {
-        issueKey: key,
-        accountId: accId || accountId || 'fallback-account'
-      });
+      // The issue and account come from the panel's context
+      const response = await invoke('v1/getMeetingContext');
       
       if (response.success) {
         setMeetingData(response.data);
@@ -74,10 +74,7 @@ const App = () => {
     setError(null);
     
     try {
-      const response = await invoke('syncMeetings', {
-        issueKey,
-        accountId: accountId || 'fallback-account'
-      });
+      const response = await invoke('v1/syncMeetings');
       
       if (response.success) {
         setMeetingData(response.data);
@@ -99,10 +96,7 @@ const App = () => {
     setError(null);
     
     try {
-      const response = await invoke('addMeeting', {
-        issueKey,
-        accountId: accountId || 'fallback-account'
-      });
+      const response = await invoke('v1/addMeeting');
       
       if (response.success) {
         setMeetingData(response.data);
@@ -117,6 +111,16 @@ const App = () => {
     }
   };
 
+  // An edit can re-stage Jira updates, so the pending list is reloaded too
+  const handleMeetingUpdated = (updated) => {
+    setError(null);
+    setMeetingData(current => ({
+      ...current,
+      meetings: current.meetings.map(meeting => (meeting.id === updated.id ? updated : meeting))
+    }));
+    setChangesVersion(version => version + 1);
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return '';
     
@@ -183,7 +187,7 @@ const App = () => {
       {error && (
         <div className="error">
           ⚠️ {error}
-          <button onClick={() => loadMeetingContext(issueKey, accountId)} className="retry-btn">
+          <button onClick={() => loadMeetingContext(issueKey)} className="retry-btn">
             Try Again
           </button>
         </div>
@@ -212,38 +216,19 @@ const App = () => {
         </button>
       </div>
 
+      {issueKey && <PendingChanges issueKey={issueKey} accountId={accountId} refreshKey={changesVersion} onError={setError} />}
+
       {meetingData && meetingData.meetings && meetingData.meetings.length > 0 ? (
         <div className="meetings-list">
           {meetingData.meetings.map((meeting) => (
-            <div key={meeting.id} className="meeting-card">
-              <div className="meeting-header">
-                <h3 className="meeting-title">{meeting.title}</h3>
-                <div className="meeting-platform">{meeting.platform}</div>
-              </div>
-              
-              <div className="meeting-meta">
-                <span>📅 {formatDate(meeting.date)}</span>
-                <span>⏱️ {formatDuration(meeting.duration)}</span>
-                <span>👥 {meeting.participants?.length || 0} participants</span>
-              </div>
-
-              {meeting.summary && (
-                <div className="meeting-summary">
-                  📝 {meeting.summary}
-                </div>
-              )}
-
-              {meeting.actionItems && meeting.actionItems.length > 0 && (
-                <div className="action-items">
-                  <h4>📋 Action Items:</h4>
-                  <ul>
-                    {meeting.actionItems.map((item, index) => (
-                      <li key={index}>• {item}</li>
-                    ))}
-                  </ul>
-                </div>
-              )}
-            </div>
+            <MeetingCard
+              key={meeting.id}
+              meeting={meeting}
+              formatDate={formatDate}
+              formatDuration={formatDuration}
+              onUpdated={handleMeetingUpdated}
+              onError={setError}
+            />
           ))}
         </div>
       ) : (
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { invoke } from '@forge/bridge';
+
+const STATUS_LABELS = {
+  pending: '⏳ Pending',
+  'in-progress': '🔄 In progress',
+  completed: '✅ Completed'
+};
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (dateString) => {
+  const date = new Date(dateString);
+  if (isNaN(date)) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * One stored meeting, with inline editing of its details, action items and key decisions.
+ * Edits go through the v1 update resolvers; onUpdated receives the saved meeting.
+ */
+const MeetingCard = ({ meeting, formatDate, formatDuration, onUpdated, onError }) => {
+  // null, or { target: 'meeting' | 'actionItem' | 'decision', index }
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const startEditing = (target, index = null) => {
+    setEditing({ target, index });
+
+    if (target === 'meeting') {
+      setForm({
+        title: meeting.title || '',
+        platform: meeting.platform || '',
+        date: toLocalInput(meeting.date),
+        duration: String(meeting.duration || 0),
+        summary: meeting.summary || ''
+      });
+    } else if (target === 'actionItem') {
+      const item = index === null ? {} : meeting.actionItems[index];
+      setForm({
+        task: item.task || '',
+        assignee: item.assignee || '',
+        status: item.status || 'pending',
+        dueDate: item.dueDate ? item.dueDate.slice(0, 10) : ''
+      });
+    } else {
+      setForm({ text: index === null ? '' : meeting.keyDecisions[index] });
+    }
+  };
+
+  const save = async (resolver, payload) => {
+    setSaving(true);
+    try {
+      const response = await invoke(resolver, { meetingId: meeting.id, ...payload });
+
+      if (response.success) {
+        setEditing(null);
+        onUpdated(response.data.meeting);
+      } else {
+        onError(response.message || 'Failed to save the meeting');
+      }
+    } catch (err) {
+      console.error('Error saving meeting:', err);
+      onError('Failed to save the meeting');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const submit = () => {
+    if (editing.target === 'meeting') {
+      return save('v1/updateMeeting', {
+        changes: {
+          ...form,
+          date: form.date ? new Date(form.date).toISOString() : '',
+          duration: Number(form.duration)
+        }
+      });
+    }
+    const resolver = editing.target === 'actionItem' ? 'v1/updateActionItem' : 'v1/updateDecision';
+    return save(resolver, { index: editing.index, changes: form });
+  };
+
+  const remove = (target, index) => save(
+    target === 'actionItem' ? 'v1/updateActionItem' : 'v1/updateDecision',
+    { index, changes: { remove: true } }
+  );
+
+  const field = (name, label, { type = 'text', rows = 0 } = {}) => (
+    <label key={name}>
+      {label}
+      {rows > 0 ? (
+        <textarea rows={rows} value={form[name]} onChange={(e) => setForm({ ...form, [name]: e.target.value })} />
+      ) : (
+        <input type={type} value={form[name]} onChange={(e) => setForm({ ...form, [name]: e.target.value })} />
+      )}
+    </label>
+  );
+
+  const editForm = (fields) => (
+    <div className="pending-edit meeting-edit">
+      {fields}
+      <div className="pending-actions">
+        <button className="btn btn-primary btn-small" disabled={saving} onClick={submit}>
+          {saving ? '⏳ Saving...' : 'Save'}
+        </button>
+        <button className="btn btn-secondary btn-small" disabled={saving} onClick={() => setEditing(null)}>Cancel</button>
+      </div>
+    </div>
+  );
+
+  const isEditing = (target, index = null) => editing?.target === target && editing.index === index;
+  const lastEdit = meeting.editHistory?.[meeting.editHistory.length - 1];
+
+  return (
+    <div className="meeting-card">
+      {isEditing('meeting') ? editForm([
+        field('title', 'Title'),
+        field('platform', 'Platform'),
+        field('date', 'Date', { type: 'datetime-local' }),
+        field('duration', 'Duration (minutes)', { type: 'number' }),
+        field('summary', 'Summary', { rows: 4 })
+      ]) : (
+        <>
+          <div className="meeting-header">
+            <h3 className="meeting-title">{meeting.title}</h3>
+            <div className="meeting-platform">{meeting.platform}</div>
+            <button className="edit-link" disabled={saving} onClick={() => startEditing('meeting')}>✏️ Edit</button>
+          </div>
+
+          <div className="meeting-meta">
+            <span>📅 {formatDate(meeting.date)}</span>
+            <span>⏱️ {formatDuration(meeting.duration)}</span>
+            <span>👥 {meeting.participants?.length || 0} participants</span>
+          </div>
+
+          {meeting.summary && (
+            <div className="meeting-summary">
+              📝 {meeting.summary}
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="action-items">
+        <h4>📋 Action Items:</h4>
+        <ul>
+          {(meeting.actionItems || []).map((item, index) => (
+            <li key={index}>
+              {isEditing('actionItem', index) ? editForm([
+                field('task', 'Action item'),
+                field('assignee', 'Assignee'),
+                <label key="status">
+                  Status
+                  <select value={form.status} onChange={(e) => setForm({ ...form, status: e.target.value })}>
+                    {Object.entries(STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </label>,
+                field('dueDate', 'Due date', { type: 'date' })
+              ]) : (
+                <>
+                  {item.task}
+                  {item.assignee && <span className="item-meta"> — {item.assignee}</span>}
+                  <span className="item-meta"> · {STATUS_LABELS[item.status] || item.status}</span>
+                  {item.dueDate && <span className="item-meta"> · due {item.dueDate.slice(0, 10)}</span>}
+                  {item.issueKey && <span className="item-meta"> · {item.issueKey}</span>}
+                  <button className="edit-link" disabled={saving} onClick={() => startEditing('actionItem', index)}>✏️</button>
+                  <button className="edit-link" disabled={saving} onClick={() => remove('actionItem', index)}>🗑️</button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+        {isEditing('actionItem') ? editForm([
+          field('task', 'Action item'),
+          field('assignee', 'Assignee'),
+          field('dueDate', 'Due date', { type: 'date' })
+        ]) : (
+          <button className="edit-link" disabled={saving} onClick={() => startEditing('actionItem')}>➕ Add action item</button>
+        )}
+      </div>
+
+      <div className="key-decisions">
+        <h4>🎯 Key Decisions:</h4>
+        <ul>
+          {(meeting.keyDecisions || []).map((decision, index) => (
+            <li key={index}>
+              {isEditing('decision', index) ? editForm([field('text', 'Decision', { rows: 2 })]) : (
+                <>
+                  {decision}
+                  <button className="edit-link" disabled={saving} onClick={() => startEditing('decision', index)}>✏️</button>
+                  <button className="edit-link" disabled={saving} onClick={() => remove('decision', index)}>🗑️</button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+        {isEditing('decision') ? editForm([field('text', 'Decision', { rows: 2 })]) : (
+          <button className="edit-link" disabled={saving} onClick={() => startEditing('decision')}>➕ Add decision</button>
+        )}
+      </div>
+
+      {lastEdit && (
+        <div className="last-edit">
+          ✏️ Edited {formatDate(lastEdit.editedAt)} ({meeting.editHistory.length} {meeting.editHistory.length === 1 ? 'edit' : 'edits'})
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MeetingCard;
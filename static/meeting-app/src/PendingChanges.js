@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+
+const TYPE_LABELS = {
+  comment: '💬 Comment',
+  label: '🏷️ Labels',
+  transition: '🔀 Transition',
+  create_issue: '➕ New issue',
+  issue_link: '🔗 Issue link',
+  field_update: '🗂️ Fields',
+  worklog: '⏱️ Worklog'
+};
+
+/**
+ * Edit form fields per change type; values map onto the payload fields the
+ * write-back service lets a reviewer change
+ */
+const initialEdits = (change) => {
+  switch (change.changeType) {
+    case 'comment':
+      return { text: change.preview || '' };
+    case 'label':
+      return { labels: (change.payload?.labels || []).join(', ') };
+    case 'transition':
+      return { comment: change.payload?.comment || '' };
+    case 'issue_link':
+      return { linkType: change.payload?.linkType || '', to: change.payload?.to || '' };
+    case 'worklog':
+      return { minutes: String(Math.round((change.payload?.timeSpentSeconds || 0) / 60)), comment: change.payload?.comment || '' };
+    case 'create_issue':
+      return { action: change.payload?.action || '', dueDate: change.payload?.dueDate || '' };
+    default:
+      return {};
+  }
+};
+
+const toPayloadEdits = (change, edits, issueKey) => {
+  const result = edits.labels !== undefined
+    ? { ...edits, labels: edits.labels.split(',').map(label => label.trim()).filter(Boolean) }
+    : { ...edits };
+
+  if (result.dueDate === '') result.dueDate = null;
+  if (result.minutes !== undefined) {
+    result.timeSpentSeconds = Math.max(60, Math.round(Number(result.minutes) * 60) || 0);
+    delete result.minutes;
+  }
+  if (issueKey && issueKey !== change.issueKey) result.issueKey = issueKey;
+  return result;
+};
+
+// Jira books a worklog to whoever posts it, so only its participant can approve one
+const isOwnChange = (change, accountId) =>
+  change.changeType !== 'worklog' || change.payload?.participant?.accountId === accountId;
+
+const PendingChanges = ({ issueKey, accountId, refreshKey, onError }) => {
+  const [changes, setChanges] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [targetKey, setTargetKey] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadChanges();
+  }, [issueKey, refreshKey]);
+
+  const loadChanges = async () => {
+    if (!issueKey) return;
+
+    try {
+      const response = await invoke('v1/getPendingChanges');
+      if (response.success) {
+        setChanges(response.data);
+      } else {
+        onError(response.message || 'Failed to load pending Jira updates');
+      }
+    } catch (err) {
+      console.error('Error loading pending changes:', err);
+      onError('Failed to load pending Jira updates');
+    }
+  };
+
+  const decide = async (change, decision, payloadEdits = null) => {
+    setBusy(true);
+    try {
+      const response = await invoke('v1/decideChange', {
+        changeId: change.id,
+        decision,
+        edits: payloadEdits
+      });
+
+      if (!response.success) {
+        onError(response.message || 'Failed to record decision');
+      }
+      setEditing(null);
+      await loadChanges();
+    } catch (err) {
+      console.error('Error recording decision:', err);
+      onError('Failed to record decision');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const applyApproved = async () => {
+    const meetingIds = [...new Set(changes
+      .filter(change => change.status === 'approved' && isOwnChange(change, accountId))
+      .map(change => change.meetingId))];
+
+    setBusy(true);
+    try {
+      for (const meetingId of meetingIds) {
+        const response = await invoke('v1/applyApprovedChanges', { meetingId });
+        if (!response.success) {
+          onError(response.message || 'Some Jira updates failed');
+        }
+      }
+      await loadChanges();
+    } catch (err) {
+      console.error('Error applying changes:', err);
+      onError('Failed to apply Jira updates');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEditing = (change) => {
+    setEditing(change.id);
+    setEdits(initialEdits(change));
+    setTargetKey(change.issueKey);
+  };
+
+  const open = changes.filter(change => ['pending', 'approved', 'failed'].includes(change.status));
+  if (open.length === 0) return null;
+
+  const approvedCount = open.filter(change => change.status === 'approved' && isOwnChange(change, accountId)).length;
+
+  return (
+    <div className="pending-changes">
+      <div className="pending-header">
+        <h4>📝 Jira updates awaiting review ({open.length})</h4>
+        {approvedCount > 0 && (
+          <button className="btn btn-primary btn-small" onClick={applyApproved} disabled={busy}>
+            {busy ? '⏳ Applying...' : `✅ Apply ${approvedCount} approved`}
+          </button>
+        )}
+      </div>
+
+      {open.map(change => (
+        <div key={change.id} className={`pending-change status-${change.status}`}>
+          <div className="pending-change-header">
+            <span className="pending-type">{TYPE_LABELS[change.changeType] || change.changeType}</span>
+            <span className="pending-target">{change.issueKey}</span>
+            <span className="pending-status">{change.status}</span>
+          </div>
+          <div className="pending-summary">{change.summary}</div>
+          {change.error && <div className="pending-error">⚠️ {change.error}</div>}
+
+          {editing === change.id ? (
+            <div className="pending-edit">
+              <label>
+                Issue
+                <input value={targetKey} onChange={(e) => setTargetKey(e.target.value.toUpperCase())} />
+              </label>
+              {Object.keys(edits).map(field => (
+                <label key={field}>
+                  {field}
+                  {field === 'text' ? (
+                    <textarea rows={8} value={edits[field]} onChange={(e) => setEdits({ ...edits, [field]: e.target.value })} />
+                  ) : (
+                    <input
+                      type={field === 'dueDate' ? 'date' : 'text'}
+                      value={edits[field]}
+                      onChange={(e) => setEdits({ ...edits, [field]: e.target.value })}
+                    />
+                  )}
+                </label>
+              ))}
+              <div className="pending-actions">
+                <button
+                  className="btn btn-primary btn-small"
+                  disabled={busy}
+                  onClick={() => decide(change, 'approve', toPayloadEdits(change, edits, targetKey))}
+                >
+                  Approve with edits
+                </button>
+                <button className="btn btn-secondary btn-small" onClick={() => setEditing(null)}>Cancel</button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {change.preview && <pre className="pending-preview">{change.preview}</pre>}
+              {!isOwnChange(change, accountId) && (
+                <div className="pending-note">
+                  Only {change.payload.participant.displayName} can approve and post this worklog; Jira books it to whoever posts it.
+                </div>
+              )}
+              {change.status === 'pending' && (
+                <div className="pending-actions">
+                  {isOwnChange(change, accountId) && (
+                    <>
+                      <button className="btn btn-primary btn-small" disabled={busy} onClick={() => decide(change, 'approve')}>Approve</button>
+                      <button className="btn btn-secondary btn-small" disabled={busy} onClick={() => startEditing(change)}>Edit</button>
+                    </>
+                  )}
+                  <button className="btn btn-secondary btn-small" disabled={busy} onClick={() => decide(change, 'reject')}>Reject</button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PendingChanges;